@@ -11,6 +11,7 @@ class AdminDashboard {
             'https://hereco-backend.azurewebsites.net/api';
         this.logs = [];
         this.availableModels = [];
+        this.feedback = [];
         this.currentConfig = null;
         this.adminKey = 'admin123'; // Change this in production
         
@@ -246,7 +247,8 @@ class AdminDashboard {
                 this.loadAvailableModels(),
                 this.refreshSystemStatus(),
                 this.loadUsers(),
-                this.loadHealthStatus()
+                this.loadHealthStatus(),
+                this.loadFeedback()
             ]);
         } catch (error) {
             this.log(`Error loading initial data: ${error.message}`, 'error');
@@ -313,6 +315,8 @@ class AdminDashboard {
                 });
             }
         });
+        
+        this.populateFeedbackModelFilter();
     }
     
     updateModelSelectors() {
@@ -824,6 +828,103 @@ class AdminDashboard {
         
         container.innerHTML = healthHtml;
     }
+    
+    // Feedback Review Functions
+    async loadFeedback() {
+        const model = document.getElementById('feedback-model-filter')?.value || '';
+        const rating = document.getElementById('feedback-rating-filter')?.value || '';
+        const params = new URLSearchParams({ admin_key: this.adminKey });
+        if (model) params.set('model', model);
+        if (rating) params.set('rating', rating);
+        
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/admin/feedback?${params}`);
+            const data = await response.json();
+            
+            if (data.success) {
+                // Filter here as well in case the backend ignores the query
+                this.feedback = (data.feedback || []).filter(item =>
+                    item.rating && (!model || item.model === model) && (!rating || item.rating === rating)
+                );
+                this.populateFeedbackModelFilter(data.feedback || []);
+                this.updateFeedbackDisplay();
+                this.log(`Loaded ${this.feedback.length} feedback entries`);
+            } else {
+                throw new Error(data.error || 'Failed to load feedback');
+            }
+        } catch (error) {
+            this.log(`Error loading feedback: ${error.message}`, 'error');
+            this.showAlert('Failed to load feedback', 'error');
+        }
+    }
+    
+    populateFeedbackModelFilter(entries = this.feedback) {
+        const select = document.getElementById('feedback-model-filter');
+        if (!select) return;
+        
+        // Offer every known model plus any that only appear in the feedback
+        const models = new Map(this.availableModels.map(model => [model.id, model.name]));
+        entries.forEach(item => {
+            if (item.model && !models.has(item.model)) {
+                models.set(item.model, item.model);
+            }
+        });
+        
+        const selected = select.value;
+        select.innerHTML = '<option value="">All models</option>';
+        models.forEach((name, id) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = models.has(selected) ? selected : '';
+    }
+    
+    updateFeedbackDisplay() {
+        const container = document.getElementById('feedback-list');
+        const summary = document.getElementById('feedback-summary');
+        if (!container) return;
+        
+        const upCount = this.feedback.filter(item => item.rating === 'up').length;
+        if (summary) {
+            summary.textContent = `👍 ${upCount} • 👎 ${this.feedback.length - upCount}`;
+        }
+        
+        if (this.feedback.length === 0) {
+            container.innerHTML = '<p>No feedback found</p>';
+            return;
+        }
+        
+        const feedbackHtml = this.feedback.map(item => `
+            <div class="feedback-item">
+                <div class="status-info">
+                    <span class="feedback-rating">${item.rating === 'up' ? '👍' : '👎'}</span>
+                    <div>
+                        <div class="status-label">${this.escapeHtml(item.model || 'Unknown model')}</div>
+                        <div class="status-value">${item.reason ? this.escapeHtml(item.reason) : '<em>No reason given</em>'}</div>
+                        <div class="status-value" style="font-size: 12px; color: #999;">
+                            ${item.createdAt ? new Date(item.createdAt).toLocaleString() : ''} • Chat ${this.escapeHtml(item.chatId || '-')}
+                        </div>
+                    </div>
+                </div>
+                ${item.prompt ? `<p class="feedback-excerpt"><strong>Prompt:</strong> ${this.escapeHtml(this.truncate(item.prompt, 200))}</p>` : ''}
+                ${item.response ? `<p class="feedback-excerpt"><strong>Response:</strong> ${this.escapeHtml(this.truncate(item.response, 300))}</p>` : ''}
+            </div>
+        `).join('');
+        
+        container.innerHTML = feedbackHtml;
+    }
+    
+    truncate(text, maxLength) {
+        return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
 }
 
 // Global functions for HTML onclick handlers
@@ -875,6 +976,12 @@ function loadHealthStatus() {
     }
 }
 
+function loadFeedback() {
+    if (window.adminDashboard) {
+        window.adminDashboard.loadFeedback();
+    }
+}
+
 function toggleUserBan(uid, isCurrentlyBanned) {
     if (window.adminDashboard) {
         window.adminDashboard.toggleUserBan(uid, isCurrentlyBanned);
@@ -382,6 +382,33 @@ class ApiService {
         return data;
     }
 
+    /**
+     * Get the signed-in listener's playback progress
+     * @param {string} token - Firebase ID token
+     * @returns {Promise<Object>} Progress data, keyed by episode ID
+     */
+    async getPlaybackProgress(token) {
+        const url = Config.getApiUrl('playbackProgress');
+        return await this.makeRequest(url, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+    }
+
+    /**
+     * Save the signed-in listener's playback progress
+     * @param {Object} progress - Progress by episode ID: { position, duration, played, updatedAt }
+     * @param {string} token - Firebase ID token
+     * @returns {Promise<Object>} Save result
+     */
+    async savePlaybackProgress(progress, token) {
+        const url = Config.getApiUrl('playbackProgress');
+        return await this.makeRequest(url, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` },
+            body: JSON.stringify({ progress })
+        });
+    }
+
     // File Management API Methods
 
     /**
@@ -581,7 +608,7 @@ class ApiService {
             return cached;
         }
 
-        const url = Config.getApiUrl('models');
+        const url = Config.getApiUrl('chatbotModels');
         const data = await this.makeRequest(url);
         
         this.setCachedData(cacheKey, data);
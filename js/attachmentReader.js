@@ -0,0 +1,467 @@
+/**
+ * Attachment Reader
+ * Reads files attached to chat messages in the browser: text files and PDFs
+ * are turned into text that is sent as context with the message, images are
+ * scaled down and kept as data URLs for models that can see them. Only the
+ * IndexedDB copy of a chat keeps these payloads; copies synced to the backend
+ * or kept in localStorage carry image thumbnails instead
+ */
+
+const AttachmentReader = {
+    // Files per message
+    maxAttachments: 5,
+
+    // Largest file accepted, before any text extraction or image scaling
+    maxFileBytes: 10 * 1024 * 1024,
+
+    // Extracted text beyond this is cut off, so one file cannot swamp the context window
+    maxTextChars: 50000,
+
+    // Images are scaled down to fit this many pixels on their longer side
+    maxImageDimension: 1568,
+
+    // Images at or under this size that already fit are sent unchanged
+    maxUnscaledImageBytes: 1024 * 1024,
+
+    // Thumbnails stand in for images where the full image is not kept
+    thumbnailDimension: 160,
+
+    // Extensions read as plain text
+    textExtensions: [
+        '.txt', '.md', '.markdown', '.csv', '.tsv', '.json', '.jsonl', '.xml', '.yaml', '.yml',
+        '.html', '.htm', '.css', '.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.c', '.h', '.cpp',
+        '.cs', '.go', '.rs', '.rb', '.php', '.sh', '.sql', '.log', '.ini', '.toml'
+    ],
+
+    // Image types models accept
+    imageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+
+    // Models that accept images, by model name prefix (models can also say so in the models list)
+    visionModels: [
+        'gemini', 'gemma3', 'llava', 'bakllava', 'llama3.2-vision', 'llama4', 'minicpm-v',
+        'moondream', 'qwen2.5vl', 'qwen2-vl', 'granite3.2-vision', 'gpt-4o', 'claude-3'
+    ],
+
+    /**
+     * Get the value for a file picker's accept attribute
+     * @returns {string} Accepted extensions and types
+     */
+    getAcceptList() {
+        return this.textExtensions.concat('.pdf', this.imageTypes).join(',');
+    },
+
+    /**
+     * Work out how a file is read
+     * @param {File} file - Selected, dropped or pasted file
+     * @returns {string|null} 'text', 'pdf', 'image' or null if unsupported
+     */
+    detectKind(file) {
+        const name = (file.name || '').toLowerCase();
+        const type = (file.type || '').toLowerCase();
+
+        if (this.imageTypes.includes(type)) return 'image';
+        if (type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+        if (type.startsWith('text/') || this.textExtensions.some(extension => name.endsWith(extension))) return 'text';
+        return null;
+    },
+
+    /**
+     * Read a file into an attachment
+     * @param {File} file - File
+     * @returns {Promise<Object>} { id, name, kind, mimeType, size, text?, truncated?, dataUrl?, thumbnailUrl? }
+     * @throws {Error} With a message for the user when the file is unsupported, too large or unreadable
+     */
+    async read(file) {
+        const name = file.name || 'Pasted file';
+        const kind = this.detectKind(file);
+        if (!kind) {
+            throw new Error(`${name}: this file type is not supported. Attach text files, PDFs or images (PNG, JPEG, GIF, WebP)`);
+        }
+        if (file.size > this.maxFileBytes) {
+            throw new Error(`${name} is ${this.formatSize(file.size)}; files can be at most ${this.formatSize(this.maxFileBytes)}`);
+        }
+        if (file.size === 0) {
+            throw new Error(`${name} is empty`);
+        }
+
+        const attachment = {
+            id: Date.now().toString(36) + Math.random().toString(36).substring(2, 8),
+            name,
+            kind,
+            mimeType: file.type || '',
+            size: file.size
+        };
+
+        if (kind === 'image') {
+            attachment.dataUrl = await this.readImage(file);
+            attachment.thumbnailUrl = await this.makeThumbnail(file);
+            return attachment;
+        }
+
+        let text = kind === 'pdf'
+            ? await this.extractPdfText(await file.arrayBuffer())
+            : (await file.text()).replace(/^\uFEFF/, '');
+
+        if (!text.trim()) {
+            throw new Error(kind === 'pdf'
+                ? `No text could be read from ${name}. It may be a scanned PDF or use fonts that cannot be read in the browser`
+                : `${name} has no text`);
+        }
+        if (kind === 'text' && text.includes('\u0000')) {
+            throw new Error(`${name} looks like a binary file, not text`);
+        }
+
+        if (text.length > this.maxTextChars) {
+            text = text.substring(0, this.maxTextChars);
+            attachment.truncated = true;
+        }
+        attachment.text = text;
+        return attachment;
+    },
+
+    /**
+     * Read an image as a data URL, scaling it down when it is large
+     * @param {File} file - Image file
+     * @returns {Promise<string>} Data URL
+     */
+    async readImage(file) {
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file);
+        } catch (error) {
+            throw new Error(`${file.name || 'The image'} could not be read as an image`);
+        }
+
+        const scale = Math.min(1, this.maxImageDimension / Math.max(bitmap.width, bitmap.height));
+        if (scale === 1 && file.size <= this.maxUnscaledImageBytes) {
+            bitmap.close();
+            return await this.readAsDataUrl(file);
+        }
+
+        return this.drawScaled(bitmap, scale, 0.85);
+    },
+
+    /**
+     * Make the small preview kept in place of an image in synced and localStorage copies
+     * @param {File} file - Image file
+     * @returns {Promise<string>} JPEG data URL, empty if the image cannot be drawn
+     */
+    async makeThumbnail(file) {
+        try {
+            const bitmap = await createImageBitmap(file);
+            const scale = Math.min(1, this.thumbnailDimension / Math.max(bitmap.width, bitmap.height));
+            return this.drawScaled(bitmap, scale, 0.7);
+        } catch (error) {
+            console.warn('Could not make an image thumbnail:', error);
+            return '';
+        }
+    },
+
+    /**
+     * Draw a bitmap scaled as a JPEG data URL, closing the bitmap
+     * @param {ImageBitmap} bitmap - Image
+     * @param {number} scale - Scale factor, at most 1
+     * @param {number} quality - JPEG quality, 0-1
+     * @returns {string} Data URL
+     */
+    drawScaled(bitmap, scale, quality) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        const context = canvas.getContext('2d');
+
+        // JPEG has no transparency; keep transparent areas white rather than black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        return canvas.toDataURL('image/jpeg', quality);
+    },
+
+    /**
+     * Read a file as a data URL
+     * @param {File} file - File
+     * @returns {Promise<string>} Data URL
+     */
+    readAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`${file.name || 'The file'} could not be read`));
+            reader.readAsDataURL(file);
+        });
+    },
+
+    /**
+     * Pull the text out of a PDF
+     * Reads the text drawing operators of uncompressed and Flate-compressed
+     * content streams; PDFs whose fonts use custom encodings yield little or no text
+     * @param {ArrayBuffer} buffer - PDF file
+     * @returns {Promise<string>} Text, empty if none could be read
+     */
+    async extractPdfText(buffer) {
+        const bytes = new Uint8Array(buffer);
+        // windows-1252 maps every byte to one character, so string offsets are byte offsets
+        const raw = new TextDecoder('windows-1252').decode(bytes);
+        if (!raw.startsWith('%PDF')) {
+            throw new Error('This file is not a valid PDF');
+        }
+
+        const pages = [];
+        const streamPattern = /stream\r?\n/g;
+        let match;
+
+        while ((match = streamPattern.exec(raw)) !== null) {
+            const start = match.index + match[0].length;
+            const end = raw.indexOf('endstream', start);
+            if (end === -1) break;
+            streamPattern.lastIndex = end + 'endstream'.length;
+
+            // The stream's dictionary sits between its object header and the stream keyword
+            const header = raw.substring(raw.lastIndexOf(' obj', match.index), match.index);
+            if (/\/Subtype\s*\/Image|\/Type\s*\/XObject/.test(header)) continue;
+
+            const data = bytes.subarray(start, end);
+            let content;
+            if (/\/FlateDecode/.test(header)) {
+                content = await this.inflate(data);
+            } else if (!/\/Filter/.test(header)) {
+                content = new TextDecoder('windows-1252').decode(data);
+            }
+
+            if (content && content.includes('BT')) {
+                const text = this.readTextOperators(content);
+                if (text.trim()) {
+                    pages.push(text.trim());
+                }
+            }
+        }
+
+        return pages.join('\n\n');
+    },
+
+    /**
+     * Decompress a Flate (zlib) stream
+     * @param {Uint8Array} data - Compressed bytes
+     * @returns {Promise<string|null>} Decompressed content, or null if it could not be read
+     */
+    async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') return null;
+
+        try {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+            return new TextDecoder('windows-1252').decode(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            console.warn('Skipping unreadable PDF stream:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Collect the strings drawn by a PDF content stream's text operators
+     * @param {string} content - Decompressed content stream
+     * @returns {string} Text, with line breaks where the text moves to a new line
+     */
+    readTextOperators(content) {
+        const operatorPattern = /\(((?:\\[\s\S]|[^\\)])*)\)\s*(?:Tj|'|")|\[((?:\\[\s\S]|[^\]])*)\]\s*TJ|T\*|Td|TD|ET/g;
+        let text = '';
+        let match;
+
+        while ((match = operatorPattern.exec(content)) !== null) {
+            if (match[1] !== undefined) {
+                text += this.decodePdfString(match[1]);
+            } else if (match[2] !== undefined) {
+                // Large negative kerning in a TJ array stands for a space between words
+                const parts = match[2].match(/\((?:\\[\s\S]|[^\\)])*\)|-?\d+(?:\.\d+)?/g) || [];
+                parts.forEach(part => {
+                    if (part.startsWith('(')) {
+                        text += this.decodePdfString(part.slice(1, -1));
+                    } else if (Number(part) < -200) {
+                        text += ' ';
+                    }
+                });
+            } else if (!text.endsWith('\n')) {
+                text += '\n';
+            }
+        }
+
+        return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n');
+    },
+
+    /**
+     * Decode the escapes of a PDF literal string
+     * @param {string} value - String between the parentheses
+     * @returns {string} Text
+     */
+    decodePdfString(value) {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        return value.replace(/\\(\d{1,3}|\r?\n|[\s\S])/g, (match, escaped) => {
+            if (/^\d/.test(escaped)) return String.fromCharCode(parseInt(escaped, 8));
+            if (escaped === '\n' || escaped === '\r\n') return '';
+            return escapes[escaped] || escaped;
+        });
+    },
+
+    /**
+     * Check whether a model accepts images
+     * @param {string} model - Model ID
+     * @param {Array} [models] - Models list; an entry's vision flag or capabilities win over the name
+     * @returns {boolean} Whether images can be sent to it
+     */
+    supportsVision(model, models = []) {
+        const entry = (models || []).find(m => m.id === model);
+        if (entry && typeof entry.vision === 'boolean') return entry.vision;
+        if (entry && Array.isArray(entry.capabilities)) return entry.capabilities.includes('vision');
+
+        const name = String(model || '').toLowerCase().replace(/^models\//, '');
+        return this.visionModels.some(prefix => name.startsWith(prefix));
+    },
+
+    /**
+     * Build the text sent to the model for a message and its attachments
+     * File text follows the message; images are named so the text still refers to them
+     * @param {string} text - Message text
+     * @param {Array} attachments - Attachments of the message
+     * @returns {string} Message content
+     */
+    toContext(text, attachments) {
+        const parts = [text || ''];
+
+        (attachments || []).forEach(attachment => {
+            if (attachment.kind === 'image') {
+                parts.push(`[Image attached: ${attachment.name}]`);
+            } else if (attachment.text) {
+                parts.push(`Attached file "${attachment.name}"${attachment.truncated ? ' (cut off, too long to include in full)' : ''}:\n"""\n${attachment.text}\n"""`);
+            } else {
+                // The file's text is not kept in this copy of the chat
+                parts.push(`[File attached: ${attachment.name}]`);
+            }
+        });
+
+        return parts.filter(part => part.trim()).join('\n\n');
+    },
+
+    /**
+     * Get the base64 data of a message's images, as vision models expect it
+     * @param {Array} attachments - Attachments of the message
+     * @returns {Array<string>} Base64 image data without the data URL prefix
+     */
+    getImageData(attachments) {
+        return (attachments || [])
+            .filter(attachment => attachment.kind === 'image' && attachment.dataUrl)
+            .map(attachment => attachment.dataUrl.substring(attachment.dataUrl.indexOf(',') + 1));
+    },
+
+    /**
+     * Copy a chat without its attachment payloads, for copies kept outside IndexedDB
+     * Images keep only their thumbnail; file text is dropped too unless keepText is set
+     * @param {Object} chat - Chat with messages and messageTree
+     * @param {Object} [options]
+     * @param {boolean} [options.keepText] - Keep the text of attached files
+     * @returns {Object} Chat copy, or the chat itself if it has no attachments
+     */
+    stripChatPayloads(chat, { keepText = false } = {}) {
+        const hasPayload = attachment => attachment.dataUrl || (!keepText && attachment.text !== undefined);
+        const stripMessage = message => {
+            if (!Array.isArray(message.attachments) || !message.attachments.some(hasPayload)) return message;
+            return {
+                ...message,
+                attachments: message.attachments.map(({ dataUrl, ...attachment }) => {
+                    if (!keepText) delete attachment.text;
+                    return attachment;
+                })
+            };
+        };
+
+        return this.mapChatMessages(chat, stripMessage);
+    },
+
+    /**
+     * Put back attachment payloads a stripped copy of a chat lacks
+     * Payloads are matched by attachment ID from a copy that still has them
+     * @param {Object} chat - Chat, possibly stripped
+     * @param {Object} source - Copy of the same chat with payloads, e.g. the one in IndexedDB
+     * @returns {Object} Chat copy, or the chat itself if nothing was missing
+     */
+    restoreChatPayloads(chat, source) {
+        const payloads = new Map();
+        const collect = message => {
+            (message.attachments || []).forEach(attachment => {
+                if (attachment.dataUrl || attachment.text !== undefined) {
+                    payloads.set(attachment.id, attachment);
+                }
+            });
+            return message;
+        };
+        this.mapChatMessages(source, collect);
+        if (payloads.size === 0) return chat;
+
+        let restored = false;
+        const restoreMessage = message => {
+            const missing = (message.attachments || []).some(attachment =>
+                payloads.has(attachment.id) && !attachment.dataUrl && attachment.text === undefined);
+            if (!missing) return message;
+
+            restored = true;
+            return {
+                ...message,
+                attachments: message.attachments.map(attachment => {
+                    const full = payloads.get(attachment.id);
+                    return full && !attachment.dataUrl && attachment.text === undefined ? { ...attachment, ...full } : attachment;
+                })
+            };
+        };
+
+        const result = this.mapChatMessages(chat, restoreMessage);
+        return restored ? result : chat;
+    },
+
+    /**
+     * Apply a function to every message of a chat, in its message list and conversation tree
+     * Saved chats no longer keep the conversation history, which repeated the file text
+     * @param {Object} chat - Chat
+     * @param {Function} mapMessage - Returns the message, or a changed copy
+     * @returns {Object} Chat copy, or the chat itself if no message changed
+     */
+    mapChatMessages(chat, mapMessage) {
+        if (!chat) return chat;
+
+        let changed = chat.conversationHistory !== undefined;
+        const mapList = list => {
+            if (!Array.isArray(list)) return list;
+            return list.map(message => {
+                const result = message ? mapMessage(message) : message;
+                if (result !== message) changed = true;
+                return result;
+            });
+        };
+
+        const messages = mapList(chat.messages);
+        const nodes = chat.messageTree ? mapList(chat.messageTree.nodes) : undefined;
+        if (!changed) return chat;
+
+        const { conversationHistory, ...rest } = chat;
+        return {
+            ...rest,
+            ...(messages !== undefined ? { messages } : {}),
+            ...(chat.messageTree ? { messageTree: { ...chat.messageTree, nodes } } : {})
+        };
+    },
+
+    /**
+     * Format a file size for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} e.g. '820 B', '12.4 KB', '3.1 MB'
+     */
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${+(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${+(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttachmentReader;
+}
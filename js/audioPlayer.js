@@ -0,0 +1,257 @@
+/**
+ * Audio Player
+ * The one media element episodes play through. Episode cards, the floating
+ * player and the episode detail modal do not own audio; they call this
+ * player and redraw themselves from its events, so they always agree on
+ * what is playing, and long episode lists no longer carry an <audio> each
+ *
+ * Events, each called with the player state (see getState):
+ *   episode - another episode was loaded
+ *   play, pause, ended - playback started, stopped, reached the end
+ *   progress - position or length changed (timeupdate, metadata, seeking)
+ *   ratechange, volumechange - speed or volume changed
+ *   error - the episode could not be loaded or played; also gets the error
+ */
+
+const AudioPlayer = {
+    audio: null,
+
+    // Queue entry format, see PlayQueue.toEntry: { id, title, show, image, audioUrl, ... }
+    episode: null,
+
+    // Event name -> callbacks
+    listeners: {},
+
+    // Seek requested before the episode's metadata loaded
+    pendingSeek: null,
+
+    // The pause of an episode being replaced was already reported for it
+    ignoreNextPause: false,
+
+    /**
+     * Get the media element, creating it on first use
+     * @returns {HTMLAudioElement} Audio element
+     */
+    getAudio() {
+        if (this.audio) return this.audio;
+
+        const audio = document.createElement('audio');
+        audio.preload = 'none';
+        audio.className = 'audio-player-engine';
+
+        audio.addEventListener('play', () => this.emit('play'));
+        audio.addEventListener('pause', () => {
+            if (this.ignoreNextPause) {
+                this.ignoreNextPause = false;
+                return;
+            }
+            this.emit('pause');
+        });
+        audio.addEventListener('ended', () => this.emit('ended'));
+        audio.addEventListener('ratechange', () => this.emit('ratechange'));
+        audio.addEventListener('volumechange', () => this.emit('volumechange'));
+        ['timeupdate', 'durationchange', 'seeked'].forEach(eventName => {
+            audio.addEventListener(eventName, () => this.emit('progress'));
+        });
+        audio.addEventListener('loadedmetadata', () => {
+            if (this.pendingSeek !== null) {
+                audio.currentTime = this.pendingSeek;
+                this.pendingSeek = null;
+            }
+            this.emit('progress');
+        });
+        audio.addEventListener('error', () => {
+            // An emptied source (no episode loaded) is not an error worth reporting
+            if (!this.episode) return;
+            const mediaError = audio.error;
+            this.emit('error', new Error(mediaError ? `Media error ${mediaError.code}: ${mediaError.message || 'could not load audio'}` : 'Could not load audio'));
+        });
+
+        document.body.appendChild(audio);
+        this.audio = audio;
+        return audio;
+    },
+
+    /**
+     * Listen for a player event
+     * @param {string} eventName - Event name, see the list above
+     * @param {Function} callback - Called with the player state, and the error for 'error'
+     */
+    on(eventName, callback) {
+        (this.listeners[eventName] = this.listeners[eventName] || []).push(callback);
+    },
+
+    /**
+     * Stop listening for a player event
+     * @param {string} eventName - Event name
+     * @param {Function} callback - Callback passed to on()
+     */
+    off(eventName, callback) {
+        this.listeners[eventName] = (this.listeners[eventName] || []).filter(listener => listener !== callback);
+    },
+
+    /**
+     * Call the listeners of an event
+     * @param {string} eventName - Event name
+     * @param {*} [detail] - Extra argument, e.g. the error
+     */
+    emit(eventName, detail) {
+        const state = this.getState();
+        (this.listeners[eventName] || []).forEach(callback => {
+            try {
+                callback(state, detail);
+            } catch (error) {
+                console.error(`Audio player ${eventName} listener failed:`, error);
+            }
+        });
+    },
+
+    /**
+     * Get what the player is doing
+     * @returns {Object} { episode, paused, currentTime, duration, playbackRate, volume }
+     */
+    getState() {
+        const audio = this.audio;
+        return {
+            episode: this.episode,
+            paused: audio ? audio.paused : true,
+            currentTime: audio ? (this.pendingSeek !== null ? this.pendingSeek : audio.currentTime) : 0,
+            duration: audio && isFinite(audio.duration) ? audio.duration : 0,
+            playbackRate: audio ? audio.playbackRate : 1,
+            volume: audio ? audio.volume : 1
+        };
+    },
+
+    /**
+     * Check whether an episode is the one loaded
+     * @param {string} id - Episode ID
+     * @returns {boolean} Whether it is loaded, playing or not
+     */
+    isLoaded(id) {
+        return !!(this.episode && this.episode.id === id);
+    },
+
+    /**
+     * Check whether anything, or a given episode, is playing
+     * @param {string} [id] - Episode ID
+     * @returns {boolean} Whether it is playing
+     */
+    isPlaying(id) {
+        return !!(this.audio && !this.audio.paused && (!id || this.isLoaded(id)));
+    },
+
+    /**
+     * Load an episode, replacing the one loaded
+     * @param {Object} entry - Episode to play, see PlayQueue.toEntry
+     * @param {Object} [options]
+     * @param {number} [options.startTime] - Position to start from, in seconds
+     * @param {number} [options.playbackRate] - Speed to play at
+     */
+    load(entry, options = {}) {
+        const audio = this.getAudio();
+
+        if (this.episode && !audio.paused) {
+            // Report the pause for the episode being replaced, not the new one
+            this.ignoreNextPause = true;
+            audio.pause();
+            this.emit('pause');
+        }
+
+        this.episode = entry;
+        this.pendingSeek = options.startTime || null;
+        audio.src = entry.audioUrl;
+
+        // Loading a new source resets the speed to the default one
+        const rate = options.playbackRate || 1;
+        audio.defaultPlaybackRate = rate;
+        audio.playbackRate = rate;
+
+        this.emit('episode');
+    },
+
+    /**
+     * Start or resume playback
+     * @param {Object} [entry] - Episode to play; the loaded one when omitted
+     * @param {Object} [options] - Load options when entry is not the loaded episode, see load()
+     * @returns {Promise<void>} Resolves once playing; rejects when the browser refuses, or with
+     *     an AbortError when loading another episode interrupted it, which is no failure
+     */
+    async play(entry = null, options = {}) {
+        if (entry && !this.isLoaded(entry.id)) {
+            this.load(entry, options);
+        }
+        if (!this.episode) {
+            throw new Error('No episode loaded');
+        }
+
+        try {
+            await this.getAudio().play();
+        } catch (error) {
+            // Sources that cannot be loaded are reported by the element's own error event
+            if (error.name !== 'AbortError' && error.name !== 'NotSupportedError') {
+                this.emit('error', error);
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        if (this.audio && !this.audio.paused) {
+            this.audio.pause();
+        }
+    },
+
+    /**
+     * Jump to a position in the loaded episode
+     * @param {number} seconds - Position in seconds
+     */
+    seek(seconds) {
+        const audio = this.audio;
+        if (!audio || !this.episode) return;
+
+        const end = isFinite(audio.duration) ? audio.duration : Infinity;
+        const position = Math.max(0, Math.min(end, seconds));
+
+        // Before its metadata loads the element cannot seek yet
+        if (audio.readyState >= 1) {
+            audio.currentTime = position;
+        } else {
+            this.pendingSeek = position;
+            this.emit('progress');
+        }
+    },
+
+    /**
+     * Jump forward or back in the loaded episode
+     * @param {number} seconds - Seconds to move, negative to go back
+     */
+    seekBy(seconds) {
+        this.seek(this.getState().currentTime + seconds);
+    },
+
+    /**
+     * Set the playback speed
+     * @param {number} rate - Playback rate
+     */
+    setRate(rate) {
+        const audio = this.getAudio();
+        audio.defaultPlaybackRate = rate;
+        audio.playbackRate = rate;
+    },
+
+    /**
+     * Set the volume
+     * @param {number} volume - Volume, 0-1
+     */
+    setVolume(volume) {
+        this.getAudio().volume = Math.max(0, Math.min(1, volume));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioPlayer;
+}
@@ -0,0 +1,374 @@
+/**
+ * Chat exporter
+ * Turns saved chats into Markdown, self-contained HTML, JSON or a print view,
+ * and packs several exports into a zip file
+ */
+
+// Styles embedded in HTML exports so the file renders on its own
+const CHAT_EXPORT_STYLES = `
+    body { margin: 0; background: #f5f5f7; color: #1d1d1f; font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+    .chat-export { max-width: 820px; margin: 0 auto; padding: 2rem 1.5rem; }
+    .chat-export-header { border-bottom: 1px solid #d2d2d7; margin-bottom: 1.5rem; padding-bottom: 1rem; }
+    .chat-export-header h1 { margin: 0 0 0.5rem; font-size: 1.6rem; }
+    .chat-export-meta { margin: 0; color: #6e6e73; font-size: 0.85rem; }
+    .chat-export-message { margin-bottom: 1.25rem; padding: 1rem 1.25rem; border-radius: 14px; background: #fff; border: 1px solid #e5e5ea; page-break-inside: avoid; }
+    .chat-export-message.user { background: #fff7eb; border-color: #ffd699; }
+    .chat-export-message.assistant { border-left: 4px solid #10b981; }
+    .chat-export-role { display: flex; justify-content: space-between; gap: 1rem; margin-bottom: 0.5rem; font-size: 0.8rem; font-weight: 600; color: #6e6e73; text-transform: uppercase; }
+    .chat-export-role time { font-weight: 400; text-transform: none; }
+    .chat-export-text { white-space: pre-wrap; word-wrap: break-word; }
+    .chat-export-sources { margin-top: 0.75rem; font-size: 0.85rem; color: #6e6e73; }
+    .chat-export-sources ol { margin: 0.25rem 0 0; padding-left: 1.5rem; }
+    .markdown-body > :first-child { margin-top: 0; }
+    .markdown-body > :last-child { margin-bottom: 0; }
+    .markdown-body pre { overflow-x: auto; padding: 0.75rem 1rem; border-radius: 8px; background: #1e1e1e; color: #d4d4d4; }
+    .markdown-body code { font-family: "SFMono-Regular", Consolas, monospace; font-size: 0.9em; }
+    .markdown-body :not(pre) > code { padding: 0.1em 0.35em; border-radius: 4px; background: #f0f0f3; }
+    .markdown-body table { border-collapse: collapse; }
+    .markdown-body th, .markdown-body td { padding: 0.35rem 0.6rem; border: 1px solid #d2d2d7; }
+    .markdown-body blockquote { margin: 0; padding-left: 1rem; border-left: 3px solid #d2d2d7; color: #6e6e73; }
+    .md-code-header { display: flex; justify-content: space-between; font-size: 0.75rem; color: #6e6e73; }
+    .code-copy-btn { display: none; }
+    .hl-keyword { color: #c792ea; } .hl-string { color: #c3e88d; } .hl-comment { color: #7f8496; font-style: italic; }
+    .hl-number { color: #f78c6c; } .hl-literal { color: #ff9cac; } .hl-function { color: #82aaff; }
+    .hl-type { color: #ffcb6b; } .hl-property { color: #89ddff; } .hl-tag { color: #f07178; }
+    @media print {
+        body { background: #fff; font-size: 12pt; }
+        .chat-export { max-width: none; padding: 0; }
+        .chat-export-message { border-color: #ccc; background: #fff !important; }
+        .markdown-body pre { white-space: pre-wrap; background: #f5f5f5; color: #000; border: 1px solid #ccc; }
+        a { color: inherit; }
+    }
+`;
+
+const ChatExporter = {
+    // Formats that can be downloaded as files
+    formats: {
+        markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+        html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+        json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+    },
+
+    /**
+     * Export a chat in one of the file formats
+     * @param {Object} chat - Chat ({ title, model, messages, createdAt?, updatedAt? })
+     * @param {string} format - 'markdown', 'html' or 'json'
+     * @returns {string} File content
+     */
+    export(chat, format) {
+        switch (format) {
+            case 'markdown':
+                return this.toMarkdown(chat);
+            case 'html':
+                return this.toHTML(chat);
+            case 'json':
+                return this.toJSON(chat);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    },
+
+    /**
+     * Get a message's role
+     * @param {Object} message - Message
+     * @returns {string} 'user', 'assistant', 'system' or 'error'
+     */
+    getRole(message) {
+        return message.role || message.type || 'user';
+    },
+
+    /**
+     * Get the heading shown for a message's role
+     * @param {Object} message - Message
+     * @returns {string} Label
+     */
+    getRoleLabel(message) {
+        const labels = { user: 'You', assistant: 'Assistant', system: 'System', error: 'Error' };
+        return labels[this.getRole(message)] || 'Message';
+    },
+
+    /**
+     * Format a timestamp for display
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Local date and time, or an empty string
+     */
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        return timestamp && !isNaN(date.getTime()) ? date.toLocaleString() : '';
+    },
+
+    /**
+     * Collect the details printed at the top of every export
+     * @param {Object} chat - Chat
+     * @returns {Object} { title, model, created, updated }
+     */
+    getSummary(chat) {
+        const messages = chat.messages || [];
+        const first = messages[0];
+        const last = messages[messages.length - 1];
+
+        return {
+            title: chat.title || 'Untitled Chat',
+            model: chat.model || 'Unknown',
+            created: this.formatDate(chat.createdAt || (first && first.timestamp)),
+            updated: this.formatDate(chat.updatedAt || chat.timestamp || (last && last.timestamp))
+        };
+    },
+
+    /**
+     * Keep only the messages worth exporting
+     * @param {Object} chat - Chat
+     * @returns {Array} Messages with content
+     */
+    getMessages(chat) {
+        return (chat.messages || []).filter(message => typeof message.content === 'string' && message.content.trim());
+    },
+
+    /**
+     * Export a chat as Markdown
+     * @param {Object} chat - Chat
+     * @returns {string} Markdown
+     */
+    toMarkdown(chat) {
+        const summary = this.getSummary(chat);
+        const lines = [
+            `# ${summary.title}`,
+            '',
+            `- **Model:** ${summary.model}`,
+            `- **Created:** ${summary.created || '—'}`,
+            `- **Last updated:** ${summary.updated || '—'}`,
+            ''
+        ];
+
+        this.getMessages(chat).forEach(message => {
+            const time = this.formatDate(message.timestamp);
+            lines.push('---', '', `### ${this.getRoleLabel(message)}${time ? ` · ${time}` : ''}`, '', message.content.trim(), '');
+
+            if (Array.isArray(message.sources) && message.sources.length > 0) {
+                lines.push('**Sources:**', '');
+                message.sources.forEach((source, index) => {
+                    lines.push(`${index + 1}. [${source.title || source.url}](${source.url})`);
+                });
+                lines.push('');
+            }
+        });
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Export a chat as a self-contained HTML page
+     * @param {Object} chat - Chat
+     * @param {Object} options - { print } adds a script that opens the print dialog
+     * @returns {string} HTML document
+     */
+    toHTML(chat, options = {}) {
+        const escape = (text) => MarkdownRenderer.escapeHtml(String(text));
+        const summary = this.getSummary(chat);
+
+        const messagesHtml = this.getMessages(chat).map(message => {
+            const role = this.getRole(message);
+            const body = role === 'assistant'
+                ? `<div class="markdown-body">${MarkdownRenderer.render(message.content, { citations: message.sources || [] })}</div>`
+                : `<div class="chat-export-text">${escape(message.content)}</div>`;
+
+            const sources = Array.isArray(message.sources) && message.sources.length > 0
+                ? `<div class="chat-export-sources">Sources<ol>${message.sources.map(source => {
+                    const url = MarkdownRenderer.safeUrl(source.url || '');
+                    return `<li>${url ? `<a href="${url}">${escape(source.title || source.url)}</a>` : escape(source.title || source.url)}</li>`;
+                }).join('')}</ol></div>`
+                : '';
+
+            return `
+        <article class="chat-export-message ${escape(role)}">
+            <div class="chat-export-role"><span>${this.getRoleLabel(message)}</span><time>${escape(this.formatDate(message.timestamp))}</time></div>
+            ${body}${sources}
+        </article>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escape(summary.title)}</title>
+    <style>${CHAT_EXPORT_STYLES}</style>
+</head>
+<body>
+    <main class="chat-export">
+        <header class="chat-export-header">
+            <h1>${escape(summary.title)}</h1>
+            <p class="chat-export-meta">Model: ${escape(summary.model)} · Created: ${escape(summary.created || '—')} · Last updated: ${escape(summary.updated || '—')}</p>
+        </header>${messagesHtml}
+    </main>${options.print ? '\n    <script>window.addEventListener(\'load\', function () { window.print(); });</script>' : ''}
+</body>
+</html>
+`;
+    },
+
+    /**
+     * Export a chat as JSON
+     * @param {Object} chat - Chat
+     * @returns {string} JSON
+     */
+    toJSON(chat) {
+        return JSON.stringify({
+            id: chat.id,
+            title: chat.title || 'Untitled Chat',
+            model: chat.model || null,
+            createdAt: chat.createdAt || (chat.messages && chat.messages[0] && chat.messages[0].timestamp) || null,
+            updatedAt: chat.updatedAt || chat.timestamp || null,
+            exportedAt: new Date().toISOString(),
+            messages: chat.messages || []
+        }, null, 2);
+    },
+
+    /**
+     * Open a print-optimized view of a chat, ready for "Save as PDF"
+     * @param {Object} chat - Chat
+     * @returns {boolean} False if the browser blocked the new window
+     */
+    openPrintView(chat) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) return false;
+
+        printWindow.document.open();
+        printWindow.document.write(this.toHTML(chat, { print: true }));
+        printWindow.document.close();
+        return true;
+    },
+
+    /**
+     * Build a file name from a chat title
+     * @param {Object} chat - Chat
+     * @param {string} extension - File extension
+     * @param {Set<string>} [usedNames] - Names already taken; a number is added to avoid clashes
+     * @returns {string} File name
+     */
+    getFileName(chat, extension, usedNames = null) {
+        const slug = (chat.title || 'chat')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60) || 'chat';
+
+        let name = `${slug}.${extension}`;
+        if (usedNames) {
+            for (let counter = 2; usedNames.has(name); counter++) {
+                name = `${slug}-${counter}.${extension}`;
+            }
+            usedNames.add(name);
+        }
+        return name;
+    },
+
+    /**
+     * Save content as a downloaded file
+     * @param {Blob|string} content - File content
+     * @param {string} fileName - File name
+     * @param {string} mimeType - MIME type for string content
+     */
+    download(content, fileName, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Pack text files into an uncompressed zip
+     * @param {Array<Object>} files - { name, content } entries
+     * @returns {Blob} Zip file
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // Stored (no compression)
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true); // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true); // Offset of the local header
+
+            localParts.push(local, name, data);
+            centralParts.push(central, name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    },
+
+    /**
+     * Compute the CRC-32 checksum zip files use
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Checksum
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatExporter;
+}
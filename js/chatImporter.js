@@ -0,0 +1,346 @@
+/**
+ * Chat importer
+ * Reads our own JSON exports and other assistants' conversation exports
+ * (ChatGPT, Claude, plain role/content message lists) into one chat shape:
+ * { title, model, createdAt, updatedAt, source, messages: [{ role, content, timestamp }] }
+ */
+
+const ChatImporter = {
+    // File types accepted by the import picker
+    acceptedExtensions: ['.json', '.zip'],
+
+    // Roles used by other tools, mapped onto ours; anything else (system, tool...) is skipped
+    roleAliases: {
+        user: 'user',
+        human: 'user',
+        assistant: 'assistant',
+        model: 'assistant',
+        bot: 'assistant',
+        ai: 'assistant',
+        gpt: 'assistant'
+    },
+
+    /**
+     * Read a JSON or zip export file
+     * @param {File} file - Selected file
+     * @returns {Promise<Object>} { chats, errors }
+     */
+    async parseFile(file) {
+        const name = (file.name || '').toLowerCase();
+
+        if (name.endsWith('.zip') || file.type === 'application/zip') {
+            const entries = await this.readZip(await file.arrayBuffer());
+            const jsonEntries = entries.filter(entry => entry.name.toLowerCase().endsWith('.json'));
+            if (jsonEntries.length === 0) {
+                throw new Error('The zip file has no JSON files to import');
+            }
+
+            const result = { chats: [], errors: [] };
+            jsonEntries.forEach(entry => {
+                try {
+                    const parsed = this.parse(entry.text);
+                    result.chats.push(...parsed.chats);
+                    result.errors.push(...parsed.errors.map(error => `${entry.name}: ${error}`));
+                } catch (error) {
+                    result.errors.push(`${entry.name}: ${error.message}`);
+                }
+            });
+            return result;
+        }
+
+        if (name.endsWith('.json') || file.type === 'application/json') {
+            return this.parse(await file.text());
+        }
+
+        throw new Error(`Unsupported file type. Use one of: ${this.acceptedExtensions.join(', ')}`);
+    },
+
+    /**
+     * Parse exported JSON into chats
+     * @param {string} text - JSON text
+     * @returns {Object} { chats, errors } - chats that could be read and why others were skipped
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        // A list of conversations, a single conversation, or a bare message list
+        let conversations;
+        if (Array.isArray(data) && data.length > 0 && this.isMessage(data[0])) {
+            conversations = [{ messages: data }];
+        } else if (Array.isArray(data)) {
+            conversations = data;
+        } else if (data && Array.isArray(data.chats)) {
+            conversations = data.chats;
+        } else if (data && Array.isArray(data.conversations)) {
+            conversations = data.conversations;
+        } else {
+            conversations = [data];
+        }
+
+        const chats = [];
+        const errors = [];
+
+        conversations.forEach((conversation, index) => {
+            const label = (conversation && (conversation.title || conversation.name)) || `Conversation ${index + 1}`;
+            try {
+                chats.push(this.normalizeConversation(conversation));
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        });
+
+        if (chats.length === 0 && errors.length === 0) {
+            errors.push('No conversations found');
+        }
+
+        return { chats, errors };
+    },
+
+    /**
+     * Check whether a value looks like a single chat message
+     * @param {*} value - Value to check
+     * @returns {boolean} Whether it has a role and content
+     */
+    isMessage(value) {
+        return !!value && typeof value === 'object' &&
+            ('role' in value || 'sender' in value || 'author' in value) &&
+            ('content' in value || 'text' in value);
+    },
+
+    /**
+     * Convert one conversation from any supported format
+     * @param {Object} conversation - Conversation object
+     * @returns {Object} Normalized chat
+     */
+    normalizeConversation(conversation) {
+        if (!conversation || typeof conversation !== 'object') {
+            throw new Error('not a conversation object');
+        }
+
+        let chat;
+        if (conversation.mapping && typeof conversation.mapping === 'object') {
+            chat = this.fromChatGPT(conversation);
+        } else if (Array.isArray(conversation.chat_messages)) {
+            chat = this.fromClaude(conversation);
+        } else if (Array.isArray(conversation.messages)) {
+            chat = this.fromMessageList(conversation);
+        } else {
+            throw new Error('unrecognized format');
+        }
+
+        chat.messages = chat.messages.filter(message => message.role && message.content.trim());
+        if (chat.messages.length === 0) {
+            throw new Error('no user or assistant messages');
+        }
+
+        const firstUserMessage = chat.messages.find(message => message.role === 'user');
+        if (!chat.title) {
+            const text = (firstUserMessage || chat.messages[0]).content;
+            chat.title = text.length > 50 ? text.substring(0, 50) + '...' : text;
+        }
+
+        return chat;
+    },
+
+    /**
+     * Read our own export (and role/content message lists from other tools)
+     * @param {Object} conversation - { title?, model?, messages }
+     * @returns {Object} Chat
+     */
+    fromMessageList(conversation) {
+        return {
+            title: conversation.title || conversation.name || '',
+            model: conversation.model || null,
+            createdAt: this.toISODate(conversation.createdAt || conversation.created_at),
+            updatedAt: this.toISODate(conversation.updatedAt || conversation.updated_at || conversation.timestamp),
+            source: 'messages',
+            messages: conversation.messages.map(message => ({
+                role: this.normalizeRole(message.role || message.type || message.sender || (message.author && message.author.role)),
+                content: this.extractText(message.content !== undefined ? message.content : message.text),
+                timestamp: this.toISODate(message.timestamp || message.created_at || message.createdAt),
+                ...(Array.isArray(message.sources) ? { sources: message.sources } : {})
+            }))
+        };
+    },
+
+    /**
+     * Read a ChatGPT conversations.json entry
+     * Messages form a tree in "mapping"; the shown branch ends at current_node
+     * @param {Object} conversation - ChatGPT conversation
+     * @returns {Object} Chat
+     */
+    fromChatGPT(conversation) {
+        const mapping = conversation.mapping;
+        let nodeId = conversation.current_node;
+
+        // Without a current node, follow the last child from the root
+        if (!nodeId || !mapping[nodeId]) {
+            nodeId = Object.keys(mapping).find(id => !mapping[id].parent);
+            while (nodeId && mapping[nodeId] && (mapping[nodeId].children || []).length > 0) {
+                const children = mapping[nodeId].children;
+                nodeId = children[children.length - 1];
+            }
+        }
+
+        const path = [];
+        const visited = new Set();
+        while (nodeId && mapping[nodeId] && !visited.has(nodeId)) {
+            visited.add(nodeId);
+            path.unshift(mapping[nodeId]);
+            nodeId = mapping[nodeId].parent;
+        }
+
+        let model = null;
+        const messages = path
+            .filter(node => node.message && node.message.author)
+            .map(node => {
+                const message = node.message;
+                model = (message.metadata && message.metadata.model_slug) || model;
+                return {
+                    role: this.normalizeRole(message.author.role),
+                    content: this.extractText(message.content && (message.content.parts || message.content.text)),
+                    timestamp: this.toISODate(message.create_time)
+                };
+            });
+
+        return {
+            title: conversation.title || '',
+            model: model || conversation.default_model_slug || null,
+            createdAt: this.toISODate(conversation.create_time),
+            updatedAt: this.toISODate(conversation.update_time),
+            source: 'chatgpt',
+            messages
+        };
+    },
+
+    /**
+     * Read a Claude conversations.json entry
+     * @param {Object} conversation - Claude conversation
+     * @returns {Object} Chat
+     */
+    fromClaude(conversation) {
+        return {
+            title: conversation.name || '',
+            model: conversation.model || null,
+            createdAt: this.toISODate(conversation.created_at),
+            updatedAt: this.toISODate(conversation.updated_at),
+            source: 'claude',
+            messages: conversation.chat_messages.map(message => ({
+                role: this.normalizeRole(message.sender),
+                content: this.extractText(message.text || message.content),
+                timestamp: this.toISODate(message.created_at)
+            }))
+        };
+    },
+
+    /**
+     * Map a role name onto 'user' or 'assistant'
+     * @param {string} role - Role from the export
+     * @returns {string|null} Role, or null for messages that are not imported
+     */
+    normalizeRole(role) {
+        return this.roleAliases[String(role || '').toLowerCase()] || null;
+    },
+
+    /**
+     * Get the text of message content, which may be a string or a list of parts
+     * @param {*} content - Content from the export
+     * @returns {string} Text (non-text parts such as images are dropped)
+     */
+    extractText(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+        if (Array.isArray(content)) {
+            return content
+                .map(part => typeof part === 'string' ? part : (part && typeof part.text === 'string' ? part.text : ''))
+                .filter(Boolean)
+                .join('\n\n');
+        }
+        if (content && typeof content.text === 'string') {
+            return content.text;
+        }
+        return '';
+    },
+
+    /**
+     * Convert an ISO string or Unix time (seconds or milliseconds) to an ISO string
+     * @param {string|number} value - Date value
+     * @returns {string|null} ISO timestamp
+     */
+    toISODate(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const date = typeof value === 'number'
+            ? new Date(value < 1e12 ? value * 1000 : value)
+            : new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    },
+
+    /**
+     * Read the files in a zip archive (stored or deflated entries)
+     * @param {ArrayBuffer} buffer - Zip file
+     * @returns {Promise<Array<Object>>} { name, text } entries
+     */
+    async readZip(buffer) {
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder();
+
+        // The end-of-central-directory record sits in the last 64KB + 22 bytes
+        let endOffset = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('Not a valid zip file');
+        }
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt zip directory');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+            if (method === 0) {
+                entries.push({ name, text: decoder.decode(data) });
+            } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                entries.push({ name, text: await new Response(stream).text() });
+            } else {
+                console.warn(`Skipping ${name}: unsupported zip compression`);
+            }
+        }
+
+        return entries;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatImporter;
+}
@@ -0,0 +1,193 @@
+/**
+ * Chat Shares
+ * Publishes read-only snapshots of chats behind public links. The snapshot is
+ * a copy: later messages in the chat are not shared, and revoking the link
+ * removes the copy. Where the share endpoint is unavailable, snapshots are kept
+ * in localStorage instead, so links only open in the same browser
+ */
+
+const LOCAL_SHARE_PREFIX = 'local-';
+const LOCAL_SHARES_KEY = 'chatbot-shared-chats';
+
+class ChatShareService {
+    /**
+     * Get the public URL of a shared chat
+     * @param {string} shareId - Share ID
+     * @returns {string} URL that opens the read-only view
+     */
+    getShareUrl(shareId) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('s', shareId);
+        return url.href;
+    }
+
+    /**
+     * Publish a snapshot of a chat
+     * @param {Object} snapshot - { chatId, title, model, messages }
+     * @param {Object} headers - Auth headers of the owner
+     * @param {string} ownerId - User ID of the owner
+     * @returns {Promise<Object>} Share ({ id, chatId, title, createdAt, ... }); local is set when
+     *     the link only works in this browser because the backend has no share endpoint
+     */
+    async publish(snapshot, headers, ownerId) {
+        try {
+            const response = await fetch(Config.getApiUrl('chatShares'), {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(snapshot)
+            });
+
+            if (response.ok) {
+                const result = await response.json();
+                return result.share;
+            }
+            if (!this.isMissingEndpoint(response)) {
+                throw new Error(`Share request failed: ${response.status}`);
+            }
+        } catch (error) {
+            if (!(error instanceof TypeError)) throw error;
+        }
+
+        console.log('Share endpoint unavailable, keeping the shared snapshot in this browser');
+        const share = {
+            ...snapshot,
+            id: LOCAL_SHARE_PREFIX + Math.random().toString(36).substring(2, 12) + Date.now().toString(36),
+            ownerId: ownerId,
+            createdAt: new Date().toISOString(),
+            local: true
+        };
+        const shares = this.readLocalShares();
+        shares[share.id] = share;
+        this.writeLocalShares(shares);
+        return share;
+    }
+
+    /**
+     * Get a shared chat; needs no sign-in
+     * @param {string} shareId - Share ID
+     * @returns {Promise<Object|null>} Share with its messages, or null if it does not exist or was revoked
+     */
+    async get(shareId) {
+        if (this.isLocal(shareId)) {
+            return this.readLocalShares()[shareId] || null;
+        }
+
+        const response = await fetch(`${Config.getApiUrl('chatShares')}/${encodeURIComponent(shareId)}`);
+        if (response.status === 404 || response.status === 410) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Shared chat request failed: ${response.status}`);
+        }
+
+        const result = await response.json();
+        return result.share || null;
+    }
+
+    /**
+     * List the owner's shared links, newest first
+     * @param {Object} headers - Auth headers of the owner
+     * @param {string} ownerId - User ID of the owner
+     * @returns {Promise<Array>} Shares (without their messages when the backend omits them)
+     */
+    async list(headers, ownerId) {
+        let shares = [];
+
+        try {
+            const response = await fetch(Config.getApiUrl('chatShares'), { headers: headers });
+            if (response.ok) {
+                const result = await response.json();
+                shares = Array.isArray(result.shares) ? result.shares : [];
+            } else if (!this.isMissingEndpoint(response)) {
+                throw new Error(`Shared links request failed: ${response.status}`);
+            }
+        } catch (error) {
+            if (!(error instanceof TypeError)) throw error;
+            console.log('Share endpoint unavailable, listing shared links from this browser only');
+        }
+
+        const localShares = Object.values(this.readLocalShares()).filter(share => share.ownerId === ownerId);
+        return shares.concat(localShares)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Revoke a shared link; its URL stops working
+     * @param {string} shareId - Share ID
+     * @param {Object} headers - Auth headers of the owner
+     */
+    async revoke(shareId, headers) {
+        if (this.isLocal(shareId)) {
+            const shares = this.readLocalShares();
+            delete shares[shareId];
+            this.writeLocalShares(shares);
+            return;
+        }
+
+        const response = await fetch(`${Config.getApiUrl('chatShares')}/${encodeURIComponent(shareId)}`, {
+            method: 'DELETE',
+            headers: headers
+        });
+
+        // Already gone counts as revoked
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Revoke request failed: ${response.status}`);
+        }
+    }
+
+    /**
+     * Check whether a share is kept in this browser, so its link opens nowhere else
+     * @param {string} shareId - Share ID
+     * @returns {boolean} Whether the share is local
+     */
+    isLocal(shareId) {
+        return String(shareId).startsWith(LOCAL_SHARE_PREFIX);
+    }
+
+    /**
+     * Check whether a response means the backend has no share endpoint
+     * @param {Response} response - Fetch response
+     * @returns {boolean} Whether to fall back to local shares
+     */
+    isMissingEndpoint(response) {
+        return response.status === 404 || response.status === 405 || response.status === 501;
+    }
+
+    /**
+     * Read the locally kept shares
+     * @returns {Object} Share ID -> share
+     */
+    readLocalShares() {
+        try {
+            const shares = JSON.parse(localStorage.getItem(LOCAL_SHARES_KEY) || '{}');
+            return shares && typeof shares === 'object' && !Array.isArray(shares) ? shares : {};
+        } catch (error) {
+            console.warn('Ignoring unreadable local shared chats:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write the locally kept shares
+     * @param {Object} shares - Share ID -> share
+     */
+    writeLocalShares(shares) {
+        localStorage.setItem(LOCAL_SHARES_KEY, JSON.stringify(shares));
+    }
+}
+
+// Create singleton instance
+const chatShares = new ChatShareService();
+
+// Expose globally in browser context
+if (typeof window !== 'undefined') {
+    window.chatShares = chatShares;
+    window.ChatShareService = ChatShareService;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatShareService;
+}
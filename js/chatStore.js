@@ -0,0 +1,315 @@
+/**
+ * Chat Store
+ * Keeps chats in IndexedDB with one record per chat, so saving a message only
+ * rewrites that chat. Falls back to localStorage where IndexedDB is unavailable
+ */
+
+const CHAT_DB_NAME = 'chatbot';
+const CHAT_DB_VERSION = 1;
+const CHAT_STORE_NAME = 'chats';
+
+class ChatStore {
+    constructor() {
+        this.dbPromise = null; // Opened on first use
+        this.useLocalStorage = typeof indexedDB === 'undefined';
+        this.migratedUsers = new Set(); // Users whose localStorage chats were already moved
+        this.listeners = []; // Called with the user ID when another tab changes chats
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('chatbot-chats') : null;
+
+        this.setupChangeEvents();
+    }
+
+    /**
+     * Check whether an error means the browser's storage quota is used up
+     * @param {Error} error - Error from a write
+     * @returns {boolean} Whether it is a quota error
+     */
+    static isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+
+    /**
+     * Open the database, creating the chat store on first run
+     * @returns {Promise<IDBDatabase|null>} Database, or null when falling back to localStorage
+     */
+    async getDatabase() {
+        if (this.useLocalStorage) return null;
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CHAT_DB_NAME, CHAT_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(CHAT_STORE_NAME)) {
+                        const store = db.createObjectStore(CHAT_STORE_NAME, { keyPath: ['userId', 'id'] });
+                        store.createIndex('userId', 'userId');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        try {
+            return await this.dbPromise;
+        } catch (error) {
+            console.warn('IndexedDB unavailable, storing chats in localStorage:', error);
+            this.useLocalStorage = true;
+            return null;
+        }
+    }
+
+    /**
+     * Run work against the chat store in one transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the object store; may return a request whose result is resolved
+     * @returns {Promise<*>} Result of the returned request once the transaction completes
+     */
+    async runTransaction(mode, work) {
+        const db = await this.getDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CHAT_STORE_NAME, mode);
+            const request = work(transaction.objectStore(CHAT_STORE_NAME));
+            let result;
+
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            // Quota errors abort the transaction rather than failing a request
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Chat storage transaction aborted'));
+        });
+    }
+
+    /**
+     * Get all chats for a user
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Chats
+     */
+    async getChats(userId) {
+        if (!(await this.getDatabase())) {
+            return this.readLocalStorage(userId);
+        }
+
+        const migrated = await this.migrateFromLocalStorage(userId);
+        const chats = await this.runTransaction('readonly', store => store.index('userId').getAll(userId)) || [];
+
+        // Until migration succeeds, show the chats still waiting in localStorage too
+        if (!migrated) {
+            const storedIds = new Set(chats.map(chat => chat.id));
+            return chats.concat(this.readLocalStorage(userId).filter(chat => !storedIds.has(chat.id)));
+        }
+
+        return chats;
+    }
+
+    /**
+     * Get one chat
+     * @param {string} userId - User ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Object|null>} Chat
+     */
+    async getChat(userId, chatId) {
+        if (!(await this.getDatabase())) {
+            return this.readLocalStorage(userId).find(chat => chat.id === chatId) || null;
+        }
+
+        await this.migrateFromLocalStorage(userId);
+        return await this.runTransaction('readonly', store => store.get([userId, chatId])) || null;
+    }
+
+    /**
+     * Add or replace chats
+     * @param {string} userId - User ID
+     * @param {Array} chats - Chats to write
+     */
+    async saveChats(userId, chats) {
+        if (chats.length === 0) return;
+
+        const records = chats.map(chat => ({ ...chat, userId }));
+
+        if (!(await this.getDatabase())) {
+            const ids = new Set(records.map(chat => chat.id));
+            this.writeLocalStorage(userId, records.concat(this.readLocalStorage(userId).filter(chat => !ids.has(chat.id))));
+        } else {
+            await this.runTransaction('readwrite', store => {
+                records.forEach(record => store.put(record));
+            });
+        }
+
+        this.notifyChange(userId);
+    }
+
+    /**
+     * Delete chats
+     * @param {string} userId - User ID
+     * @param {Array<string>} chatIds - IDs of the chats to delete
+     */
+    async deleteChats(userId, chatIds) {
+        if (chatIds.length === 0) return;
+
+        if (!(await this.getDatabase())) {
+            const ids = new Set(chatIds);
+            this.writeLocalStorage(userId, this.readLocalStorage(userId).filter(chat => !ids.has(chat.id)));
+        } else {
+            await this.runTransaction('readwrite', store => {
+                chatIds.forEach(chatId => store.delete([userId, chatId]));
+            });
+        }
+
+        this.notifyChange(userId);
+    }
+
+    /**
+     * Move chats saved by older versions from localStorage into IndexedDB
+     * Copies already in IndexedDB are only replaced by a newer revision
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} Whether localStorage holds no chats waiting to move
+     */
+    async migrateFromLocalStorage(userId) {
+        if (this.migratedUsers.has(userId)) return true;
+
+        const key = `chatbot-chats-${userId}`;
+        if (localStorage.getItem(key) === null) {
+            this.migratedUsers.add(userId);
+            return true;
+        }
+
+        try {
+            const saved = this.readLocalStorage(userId).filter(chat => chat && chat.id);
+            const existing = await this.runTransaction('readonly', store => store.index('userId').getAll(userId)) || [];
+            const existingById = new Map(existing.map(chat => [chat.id, chat]));
+
+            const toCopy = saved.filter(chat => {
+                const stored = existingById.get(chat.id);
+                return !stored || (chat.revision || 0) > (stored.revision || 0);
+            });
+
+            await this.runTransaction('readwrite', store => {
+                toCopy.forEach(chat => store.put({ ...chat, userId }));
+            });
+
+            localStorage.removeItem(key);
+            this.migratedUsers.add(userId);
+            console.log(`Moved ${toCopy.length} chats from localStorage to IndexedDB`);
+            return true;
+        } catch (error) {
+            // Left in place; the next page load tries again
+            console.error('Failed to move chats to IndexedDB:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read chats from the localStorage fallback
+     * @param {string} userId - User ID
+     * @returns {Array} Chats
+     */
+    readLocalStorage(userId) {
+        try {
+            const chats = JSON.parse(localStorage.getItem(`chatbot-chats-${userId}`) || '[]');
+            return Array.isArray(chats) ? chats : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable local chat cache:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write chats to the localStorage fallback
+     * Attached images and file text would soon fill its quota, so only thumbnails are kept
+     * @param {string} userId - User ID
+     * @param {Array} chats - Every chat for the user
+     */
+    writeLocalStorage(userId, chats) {
+        const stored = typeof AttachmentReader !== 'undefined'
+            ? chats.map(chat => AttachmentReader.stripChatPayloads(chat))
+            : chats;
+        localStorage.setItem(`chatbot-chats-${userId}`, JSON.stringify(stored));
+    }
+
+    /**
+     * Estimate how much of the browser's storage quota is used
+     * @returns {Promise<Object|null>} { usage, quota, ratio } in bytes, or null if unknown
+     */
+    async getUsage() {
+        if (!this.useLocalStorage && navigator.storage && navigator.storage.estimate) {
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            return quota > 0 ? { usage, quota, ratio: usage / quota } : null;
+        }
+
+        if (this.useLocalStorage) {
+            // localStorage holds UTF-16 strings, usually capped at 5MB per origin
+            let usage = 0;
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+            }
+            const quota = 5 * 1024 * 1024;
+            return { usage, quota, ratio: usage / quota };
+        }
+
+        return null;
+    }
+
+    /**
+     * Register a callback for chat changes made in other tabs
+     * @param {Function} callback - Called with the user ID whose chats changed
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Tell other tabs that a user's chats changed
+     * @param {string} userId - User ID
+     */
+    notifyChange(userId) {
+        if (this.channel) {
+            this.channel.postMessage({ userId });
+        }
+    }
+
+    /**
+     * Forward change notifications from other tabs to the listeners
+     */
+    setupChangeEvents() {
+        if (this.channel) {
+            this.channel.onmessage = (event) => {
+                this.listeners.forEach(listener => listener(event.data.userId));
+            };
+        }
+
+        // Without BroadcastChannel, localStorage writes still raise storage events
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', (event) => {
+                if (this.channel || !event.key || !event.key.startsWith('chatbot-chats-')) return;
+                this.listeners.forEach(listener => listener(event.key.substring('chatbot-chats-'.length)));
+            });
+        }
+    }
+}
+
+// Create singleton instance
+const chatStore = new ChatStore();
+
+// Expose globally in browser context
+if (typeof window !== 'undefined') {
+    window.chatStore = chatStore;
+    window.ChatStore = ChatStore;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatStore;
+}
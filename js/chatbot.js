@@ -9,9 +9,14 @@ window.API_CONFIG = {
     chatbot: Config.api.endpoints.chatbot
 };
 
+// Chat fields set by the user rather than derived from the messages
+const CHAT_METADATA_KEYS = ['customTitle', 'pinned', 'archived', 'folder', 'persona', 'pinnedModel'];
+
 class ChatbotService {
     constructor() {
-        this.messages = [];
+        this.messages = []; // Active branch of messageTree, in display order
+        this.messageTree = new ConversationTree(); // Every message version, including inactive branches
+        this.editingMessageId = null; // User message being edited; sending branches off from it
         this.isTyping = false;
         this.currentModel = null; // Will be fetched dynamically
         this.maxMessageLength = 4000;
@@ -19,10 +24,44 @@ class ChatbotService {
         this.isConnected = false; // AI service connectivity
         this.sseConnected = false; // SSE connection state
         this.currentChatId = null;
+        this.currentChatSync = { id: null, revision: 0 }; // Revision of the open chat when it was last loaded or saved
+        this.chatClearedAt = null; // When the open chat was last cleared; older messages are never merged back in
+        this.currentChatMeta = {}; // User-set fields of the open chat (see CHAT_METADATA_KEYS)
+        this.showArchivedChats = false; // Sidebar shows the archive instead of the active chats
+        this.syncClientId = Date.now().toString(36) + Math.random().toString(36).substring(2, 8); // Marks saves made by this tab
+        this.resolvingChatConflict = false; // Set while remote changes are being merged into the open chat
+        this.storageWarningRatio = 0.9; // Share of the storage quota that triggers the cleanup prompt
+        this.lastStorageCheck = 0; // When storage usage was last estimated
+        this.storageWarningShown = false; // The near-full prompt is shown once per page load
+        this.chatSearchTimer = null; // Debounces sidebar search while typing
+        this.chatSearchResultLimit = 50; // Matching messages listed per search
         this.configStream = null; // SSE connection for real-time updates
         this.reconnectTimer = null; // Timer for SSE reconnection attempts
         this.sseModelPriority = false; // Tracks if SSE has provided the current model
         this.apiBaseUrl = Config.api.baseUrl;
+        this.streamingEnabled = true; // Ask the backend to stream tokens when it can
+        this.streamRenderFrame = null; // Pending animation frame for streamed bubble updates
+        this.abortController = null; // Aborts the in-flight generation when Stop is pressed
+        this.webSearchEnabled = false; // "Search the web" toggle for the next outgoing message
+        this.searchAvailable = false; // Reported by the searchStatus endpoint
+        this.searchResultLimit = 5; // Sources sent to the model as grounding context
+        this.datasets = []; // Datasets listed in the dataset manager
+        this.datasetPreviewLimit = 50; // Entries shown when previewing a dataset
+        this.datasetImport = null; // Parsed dataset file waiting to be uploaded
+        this.datasetImportPageSize = 20; // Rows per page in the file import preview
+        this.datasetChunkBytes = 512 * 1024; // Larger uploads are split into several requests
+        this.defaultTemperature = 0.7; // Used unless the chat's persona overrides it
+        this.defaultMaxTokens = 1000; // Used unless the chat's persona overrides it
+        this.contextSummary = null; // Rolling summary of the open chat's oldest messages ({ text, throughId })
+        this.contextSummaryEnabled = localStorage.getItem('chatbot-context-summary') === 'true'; // Summarize trimmed messages instead of dropping them
+        this.contextSummaryMaxTokens = 500; // Length limit for the rolling summary
+        this.contextSummaryUpdate = null; // Summary request in flight, shared by side-by-side requests
+        this.compareModels = []; // Models that answer side by side in compare mode; empty when it is off
+        this.maxCompareModels = 3;
+        this.availableModels = null; // Models offered in compare mode, loaded on first use
+        this.slashItems = []; // Entries shown in the composer's slash-command palette
+        this.slashIndex = 0; // Highlighted palette entry
+        this.pendingAttachments = []; // Files attached to the message being written
         
         // Initialize chatbot
         this.init();
@@ -32,6 +71,13 @@ class ChatbotService {
      * Initialize the chatbot
      */
     async init() {
+        // Shared links are public, so they are shown without signing in
+        const shareId = this.getShareIdFromURL();
+        if (shareId) {
+            await this.showSharedChat(shareId);
+            return;
+        }
+
         // Wait a bit for Firebase to load, then check authentication
         setTimeout(async () => {
             if (!this.checkAuthentication()) {
@@ -42,6 +88,7 @@ class ChatbotService {
             await this.loadCurrentModel();
             
             this.setupEventListeners();
+            this.checkSearchStatus(); // Grey out the web search toggle if search is down
             this.setupRealTimeConfig(); // Setup real-time configuration updates
             this.setupVisibilityHandling(); // Setup page visibility handling
             await this.initializeChatFromURL();
@@ -55,6 +102,9 @@ class ChatbotService {
             
             // Set up browser history support
             this.setupHistorySupport();
+
+            // Pick up chats changed in other tabs and devices
+            this.setupChatSync();
         }, 1000);
     }
 
@@ -432,6 +482,15 @@ class ChatbotService {
         return urlParams.get('c') || null;
     }
 
+    /**
+     * Get shared chat ID from current URL query parameters
+     * @returns {string|null} Share ID
+     */
+    getShareIdFromURL() {
+        const urlParams = new URLSearchParams(window.location.search);
+        return urlParams.get('s') || null;
+    }
+
     /**
      * Update URL with chat ID using query parameters
      */
@@ -457,8 +516,7 @@ class ChatbotService {
         } else {
             // No chat ID in URL - show welcome screen without generating ID yet
             this.currentChatId = null;
-            this.messages = [];
-            this.conversationHistory = [];
+            this.resetMessageTree();
             
             // Clear the chat display
             const chatMessages = document.getElementById('chat-messages');
@@ -487,13 +545,17 @@ class ChatbotService {
         
         if (chatData) {
             console.log('Chat found, loading messages...');
-            // Convert messages from database format to display format
-            this.messages = (chatData.messages || []).map(msg => ({
-                ...msg,
-                type: msg.role || msg.type || 'user'
-            }));
-            this.conversationHistory = chatData.conversationHistory || [];
+            this.forgetEvictedChat(chatId);
+            this.messageTree = this.getChatTree(chatData);
+            this.messages = this.messageTree.getActivePath();
+            this.editingMessageId = null;
+            this.syncConversationHistory();
             this.currentChatId = chatId;
+            this.currentChatSync = { id: chatId, revision: chatData.revision || 0 };
+            this.chatClearedAt = chatData.clearedAt || null;
+            this.currentChatMeta = this.getChatMetadata(chatData);
+            this.contextSummary = chatData.contextSummary || null;
+            this.updateChatHeader();
             console.log('Messages loaded:', this.messages.length, 'messages');
             
             // Clear current messages
@@ -524,7 +586,7 @@ class ChatbotService {
     }
 
     /**
-     * Get chat by ID from localStorage
+     * Get chat by ID
      */
     async getChatById(chatId) {
         const allChats = await this.getAllChats();
@@ -532,1385 +594,5515 @@ class ChatbotService {
     }
 
     /**
-     * Get all chats (user-specific) - tries backend first, then localStorage
+     * Build the conversation tree stored with a chat
+     * @param {Object} chat - Saved chat
+     * @returns {ConversationTree} Tree
+     */
+    getChatTree(chat) {
+        // Convert messages from database format to display format
+        const messages = (chat.messages || []).map(msg => ({
+            ...msg,
+            type: msg.role || msg.type || 'user'
+        }));
+
+        // Chats saved before branching existed only have the linear message list
+        return ConversationTree.fromJSON(chat.messageTree) || ConversationTree.fromMessages(messages);
+    }
+
+    /**
+     * Get all chats (user-specific), merging the backend copy with the local cache
+     * Neither copy replaces the other: each chat keeps its newest revision, and
+     * remembered deletions stop a stale copy from bringing a chat back
      */
     async getAllChats() {
         const userId = this.getCurrentUserId();
         if (!userId) return [];
         
+        const localChats = await this.getLocalChats(userId);
+        let chats = this.sortChats(localChats);
+        
         try {
-            // Try to get from backend first
-            const backendChats = await this.getChatsFromBackend();
-            console.log('Backend chats received:', backendChats);
-            if (backendChats && backendChats.length > 0) {
-                console.log('Loaded chats from backend:', backendChats.length, 'chats');
-                return backendChats;
-            }
+            const backend = await this.getChatsFromBackend();
+            console.log('Backend chats received:', backend.chats.length, 'chats');
+            
+            this.recordDeletedChats(userId, backend.deleted);
+            const merged = this.mergeChatLists(localChats, backend.chats, this.getDeletedChats(userId));
+            chats = merged.chats;
+            
+            this.pushChatChanges(merged.toUpload, merged.toDelete);
+            await this.storeMergedChats(userId, localChats, chats);
         } catch (error) {
-            console.log('Backend not available, using localStorage:', error);
+            console.log('Backend not available, using local chats:', error);
         }
         
-        // Fallback to localStorage
-        const chats = localStorage.getItem(`chatbot-chats-${userId}`);
-        return chats ? JSON.parse(chats) : [];
+        this.checkForRemoteChatChanges(chats);
+        return chats;
     }
 
     /**
-     * Save all chats (user-specific) - saves to both backend and localStorage
+     * Read the chats stored on this device
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Chats
      */
-    async saveAllChats(chats) {
-        const userId = this.getCurrentUserId();
-        if (!userId) return;
+    async getLocalChats(userId) {
+        try {
+            return await chatStore.getChats(userId);
+        } catch (error) {
+            console.error('Failed to read local chats:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write the result of a merge to local storage, touching only the chats that changed
+     * @param {string} userId - User ID
+     * @param {Array} localChats - Chats stored before the merge
+     * @param {Array} chats - Merged chats
+     */
+    async storeMergedChats(userId, localChats, chats) {
+        const localById = new Map(localChats.map(chat => [chat.id, chat]));
+        const mergedIds = new Set(chats.map(chat => chat.id));
+        const evicted = this.getEvictedChats(userId);
         
-        // Save to localStorage first (immediate)
-        localStorage.setItem(`chatbot-chats-${userId}`, JSON.stringify(chats));
+        // Chats removed from this device to free storage are not downloaded again until opened
+        const toSave = chats.filter(chat => localById.get(chat.id) !== chat && (localById.has(chat.id) || !evicted[chat.id]));
         
         try {
-            // Try to save to backend for cross-domain sync
-            await this.saveChatsToBackend(chats);
-            console.log('Chats saved to backend for cross-domain sync');
+            await chatStore.saveChats(userId, toSave);
+            await chatStore.deleteChats(userId, localChats.filter(chat => !mergedIds.has(chat.id)).map(chat => chat.id));
         } catch (error) {
-            console.log('Backend save failed, using localStorage only');
+            this.handleStorageError(error);
         }
     }
 
     /**
-     * Get chats from backend API
+     * Sort chats newest first
+     * @param {Array} chats - Chats
+     * @returns {Array} Sorted copy
      */
-    async getChatsFromBackend() {
-        const userId = this.getCurrentUserId();
-        if (!userId) return [];
-        
-        // Get Firebase Auth token
-        let userToken = null;
-        if (typeof window.auth !== 'undefined' && window.auth.currentUser) {
-            try {
-                userToken = await window.auth.currentUser.getIdToken();
-            } catch (error) {
-                console.error('Failed to get Firebase token:', error);
-            }
+    sortChats(chats) {
+        return [...chats].sort((a, b) =>
+            (this.getChatTime(b) - this.getChatTime(a)) || String(a.id).localeCompare(String(b.id))
+        );
+    }
+
+    /**
+     * Get when a chat was last changed
+     * @param {Object} chat - Chat
+     * @returns {number} Milliseconds since the epoch (0 if unknown)
+     */
+    getChatTime(chat) {
+        return Date.parse(chat.updatedAt || chat.timestamp || chat.createdAt) || 0;
+    }
+
+    /**
+     * Get the chats deleted on this device (or reported deleted by the backend)
+     * @param {string} userId - User ID
+     * @returns {Object} Chat ID -> deletion time in milliseconds
+     */
+    getDeletedChats(userId) {
+        try {
+            return JSON.parse(localStorage.getItem(`chatbot-deleted-chats-${userId}`) || '{}');
+        } catch (error) {
+            return {};
         }
+    }
+
+    /**
+     * Remember deleted chats so that older copies elsewhere do not restore them
+     * @param {string} userId - User ID
+     * @param {Array} deletions - { id, deletedAt } entries
+     */
+    recordDeletedChats(userId, deletions = []) {
+        if (deletions.length === 0) return;
         
-        const headers = {
-            'Content-Type': 'application/json'
-        };
-        
-        if (userToken) {
-            headers['Authorization'] = `Bearer ${userToken}`;
-        }
+        const deleted = this.getDeletedChats(userId);
+        deletions.forEach(({ id, deletedAt }) => {
+            const time = typeof deletedAt === 'number' ? deletedAt : Date.parse(deletedAt) || Date.now();
+            deleted[id] = Math.max(deleted[id] || 0, time);
+        });
         
-        const response = await fetch(Config.getApiUrl('chatHistory'), {
-            method: 'GET',
-            headers: headers
+        // Forget deletions after 30 days; every copy has synced by then
+        const cutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+        Object.keys(deleted).forEach(id => {
+            if (deleted[id] < cutoff) delete deleted[id];
         });
         
-        if (response.ok) {
-            const result = await response.json();
-            return result.chats || [];
-        } else {
-            throw new Error(`Backend request failed: ${response.status}`);
-        }
+        localStorage.setItem(`chatbot-deleted-chats-${userId}`, JSON.stringify(deleted));
     }
 
     /**
-     * Save chats to backend API
+     * Merge the local chat cache with the backend's chats
+     * @param {Array} localChats - Chats cached on this device
+     * @param {Array} remoteChats - Chats from the backend
+     * @param {Object} deleted - Chat ID -> deletion time
+     * @returns {Object} { chats, toUpload, toDelete } - merged list and the changes the backend is missing
      */
-    async saveChatsToBackend(chats) {
-        const userId = this.getCurrentUserId();
-        if (!userId) return;
+    mergeChatLists(localChats, remoteChats, deleted) {
+        const localById = new Map(localChats.map(chat => [chat.id, chat]));
+        const remoteById = new Map(remoteChats.map(chat => [chat.id, chat]));
+        const chats = [];
+        const toUpload = [];
+        const toDelete = [];
         
-        // Get Firebase Auth token
-        let userToken = null;
-        if (typeof window.auth !== 'undefined' && window.auth.currentUser) {
-            try {
-                userToken = await window.auth.currentUser.getIdToken();
-            } catch (error) {
-                console.error('Failed to get Firebase token:', error);
+        new Set([...remoteById.keys(), ...localById.keys()]).forEach(id => {
+            const local = localById.get(id);
+            const remote = remoteById.get(id);
+            const chat = local && remote ? this.mergeChatVersions(local, remote) : (local || remote);
+            
+            // A deleted chat stays deleted unless it was changed after the deletion
+            if (deleted[id] && this.getChatTime(chat) <= deleted[id]) {
+                if (remote) toDelete.push(id);
+                return;
             }
-        }
+            
+            // The backend copy has no images; keep the ones stored on this device
+            chats.push(local ? AttachmentReader.restoreChatPayloads(chat, local) : chat);
+            if (chat !== remote) {
+                toUpload.push({ chat, baseRevision: remote ? remote.revision || 0 : 0 });
+            }
+        });
         
-        const headers = {
-            'Content-Type': 'application/json'
-        };
+        return { chats: this.sortChats(chats), toUpload, toDelete };
+    }
+
+    /**
+     * Pick the newer of two copies of a chat
+     * Higher revision wins; equal revisions fall back to the update time, then to b
+     * @param {Object} a - Chat copy
+     * @param {Object} b - Chat copy
+     * @returns {Object} The newer copy
+     */
+    pickNewerChat(a, b) {
+        const revisionDiff = (a.revision || 0) - (b.revision || 0);
+        if (revisionDiff !== 0) {
+            return revisionDiff > 0 ? a : b;
+        }
+        return this.getChatTime(a) > this.getChatTime(b) ? a : b;
+    }
+
+    /**
+     * Merge two copies of the same chat
+     * The newer copy wins, and messages only the older copy has are added to it
+     * as extra branches so that neither side's messages are lost
+     * @param {Object} local - Copy cached on this device
+     * @param {Object} remote - Copy from the backend
+     * @returns {Object} The newer copy, or a new merged chat
+     */
+    mergeChatVersions(local, remote) {
+        const newer = this.pickNewerChat(local, remote);
+        const older = newer === local ? remote : local;
         
-        if (userToken) {
-            headers['Authorization'] = `Bearer ${userToken}`;
+        const tree = this.getChatTree(newer);
+        const added = tree.merge(this.getChatTree(older), this.getClearedChatFilter(newer.clearedAt));
+        if (added === 0) {
+            return newer;
         }
         
-        const payload = {
-            userId: userId,
-            chats: chats
+        console.log(`Merged ${added} message(s) from another copy of chat ${newer.id}`);
+        return {
+            ...newer,
+            messages: tree.getActivePath().map(msg => ({ ...msg, role: msg.type || msg.role || 'user' })),
+            messageTree: tree.toJSON(),
+            revision: Math.max(local.revision || 0, remote.revision || 0) + 1,
+            updatedBy: null, // Not any one tab's save, so tabs showing this chat pick it up
+            updatedAt: new Date(Math.max(this.getChatTime(local), this.getChatTime(remote))).toISOString()
         };
-        
-        const response = await fetch(Config.getApiUrl('chatHistory'), {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(payload)
+    }
+
+    /**
+     * Build a filter that skips messages written before a chat was cleared
+     * @param {string|null} clearedAt - When the chat was cleared
+     * @returns {Function} Message filter
+     */
+    getClearedChatFilter(clearedAt) {
+        const clearedTime = Date.parse(clearedAt) || 0;
+        return (message) => (Date.parse(message.timestamp) || 0) > clearedTime;
+    }
+
+    /**
+     * Send changes the backend is missing, without waiting for them
+     * Failures are left for the next merge to retry
+     * @param {Array} toUpload - { chat, baseRevision } entries
+     * @param {Array} toDelete - Chat IDs
+     */
+    pushChatChanges(toUpload, toDelete) {
+        toUpload.forEach(({ chat, baseRevision }) => {
+            this.saveChatToBackend(chat, baseRevision).catch(error => {
+                console.log('Deferred chat upload failed:', chat.id, error.message);
+            });
         });
         
-        if (!response.ok) {
-            throw new Error(`Backend save failed: ${response.status}`);
-        }
+        toDelete.forEach(chatId => {
+            this.deleteChatFromBackend(chatId).catch(error => {
+                console.log('Deferred chat deletion failed:', chatId, error.message);
+            });
+        });
     }
 
     /**
-     * Get current user ID for chat storage
+     * Save one chat locally and to the backend
+     * @param {Object} chat - Chat to save
+     * @param {number} baseRevision - Revision the chat was based on
+     * @returns {Promise<Object|null>} A newer copy saved elsewhere (nothing is written then), otherwise null
      */
-    getCurrentUserId() {
-        // First priority: Firebase Auth (most reliable for cross-device sync)
-        if (typeof window.auth !== 'undefined' && window.auth.currentUser) {
-            const firebaseUid = window.auth.currentUser.uid;
-            console.log('Using Firebase user ID:', firebaseUid);
-            return firebaseUid;
-        }
-        
-        // Second priority: URL parameters (for your site's format)
-        const urlParams = new URLSearchParams(window.location.search);
-        const uid = urlParams.get('uid');
-        if (uid) {
-            console.log('Using user ID from URL:', uid);
-            return uid;
-        }
+    async saveChat(chat, baseRevision) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return null;
         
-        // Third priority: authManager
-        if (typeof window.authManager !== 'undefined' && window.authManager.getCurrentUser()) {
-            const authManagerUid = window.authManager.getCurrentUser().uid;
-            console.log('Using authManager user ID:', authManagerUid);
-            return authManagerUid;
+        try {
+            // Another tab may already have saved a newer revision locally
+            const localCopy = await chatStore.getChat(userId, chat.id);
+            if (localCopy && (localCopy.revision || 0) > baseRevision && localCopy.updatedBy !== this.syncClientId) {
+                return localCopy;
+            }
+            
+            // Save on this device first (immediate)
+            await chatStore.saveChats(userId, [chat]);
+            this.forgetEvictedChat(chat.id);
+            this.checkStorageUsage();
+        } catch (error) {
+            this.handleStorageError(error);
         }
         
-        // Fourth priority: Check if user is logged in via DOM (for production site)
-        const userProfile = document.querySelector('.user-profile');
-        if (userProfile) {
-            // Try to extract user ID from the profile or use a fallback
-            const username = userProfile.querySelector('.user-name')?.textContent || 'taleshereco';
-            console.log('Using username from DOM:', username);
-            return username;
+        try {
+            const remoteChat = await this.saveChatToBackend(chat, baseRevision);
+            if (!remoteChat) {
+                console.log('Chat saved to backend for cross-domain sync');
+            }
+            return remoteChat;
+        } catch (error) {
+            console.log('Backend save failed, chat is only saved on this device');
+            return null;
         }
-        
-        console.log('No user ID found');
-        return null;
     }
 
     /**
-     * Navigate to a specific chat
+     * Delete one chat locally and from the backend
+     * @param {string} chatId - Chat ID
      */
-    async navigateToChat(chatId) {
-        console.log('navigateToChat called with chatId:', chatId);
+    async removeChat(chatId) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return;
         
-        // Save current chat before switching
-        if (this.messages.length > 0 && this.currentChatId) {
-            console.log('Saving current chat before switching');
-            await this.saveCurrentChat();
+        try {
+            await chatStore.deleteChats(userId, [chatId]);
+        } catch (error) {
+            console.error('Failed to delete local chat:', error);
         }
+        this.recordDeletedChats(userId, [{ id: chatId, deletedAt: Date.now() }]);
+        this.forgetEvictedChat(chatId);
         
-        // Update URL without page reload
-        const url = new URL(window.location);
-        url.searchParams.set('c', chatId);
-        window.history.pushState({}, '', url.href);
-        console.log('URL updated to:', url.href);
-        
-        // Load the chat directly
-        console.log('Loading chat with ID:', chatId);
-        await this.loadChatById(chatId);
-        
-        // Update sidebar active state
-        this.updateSidebarActiveState(chatId);
-        
-        // Close mobile sidebar if open
-        this.closeMobileSidebar();
-        
-        console.log('Navigation completed for chatId:', chatId);
+        try {
+            await this.deleteChatFromBackend(chatId);
+        } catch (error) {
+            // The recorded deletion makes the next merge retry it
+            console.log('Backend delete failed, will retry on next sync:', error.message);
+        }
     }
 
     /**
-     * Update sidebar active state
+     * Get the chats removed from this device to free storage
+     * @param {string} userId - User ID
+     * @returns {Object} Chat ID -> removal time in milliseconds
      */
-    updateSidebarActiveState(chatId) {
-        // Remove active class from all history items
-        const historyItems = document.querySelectorAll('.history-item');
-        historyItems.forEach(item => {
-            item.classList.remove('active');
-        });
-        
-        // Add active class to current chat
-        const currentItem = document.querySelector(`.history-item[data-chat-id="${chatId}"]`);
-        if (currentItem) {
-            currentItem.classList.add('active');
+    getEvictedChats(userId) {
+        try {
+            return JSON.parse(localStorage.getItem(`chatbot-evicted-chats-${userId}`) || '{}');
+        } catch (error) {
+            return {};
         }
     }
 
     /**
-     * Delete a specific chat
+     * Remember which chats were removed from this device only
+     * @param {string} userId - User ID
+     * @param {Object} evicted - Chat ID -> removal time
      */
-    async deleteChat(chatId) {
-        const chat = await this.getChatById(chatId);
-        if (!chat) {
-            this.showNotification('Chat not found', 'error');
-            return;
+    setEvictedChats(userId, evicted) {
+        try {
+            localStorage.setItem(`chatbot-evicted-chats-${userId}`, JSON.stringify(evicted));
+        } catch (error) {
+            console.warn('Could not remember chats removed from this device:', error);
         }
+    }
 
-        const chatTitle = chat.title || 'Untitled Chat';
+    /**
+     * Remove chats from this device only, to free storage
+     * The backend keeps them; they are downloaded again when opened
+     * @param {Array<string>} chatIds - Chat IDs, each with a copy on the backend
+     */
+    async evictLocalChats(chatIds) {
+        const userId = this.getCurrentUserId();
+        if (!userId || chatIds.length === 0) return;
         
-        if (confirm(`Are you sure you want to delete "${chatTitle}"? This action cannot be undone.`)) {
-            try {
-                // Get all chats
-                const allChats = await this.getAllChats();
-                console.log('Before deletion - allChats:', allChats.length, 'chats');
-                
-                // Ensure allChats is an array
-                if (!Array.isArray(allChats)) {
-                    console.warn('allChats is not an array, cannot delete chat');
-                    this.showNotification('Failed to delete chat', 'error');
-                    return;
-                }
-                
-                // Remove the chat
-                const updatedChats = allChats.filter(chat => chat.id !== chatId);
-                console.log('After deletion - updatedChats:', updatedChats.length, 'chats');
-                
-                // Save updated chats
-                await this.saveAllChats(updatedChats);
-                console.log('Chats saved to backend/localStorage');
-                
-                // If this was the current chat, start a new one
-                if (chatId === this.currentChatId) {
-                    await this.startNewChat();
-                }
-                
-                // Always update the history display
-                await this.updateChatHistory();
-                
-                this.showNotification(`Chat "${chatTitle}" deleted successfully`, 'success');
-            } catch (error) {
-                console.error('Failed to delete chat:', error);
-                this.showNotification('Failed to delete chat', 'error');
-            }
+        const evicted = this.getEvictedChats(userId);
+        chatIds.forEach(chatId => {
+            evicted[chatId] = Date.now();
+        });
+        this.setEvictedChats(userId, evicted);
+        
+        await chatStore.deleteChats(userId, chatIds);
+    }
+
+    /**
+     * Store a chat removed from this device again, e.g. once it is opened
+     * @param {string} chatId - Chat ID
+     */
+    forgetEvictedChat(chatId) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return;
+        
+        const evicted = this.getEvictedChats(userId);
+        if (evicted[chatId]) {
+            delete evicted[chatId];
+            this.setEvictedChats(userId, evicted);
         }
     }
 
     /**
-     * Set up browser history support
+     * Get the IDs of the chats the backend has a copy of
+     * @returns {Promise<Set<string>|null>} Chat IDs, or null if the backend cannot be reached
      */
-    setupHistorySupport() {
-        // Listen for browser back/forward navigation
-        window.addEventListener('popstate', (event) => {
-            const chatId = this.getChatIdFromURL();
-            if (chatId && chatId !== this.currentChatId) {
-                this.loadChatById(chatId);
-            }
-        });
+    async getBackedUpChatIds() {
+        try {
+            const backend = await this.getChatsFromBackend();
+            return new Set(backend.chats.map(chat => chat.id));
+        } catch (error) {
+            console.log('Backend not available, no chat can be removed from this device only:', error);
+            return null;
+        }
     }
 
     /**
-     * Show authentication required message
+     * Get chats from backend API
+     * @returns {Promise<Object>} { chats, deleted } - deleted lists { id, deletedAt } when the backend reports it
      */
-    showAuthRequired() {
-        const chatContainer = document.querySelector('.chatbot-main-area');
-        if (chatContainer) {
-            chatContainer.innerHTML = `
-                <div class="auth-required-container">
-                    <div class="auth-required-content">
-                        <div class="auth-icon">🔒</div>
-                        <h2>Authentication Required</h2>
-                        <p>You need to be logged in to access the AI chatbot.</p>
-                        <div class="auth-actions">
-                            <a href="login.html" class="auth-btn primary">Login</a>
-                            <a href="signup.html" class="auth-btn secondary">Sign Up</a>
-                        </div>
-                    </div>
-                </div>
-            `;
+    async getChatsFromBackend() {
+        const userId = this.getCurrentUserId();
+        if (!userId) return { chats: [], deleted: [] };
+        
+        const response = await fetch(Config.getApiUrl('chatHistory'), {
+            method: 'GET',
+            headers: await this.getAuthHeaders()
+        });
+        
+        if (response.ok) {
+            const result = await response.json();
+            return {
+                chats: Array.isArray(result.chats) ? result.chats : [],
+                deleted: Array.isArray(result.deleted) ? result.deleted : []
+            };
+        } else {
+            throw new Error(`Backend request failed: ${response.status}`);
         }
     }
 
     /**
-     * Setup event listeners
+     * Save one chat to the backend API
+     * The backend answers 409 with its own copy when that copy is newer than baseRevision
+     * @param {Object} chat - Chat to save
+     * @param {number} baseRevision - Revision the chat was based on
+     * @returns {Promise<Object|null>} The backend's newer copy on conflict, otherwise null
      */
-    setupEventListeners() {
-        const chatInput = document.getElementById('chat-input');
-        const sendBtn = document.getElementById('send-btn');
-        const clearBtn = document.getElementById('clear-chat-btn');
-        const exportBtn = document.getElementById('export-chat-btn');
-        // Model selector removed - using fixed free model
+    async saveChatToBackend(chat, baseRevision) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return null;
         
-        if (!chatInput || !sendBtn) {
-            console.error('Required elements not found: chat-input or send-btn');
-            return;
+        const response = await fetch(`${Config.getApiUrl('chatHistory')}/${encodeURIComponent(chat.id)}`, {
+            method: 'PUT',
+            headers: await this.getAuthHeaders(),
+            body: JSON.stringify({
+                userId: userId,
+                // Images stay on this device; the synced copy has their thumbnails
+                chat: AttachmentReader.stripChatPayloads(chat, { keepText: true }),
+                baseRevision: baseRevision
+            })
+        });
+        
+        if (response.status === 409) {
+            const result = await response.json().catch(() => ({}));
+            console.log('Chat changed on the backend since revision', baseRevision);
+            return result.chat || null;
+        }
+        
+        if (!response.ok) {
+            throw new Error(`Backend save failed: ${response.status}`);
         }
+        
+        return null;
+    }
 
-        // Send message events
-        chatInput.addEventListener('input', () => {
-            this.updateCharCount();
-            this.autoResizeTextarea();
-            this.toggleSendButton();
+    /**
+     * Delete one chat from the backend API
+     * @param {string} chatId - Chat ID
+     */
+    async deleteChatFromBackend(chatId) {
+        const response = await fetch(`${Config.getApiUrl('chatHistory')}/${encodeURIComponent(chatId)}`, {
+            method: 'DELETE',
+            headers: await this.getAuthHeaders()
         });
+        
+        // Already gone counts as deleted
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Backend delete failed: ${response.status}`);
+        }
+    }
 
-        chatInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                this.sendMessage();
-            }
+    /**
+     * Listen for chats changed by other tabs and devices
+     */
+    setupChatSync() {
+        // Another tab on this device saved or deleted chats
+        chatStore.onChange(async (changedUserId) => {
+            const userId = this.getCurrentUserId();
+            if (!userId || changedUserId !== userId) return;
+            
+            const chats = this.sortChats(await this.getLocalChats(userId));
+            this.checkForRemoteChatChanges(chats);
+            this.updateChatHistory(chats);
         });
-
-        sendBtn.addEventListener('click', () => {
-            this.sendMessage();
+        
+        // Other devices may have saved while this tab was in the background
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.updateChatHistory();
+            }
         });
+    }
 
-        // Clear chat (if button exists)
-        if (clearBtn) {
-            clearBtn.addEventListener('click', () => {
-                this.clearChat();
-            });
-        }
-
-        // Export chat (if button exists)
-        if (exportBtn) {
-            exportBtn.addEventListener('click', () => {
-                this.exportChat();
-            });
-        }
-
-        // Model is fixed to free model - no switching needed
-
-        // New chat button
-        const newChatBtn = document.getElementById('new-chat-btn');
-        if (newChatBtn) {
-            newChatBtn.addEventListener('click', () => {
-                this.startNewChat();
-            });
+    /**
+     * Notice when the open chat was changed or deleted in another tab or device
+     * @param {Array} chats - Latest chats
+     */
+    checkForRemoteChatChanges(chats) {
+        const sync = this.currentChatSync;
+        if (!this.currentChatId || sync.id !== this.currentChatId || sync.revision === 0) return;
+        
+        // The reply being streamed is merged when it is saved
+        if (this.isTyping || this.resolvingChatConflict) return;
+        
+        const chat = chats.find(existing => existing.id === this.currentChatId);
+        if (!chat) {
+            // Only a recorded deletion counts; the chat may just not have reached the backend yet
+            if (!this.getDeletedChats(this.getCurrentUserId())[this.currentChatId]) return;
+            
+            this.currentChatSync = { id: this.currentChatId, revision: 0 };
+            this.showNotification('This chat was deleted in another tab or device. Sending a message will restore it.', 'warning');
+            return;
         }
-
-        // Small new chat button
-        const newChatBtnSmall = document.getElementById('new-chat-btn-small');
-        if (newChatBtnSmall) {
-            newChatBtnSmall.addEventListener('click', () => {
-                this.startNewChat();
-            });
+        
+        if ((chat.revision || 0) > sync.revision && chat.updatedBy !== this.syncClientId) {
+            this.mergeRemoteChat(chat);
         }
+    }
 
-        // Dataset button
-        const datasetBtn = document.getElementById('dataset-btn');
-        if (datasetBtn) {
-            datasetBtn.addEventListener('click', () => {
-                this.showDatasetModal();
-            });
+    /**
+     * Bring another tab or device's changes to the open chat into this one
+     * Their messages join the conversation tree as extra branches and the merged
+     * chat is saved back, so nothing written on either side is lost
+     * @param {Object} remoteChat - Newer copy of the open chat
+     * @param {boolean} keepLocalMetadata - Keep this tab's title/pin/folder changes instead of the remote ones
+     */
+    async mergeRemoteChat(remoteChat, keepLocalMetadata = false) {
+        if (this.resolvingChatConflict) return;
+        this.resolvingChatConflict = true;
+        
+        try {
+            const clearedAt = [this.chatClearedAt, remoteChat.clearedAt].filter(Boolean).sort().pop() || null;
+            const added = this.messageTree.merge(this.getChatTree(remoteChat), this.getClearedChatFilter(clearedAt));
+            
+            this.chatClearedAt = clearedAt;
+            if (!keepLocalMetadata) {
+                this.currentChatMeta = this.getChatMetadata(remoteChat);
+                this.updateChatHeader();
+            }
+            if (!this.contextSummary && remoteChat.contextSummary) {
+                this.contextSummary = remoteChat.contextSummary;
+            }
+            this.currentChatSync = {
+                id: this.currentChatId,
+                revision: Math.max(remoteChat.revision || 0, this.currentChatSync.revision)
+            };
+            
+            if (added > 0) {
+                this.messages = this.messageTree.getActivePath();
+                this.syncConversationHistory();
+                this.renderMessages();
+                
+                const welcomeMessage = document.getElementById('welcome-message');
+                if (welcomeMessage && this.messages.length > 0) {
+                    welcomeMessage.classList.add('hidden');
+                }
+                
+                this.showNotification('This chat was updated in another tab or device - new messages were added', 'warning');
+            }
+            
+            await this.saveCurrentChat();
+        } finally {
+            this.resolvingChatConflict = false;
         }
+    }
 
-        // Suggestion chips
-        const suggestionChips = document.querySelectorAll('.suggestion-chip');
-        if (suggestionChips.length > 0) {
-            suggestionChips.forEach(chip => {
-                chip.addEventListener('click', () => {
-                    const suggestion = chip.getAttribute('data-suggestion');
-                    document.getElementById('chat-input').value = suggestion;
-                    this.sendMessage();
-                });
-            });
+    /**
+     * Report a failed write to chat storage on this device
+     * @param {Error} error - Error from the chat store
+     */
+    handleStorageError(error) {
+        if (ChatStore.isQuotaError(error)) {
+            console.error('Chat storage is full:', error);
+            this.showNotification('Storage on this device is full - free up space to keep saving chats here', 'error');
+            this.showStorageCleanup();
+        } else {
+            console.error('Failed to save chats on this device:', error);
         }
+    }
 
-        // Voice input (placeholder for future implementation)
-        const voiceBtn = document.getElementById('voice-btn');
-        if (voiceBtn) {
-            voiceBtn.addEventListener('click', () => {
-                this.showNotification('Voice input coming soon!', 'info');
-            });
+    /**
+     * Offer a cleanup when storage is nearly full (estimated at most once a minute)
+     */
+    async checkStorageUsage() {
+        if (this.storageWarningShown || Date.now() - this.lastStorageCheck < 60000) return;
+        this.lastStorageCheck = Date.now();
+        
+        try {
+            const usage = await chatStore.getUsage();
+            if (usage && usage.ratio >= this.storageWarningRatio) {
+                this.storageWarningShown = true;
+                this.showNotification(`Chat storage is ${Math.round(usage.ratio * 100)}% full`, 'warning');
+                this.showStorageCleanup(usage);
+            }
+        } catch (error) {
+            console.warn('Could not estimate storage usage:', error);
         }
+    }
 
-        // File attachment (placeholder for future implementation)
-        const attachBtn = document.getElementById('attach-btn');
-        if (attachBtn) {
-            attachBtn.addEventListener('click', () => {
-                this.showNotification('File attachment coming soon!', 'info');
-            });
-        }
+    /**
+     * Show the storage cleanup dialog with the largest chats and an age-based cleanup
+     * The open chat is never offered for deletion
+     * @param {Object} [usage] - Estimate from chatStore.getUsage()
+     */
+    async showStorageCleanup(usage = null) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return;
+        
+        usage = usage || await chatStore.getUsage().catch(() => null);
+        
+        // Only chats the backend has can be removed here without losing them
+        const backedUpIds = await this.getBackedUpChatIds() || new Set();
+        const largestChats = (await this.getLocalChats(userId))
+            .filter(chat => chat.id !== this.currentChatId)
+            .map(chat => ({ chat, size: new Blob([JSON.stringify(chat)]).size }))
+            .sort((a, b) => b.size - a.size)
+            .slice(0, 10);
+        
+        const percent = usage ? Math.min(100, Math.round(usage.ratio * 100)) : 100;
+        const usageText = usage
+            ? `Chats and other site data use ${this.formatBytes(usage.usage)} of ${this.formatBytes(usage.quota)} (${percent}%) on this device.`
+            : 'Storage on this device is full.';
+        
+        const rows = largestChats.map(({ chat, size }) => `
+            <tr>
+                <td>${MarkdownRenderer.escapeHtml(chat.title || 'Untitled Chat')}</td>
+                <td>${this.formatDatasetDate(chat.updatedAt || chat.timestamp)}</td>
+                <td>${this.formatBytes(size)}</td>
+                <td class="dataset-actions">
+                    ${backedUpIds.has(chat.id)
+                        ? `<button type="button" class="btn btn-secondary storage-delete-chat-btn" data-chat-id="${MarkdownRenderer.escapeHtml(chat.id)}">Remove</button>`
+                        : '<button type="button" class="btn btn-secondary" disabled title="Not saved to your account yet">Remove</button>'}
+                </td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('storage-cleanup-modal')?.remove();
+        const modal = document.createElement('div');
+        modal.id = 'storage-cleanup-modal';
+        modal.className = 'modal-overlay show';
+        modal.innerHTML = `
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">Chat storage is almost full</h3>
+                    <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <p>${usageText} Remove some chats from this device so new messages can still be saved.</p>
+                    <div class="storage-usage-bar"><div class="storage-usage-fill" style="width: ${percent}%"></div></div>
+                    <div class="storage-cleanup-age">
+                        <label for="storage-cleanup-days">Remove chats not used in the last</label>
+                        <select id="storage-cleanup-days">
+                            <option value="30">30 days</option>
+                            <option value="90" selected>90 days</option>
+                            <option value="180">180 days</option>
+                        </select>
+                        <button type="button" class="btn btn-secondary" id="storage-cleanup-old-btn">Remove</button>
+                    </div>
+                    <h4>Largest chats</h4>
+                    <div class="dataset-list">
+                        ${rows ? `
+                            <table class="dataset-table">
+                                <thead>
+                                    <tr><th>Chat</th><th>Last used</th><th>Size</th><th></th></tr>
+                                </thead>
+                                <tbody>${rows}</tbody>
+                            </table>
+                        ` : '<p class="dataset-empty">No other chats are stored on this device</p>'}
+                    </div>
+                    <small class="storage-cleanup-note">Removed chats stay in your account and are downloaded again when you open them; attached images are only kept on the device they were sent from. Chats not saved to your account yet cannot be removed here.</small>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.addEventListener('click', async (e) => {
+            const deleteBtn = e.target.closest('.storage-delete-chat-btn');
+            if (deleteBtn) {
+                deleteBtn.disabled = true;
+                try {
+                    await this.evictLocalChats([deleteBtn.getAttribute('data-chat-id')]);
+                } catch (error) {
+                    console.error('Failed to remove chat from this device:', error);
+                    this.showNotification('Failed to remove the chat from this device', 'error');
+                }
+                this.showStorageCleanup();
+            } else if (e.target.closest('#storage-cleanup-old-btn')) {
+                const days = Number(document.getElementById('storage-cleanup-days').value);
+                const removed = await this.deleteChatsOlderThan(days, backedUpIds);
+                if (removed > 0) {
+                    this.showNotification(`Removed ${removed} old ${removed === 1 ? 'chat' : 'chats'} from this device`, 'success');
+                    this.showStorageCleanup();
+                }
+            }
+        });
+    }
 
-        // Mobile sidebar functionality
-        const mobileMenuToggle = document.getElementById('mobile-menu-toggle');
-        const mobileSidebarOverlay = document.getElementById('mobile-sidebar-overlay');
-        const mobileSidebarClose = document.getElementById('mobile-sidebar-close');
-        const mobileNewChat = document.getElementById('mobile-new-chat');
-        const mobileNewChatBtn = document.getElementById('mobile-new-chat-btn');
+    /**
+     * Remove every chat not changed in a number of days from this device, except the open one
+     * Only chats the backend has a copy of are removed
+     * @param {number} days - Age in days
+     * @param {Set<string>} backedUpIds - IDs of the chats the backend has
+     * @returns {Promise<number>} Number of chats removed
+     */
+    async deleteChatsOlderThan(days, backedUpIds) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return 0;
         
-        // Mobile message promotional banner
-        const mobileMessagePromo = document.getElementById('mobile-message-promo');
-        const closeMessagePromo = document.getElementById('close-message-promo');
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const oldChats = (await this.getLocalChats(userId))
+            .filter(chat => chat.id !== this.currentChatId && this.getChatTime(chat) < cutoff);
+        const removable = oldChats.filter(chat => backedUpIds.has(chat.id));
         
-        if (mobileMenuToggle) {
-            mobileMenuToggle.addEventListener('click', () => this.toggleMobileSidebar());
+        if (removable.length === 0) {
+            this.showNotification(oldChats.length > 0
+                ? `The chats older than ${days} days are not saved to your account yet, so they were kept`
+                : `No chats older than ${days} days`, 'info');
+            return 0;
         }
         
-        // Mobile message promotional banner event listeners
-        if (closeMessagePromo) {
-            closeMessagePromo.addEventListener('click', () => this.hideMobileMessagePromo());
+        const kept = oldChats.length - removable.length;
+        if (!confirm(`Remove ${removable.length} ${removable.length === 1 ? 'chat' : 'chats'} not used in the last ${days} days from this device? They stay in your account.${kept > 0 ? ` ${kept} not saved to your account yet will be kept.` : ''}`)) {
+            return 0;
         }
         
-        if (mobileSidebarOverlay) {
-            mobileSidebarOverlay.addEventListener('click', () => this.closeMobileSidebar());
+        try {
+            await this.evictLocalChats(removable.map(chat => chat.id));
+        } catch (error) {
+            console.error('Failed to remove chats from this device:', error);
+            this.showNotification('Failed to remove chats from this device', 'error');
+            return 0;
+        }
+        return removable.length;
+    }
+
+    /**
+     * Get current user ID for chat storage
+     */
+    getCurrentUserId() {
+        // First priority: Firebase Auth (most reliable for cross-device sync)
+        if (typeof window.auth !== 'undefined' && window.auth.currentUser) {
+            const firebaseUid = window.auth.currentUser.uid;
+            console.log('Using Firebase user ID:', firebaseUid);
+            return firebaseUid;
         }
         
-        if (mobileSidebarClose) {
-            mobileSidebarClose.addEventListener('click', () => this.closeMobileSidebar());
+        // Second priority: URL parameters (for your site's format)
+        const urlParams = new URLSearchParams(window.location.search);
+        const uid = urlParams.get('uid');
+        if (uid) {
+            console.log('Using user ID from URL:', uid);
+            return uid;
         }
         
-        if (mobileNewChat) {
-            mobileNewChat.addEventListener('click', () => {
-                this.startNewChat();
-                this.closeMobileSidebar();
-            });
+        // Third priority: authManager
+        if (typeof window.authManager !== 'undefined' && window.authManager.getCurrentUser()) {
+            const authManagerUid = window.authManager.getCurrentUser().uid;
+            console.log('Using authManager user ID:', authManagerUid);
+            return authManagerUid;
         }
         
-        if (mobileNewChatBtn) {
-            mobileNewChatBtn.addEventListener('click', () => {
-                this.startNewChat();
-                this.closeMobileSidebar();
-            });
+        // Fourth priority: Check if user is logged in via DOM (for production site)
+        const userProfile = document.querySelector('.user-profile');
+        if (userProfile) {
+            // Try to extract user ID from the profile or use a fallback
+            const username = userProfile.querySelector('.user-name')?.textContent || 'taleshereco';
+            console.log('Using username from DOM:', username);
+            return username;
         }
         
-        // Mobile sidebar small new chat button
-        const mobileNewChatBtnSmall = document.getElementById('mobile-new-chat-btn-small');
-        if (mobileNewChatBtnSmall) {
-            mobileNewChatBtnSmall.addEventListener('click', () => {
+        console.log('No user ID found');
+        return null;
+    }
+
+    /**
+     * Build JSON request headers with the Firebase auth token when available
+     * @returns {Promise<Object>} Request headers
+     */
+    async getAuthHeaders() {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (typeof window.auth !== 'undefined' && window.auth.currentUser) {
+            try {
+                const userToken = await window.auth.currentUser.getIdToken();
+                headers['Authorization'] = `Bearer ${userToken}`;
+            } catch (error) {
+                console.error('Failed to get Firebase token:', error);
+            }
+        }
+
+        return headers;
+    }
+
+    /**
+     * Navigate to a specific chat
+     */
+    async navigateToChat(chatId) {
+        console.log('navigateToChat called with chatId:', chatId);
+        
+        // A reply still coming in would otherwise land in the chat opened next
+        this.stopGeneration();
+        
+        // Save current chat before switching
+        if (this.messages.length > 0 && this.currentChatId) {
+            console.log('Saving current chat before switching');
+            await this.saveCurrentChat();
+        }
+        
+        // Update URL without page reload
+        const url = new URL(window.location);
+        url.searchParams.set('c', chatId);
+        window.history.pushState({}, '', url.href);
+        console.log('URL updated to:', url.href);
+        
+        // Load the chat directly
+        console.log('Loading chat with ID:', chatId);
+        await this.loadChatById(chatId);
+        
+        // Update sidebar active state
+        this.updateSidebarActiveState(chatId);
+        
+        // Close mobile sidebar if open
+        this.closeMobileSidebar();
+        
+        console.log('Navigation completed for chatId:', chatId);
+    }
+
+    /**
+     * Update sidebar active state
+     */
+    updateSidebarActiveState(chatId) {
+        // Remove active class from all history items
+        const historyItems = document.querySelectorAll('.history-item');
+        historyItems.forEach(item => {
+            item.classList.remove('active');
+        });
+        
+        // Add active class to current chat
+        const currentItem = document.querySelector(`.history-item[data-chat-id="${chatId}"]`);
+        if (currentItem) {
+            currentItem.classList.add('active');
+        }
+    }
+
+    /**
+     * Delete a specific chat
+     */
+    async deleteChat(chatId) {
+        const chat = await this.getChatById(chatId);
+        if (!chat) {
+            this.showNotification('Chat not found', 'error');
+            return;
+        }
+
+        const chatTitle = chat.title || 'Untitled Chat';
+        
+        if (confirm(`Are you sure you want to delete "${chatTitle}"? This action cannot be undone.`)) {
+            try {
+                await this.removeChat(chatId);
+                console.log('Chat deleted:', chatId);
+                
+                // If this was the current chat, start a new one (without saving the deleted one again)
+                if (chatId === this.currentChatId) {
+                    this.resetMessageTree();
+                    await this.startNewChat();
+                }
+                
+                // Always update the history display
+                await this.updateChatHistory();
+                
+                this.showNotification(`Chat "${chatTitle}" deleted successfully`, 'success');
+            } catch (error) {
+                console.error('Failed to delete chat:', error);
+                this.showNotification('Failed to delete chat', 'error');
+            }
+        }
+    }
+
+    /**
+     * Set up browser history support
+     */
+    setupHistorySupport() {
+        // Listen for browser back/forward navigation
+        window.addEventListener('popstate', (event) => {
+            const chatId = this.getChatIdFromURL();
+            if (chatId && chatId !== this.currentChatId) {
+                this.loadChatById(chatId);
+            }
+        });
+    }
+
+    /**
+     * Show authentication required message
+     */
+    showAuthRequired() {
+        const chatContainer = document.querySelector('.chatbot-main-area');
+        if (chatContainer) {
+            chatContainer.innerHTML = `
+                <div class="auth-required-container">
+                    <div class="auth-required-content">
+                        <div class="auth-icon">🔒</div>
+                        <h2>Authentication Required</h2>
+                        <p>You need to be logged in to access the AI chatbot.</p>
+                        <div class="auth-actions">
+                            <a href="login.html" class="auth-btn primary">Login</a>
+                            <a href="signup.html" class="auth-btn secondary">Sign Up</a>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const chatInput = document.getElementById('chat-input');
+        const sendBtn = document.getElementById('send-btn');
+        const clearBtn = document.getElementById('clear-chat-btn');
+        const exportBtn = document.getElementById('export-chat-btn');
+        // Model selector removed - using fixed free model
+        
+        if (!chatInput || !sendBtn) {
+            console.error('Required elements not found: chat-input or send-btn');
+            return;
+        }
+
+        // Send message events
+        chatInput.addEventListener('input', () => {
+            this.updateCharCount();
+            this.autoResizeTextarea();
+            this.toggleSendButton();
+            this.slashIndex = 0;
+            this.updateSlashPalette();
+        });
+
+        chatInput.addEventListener('keydown', (e) => {
+            // The slash-command palette takes the arrow keys, Enter, Tab and Escape while open
+            if (this.slashItems.length > 0 && this.handleSlashPaletteKey(e)) {
+                return;
+            }
+
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendMessage();
+            }
+
+            // Escape abandons an edit without creating a branch
+            if (e.key === 'Escape' && this.editingMessageId !== null) {
+                e.preventDefault();
+                this.cancelEdit();
+            }
+        });
+
+        chatInput.addEventListener('blur', () => {
+            this.hideSlashPalette();
+        });
+
+        // mousedown keeps focus in the composer, so blur does not close the palette first
+        document.getElementById('slash-palette')?.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-slash-index]');
+            if (option) {
+                e.preventDefault();
+                this.runSlashItem(this.slashItems[Number(option.getAttribute('data-slash-index'))]);
+            }
+        });
+
+        sendBtn.addEventListener('click', () => {
+            this.sendMessage();
+        });
+
+        // Stop button replaces send while a reply is generating
+        const stopBtn = document.getElementById('stop-btn');
+        if (stopBtn) {
+            stopBtn.addEventListener('click', () => {
+                this.stopGeneration();
+            });
+        }
+
+        // Clear chat (if button exists)
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearChat();
+            });
+        }
+
+        // Export chat (if button exists)
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportChat();
+            });
+        }
+
+        document.getElementById('mobile-export-chat-btn')?.addEventListener('click', () => {
+            this.exportChat();
+        });
+
+        // Rolling summary of messages that no longer fit the context window
+        const summaryToggle = document.getElementById('context-summary-toggle');
+        if (summaryToggle) {
+            summaryToggle.checked = this.contextSummaryEnabled;
+            summaryToggle.addEventListener('change', () => {
+                this.setContextSummaryEnabled(summaryToggle.checked);
+            });
+        }
+
+        // Context windows differ per model
+        window.addEventListener('modelChanged', () => {
+            this.updateContextIndicator();
+        });
+
+        // Persona of the open chat
+        document.getElementById('persona-btn')?.addEventListener('click', () => {
+            this.showPersonaManager();
+        });
+
+        document.getElementById('mobile-persona-btn')?.addEventListener('click', () => {
+            this.closeMobileSidebar();
+            this.showPersonaManager();
+        });
+
+        // Share the open chat and manage shared links
+        document.getElementById('share-chat-btn')?.addEventListener('click', () => {
+            this.showShareManager(this.currentChatId);
+        });
+
+        document.getElementById('mobile-share-chat-btn')?.addEventListener('click', () => {
+            this.showShareManager(this.currentChatId);
+        });
+
+        // Model is fixed to free model - no switching needed
+
+        // New chat button
+        const newChatBtn = document.getElementById('new-chat-btn');
+        if (newChatBtn) {
+            newChatBtn.addEventListener('click', () => {
+                this.startNewChat();
+            });
+        }
+
+        // Small new chat button
+        const newChatBtnSmall = document.getElementById('new-chat-btn-small');
+        if (newChatBtnSmall) {
+            newChatBtnSmall.addEventListener('click', () => {
                 this.startNewChat();
+            });
+        }
+
+        // Dataset button
+        const datasetBtn = document.getElementById('dataset-btn');
+        if (datasetBtn) {
+            datasetBtn.addEventListener('click', () => {
+                this.showDatasetManager();
+            });
+        }
+
+        const mobileDatasetBtn = document.getElementById('mobile-dataset-btn');
+        if (mobileDatasetBtn) {
+            mobileDatasetBtn.addEventListener('click', () => {
+                this.closeMobileSidebar();
+                this.showDatasetManager();
+            });
+        }
+
+        // Import chats from exported files
+        const importInput = document.getElementById('import-chats-input');
+        if (importInput) {
+            document.getElementById('import-chats-btn')?.addEventListener('click', () => {
+                importInput.click();
+            });
+
+            document.getElementById('mobile-import-chats-btn')?.addEventListener('click', () => {
                 this.closeMobileSidebar();
+                importInput.click();
+            });
+
+            importInput.addEventListener('change', async () => {
+                const file = importInput.files[0];
+                importInput.value = '';
+                if (file) {
+                    await this.importChats(file);
+                }
             });
         }
 
-        // User message actions (copy and edit)
-        document.addEventListener('click', (e) => {
-            if (e.target.closest('.copy-btn')) {
-                const messageId = e.target.closest('.copy-btn').getAttribute('data-message-id');
-                this.copyMessage(messageId);
+        this.setupDatasetManager();
+        this.setupChatSearch();
+
+        // Close chat option menus when clicking anywhere else
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.history-menu')) {
+                document.querySelectorAll('.history-menu').forEach(menu => menu.remove());
+            }
+        });
+
+        // Suggestion chips
+        const suggestionChips = document.querySelectorAll('.suggestion-chip');
+        if (suggestionChips.length > 0) {
+            suggestionChips.forEach(chip => {
+                chip.addEventListener('click', () => {
+                    const suggestion = chip.getAttribute('data-suggestion');
+                    document.getElementById('chat-input').value = suggestion;
+                    this.sendMessage();
+                });
+            });
+        }
+
+        // Voice input (placeholder for future implementation)
+        const voiceBtn = document.getElementById('voice-btn');
+        if (voiceBtn) {
+            voiceBtn.addEventListener('click', () => {
+                this.showNotification('Voice input coming soon!', 'info');
+            });
+        }
+
+        // Web search toggle
+        const searchToggleBtn = document.getElementById('search-toggle-btn');
+        if (searchToggleBtn) {
+            searchToggleBtn.addEventListener('click', () => {
+                this.toggleWebSearch();
+            });
+        }
+
+        // Compare mode: several models answer the same prompt
+        document.getElementById('compare-toggle-btn')?.addEventListener('click', () => {
+            this.showCompareSetup();
+        });
+
+        // Model the open chat continues with after a comparison
+        document.getElementById('model-chip-clear')?.addEventListener('click', () => {
+            this.setPinnedModel(null);
+        });
+
+        // File attachments: picked, dropped on the composer or pasted into it
+        const attachInput = document.getElementById('attach-input');
+        if (attachInput) {
+            attachInput.accept = AttachmentReader.getAcceptList();
+            document.getElementById('attach-btn')?.addEventListener('click', () => {
+                attachInput.click();
+            });
+
+            attachInput.addEventListener('change', async () => {
+                const files = Array.from(attachInput.files);
+                attachInput.value = '';
+                await this.addAttachments(files);
+            });
+        }
+
+        const inputContainer = chatInput.closest('.input-container');
+        inputContainer?.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('Files')) {
+                e.preventDefault();
+                inputContainer.classList.add('drag-over');
+            }
+        });
+        inputContainer?.addEventListener('dragleave', () => {
+            inputContainer.classList.remove('drag-over');
+        });
+        inputContainer?.addEventListener('drop', async (e) => {
+            if (!e.dataTransfer.files.length) return;
+            e.preventDefault();
+            inputContainer.classList.remove('drag-over');
+            await this.addAttachments(Array.from(e.dataTransfer.files));
+        });
+
+        chatInput.addEventListener('paste', async (e) => {
+            const files = Array.from(e.clipboardData?.files || []);
+            if (files.length > 0) {
+                e.preventDefault();
+                await this.addAttachments(files);
+            }
+        });
+
+        document.getElementById('attachment-tray')?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-attachment]');
+            if (removeBtn) {
+                this.removePendingAttachment(removeBtn.getAttribute('data-remove-attachment'));
+            }
+        });
+
+        // Mobile sidebar functionality
+        const mobileMenuToggle = document.getElementById('mobile-menu-toggle');
+        const mobileSidebarOverlay = document.getElementById('mobile-sidebar-overlay');
+        const mobileSidebarClose = document.getElementById('mobile-sidebar-close');
+        const mobileNewChat = document.getElementById('mobile-new-chat');
+        const mobileNewChatBtn = document.getElementById('mobile-new-chat-btn');
+        
+        // Mobile message promotional banner
+        const mobileMessagePromo = document.getElementById('mobile-message-promo');
+        const closeMessagePromo = document.getElementById('close-message-promo');
+        
+        if (mobileMenuToggle) {
+            mobileMenuToggle.addEventListener('click', () => this.toggleMobileSidebar());
+        }
+        
+        // Mobile message promotional banner event listeners
+        if (closeMessagePromo) {
+            closeMessagePromo.addEventListener('click', () => this.hideMobileMessagePromo());
+        }
+        
+        if (mobileSidebarOverlay) {
+            mobileSidebarOverlay.addEventListener('click', () => this.closeMobileSidebar());
+        }
+        
+        if (mobileSidebarClose) {
+            mobileSidebarClose.addEventListener('click', () => this.closeMobileSidebar());
+        }
+        
+        if (mobileNewChat) {
+            mobileNewChat.addEventListener('click', () => {
+                this.startNewChat();
+                this.closeMobileSidebar();
+            });
+        }
+        
+        if (mobileNewChatBtn) {
+            mobileNewChatBtn.addEventListener('click', () => {
+                this.startNewChat();
+                this.closeMobileSidebar();
+            });
+        }
+        
+        // Mobile sidebar small new chat button
+        const mobileNewChatBtnSmall = document.getElementById('mobile-new-chat-btn-small');
+        if (mobileNewChatBtnSmall) {
+            mobileNewChatBtnSmall.addEventListener('click', () => {
+                this.startNewChat();
+                this.closeMobileSidebar();
+            });
+        }
+
+        // Message actions (copy, edit, regenerate, feedback)
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.copy-btn')) {
+                const messageId = e.target.closest('.copy-btn').getAttribute('data-message-id');
+                this.copyMessage(messageId);
+            }
+            
+            if (e.target.closest('.edit-btn')) {
+                const messageId = e.target.closest('.edit-btn').getAttribute('data-message-id');
+                this.editMessage(messageId);
+            }
+
+            if (e.target.closest('.regenerate-btn')) {
+                const messageId = e.target.closest('.regenerate-btn').getAttribute('data-message-id');
+                this.regenerateMessage(messageId);
+            }
+
+            if (e.target.closest('.feedback-btn')) {
+                const feedbackBtn = e.target.closest('.feedback-btn');
+                this.rateMessage(feedbackBtn.getAttribute('data-message-id'), feedbackBtn.getAttribute('data-rating'));
+            }
+
+            // Branch switcher arrows
+            if (e.target.closest('.branch-prev-btn')) {
+                const messageId = e.target.closest('.branch-prev-btn').getAttribute('data-message-id');
+                this.switchBranch(messageId, -1);
+            }
+
+            if (e.target.closest('.branch-next-btn')) {
+                const messageId = e.target.closest('.branch-next-btn').getAttribute('data-message-id');
+                this.switchBranch(messageId, 1);
+            }
+        });
+    }
+
+    /**
+     * Test connection to AI service
+     */
+    async testConnection() {
+        const statusElement = document.getElementById('connection-status');
+        const statusText = statusElement.querySelector('.status-text');
+        
+        statusElement.classList.remove('hidden');
+        statusText.textContent = 'Testing AI service connection...';
+
+        try {
+            // Create a test message for the connection test
+            const testMessage = {
+                role: 'user',
+                content: 'Hello, are you working?',
+                timestamp: new Date().toISOString()
+            };
+            
+            // Temporarily add the test message to conversation history
+            const originalHistory = [...this.conversationHistory];
+            this.conversationHistory = [testMessage];
+            
+            // Test with a simple message
+            const testResponse = await this.sendToAI('Hello, are you working?');
+            
+            // Restore original conversation history
+            this.conversationHistory = originalHistory;
+            
+            if (testResponse && testResponse.success) {
+                this.isConnected = true;
+                statusElement.className = 'connection-status connection-success';
+                statusText.textContent = '✅ Connected to AI service';
+                setTimeout(() => {
+                    statusElement.classList.add('hidden');
+                }, 3000);
+            } else {
+                throw new Error('AI service not responding properly');
+            }
+        } catch (error) {
+            this.isConnected = false;
+            statusElement.className = 'connection-status connection-error';
+            statusText.textContent = '❌ Failed to connect to AI service';
+            console.error('Connection test failed:', error);
+        }
+    }
+
+    /**
+     * Send message to AI
+     * @param {string} message - User message
+     * @param {Object} options - Request options
+     * @param {Function} options.onToken - Called with (token, fullText) as a streamed reply arrives
+     * @param {AbortSignal} options.signal - Aborts the request and suppresses retries
+     * @param {Array<Object>} options.sources - Web search results to ground the answer in
+     * @returns {Promise<Object>} AI response
+     */
+    async sendToAI(message, options = {}) {
+        try {
+            // Check authentication before making API call
+            if (!this.checkAuthentication()) {
+                this.showNotification('Authentication required to use AI chatbot', 'error');
+                return null;
+            }
+
+            // Model selection priority:
+            // 1. this.currentModel (set by SSE or backend) - ALWAYS FIRST
+            // 2. localStorage saved model (with recent timestamp)
+            // 3. Global backup
+            // 4. Backend API
+            // 5. Default fallback
+
+            let selectedModel;
+            const modelSources = [];
+
+            // 0. A model picked for this request (compare mode) or for this chat (a compare winner)
+            if (options.model || this.currentChatMeta.pinnedModel) {
+                selectedModel = options.model || this.currentChatMeta.pinnedModel;
+                modelSources.push(options.model ? 'request' : 'chat');
+            }
+
+            // 1. Check this.currentModel first (set by SSE or backend)
+            // This is the most reliable source as it's updated by SSE or backend API
+            if (!selectedModel && this.currentModel) {
+                selectedModel = this.currentModel;
+                modelSources.push('currentModel');
+
+                // Also check if SSE is active for logging
+                if (this.sseConnected || this.configStream?.readyState === 1) {
+                    modelSources.push('SSE-active');
+                }
+            }
+
+            // 2. Check localStorage (with timestamp validation) - only if currentModel is not set
+            if (!selectedModel) {
+                const savedModel = localStorage.getItem('currentModel');
+                const lastUpdated = sessionStorage.getItem('modelLastUpdated');
+
+                if (savedModel && lastUpdated) {
+                    const updateAge = Date.now() - new Date(lastUpdated).getTime();
+                    if (updateAge < 300000) { // 5 minutes
+                        selectedModel = savedModel;
+                        modelSources.push('localStorage');
+                    }
+                }
+            }
+
+            // 3. Check global backup
+            if (!selectedModel && window.CURRENT_MODEL) {
+                selectedModel = window.CURRENT_MODEL;
+                modelSources.push('global');
+            }
+
+            // 4. Load from backend if still no model
+            if (!selectedModel) {
+                try {
+                    await this.loadCurrentModel();
+                    if (this.currentModel) {
+                        selectedModel = this.currentModel;
+                        modelSources.push('backend');
+                    }
+                } catch (error) {
+                    console.warn('Failed to load model from backend:', error);
+                }
+            }
+
+            // 5. Use fallback if all else fails
+            if (!selectedModel) {
+                selectedModel = 'gemma2:2b';
+                modelSources.push('fallback');
+            }
+            
+            console.log(`Selected model: ${selectedModel} (sources: ${modelSources.join(', ')})`);
+
+            // Get Firebase Auth token
+            let userToken = null;
+            if (typeof window.auth !== 'undefined' && window.auth.currentUser) {
+                try {
+                    userToken = await window.auth.currentUser.getIdToken();
+                } catch (error) {
+                    console.error('Failed to get Firebase token:', error);
+                }
+            }
+
+            const persona = this.getActivePersona();
+            const maxTokens = persona?.maxTokens ?? this.defaultMaxTokens;
+            const searchContext = Array.isArray(options.sources) && options.sources.length > 0
+                ? this.buildSearchContextMessage(message, options.sources)
+                : null;
+            const contextOptions = {
+                model: selectedModel,
+                maxTokens: maxTokens,
+                reservedTokens: searchContext ? ContextBudget.estimateMessageTokens(searchContext) : 0
+            };
+
+            // Fold messages that no longer fit into the rolling summary before they are left out
+            if (this.contextSummaryEnabled) {
+                await this.updateContextSummary(contextOptions, userToken, options.signal);
+            }
+            
+            // Validate and prepare conversation history, trimmed to the model's context window
+            const validatedHistory = this.validateConversationHistory({
+                ...contextOptions,
+                vision: AttachmentReader.supportsVision(selectedModel, this.availableModels)
+            });
+            
+            // Prepare request payload with validated conversation history
+            const payload = {
+                model: selectedModel,
+                messages: validatedHistory,
+                max_tokens: maxTokens,
+                temperature: persona?.temperature ?? this.defaultTemperature
+            };
+
+            // Web search results go after the system messages (persona, summary) as grounding context
+            if (searchContext) {
+                const contextIndex = payload.messages.filter(msg => msg.role === 'system').length;
+                payload.messages.splice(contextIndex, 0, searchContext);
+                payload.search_results = options.sources;
+            }
+
+            // Only request a stream when the caller can render tokens
+            if (typeof options.onToken === 'function') {
+                payload.stream = true;
+            }
+
+            console.log('Sending payload to backend:', payload);
+
+            // Make API request to backend with retry logic
+            const response = await this.makeApiRequest(payload, userToken, 0, options.signal);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('Backend error response:', errorText);
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            // Backends that don't stream answer with the usual one-shot JSON body
+            const contentType = response.headers.get('Content-Type') || '';
+            const data = payload.stream && this.isStreamingResponse(contentType) && response.body
+                ? await this.readStreamingResponse(response, contentType, options.onToken)
+                : await response.json();
+
+            // Record which model answered so the reply can be attributed to it
+            if (data && !data.model) {
+                data.model = selectedModel;
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error sending message to AI:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a response content type carries a token stream
+     * @param {string} contentType - Response Content-Type header
+     * @returns {boolean} Whether the body should be read incrementally
+     */
+    isStreamingResponse(contentType) {
+        return contentType.includes('text/event-stream') ||
+               contentType.includes('application/x-ndjson') ||
+               contentType.includes('text/plain');
+    }
+
+    /**
+     * Read a streamed chat response (SSE, NDJSON or raw chunked text)
+     * @param {Response} response - Fetch response with a readable body
+     * @param {string} contentType - Response Content-Type header
+     * @param {Function} onToken - Called with (token, fullText) for each token
+     * @returns {Promise<Object>} Response in the same shape as the JSON endpoint
+     */
+    async readStreamingResponse(response, contentType, onToken) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const isEventStream = contentType.includes('text/event-stream');
+        const isPlainText = contentType.includes('text/plain');
+        let buffer = '';
+        let fullText = '';
+        let finished = false;
+
+        const handleLine = (line) => {
+            const event = this.parseStreamLine(line, isEventStream);
+            if (!event) return;
+            if (event.error) {
+                throw new Error(event.error);
+            }
+            if (event.token) {
+                fullText += event.token;
+                onToken(event.token, fullText);
+            }
+            if (event.done) {
+                finished = true;
+            }
+        };
+
+        try {
+            while (!finished) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                const chunk = decoder.decode(value, { stream: true });
+
+                if (isPlainText) {
+                    fullText += chunk;
+                    onToken(chunk, fullText);
+                    continue;
+                }
+
+                buffer += chunk;
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    handleLine(line);
+                    if (finished) break;
+                }
+            }
+
+            // Flush whatever is left once the body closes
+            if (!finished && buffer.trim()) {
+                handleLine(buffer);
+            }
+        } catch (error) {
+            // Hand the caller what arrived before the stream broke
+            error.partialResponse = fullText;
+            throw error;
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+
+        if (!fullText.trim()) {
+            return { success: false, error: 'Empty response from AI' };
+        }
+
+        return { success: true, response: fullText, streamed: true };
+    }
+
+    /**
+     * Parse one line of a streamed response into a token event
+     * @param {string} line - Raw line from the stream
+     * @param {boolean} isEventStream - Whether the line uses SSE framing
+     * @returns {Object|null} { token, done, error } or null for lines to skip
+     */
+    parseStreamLine(line, isEventStream) {
+        let data = line.trim();
+        if (!data) return null;
+
+        if (isEventStream) {
+            // Ignore SSE comments and event:/id:/retry: fields
+            if (!data.startsWith('data:')) return null;
+            data = data.slice(5).trim();
+            if (data === '[DONE]') return { done: true };
+        }
+
+        let json;
+        try {
+            json = JSON.parse(data);
+        } catch {
+            // Plain text payloads are tokens as-is
+            return isEventStream ? { token: data } : null;
+        }
+
+        if (json.error) {
+            return { error: typeof json.error === 'string' ? json.error : 'Stream error' };
+        }
+
+        // The final event may repeat the whole answer, so its content is ignored
+        if (json.done === true || json.type === 'done') {
+            return { done: true };
+        }
+
+        const token = json.token ??
+            json.delta ??
+            json.content ??
+            json.message?.content ??
+            json.choices?.[0]?.delta?.content ??
+            json.response ??
+            '';
+
+        return { token: typeof token === 'string' ? token : '' };
+    }
+
+    /**
+     * Check whether the backend can run web searches
+     */
+    async checkSearchStatus() {
+        try {
+            const headers = await this.getAuthHeaders();
+            const response = await fetch(Config.getApiUrl('searchStatus'), {
+                method: 'GET',
+                headers: headers
+            });
+
+            if (!response.ok) {
+                throw new Error(`Search status request failed: ${response.status}`);
+            }
+
+            this.searchAvailable = this.isSearchAvailable(await response.json());
+        } catch (error) {
+            console.warn('Web search status unavailable:', error);
+            this.searchAvailable = false;
+        }
+
+        if (!this.searchAvailable) {
+            this.webSearchEnabled = false;
+        }
+
+        console.log('Web search available:', this.searchAvailable);
+        this.updateSearchToggle();
+    }
+
+    /**
+     * Interpret a searchStatus response
+     * @param {Object} status - Response body
+     * @returns {boolean} Whether at least one search provider is usable
+     */
+    isSearchAvailable(status) {
+        if (!status || typeof status !== 'object') return false;
+
+        const data = status.data && typeof status.data === 'object' ? status.data : status;
+
+        if (typeof data.available === 'boolean') return data.available;
+        if (typeof data.enabled === 'boolean') return data.enabled;
+
+        if (data.providers && typeof data.providers === 'object') {
+            return Object.values(data.providers).some(provider =>
+                provider === true || provider?.available === true || provider?.enabled === true
+            );
+        }
+
+        if (typeof data.status === 'string') {
+            return ['ok', 'available', 'online', 'healthy', 'active'].includes(data.status.toLowerCase());
+        }
+
+        return status.success === true;
+    }
+
+    /**
+     * Toggle web search for the next outgoing message
+     */
+    toggleWebSearch() {
+        if (!this.searchAvailable) {
+            this.showNotification('Web search is currently unavailable', 'info');
+            return;
+        }
+
+        this.webSearchEnabled = !this.webSearchEnabled;
+        this.updateSearchToggle();
+        this.showNotification(this.webSearchEnabled ? 'Web search on for the next message' : 'Web search off', 'info');
+    }
+
+    /**
+     * Use up the web search toggle for the message being sent
+     * @returns {boolean} Whether this message should search the web
+     */
+    takeWebSearch() {
+        const searchWeb = this.webSearchEnabled && this.searchAvailable;
+        if (this.webSearchEnabled) {
+            this.webSearchEnabled = false;
+            this.updateSearchToggle();
+        }
+        return searchWeb;
+    }
+
+    /**
+     * Sync the web search toggle button with the current state
+     */
+    updateSearchToggle() {
+        const searchToggleBtn = document.getElementById('search-toggle-btn');
+        if (!searchToggleBtn) return;
+
+        searchToggleBtn.disabled = !this.searchAvailable;
+        searchToggleBtn.classList.toggle('active', this.webSearchEnabled);
+        searchToggleBtn.setAttribute('aria-pressed', String(this.webSearchEnabled));
+
+        if (!this.searchAvailable) {
+            searchToggleBtn.title = 'Web search unavailable';
+        } else {
+            searchToggleBtn.title = this.webSearchEnabled ? 'Web search on for the next message' : 'Search the web for the next message';
+        }
+    }
+
+    /**
+     * Run a web search, answering without sources if it fails
+     * @param {string} query - Search query
+     * @param {AbortSignal} signal - Abort signal of the generation
+     * @returns {Promise<Array>} Sources (empty on failure)
+     */
+    async searchWebSafely(query, signal = null) {
+        try {
+            const sources = await this.searchWeb(query, signal);
+            if (sources.length === 0) {
+                this.showNotification('Web search found nothing relevant', 'info');
+            }
+            return sources;
+        } catch (error) {
+            // Stopping during the search stops the whole generation
+            if (error.name === 'AbortError' || signal?.aborted) {
+                throw error;
+            }
+
+            console.error('Web search failed:', error);
+            this.showNotification('Web search failed - answering without it', 'warning');
+            return [];
+        }
+    }
+
+    /**
+     * Search the web via the backend search endpoints
+     * Tries the comprehensive search first, then Google and Wikipedia directly
+     * @param {string} query - Search query
+     * @param {AbortSignal} signal - Optional abort signal
+     * @returns {Promise<Array>} Normalized sources ({ title, url, snippet, source })
+     */
+    async searchWeb(query, signal = null) {
+        const headers = await this.getAuthHeaders();
+        const params = {
+            q: query,
+            limit: this.searchResultLimit
+        };
+
+        const fetchResults = async (endpointKey) => {
+            const response = await fetch(Config.getApiUrl(endpointKey, params), {
+                method: 'GET',
+                headers: headers,
+                signal: signal || undefined
+            });
+
+            if (!response.ok) {
+                throw new Error(`Search request failed (${endpointKey}): ${response.status}`);
+            }
+
+            return this.normalizeSearchResults(await response.json());
+        };
+
+        try {
+            const results = await fetchResults('searchComprehensive');
+            if (results.length > 0) {
+                return results.slice(0, this.searchResultLimit);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Comprehensive search failed, trying individual providers:', error);
+        }
+
+        const settled = await Promise.allSettled([
+            fetchResults('searchGoogle'),
+            fetchResults('searchWikipedia')
+        ]);
+
+        if (signal?.aborted) {
+            throw new DOMException('Request aborted', 'AbortError');
+        }
+
+        const fulfilled = settled.filter(result => result.status === 'fulfilled');
+        if (fulfilled.length === 0) {
+            throw settled[0].reason;
+        }
+
+        return this.dedupeSources(fulfilled.flatMap(result => result.value))
+            .slice(0, this.searchResultLimit);
+    }
+
+    /**
+     * Normalize the different search response shapes into one source list
+     * @param {Object|Array} data - Search response body
+     * @returns {Array} Sources ({ title, url, snippet, source })
+     */
+    normalizeSearchResults(data) {
+        const collected = [];
+        const collect = (value, depth) => {
+            if (!value || depth > 3) return;
+
+            if (Array.isArray(value)) {
+                value.forEach(item => {
+                    if (item && typeof item === 'object' && (item.url || item.link || item.href)) {
+                        collected.push(item);
+                    } else {
+                        collect(item, depth + 1);
+                    }
+                });
+                return;
+            }
+
+            if (typeof value === 'object') {
+                ['results', 'items', 'organic', 'data', 'google', 'wikipedia', 'web', 'sources'].forEach(key => {
+                    collect(value[key], depth + 1);
+                });
+            }
+        };
+
+        collect(data, 0);
+
+        const sources = collected.map(item => ({
+            title: String(item.title || item.name || '').trim(),
+            url: String(item.url || item.link || item.href || '').trim(),
+            snippet: String(item.snippet || item.description || item.extract || item.summary || item.content || '')
+                .replace(/<[^>]*>/g, '')
+                .replace(/\s+/g, ' ')
+                .trim()
+                .substring(0, 500),
+            source: item.source || item.provider || item.displayLink || ''
+        })).filter(source => /^https?:\/\//i.test(source.url));
+
+        return this.dedupeSources(sources);
+    }
+
+    /**
+     * Drop sources that point at the same URL
+     * @param {Array} sources - Sources
+     * @returns {Array} Unique sources, first occurrence kept
+     */
+    dedupeSources(sources) {
+        const seen = new Set();
+        return sources.filter(source => {
+            if (seen.has(source.url)) return false;
+            seen.add(source.url);
+            return true;
+        });
+    }
+
+    /**
+     * Build the system message that grounds an answer in search results
+     * @param {string} query - Search query
+     * @param {Array} sources - Sources to cite
+     * @returns {Object} System message for the API payload
+     */
+    buildSearchContextMessage(query, sources) {
+        const sourceText = sources.map((source, index) =>
+            `[${index + 1}] ${source.title || source.url}\n${source.url}${source.snippet ? `\n${source.snippet}` : ''}`
+        ).join('\n\n');
+
+        return {
+            role: 'system',
+            content: `Web search results for "${query}" (retrieved ${new Date().toISOString().split('T')[0]}):\n\n${sourceText}\n\n` +
+                'Use these results where they are relevant and cite them inline by number, like [1]. ' +
+                'Do not cite sources that are not listed.',
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Validate conversation history format
+     * The chat's persona prompt, if any, comes first as a system message, then the
+     * rolling summary; the oldest messages that do not fit the context window are left out
+     * @param {Object} options - { model, maxTokens, reservedTokens } (see getContextPlan), and
+     *                           vision to send attached images with their messages
+     * @returns {Array} Validated conversation history
+     */
+    validateConversationHistory(options = {}) {
+        if (!Array.isArray(this.conversationHistory)) {
+            console.warn('Conversation history is not an array, initializing empty array');
+            return [];
+        }
+
+        const plan = this.getContextPlan(options);
+        if (plan.dropped.length > 0) {
+            console.warn(`Leaving out ${plan.dropped.length} older messages to fit the ${plan.limit}-token context window`);
+        }
+
+        return plan.systemMessages.concat(plan.kept).map(msg => {
+            const entry = {
+                role: msg.role,
+                content: msg.content,
+                timestamp: msg.timestamp
+            };
+
+            // Images go with their message as base64 data (the "images" field of Ollama-style chat APIs)
+            if (options.vision && msg.id !== undefined) {
+                const source = this.messages.find(m => m.id == msg.id);
+                const images = source ? AttachmentReader.getImageData(source.attachments) : [];
+                if (images.length > 0) {
+                    entry.images = images;
+                }
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Work out which messages of the open chat fit the model's context window
+     * @param {Object} options - Request settings
+     * @param {string} [options.model] - Model; defaults to the chat's model
+     * @param {number} [options.maxTokens] - Tokens kept free for the reply
+     * @param {number} [options.reservedTokens] - Tokens needed by other parts of the request (search results)
+     * @returns {Object} { systemMessages, kept, dropped, summarizedCount, used, limit }
+     */
+    getContextPlan(options = {}) {
+        const now = new Date().toISOString();
+        const history = (Array.isArray(this.conversationHistory) ? this.conversationHistory : [])
+            .filter(msg => msg && typeof msg === 'object')
+            .map(msg => ({
+                id: msg.id,
+                role: msg.role || 'user',
+                content: msg.content || '',
+                timestamp: msg.timestamp || now
+            }))
+            .filter(msg => msg.content.trim().length > 0);
+
+        const systemMessages = [];
+        const persona = this.getActivePersona();
+        if (persona) {
+            systemMessages.push({ role: 'system', content: persona.systemPrompt, timestamp: now });
+        }
+
+        // The summary stands in for every message up to the one it was made through,
+        // as long as that message is still on the active branch
+        let summarizedCount = 0;
+        if (this.contextSummaryEnabled && this.contextSummary) {
+            const throughIndex = history.findIndex(msg => msg.id !== undefined && String(msg.id) === String(this.contextSummary.throughId));
+            if (throughIndex !== -1) {
+                summarizedCount = throughIndex + 1;
+                systemMessages.push({
+                    role: 'system',
+                    content: `Summary of the earlier part of this conversation:\n${this.contextSummary.text}`,
+                    timestamp: now
+                });
+            }
+        }
+
+        const limit = ContextBudget.getContextWindow(options.model || this.currentChatMeta.pinnedModel || this.currentModel);
+        const fixedTokens = (options.maxTokens ?? this.defaultMaxTokens) +
+            (options.reservedTokens || 0) +
+            systemMessages.reduce((sum, msg) => sum + ContextBudget.estimateMessageTokens(msg), 0);
+        const { kept, dropped, used } = ContextBudget.trim(history.slice(summarizedCount), limit - fixedTokens);
+
+        return {
+            systemMessages,
+            kept,
+            dropped,
+            summarizedCount,
+            used: used + fixedTokens,
+            limit
+        };
+    }
+
+    /**
+     * Add the messages that no longer fit the context window to the rolling summary
+     * Failures are logged and the messages are simply left out
+     * @param {Object} options - Request settings (see getContextPlan)
+     * @param {string} userToken - Firebase auth token
+     * @param {AbortSignal} signal - Optional abort signal
+     */
+    async updateContextSummary(options, userToken, signal = null) {
+        // Requests sent side by side (compare mode) wait for one update instead of each making their own
+        while (this.contextSummaryUpdate) {
+            await this.contextSummaryUpdate.catch(() => {});
+        }
+
+        const plan = this.getContextPlan(options);
+        if (plan.dropped.length === 0) return;
+
+        this.contextSummaryUpdate = this.requestContextSummary(plan, options, userToken, signal);
+        try {
+            await this.contextSummaryUpdate;
+        } finally {
+            this.contextSummaryUpdate = null;
+        }
+    }
+
+    /**
+     * Ask the model to fold messages into the rolling summary
+     * @param {Object} plan - Context plan whose dropped messages are summarized
+     * @param {Object} options - Request settings (see getContextPlan)
+     * @param {string} userToken - Firebase auth token
+     * @param {AbortSignal} signal - Optional abort signal
+     */
+    async requestContextSummary(plan, options, userToken, signal) {
+        // A very long backlog is summarized from its newest part only
+        const { kept: toSummarize } = ContextBudget.trim(plan.dropped, Math.floor(plan.limit / 2) - this.contextSummaryMaxTokens);
+        const transcript = toSummarize
+            .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+            .join('\n\n');
+        const previous = plan.summarizedCount > 0 ? this.contextSummary.text : '';
+
+        const payload = {
+            model: options.model || this.currentModel,
+            messages: [
+                {
+                    role: 'system',
+                    content: 'You keep a running summary of a conversation between a user and an assistant. ' +
+                        'Merge the new messages into the summary. Keep facts, decisions, names, numbers and open questions; ' +
+                        'drop small talk. Answer with the summary only.'
+                },
+                {
+                    role: 'user',
+                    content: `${previous ? `Summary so far:\n${previous}\n\n` : ''}New messages:\n${transcript}`
+                }
+            ],
+            max_tokens: this.contextSummaryMaxTokens,
+            temperature: 0.2
+        };
+
+        try {
+            const response = await this.makeApiRequest(payload, userToken, 0, signal);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (!data.success || !(data.response || '').trim()) {
+                throw new Error(data.error || 'Empty summary');
+            }
+
+            this.contextSummary = {
+                text: data.response.trim(),
+                throughId: plan.dropped[plan.dropped.length - 1].id
+            };
+            console.log(`Summarized ${plan.dropped.length} older messages`);
+            this.updateContextIndicator();
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Failed to update the conversation summary, leaving older messages out:', error);
+        }
+    }
+
+    /**
+     * Show how much of the model's context window the open chat uses
+     */
+    updateContextIndicator() {
+        const indicator = document.getElementById('context-indicator');
+        if (!indicator) return;
+
+        const persona = this.getActivePersona();
+        const plan = this.getContextPlan({ maxTokens: persona?.maxTokens ?? this.defaultMaxTokens });
+        const ratio = plan.used / plan.limit;
+
+        let text = `Context ${Math.min(100, Math.round(ratio * 100))}% · ~${ContextBudget.formatTokens(plan.used)} of ${ContextBudget.formatTokens(plan.limit)} tokens`;
+        if (plan.summarizedCount > 0) {
+            text += ` · ${plan.summarizedCount} earlier ${plan.summarizedCount === 1 ? 'message' : 'messages'} summarized`;
+        }
+        if (plan.dropped.length > 0) {
+            text += this.contextSummaryEnabled
+                ? ` · ${plan.dropped.length} more will be summarized`
+                : ` · ${plan.dropped.length} oldest ${plan.dropped.length === 1 ? 'message' : 'messages'} left out`;
+        }
+
+        indicator.querySelector('.context-text').textContent = text;
+        indicator.querySelector('.context-meter-fill').style.width = `${Math.min(100, ratio * 100)}%`;
+        indicator.classList.toggle('warning', ratio >= 0.8 || plan.dropped.length > 0);
+        indicator.title = 'Estimated share of the model\'s context window used by this chat, including room for the reply';
+    }
+
+    /**
+     * Turn the rolling summary on or off
+     * @param {boolean} enabled - Whether trimmed messages are summarized
+     */
+    setContextSummaryEnabled(enabled) {
+        this.contextSummaryEnabled = enabled;
+        localStorage.setItem('chatbot-context-summary', String(enabled));
+        this.updateContextIndicator();
+    }
+
+    /**
+     * Make API request with retry logic
+     * @param {Object} payload - Request payload
+     * @param {string} userToken - Firebase auth token
+     * @param {number} retryCount - Attempts made so far
+     * @param {AbortSignal} signal - Optional abort signal; an aborted request is never retried
+     * @returns {Promise<Response>} API response
+     */
+    async makeApiRequest(payload, userToken, retryCount = 0, signal = null) {
+        const maxRetries = 3;
+        const retryDelay = 1000; // 1 second
+
+        try {
+            const headers = {
+                'Content-Type': 'application/json',
+                'Accept': payload.stream
+                    ? 'text/event-stream, application/x-ndjson, application/json'
+                    : 'application/json'
+            };
+            
+            if (userToken) {
+                headers['Authorization'] = `Bearer ${userToken}`;
+            }
+
+            const response = await fetch(Config.getApiUrl('chatbot'), {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(payload),
+                signal: signal || undefined
+            });
+
+            // If 400 error and we have retries left, try again
+            if (!response.ok && response.status === 400 && retryCount < maxRetries && !signal?.aborted) {
+                console.warn(`400 error on attempt ${retryCount + 1}, retrying in ${retryDelay}ms...`);
+                await this.waitForRetry(retryDelay, signal);
+                return this.makeApiRequest(payload, userToken, retryCount + 1, signal);
+            }
+
+            return response;
+        } catch (error) {
+            // A stopped generation must not come back as a retry
+            if (error.name === 'AbortError' || signal?.aborted) {
+                throw error;
+            }
+
+            if (retryCount < maxRetries) {
+                console.warn(`Network error on attempt ${retryCount + 1}, retrying in ${retryDelay}ms...`);
+                await this.waitForRetry(retryDelay, signal);
+                return this.makeApiRequest(payload, userToken, retryCount + 1, signal);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Wait before retrying a request, bailing out early if it gets aborted
+     * @param {number} delay - Delay in milliseconds
+     * @param {AbortSignal} signal - Optional abort signal
+     * @returns {Promise<void>}
+     */
+    waitForRetry(delay, signal = null) {
+        return new Promise((resolve, reject) => {
+            const abortError = () => new DOMException('Request aborted', 'AbortError');
+
+            if (signal?.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            const timer = setTimeout(resolve, delay);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(abortError());
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Reset conversation history if corrupted
+     */
+    resetConversationHistory() {
+        console.warn('Resetting conversation history due to corruption');
+        this.conversationHistory = [];
+        this.showNotification('Conversation history has been reset', 'info');
+    }
+
+    /**
+     * Send user message
+     */
+    async sendMessage() {
+        const chatInput = document.getElementById('chat-input');
+        const message = chatInput.value.trim();
+        const attachments = this.pendingAttachments;
+
+        if ((!message && attachments.length === 0) || this.isTyping) {
+            return;
+        }
+
+        // Images need a model that can see them; in compare mode the others answer from the text
+        if (attachments.some(attachment => attachment.kind === 'image')) {
+            const models = this.compareModels.length >= 2
+                ? this.compareModels
+                : [this.currentChatMeta.pinnedModel || this.currentModel];
+            if (!models.some(model => AttachmentReader.supportsVision(model, this.availableModels))) {
+                this.showNotification(`${this.getModelLabel(models[0]) || 'This model'} cannot read images. Choose a vision model with /model or remove the image`, 'error');
+                return;
+            }
+        }
+
+        // Generate chat ID if this is the first message
+        if (!this.currentChatId) {
+            this.currentChatId = this.generateChatId();
+            this.updateURL(this.currentChatId);
+        }
+
+        // Clear input
+        chatInput.value = '';
+        this.pendingAttachments = [];
+        this.renderAttachmentTray();
+        this.updateCharCount();
+        this.autoResizeTextarea();
+        this.toggleSendButton();
+
+        // An edit keeps the original and branches off from the same parent
+        if (this.editingMessageId !== null) {
+            const editIndex = this.messages.findIndex(m => m.id == this.editingMessageId);
+            this.editingMessageId = null;
+            if (editIndex !== -1) {
+                this.messages = this.messages.slice(0, editIndex);
+                this.renderMessages();
+            }
+        }
+
+        // Add user message to chat
+        this.addMessage('user', message, attachments.length > 0 ? { attachments } : {});
+
+        // Conversation history for the API follows the active branch
+        this.syncConversationHistory();
+
+        const chatId = this.currentChatId;
+        const searchWeb = this.takeWebSearch();
+        if (this.compareModels.length >= 2) {
+            await this.generateComparison(message, searchWeb);
+        } else {
+            await this.generateReply(message, searchWeb);
+        }
+
+        // Switching chats already saved this one; saving now would write into the chat opened since
+        if (this.currentChatId !== chatId) return;
+
+        // Save current chat and update sidebar
+        await this.saveCurrentChat();
+        
+        // Check for mobile promotional banner after 5 messages
+        this.checkMobilePromo();
+    }
+
+    /**
+     * Request an assistant reply for the end of the active branch
+     * @param {string} message - User message being answered
+     * @param {boolean} searchWeb - Whether to look the message up on the web first
+     */
+    async generateReply(message, searchWeb = false) {
+        // Lets the Stop button cancel this generation
+        const abortController = new AbortController();
+        this.abortController = abortController;
+
+        // The reply belongs to the chat it was asked in, not whichever one is open when it arrives
+        const chatId = this.currentChatId;
+        const messageTree = this.messageTree;
+        const isChatOpen = () => this.currentChatId === chatId && this.messageTree === messageTree;
+
+        // Show typing indicator
+        this.showTypingIndicator();
+
+        // Assistant bubble that streamed tokens are written into
+        let streamingMessage = null;
+        let replyDetails = {};
+        const requestOptions = { signal: abortController.signal };
+        if (this.streamingEnabled) {
+            requestOptions.onToken = (token, fullText) => {
+                if (!isChatOpen()) return;
+                if (!streamingMessage) {
+                    streamingMessage = this.beginStreamingMessage(replyDetails);
+                }
+                streamingMessage.content = fullText;
+                this.updateStreamingMessage(streamingMessage);
+            };
+        }
+
+        try {
+            // Look the question up first when web search was on for this message
+            if (searchWeb) {
+                const sources = await this.searchWebSafely(message, abortController.signal);
+                if (sources.length > 0) {
+                    requestOptions.sources = sources;
+                    replyDetails = { sources };
+                }
+            }
+
+            // Send to AI
+            const response = await this.sendToAI(message, requestOptions);
+
+            // Hide typing indicator
+            this.hideTypingIndicator();
+
+            if (!isChatOpen()) return;
+
+            if (response && response.success) {
+                if (streamingMessage) {
+                    // Settle the streamed bubble on the final text
+                    streamingMessage.content = response.response;
+                    streamingMessage.model = response.model;
+                    this.finishStreamingMessage(streamingMessage);
+                } else {
+                    // Add AI response to chat
+                    this.addMessage('assistant', response.response, { ...replyDetails, model: response.model });
+                }
+            } else {
+                throw new Error(response?.error || 'Failed to get response from AI');
+            }
+        } catch (error) {
+            // Hide typing indicator
+            this.hideTypingIndicator();
+
+            if (!isChatOpen()) return;
+
+            const wasStopped = error.name === 'AbortError' || abortController.signal.aborted;
+
+            // Keep whatever part of a streamed answer arrived before the failure
+            if (streamingMessage) {
+                streamingMessage.content = error.partialResponse || streamingMessage.content;
+                if (wasStopped) {
+                    streamingMessage.stopped = true;
+                }
+                this.finishStreamingMessage(streamingMessage);
+            }
+
+            if (wasStopped) {
+                this.showNotification('Response stopped', 'info');
+            } else {
+                this.showSendError(error);
+            }
+        } finally {
+            if (this.abortController === abortController) {
+                this.abortController = null;
+            }
+        }
+
+        // Add AI response (or the partial answer) to conversation history
+        this.syncConversationHistory();
+    }
+
+    /**
+     * Ask every compare-mode model for an answer to the end of the active branch
+     * Each answer is kept as a version of the reply; the first is shown until the user picks one
+     * @param {string} message - User message being answered
+     * @param {boolean} searchWeb - Whether to look the message up on the web first
+     */
+    async generateComparison(message, searchWeb = false) {
+        const abortController = new AbortController();
+        this.abortController = abortController;
+        this.isTyping = true;
+        this.toggleSendButton();
+
+        const chatId = this.currentChatId;
+        const userMessage = this.messages[this.messages.length - 1];
+        const models = [...this.compareModels];
+        const group = this.renderComparisonGroup(userMessage, models);
+
+        const requestOptions = { signal: abortController.signal };
+        if (searchWeb) {
+            let sources;
+            try {
+                sources = await this.searchWebSafely(message, abortController.signal);
+            } catch (error) {
+                // Only a stop gets past searchWebSafely; it ends the comparison before any model is asked
+                group.remove();
+                if (this.abortController === abortController) {
+                    this.abortController = null;
+                }
+                this.isTyping = false;
+                this.toggleSendButton();
+                if (this.currentChatId === chatId) {
+                    this.showNotification('Response stopped', 'info');
+                }
+                return;
+            }
+            if (sources.length > 0) {
+                requestOptions.sources = sources;
+            }
+        }
+
+        const results = await Promise.all(models.map(async (model, index) => {
+            const started = performance.now();
+            let result;
+            try {
+                const response = await this.sendToAI(message, { ...requestOptions, model });
+                if (!response || !response.success) {
+                    throw new Error(response?.error || 'No answer');
+                }
+                result = { model, content: response.response, latency: Math.round(performance.now() - started) };
+            } catch (error) {
+                const stopped = error.name === 'AbortError' || abortController.signal.aborted;
+                result = { model, error: stopped ? 'Stopped' : error.message, latency: Math.round(performance.now() - started) };
+            }
+            this.renderComparisonResult(group, index, result);
+            return result;
+        }));
+
+        if (this.abortController === abortController) {
+            this.abortController = null;
+        }
+        this.isTyping = false;
+        this.toggleSendButton();
+
+        // The user moved to another chat while the answers were coming in
+        if (this.currentChatId !== chatId) return;
+
+        const answers = results.filter(result => result.content);
+        if (answers.length === 0) {
+            this.showNotification('None of the models answered', 'error');
+            return;
+        }
+
+        answers.forEach(result => {
+            const reply = {
+                id: Date.now() + Math.random(),
+                type: 'assistant',
+                content: result.content,
+                timestamp: new Date().toISOString(),
+                model: result.model,
+                latency: result.latency,
+                ...(requestOptions.sources ? { sources: requestOptions.sources } : {})
+            };
+            this.messageTree.insert(reply, userMessage.id);
+            result.messageId = reply.id;
+        });
+        this.messageTree.select(answers[0].messageId);
+        this.messages = this.messageTree.getActivePath();
+        this.syncConversationHistory();
+
+        this.markComparisonWinners(group, results);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Add the side-by-side columns for a comparison, each waiting for its answer
+     * @param {Object} userMessage - Message being answered
+     * @param {Array<string>} models - Model IDs
+     * @returns {HTMLElement} Comparison element
+     */
+    renderComparisonGroup(userMessage, models) {
+        const group = document.createElement('div');
+        group.className = 'message-container assistant-message comparison-group';
+        group.setAttribute('data-comparison-for', userMessage.id);
+        group.innerHTML = `
+            <div class="message-avatar">
+                <div class="avatar-icon">🤖</div>
+            </div>
+            <div class="comparison-columns">
+                ${models.map((model, index) => `
+                    <div class="comparison-column" data-index="${index}">
+                        <div class="comparison-header">
+                            <span class="comparison-model">${MarkdownRenderer.escapeHtml(this.getModelLabel(model))}</span>
+                            <span class="comparison-stats"></span>
+                        </div>
+                        <div class="message-text markdown-body">
+                            <div class="typing-dots"><span></span><span></span><span></span></div>
+                        </div>
+                        <div class="comparison-actions"></div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        group.addEventListener('click', async (e) => {
+            const pickBtn = e.target.closest('[data-pick-message]');
+            if (pickBtn) {
+                await this.pickComparisonWinner(pickBtn.getAttribute('data-pick-message'));
+            }
+        });
+
+        document.getElementById('chat-messages').appendChild(group);
+        this.scrollToBottom();
+        return group;
+    }
+
+    /**
+     * Fill one comparison column with its answer or error
+     * @param {HTMLElement} group - Comparison element
+     * @param {number} index - Column index
+     * @param {Object} result - { model, content?, error?, latency }
+     */
+    renderComparisonResult(group, index, result) {
+        const column = group.querySelector(`.comparison-column[data-index="${index}"]`);
+        if (!column) return;
+
+        const text = column.querySelector('.message-text');
+        const stats = column.querySelector('.comparison-stats');
+        const latency = `${(result.latency / 1000).toFixed(1)}s`;
+
+        if (result.error) {
+            column.classList.add('failed');
+            text.innerHTML = `<p class="comparison-error">${MarkdownRenderer.escapeHtml(result.error)}</p>`;
+            stats.textContent = latency;
+            return;
+        }
+
+        const words = result.content.trim().split(/\s+/).filter(Boolean).length;
+        text.innerHTML = this.formatMessage(result.content, 'assistant');
+        stats.textContent = `${latency} · ${words} words · ~${ContextBudget.estimateTokens(result.content)} tokens`;
+    }
+
+    /**
+     * Badge the fastest and longest answers and offer to continue with each
+     * @param {HTMLElement} group - Comparison element
+     * @param {Array} results - Results in column order, with messageId on saved answers
+     */
+    markComparisonWinners(group, results) {
+        const answered = results.filter(result => result.messageId);
+        const fastest = Math.min(...answered.map(result => result.latency));
+        const longest = Math.max(...answered.map(result => result.content.length));
+
+        results.forEach((result, index) => {
+            const column = group.querySelector(`.comparison-column[data-index="${index}"]`);
+            if (!column || !result.messageId) return;
+
+            const badges = [];
+            if (answered.length > 1 && result.latency === fastest) badges.push('Fastest');
+            if (answered.length > 1 && result.content.length === longest) badges.push('Longest');
+
+            column.querySelector('.comparison-actions').innerHTML = `
+                ${badges.map(badge => `<span class="comparison-badge">${badge}</span>`).join('')}
+                <button type="button" class="btn btn-secondary" data-pick-message="${result.messageId}">Continue with this</button>
+            `;
+        });
+    }
+
+    /**
+     * Keep a compared answer and continue the chat with the model that wrote it
+     * @param {string} messageId - ID of the chosen answer
+     */
+    async pickComparisonWinner(messageId) {
+        if (this.isTyping) return;
+
+        const answer = this.messageTree.get(messageId);
+        if (!answer) return;
+
+        this.messageTree.select(answer.id);
+        this.messages = this.messageTree.getActivePath();
+        this.syncConversationHistory();
+        this.renderMessages();
+
+        // Further messages go to the winner; compare mode ends with the pick
+        this.compareModels = [];
+        this.updateCompareToggle();
+        await this.updateChatMetadata(this.currentChatId, { pinnedModel: answer.model });
+        this.updateModelIndicator();
+        this.showNotification(`Continuing with ${this.getModelLabel(answer.model)}`, 'success');
+    }
+
+    /**
+     * Choose the model the open chat continues with
+     * @param {string|null} modelId - Model ID, or null for the default model
+     */
+    async setPinnedModel(modelId) {
+        const changes = { pinnedModel: modelId || null };
+
+        // A chat without messages is not saved yet; the model is saved with its first message
+        if (this.messages.length === 0) {
+            this.currentChatMeta = this.getChatMetadata({ ...this.currentChatMeta, ...changes });
+        } else {
+            await this.updateChatMetadata(this.currentChatId, changes);
+        }
+        this.updateModelIndicator();
+        this.showNotification(modelId ? `Using ${this.getModelLabel(modelId)} in this chat` : 'Back to the default model', 'info');
+    }
+
+    /**
+     * Load the models offered in compare mode
+     * @returns {Promise<Array>} Models ({ id, name })
+     */
+    async loadAvailableModels() {
+        if (this.availableModels) return this.availableModels;
+
+        const data = await apiService.getAvailableModels();
+        const models = Array.isArray(data) ? data : (data && data.models) || [];
+        this.availableModels = models
+            .map(model => typeof model === 'string' ? { id: model, name: model } : { ...model, id: model.id || model.name })
+            .filter(model => model.id);
+        return this.availableModels;
+    }
+
+    /**
+     * Get a model's display name
+     * @param {string} modelId - Model ID
+     * @returns {string} Name
+     */
+    getModelLabel(modelId) {
+        const model = (this.availableModels || []).find(m => m.id === modelId);
+        return model && model.name ? model.name : modelId;
+    }
+
+    /**
+     * Open the compare mode dialog to pick the models that answer side by side
+     */
+    async showCompareSetup() {
+        document.getElementById('compare-modal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'compare-modal';
+        modal.className = 'modal-overlay show';
+        modal.innerHTML = `
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">Compare models</h3>
+                    <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <p class="export-hint">Pick 2 or ${this.maxCompareModels} models. Each message you send is answered by all of them side by side; continue with the answer you like best.</p>
+                    <div id="compare-model-list" class="compare-model-list">
+                        <p class="export-hint">Loading models...</p>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" id="compare-off-btn" ${this.compareModels.length ? '' : 'disabled'}>Turn off</button>
+                        <button type="button" class="btn btn-primary" id="compare-start-btn" disabled>Compare</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const list = modal.querySelector('#compare-model-list');
+        const startBtn = modal.querySelector('#compare-start-btn');
+
+        let models;
+        try {
+            models = await this.loadAvailableModels();
+        } catch (error) {
+            console.error('Failed to load models:', error);
+            list.innerHTML = '<p class="export-empty">Could not load the list of models.</p>';
+            return;
+        }
+
+        if (models.length < 2) {
+            list.innerHTML = '<p class="export-empty">At least two models are needed to compare.</p>';
+            return;
+        }
+
+        const selected = this.compareModels.length > 0
+            ? this.compareModels
+            : [this.currentChatMeta.pinnedModel || this.currentModel];
+        list.innerHTML = models.map(model => `
+            <label class="compare-model-option" title="${MarkdownRenderer.escapeHtml(model.description || '')}">
+                <input type="checkbox" value="${MarkdownRenderer.escapeHtml(model.id)}" ${selected.includes(model.id) ? 'checked' : ''}>
+                <span>${MarkdownRenderer.escapeHtml(model.name || model.id)}${model.source ? ` <small>(${MarkdownRenderer.escapeHtml(model.source)})</small>` : ''}</span>
+            </label>
+        `).join('');
+
+        const getChecked = () => Array.from(list.querySelectorAll('input:checked')).map(input => input.value);
+        const updateButtons = () => {
+            const count = getChecked().length;
+            startBtn.disabled = count < 2;
+            list.querySelectorAll('input:not(:checked)').forEach(input => {
+                input.disabled = count >= this.maxCompareModels;
+            });
+        };
+        list.addEventListener('change', updateButtons);
+        updateButtons();
+
+        startBtn.addEventListener('click', () => {
+            this.compareModels = getChecked();
+            this.updateCompareToggle();
+            modal.remove();
+            this.showNotification(`Comparing ${this.compareModels.map(model => this.getModelLabel(model)).join(', ')}`, 'info');
+        });
+
+        modal.querySelector('#compare-off-btn').addEventListener('click', () => {
+            this.compareModels = [];
+            this.updateCompareToggle();
+            modal.remove();
+            this.showNotification('Compare mode off', 'info');
+        });
+    }
+
+    /**
+     * Sync the compare button and input placeholder with compare mode
+     */
+    updateCompareToggle() {
+        const active = this.compareModels.length >= 2;
+        const compareBtn = document.getElementById('compare-toggle-btn');
+        if (compareBtn) {
+            compareBtn.classList.toggle('active', active);
+            compareBtn.setAttribute('aria-pressed', String(active));
+            compareBtn.title = active
+                ? `Comparing ${this.compareModels.map(model => this.getModelLabel(model)).join(', ')}`
+                : 'Compare models';
+        }
+
+        const chatInput = document.getElementById('chat-input');
+        if (chatInput) {
+            chatInput.placeholder = active ? `Ask ${this.compareModels.length} models at once...` : 'Ask anything, or type / for commands...';
+        }
+    }
+
+    /**
+     * Show the model the open chat continues with, if one was picked
+     */
+    updateModelIndicator() {
+        const chip = document.getElementById('model-chip');
+        if (!chip) return;
+
+        const model = this.currentChatMeta.pinnedModel;
+        chip.classList.toggle('hidden', !model);
+        if (model) {
+            chip.querySelector('.model-chip-name').textContent = this.getModelLabel(model);
+        }
+        this.updateContextIndicator();
+    }
+
+    /**
+     * Rebuild the API conversation history from the active branch
+     */
+    syncConversationHistory() {
+        this.conversationHistory = this.buildConversationHistory(this.messages);
+        this.updateContextIndicator();
+    }
+
+    /**
+     * Build the API conversation history for a list of messages
+     * @param {Array} messages - Messages in display order
+     * @returns {Array} History entries ({ id, role, content, timestamp })
+     */
+    buildConversationHistory(messages) {
+        return messages
+            .filter(msg => (msg.type === 'user' || msg.type === 'assistant') && ((msg.content || '').trim() || msg.attachments?.length))
+            .map(msg => {
+                const historyEntry = {
+                    id: msg.id,
+                    role: msg.type,
+                    // Attached files go to the model as text after the message
+                    content: msg.attachments ? AttachmentReader.toContext(msg.content, msg.attachments) : msg.content,
+                    timestamp: msg.timestamp
+                };
+                if (msg.stopped) {
+                    historyEntry.stopped = true;
+                }
+                return historyEntry;
+            });
+    }
+
+    /**
+     * Start over with an empty conversation tree
+     */
+    resetMessageTree() {
+        this.messageTree = new ConversationTree();
+        this.messages = [];
+        this.conversationHistory = [];
+        this.editingMessageId = null;
+        this.chatClearedAt = null;
+        this.currentChatMeta = {};
+        this.contextSummary = null;
+        this.updateChatHeader();
+    }
+
+    /**
+     * Stop the in-flight generation, keeping any partial answer
+     */
+    stopGeneration() {
+        if (this.abortController && !this.abortController.signal.aborted) {
+            console.log('Stopping in-flight generation');
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Show a user-facing error for a failed message send
+     * @param {Error} error - Error thrown while sending
+     */
+    showSendError(error) {
+        // Handle specific error types with better user feedback
+        let errorMessage = 'An error occurred while processing your message.';
+        
+        if (error.message.includes('HTTP 400')) {
+            errorMessage = 'Invalid request format. Please try again.';
+        } else if (error.message.includes('HTTP 401')) {
+            errorMessage = 'Authentication required. Please log in again.';
+        } else if (error.message.includes('HTTP 403')) {
+            errorMessage = 'Access denied. Please check your permissions.';
+        } else if (error.message.includes('HTTP 429')) {
+            errorMessage = 'Too many requests. Please wait a moment and try again.';
+        } else if (error.message.includes('HTTP 500')) {
+            errorMessage = 'Server error. Please try again later.';
+        } else if (error.message.includes('Failed to fetch')) {
+            errorMessage = 'Network error. Please check your connection.';
+        } else if (error.message.includes('timeout')) {
+            errorMessage = 'Request timed out. Please try again.';
+        }
+
+        // Show error message
+        this.addMessage('system', `Error: ${errorMessage}`);
+        this.showErrorModal(errorMessage);
+        
+        // Log detailed error for debugging
+        console.error('Detailed error:', error);
+    }
+
+    /**
+     * Add message to chat
+     * @param {string} type - Message type (user, assistant, system)
+     * @param {string} content - Message content
+     * @param {Object} details - Extra fields stored on the message (e.g. sources)
+     * @returns {Object} The added message
+     */
+    addMessage(type, content, details = {}) {
+        const message = {
+            ...details,
+            id: Date.now() + Math.random(),
+            type: type,
+            content: content,
+            timestamp: new Date().toISOString()
+        };
+
+        // New messages continue the active branch
+        const parent = this.messages[this.messages.length - 1];
+        this.messageTree.add(message, parent ? parent.id : null);
+
+        this.messages.push(message);
+        this.renderMessage(message);
+
+        // Hide welcome message after first user message
+        if (type === 'user') {
+            const welcomeMessage = document.getElementById('welcome-message');
+            if (welcomeMessage) {
+                welcomeMessage.classList.add('hidden');
+            }
+        }
+
+        // Scroll to bottom
+        this.scrollToBottom();
+
+        return message;
+    }
+
+    /**
+     * Start an assistant bubble for a streamed reply
+     * @param {Object} details - Extra fields stored on the message (e.g. sources)
+     * @returns {Object} The message being streamed into
+     */
+    beginStreamingMessage(details = {}) {
+        // Swap the typing dots for the live bubble; isTyping stays set until the stream ends
+        const typingIndicator = document.getElementById('typing-indicator');
+        typingIndicator.classList.add('hidden');
+
+        const message = this.addMessage('assistant', '', details);
+        const messageElement = this.getMessageElement(message.id);
+        if (messageElement) {
+            messageElement.classList.add('streaming');
+        }
+        return message;
+    }
+
+    /**
+     * Re-render a streaming bubble, at most once per animation frame
+     * @param {Object} message - Message being streamed
+     */
+    updateStreamingMessage(message) {
+        if (this.streamRenderFrame) return;
+
+        this.streamRenderFrame = requestAnimationFrame(() => {
+            this.streamRenderFrame = null;
+            const messageElement = this.getMessageElement(message.id);
+            const textElement = messageElement?.querySelector('.message-text');
+            if (textElement) {
+                textElement.innerHTML = this.formatMessage(message.content, 'assistant', message.sources);
+            }
+            this.scrollToBottom();
+        });
+    }
+
+    /**
+     * Finalize a streaming bubble once the stream completes or stops
+     * @param {Object} message - Message that was streamed
+     */
+    finishStreamingMessage(message) {
+        if (this.streamRenderFrame) {
+            cancelAnimationFrame(this.streamRenderFrame);
+            this.streamRenderFrame = null;
+        }
+
+        const messageElement = this.getMessageElement(message.id);
+        if (messageElement) {
+            messageElement.classList.remove('streaming');
+            const textElement = messageElement.querySelector('.message-text');
+            if (textElement) {
+                textElement.innerHTML = this.formatMessage(message.content, 'assistant', message.sources);
+
+                if (message.stopped && !messageElement.querySelector('.message-stopped')) {
+                    textElement.insertAdjacentHTML('afterend', '<div class="message-stopped">Stopped</div>');
+                }
+            }
+
+            const timeElement = messageElement.querySelector('.message-time');
+            if (message.model && timeElement && !messageElement.querySelector('.message-model')) {
+                timeElement.insertAdjacentHTML('beforebegin', `<div class="message-model">${MarkdownRenderer.escapeHtml(this.getModelLabel(message.model))}</div>`);
+            }
+        }
+        this.scrollToBottom();
+    }
+
+    /**
+     * Find the rendered element for a message
+     * @param {string|number} messageId - Message ID
+     * @returns {Element|null} Message container element
+     */
+    getMessageElement(messageId) {
+        return document.querySelector(`.message-container[data-message-id="${messageId}"]`);
+    }
+
+    /**
+     * Render message in chat
+     * @param {Object} message - Message object
+     */
+    renderMessage(message) {
+        const chatMessages = document.getElementById('chat-messages');
+        const messageElement = document.createElement('div');
+        // Handle both 'type' and 'role' fields for backward compatibility
+        const messageType = message.type || message.role || 'user';
+        
+        // Ensure we have the correct message type for rendering
+        if (messageType === 'assistant') {
+            messageElement.className = `message-container assistant-message`;
+        } else {
+            messageElement.className = `message-container ${messageType}-message`;
+        }
+        messageElement.setAttribute('data-message-id', message.id);
+
+        const timestamp = new Date(message.timestamp).toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        let messageHTML = '';
+
+      if (messageType === 'user') {
+          messageHTML = `
+              <div class="message-avatar">
+                  <div class="avatar-icon">👤</div>
+              </div>
+              <div class="message-content">
+                  <div class="message-bubble">
+                      <div class="message-actions">
+                          <button class="action-btn copy-btn" title="Copy message" data-message-id="${message.id}">
+                              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                  <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                                  <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                              </svg>
+                          </button>
+                          <button class="action-btn edit-btn" title="Edit message" data-message-id="${message.id}">
+                              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                  <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                                  <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                              </svg>
+                          </button>
+                      </div>
+                      ${this.renderMessageAttachments(message)}
+                      ${message.content ? `<div class="message-text">${this.formatMessage(message.content, 'user')}</div>` : ''}
+                      ${this.renderBranchControls(message)}
+                      <div class="message-time">${timestamp}</div>
+                  </div>
+              </div>
+          `;
+        } else if (messageType === 'assistant') {
+            messageHTML = `
+                <div class="message-avatar">
+                    <div class="avatar-icon">🤖</div>
+                </div>
+                <div class="message-content">
+                    <div class="message-bubble">
+                        <div class="message-actions">
+                            <button class="action-btn copy-btn" title="Copy message" data-message-id="${message.id}">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                                    <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                                </svg>
+                            </button>
+                            <button class="action-btn regenerate-btn" title="Regenerate response" data-message-id="${message.id}">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <polyline points="23 4 23 10 17 10"></polyline>
+                                    <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+                                </svg>
+                            </button>
+                            ${this.renderFeedbackButtons(message)}
+                        </div>
+                        <div class="message-text markdown-body">${this.formatMessage(message.content, 'assistant', message.sources)}</div>
+                        ${message.stopped ? '<div class="message-stopped">Stopped</div>' : ''}
+                        ${this.renderSources(message)}
+                        ${this.renderBranchControls(message)}
+                        ${message.model ? `<div class="message-model">${MarkdownRenderer.escapeHtml(this.getModelLabel(message.model))}</div>` : ''}
+                        <div class="message-time">${timestamp}</div>
+                    </div>
+                </div>
+            `;
+        } else if (message.type === 'system') {
+            messageHTML = `
+                <div class="message-content">
+                    <div class="message-bubble" style="background: rgba(239, 68, 68, 0.1); border: 1px solid rgba(239, 68, 68, 0.2); color: #ef4444;">
+                        <div class="message-text">${this.formatMessage(message.content, 'system')}</div>
+                        <div class="message-time">${timestamp}</div>
+                    </div>
+                </div>
+            `;
+        }
+
+        messageElement.innerHTML = messageHTML;
+        chatMessages.appendChild(messageElement);
+    }
+
+    /**
+     * Render the "< 2/3 >" switcher for a message that has other versions
+     * @param {Object} message - Message object
+     * @returns {string} HTML, or an empty string when there is only one version
+     */
+    renderBranchControls(message) {
+        const siblings = this.messageTree.getSiblings(message.id);
+        if (siblings.length < 2) {
+            return '';
+        }
+
+        const position = siblings.findIndex(sibling => sibling.id == message.id) + 1;
+
+        return `
+            <div class="branch-controls">
+                <button class="branch-btn branch-prev-btn" title="Previous version" data-message-id="${message.id}" ${position <= 1 ? 'disabled' : ''}>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="15 18 9 12 15 6"></polyline>
+                    </svg>
+                </button>
+                <span class="branch-count">${position}/${siblings.length}</span>
+                <button class="branch-btn branch-next-btn" title="Next version" data-message-id="${message.id}" ${position >= siblings.length ? 'disabled' : ''}>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="9 18 15 12 9 6"></polyline>
+                    </svg>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the collapsible list of web sources behind an answer
+     * @param {Object} message - Assistant message
+     * @returns {string} HTML, or an empty string when the answer has no sources
+     */
+    renderSources(message) {
+        if (!Array.isArray(message.sources) || message.sources.length === 0) {
+            return '';
+        }
+
+        const items = message.sources.map((source, index) => {
+            const url = MarkdownRenderer.safeUrl(source.url || '', true);
+            const title = MarkdownRenderer.escapeHtml(source.title || source.url || 'Untitled source');
+            let domain = '';
+            try {
+                domain = new URL(source.url).hostname.replace(/^www\./, '');
+            } catch (error) {
+                domain = '';
+            }
+
+            return `
+                <li class="source-item">
+                    <span class="source-index">${index + 1}</span>
+                    ${url ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${title}</a>` : `<span>${title}</span>`}
+                    ${domain ? `<span class="source-domain">${MarkdownRenderer.escapeHtml(domain)}</span>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <details class="message-sources">
+                <summary>Sources (${message.sources.length})</summary>
+                <ol class="source-list">${items}</ol>
+            </details>
+        `;
+    }
+
+    /**
+     * Format message content
+     * Assistant replies are rendered as sanitized Markdown; user and system
+     * messages are shown as plain text
+     * @param {string} content - Message content
+     * @param {string} type - Message type ('user', 'assistant' or 'system')
+     * @param {Array<Object>} sources - Web sources that "[n]" citations link to
+     * @returns {string} Safe HTML
+     */
+    formatMessage(content, type = 'assistant', sources = null) {
+        if (type === 'assistant') {
+            return MarkdownRenderer.render(content || '', { citations: sources || [] });
+        }
+
+        return MarkdownRenderer.escapeHtml(content || '');
+    }
+
+    /**
+     * Show typing indicator
+     */
+    showTypingIndicator() {
+        this.isTyping = true;
+        const typingIndicator = document.getElementById('typing-indicator');
+        typingIndicator.classList.remove('hidden');
+        this.toggleSendButton();
+        this.scrollToBottom();
+    }
+
+    /**
+     * Hide typing indicator
+     */
+    hideTypingIndicator() {
+        this.isTyping = false;
+        const typingIndicator = document.getElementById('typing-indicator');
+        typingIndicator.classList.add('hidden');
+        this.toggleSendButton();
+    }
+
+    /**
+     * Scroll chat to bottom
+     */
+    scrollToBottom() {
+        const chatMessages = document.getElementById('chat-messages');
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    /**
+     * Update character count
+     */
+    updateCharCount() {
+        const chatInput = document.getElementById('chat-input');
+        const charCount = document.querySelector('.char-count');
+        const currentLength = chatInput.value.length;
+        
+        // Only update if char-count element exists
+        if (charCount) {
+            charCount.textContent = `${currentLength}/${this.maxMessageLength}`;
+            
+            if (currentLength > this.maxMessageLength * 0.9) {
+                charCount.classList.add('warning');
+            } else {
+                charCount.classList.remove('warning');
+            }
+        }
+    }
+
+    /**
+     * Read files and add them to the message being written
+     * Files that are unsupported, too large or unreadable are left out with a message saying why
+     * @param {Array<File>} files - Picked, dropped or pasted files
+     */
+    async addAttachments(files) {
+        const room = AttachmentReader.maxAttachments - this.pendingAttachments.length;
+        if (files.length > room) {
+            this.showNotification(`A message can have at most ${AttachmentReader.maxAttachments} attachments`, 'error');
+            files = files.slice(0, Math.max(room, 0));
+        }
+
+        for (const file of files) {
+            try {
+                const attachment = await AttachmentReader.read(file);
+                this.pendingAttachments.push(attachment);
+                if (attachment.truncated) {
+                    this.showNotification(`${attachment.name} is long; only its first ${AttachmentReader.maxTextChars.toLocaleString()} characters are included`, 'warning');
+                }
+            } catch (error) {
+                console.error('Failed to attach file:', error);
+                this.showNotification(error.message, 'error');
+            }
+        }
+
+        this.renderAttachmentTray();
+        this.toggleSendButton();
+        document.getElementById('chat-input')?.focus();
+    }
+
+    /**
+     * Take an attachment off the message being written
+     * @param {string} attachmentId - Attachment ID
+     */
+    removePendingAttachment(attachmentId) {
+        this.pendingAttachments = this.pendingAttachments.filter(attachment => attachment.id !== attachmentId);
+        this.renderAttachmentTray();
+        this.toggleSendButton();
+    }
+
+    /**
+     * Show the attachments of the message being written above the composer
+     */
+    renderAttachmentTray() {
+        const tray = document.getElementById('attachment-tray');
+        if (!tray) return;
+
+        tray.classList.toggle('hidden', this.pendingAttachments.length === 0);
+        tray.innerHTML = this.pendingAttachments.map(attachment => this.renderAttachmentChip(attachment, true)).join('');
+    }
+
+    /**
+     * Render the attachment chips of a sent message
+     * @param {Object} message - User message
+     * @returns {string} HTML
+     */
+    renderMessageAttachments(message) {
+        if (!Array.isArray(message.attachments) || message.attachments.length === 0) return '';
+
+        return `<div class="message-attachments">${message.attachments.map(attachment => this.renderAttachmentChip(attachment)).join('')}</div>`;
+    }
+
+    /**
+     * Render one attachment chip: a thumbnail or file icon, the name and the size
+     * @param {Object} attachment - Attachment
+     * @param {boolean} removable - Whether the chip has a remove button
+     * @returns {string} HTML
+     */
+    renderAttachmentChip(attachment, removable = false) {
+        const name = MarkdownRenderer.escapeHtml(attachment.name);
+        // Synced copies of a chat only keep the thumbnail
+        const imageUrl = attachment.kind === 'image' ? attachment.dataUrl || attachment.thumbnailUrl : null;
+        const icon = imageUrl && imageUrl.startsWith('data:image/')
+            ? `<img class="attachment-thumb" src="${MarkdownRenderer.escapeHtml(imageUrl)}" alt="">`
+            : `<span class="attachment-icon" aria-hidden="true">${{ pdf: '📕', image: '🖼️' }[attachment.kind] || '📄'}</span>`;
+
+        return `
+            <span class="attachment-chip" title="${name}${attachment.truncated ? ' (cut off)' : ''}">
+                ${icon}
+                <span class="attachment-name">${name}</span>
+                <span class="attachment-size">${AttachmentReader.formatSize(attachment.size || 0)}</span>
+                ${removable ? `<button type="button" class="attachment-remove" aria-label="Remove ${name}" data-remove-attachment="${MarkdownRenderer.escapeHtml(attachment.id)}">×</button>` : ''}
+            </span>
+        `;
+    }
+
+    /**
+     * Auto-resize textarea
+     */
+    autoResizeTextarea() {
+        const chatInput = document.getElementById('chat-input');
+        chatInput.style.height = 'auto';
+        chatInput.style.height = Math.min(chatInput.scrollHeight, 120) + 'px';
+    }
+
+    /**
+     * Toggle send button state
+     */
+    toggleSendButton() {
+        const chatInput = document.getElementById('chat-input');
+        const sendBtn = document.getElementById('send-btn');
+        const stopBtn = document.getElementById('stop-btn');
+        const hasText = chatInput.value.trim().length > 0;
+        const hasAttachments = this.pendingAttachments.length > 0;
+        
+        sendBtn.disabled = !(hasText || hasAttachments) || this.isTyping;
+
+        // Swap send for stop while a reply is being generated
+        if (stopBtn) {
+            sendBtn.classList.toggle('hidden', this.isTyping);
+            stopBtn.classList.toggle('hidden', !this.isTyping);
+        }
+    }
+
+    /**
+     * Request current configuration from backend
+     */
+    async requestCurrentConfig() {
+        try {
+            // Use consistent API base URL resolution
+            const response = await fetch(`${this.apiBaseUrl}/api/config`);
+            const data = await response.json();
+            
+            if (data.type === 'config') {
+                const newModel = data.data.primary;
+                if (this.currentModel !== newModel) {
+                    const oldModel = this.currentModel;
+                    console.log(`Updating model from config request: ${oldModel} -> ${newModel} (via requestCurrentConfig)`);
+                    this.currentModel = newModel;
+                    window.CURRENT_MODEL = newModel;
+                    localStorage.setItem('currentModel', newModel);
+                    sessionStorage.setItem('modelLastUpdated', new Date().toISOString());
+                    this.sseModelPriority = true;
+
+                    // Dispatch model change event for consistency with SSE updates
+                    window.dispatchEvent(new CustomEvent('modelChanged', { 
+                        detail: { oldModel, newModel } 
+                    }));
+                    
+                    // Show notification if we haven't shown one recently
+                    const lastNotification = sessionStorage.getItem('lastModelNotification');
+                    const now = Date.now();
+                    if (!lastNotification || (now - Number(lastNotification)) > 5000) { // 5 second debounce
+                        this.showNotification(`AI model updated to: ${newModel}`, 'success');
+                        sessionStorage.setItem('lastModelNotification', now.toString());
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to request current config:', error);
+        }
+    }
+
+    /**
+     * Clear chat
+     */
+    async clearChat() {
+        if (this.messages.length === 0) {
+            this.showNotification('Chat is already empty', 'info');
+            return;
+        }
+
+        if (confirm('Are you sure you want to clear the chat? This action cannot be undone.')) {
+            this.stopGeneration();
+            const chatMeta = this.currentChatMeta; // Clearing keeps the title, pin, folder and persona
+            this.resetMessageTree();
+            this.currentChatMeta = chatMeta;
+            this.updateChatHeader();
+            this.chatClearedAt = new Date().toISOString(); // Keeps other copies' messages from being merged back
+            
+            const chatMessages = document.getElementById('chat-messages');
+            chatMessages.innerHTML = '';
+            
+            const welcomeMessage = document.getElementById('welcome-message');
+            if (welcomeMessage) {
+                welcomeMessage.classList.remove('hidden');
+            }
+            
+            await this.saveCurrentChat();
+            this.showNotification('Chat cleared successfully', 'success');
+        }
+    }
+
+    /**
+     * Start a new chat
+     */
+    async startNewChat() {
+        // A reply still coming in would otherwise land in the new chat
+        this.stopGeneration();
+        
+        // Save current chat if it has messages
+        if (this.messages.length > 0 && this.currentChatId) {
+            await this.saveCurrentChat();
+        }
+        
+        // Generate new chat ID immediately
+        this.currentChatId = this.generateChatId();
+        this.resetMessageTree();
+        
+        // Clear the chat display
+        const chatMessages = document.getElementById('chat-messages');
+        chatMessages.innerHTML = '';
+        
+        // Show welcome message
+        const welcomeMessage = document.getElementById('welcome-message');
+        if (welcomeMessage) {
+            welcomeMessage.classList.remove('hidden');
+        }
+        
+        // Update URL with new chat ID
+        const url = new URL(window.location);
+        url.searchParams.set('c', this.currentChatId);
+        window.history.pushState({}, '', url.href);
+        
+        // Add new chat to sidebar
+        await this.updateChatHistory();
+        
+        // Show notification
+        this.showNotification('New chat started', 'success');
+        
+        // Scroll to top
+        this.scrollToBottom();
+    }
+
+    /**
+     * Wire up the chat search boxes in the desktop and mobile sidebars
+     */
+    setupChatSearch() {
+        [
+            ['chat-search-input', 'chat-search-results'],
+            ['mobile-chat-search-input', 'mobile-chat-search-results']
+        ].forEach(([inputId, resultsId]) => {
+            const input = document.getElementById(inputId);
+            const results = document.getElementById(resultsId);
+            if (!input || !results) return;
+
+            input.addEventListener('input', () => {
+                clearTimeout(this.chatSearchTimer);
+                this.chatSearchTimer = setTimeout(() => {
+                    this.runChatSearch(input.value, results);
+                }, 200);
+            });
+
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && input.value) {
+                    e.stopPropagation();
+                    input.value = '';
+                    this.runChatSearch('', results);
+                }
+            });
+
+            results.addEventListener('click', (e) => {
+                const result = e.target.closest('.search-result');
+                if (result) {
+                    this.openSearchResult(result.getAttribute('data-chat-id'), result.getAttribute('data-message-id'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Search chats and show the results in place of the chat list
+     * @param {string} query - Search text
+     * @param {HTMLElement} resultsEl - Results container of the sidebar being searched
+     */
+    async runChatSearch(query, resultsEl) {
+        const historyEl = resultsEl.parentElement.querySelector('.chat-history');
+        
+        if (!query.trim()) {
+            resultsEl.innerHTML = '';
+            resultsEl.classList.add('hidden');
+            historyEl?.classList.remove('hidden');
+            return;
+        }
+        
+        const results = await this.searchChats(query);
+        this.renderChatSearchResults(resultsEl, results, query);
+        resultsEl.classList.remove('hidden');
+        historyEl?.classList.add('hidden');
+    }
+
+    /**
+     * Find messages containing every word of the query, across all of the user's chats
+     * Every branch is searched, not only the versions currently shown
+     * @param {string} query - Search text
+     * @returns {Promise<Array>} Results ({ chat, message, snippet }), newest chats first
+     */
+    async searchChats(query) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return [];
+        
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        // Includes chats removed from this device to free storage but still on the backend
+        const chats = this.sortChats(await this.getAllChats());
+        const results = [];
+        
+        for (const chat of chats) {
+            const messages = (chat.messageTree && chat.messageTree.nodes) || chat.messages || [];
+            
+            for (const message of messages) {
+                const content = typeof message.content === 'string' ? message.content : '';
+                const text = content.toLowerCase();
+                if (!content || !terms.every(term => text.includes(term))) continue;
+                
+                results.push({ chat, message, snippet: this.buildSearchSnippet(content, terms) });
+                if (results.length >= this.chatSearchResultLimit) {
+                    return results;
+                }
+            }
+        }
+        
+        return results;
+    }
+
+    /**
+     * Cut a snippet around the first match and highlight every term
+     * @param {string} content - Message content
+     * @param {Array<string>} terms - Lower-case search terms
+     * @returns {string} Snippet HTML
+     */
+    buildSearchSnippet(content, terms) {
+        const text = content.replace(/\s+/g, ' ');
+        const firstMatch = Math.min(...terms.map(term => text.toLowerCase().indexOf(term)).filter(index => index >= 0));
+        const start = Math.max(0, firstMatch - 40);
+        const end = Math.min(text.length, firstMatch + 120);
+        const snippet = (start > 0 ? '…' : '') + text.substring(start, end) + (end < text.length ? '…' : '');
+        
+        // Split on the terms so matched and unmatched parts are escaped separately
+        const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return snippet.split(pattern).map((part, index) =>
+            index % 2 === 1 ? `<mark>${MarkdownRenderer.escapeHtml(part)}</mark>` : MarkdownRenderer.escapeHtml(part)
+        ).join('');
+    }
+
+    /**
+     * Render search results grouped by chat
+     * @param {HTMLElement} resultsEl - Results container
+     * @param {Array} results - Results from searchChats
+     * @param {string} query - Search text
+     */
+    renderChatSearchResults(resultsEl, results, query) {
+        if (results.length === 0) {
+            resultsEl.innerHTML = `<div class="history-empty">No messages match "${MarkdownRenderer.escapeHtml(query.trim())}"</div>`;
+            return;
+        }
+        
+        const groups = new Map();
+        results.forEach(result => {
+            if (!groups.has(result.chat.id)) {
+                groups.set(result.chat.id, []);
+            }
+            groups.get(result.chat.id).push(result);
+        });
+        
+        resultsEl.innerHTML = Array.from(groups.values()).map(group => `
+            <div class="search-result-group">
+                <div class="search-result-chat">${MarkdownRenderer.escapeHtml(group[0].chat.title || 'Untitled Chat')}</div>
+                ${group.map(({ chat, message, snippet }) => `
+                    <button type="button" class="search-result" data-chat-id="${MarkdownRenderer.escapeHtml(chat.id)}" data-message-id="${MarkdownRenderer.escapeHtml(String(message.id))}">
+                        <span class="search-result-role">${(message.role || message.type) === 'user' ? 'You' : 'AI'}</span>
+                        <span class="search-result-snippet">${snippet}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Open a chat from the search results, scrolled to the matching message
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - Matching message ID
+     */
+    async openSearchResult(chatId, messageId) {
+        if (chatId === this.currentChatId) {
+            this.closeMobileSidebar();
+        } else {
+            await this.navigateToChat(chatId);
+        }
+        
+        this.revealMessage(messageId);
+    }
+
+    /**
+     * Scroll to a message and flash it, switching to its branch if it is not shown
+     * @param {string} messageId - Message ID
+     */
+    revealMessage(messageId) {
+        if (!this.messages.some(message => message.id == messageId)) {
+            if (this.isTyping || !this.messageTree.reveal(messageId)) return;
+            
+            this.messages = this.messageTree.getActivePath();
+            this.editingMessageId = null;
+            this.syncConversationHistory();
+            this.renderMessages();
+        }
+        
+        const messageElement = this.getMessageElement(messageId);
+        if (!messageElement) return;
+        
+        messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        messageElement.classList.add('search-hit');
+        setTimeout(() => messageElement.classList.remove('search-hit'), 2000);
+    }
+
+    /**
+     * Update chat history in sidebar
+     * @param {Array} [chats] - Chats to show; fetched and merged when omitted
+     */
+    async updateChatHistory(chats = null) {
+        console.log('updateChatHistory called');
+        const historyList = document.getElementById('chat-history-list');
+        const mobileHistoryList = document.getElementById('mobile-chat-history-list');
+        const allChats = chats || await this.getAllChats();
+        console.log('updateChatHistory - allChats:', allChats.length, 'chats');
+        
+        if (!historyList) {
+            console.warn('historyList element not found');
+            return;
+        }
+        
+        // Desktop and mobile sidebars offer the same list and actions
+        this.renderHistoryList(historyList, allChats);
+        if (mobileHistoryList) {
+            this.renderHistoryList(mobileHistoryList, allChats);
+        }
+    }
+
+    /**
+     * Render the chat list of one sidebar
+     * @param {HTMLElement} listEl - History list element
+     * @param {Array} allChats - Every chat of the user
+     */
+    renderHistoryList(listEl, allChats) {
+        listEl.innerHTML = '';
+        
+        const archivedCount = allChats.filter(chat => chat.archived).length;
+        const visibleChats = allChats.filter(chat => !!chat.archived === this.showArchivedChats);
+        
+        if (visibleChats.length === 0) {
+            const emptyMessage = document.createElement('div');
+            emptyMessage.className = 'history-empty';
+            emptyMessage.textContent = this.showArchivedChats ? 'No archived chats' : 'No chat history yet';
+            listEl.appendChild(emptyMessage);
+        }
+        
+        this.groupChatsForSidebar(visibleChats).forEach(group => {
+            if (group.label) {
+                const heading = document.createElement('div');
+                heading.className = group.folder ? 'history-group-title history-folder-title' : 'history-group-title';
+                heading.textContent = group.label;
+                listEl.appendChild(heading);
+            }
+            
+            group.chats.forEach(chat => {
+                listEl.appendChild(this.createHistoryItem(chat));
+            });
+        });
+        
+        if (archivedCount > 0 || this.showArchivedChats) {
+            const archiveToggle = document.createElement('button');
+            archiveToggle.type = 'button';
+            archiveToggle.className = 'history-archive-toggle';
+            archiveToggle.textContent = this.showArchivedChats ? '← Back to chats' : `Archived chats (${archivedCount})`;
+            archiveToggle.addEventListener('click', () => {
+                this.showArchivedChats = !this.showArchivedChats;
+                this.updateChatHistory(allChats);
+            });
+            listEl.appendChild(archiveToggle);
+        }
+    }
+
+    /**
+     * Group chats for the sidebar: pinned first, then folders by name, then the rest
+     * Each group is ordered by the latest message
+     * @param {Array} chats - Chats to show
+     * @returns {Array} Groups ({ label, folder, chats }); label is null for an ungrouped list
+     */
+    groupChatsForSidebar(chats) {
+        const byActivity = [...chats].sort((a, b) => this.getChatActivityTime(b) - this.getChatActivityTime(a));
+        if (this.showArchivedChats) {
+            return [{ label: null, chats: byActivity }];
+        }
+        
+        const pinned = byActivity.filter(chat => chat.pinned);
+        const folders = new Map();
+        const recent = [];
+        
+        byActivity.filter(chat => !chat.pinned).forEach(chat => {
+            if (chat.folder) {
+                if (!folders.has(chat.folder)) {
+                    folders.set(chat.folder, []);
+                }
+                folders.get(chat.folder).push(chat);
+            } else {
+                recent.push(chat);
+            }
+        });
+        
+        const groups = [];
+        if (pinned.length > 0) {
+            groups.push({ label: 'Pinned', chats: pinned });
+        }
+        Array.from(folders.keys()).sort((a, b) => a.localeCompare(b)).forEach(folder => {
+            groups.push({ label: folder, folder: true, chats: folders.get(folder) });
+        });
+        if (recent.length > 0) {
+            groups.push({ label: groups.length > 0 ? 'Recent' : null, chats: recent });
+        }
+        
+        return groups;
+    }
+
+    /**
+     * Get when a chat last had a message saved (renaming or pinning does not count)
+     * @param {Object} chat - Chat
+     * @returns {number} Milliseconds since the epoch
+     */
+    getChatActivityTime(chat) {
+        return Date.parse(chat.timestamp || chat.updatedAt || chat.createdAt) || 0;
+    }
+
+    /**
+     * Build a sidebar entry for a chat
+     * @param {Object} chat - Chat
+     * @returns {HTMLElement} History item
+     */
+    createHistoryItem(chat) {
+        const historyItem = document.createElement('div');
+        historyItem.className = 'history-item';
+        if (chat.id === this.currentChatId) {
+            historyItem.classList.add('active');
+        }
+        if (chat.pinned) {
+            historyItem.classList.add('pinned');
+        }
+        
+        // Show chat title with timestamp and actions
+        const title = chat.title || 'Untitled Chat';
+        let date = 'Recent';
+        try {
+            const timestamp = chat.timestamp || chat.updatedAt || chat.createdAt;
+            if (timestamp) {
+                const dateObj = new Date(timestamp);
+                if (!isNaN(dateObj.getTime())) {
+                    date = dateObj.toLocaleDateString();
+                }
+            }
+        } catch (error) {
+            console.warn('Error parsing date:', error);
+        }
+        historyItem.setAttribute('data-chat-id', chat.id);
+        historyItem.innerHTML = `
+            <div class="history-content">
+                <div class="history-title">${MarkdownRenderer.escapeHtml(title)}</div>
+                <div class="history-date">${date}</div>
+            </div>
+            <button class="history-menu-btn" title="Chat options" aria-label="Chat options" aria-haspopup="true">
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                    <circle cx="5" cy="12" r="2"></circle>
+                    <circle cx="12" cy="12" r="2"></circle>
+                    <circle cx="19" cy="12" r="2"></circle>
+                </svg>
+            </button>
+            <button class="history-delete-btn" title="Delete chat" data-chat-id="${MarkdownRenderer.escapeHtml(chat.id)}">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M3 6h18M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6"></path>
+                    <line x1="10" y1="11" x2="10" y2="17"></line>
+                    <line x1="14" y1="11" x2="14" y2="17"></line>
+                </svg>
+            </button>
+        `;
+        
+        historyItem.addEventListener('click', async (e) => {
+            if (e.target.closest('.history-delete-btn')) {
+                e.stopPropagation();
+                await this.deleteChat(chat.id);
+            } else if (e.target.closest('.history-menu-btn')) {
+                e.stopPropagation();
+                this.toggleHistoryMenu(historyItem, chat);
+            } else if (e.target.closest('.history-menu')) {
+                e.stopPropagation();
+                const action = e.target.closest('[data-action]');
+                if (action) {
+                    await this.handleHistoryAction(action.getAttribute('data-action'), historyItem, chat);
+                }
+            } else if (!e.target.closest('.history-rename-input')) {
+                console.log('Sidebar: Navigating to chat:', chat.id);
+                this.navigateToChat(chat.id);
+            }
+        });
+        
+        return historyItem;
+    }
+
+    /**
+     * Open or close the actions menu of a sidebar entry
+     * @param {HTMLElement} historyItem - History item
+     * @param {Object} chat - Chat
+     */
+    toggleHistoryMenu(historyItem, chat) {
+        const openMenu = historyItem.querySelector('.history-menu');
+        document.querySelectorAll('.history-menu').forEach(menu => menu.remove());
+        if (openMenu) return;
+        
+        const menu = document.createElement('div');
+        menu.className = 'history-menu';
+        menu.setAttribute('role', 'menu');
+        menu.innerHTML = `
+            <button type="button" role="menuitem" data-action="rename">Rename</button>
+            <button type="button" role="menuitem" data-action="pin">${chat.pinned ? 'Unpin' : 'Pin to top'}</button>
+            <button type="button" role="menuitem" data-action="folder">${chat.folder ? 'Change folder' : 'Move to folder'}</button>
+            ${chat.folder ? '<button type="button" role="menuitem" data-action="unfolder">Remove from folder</button>' : ''}
+            <button type="button" role="menuitem" data-action="archive">${chat.archived ? 'Unarchive' : 'Archive'}</button>
+            <button type="button" role="menuitem" data-action="share">Share</button>
+        `;
+        historyItem.appendChild(menu);
+    }
+
+    /**
+     * Run an action picked from a sidebar entry's menu
+     * @param {string} action - rename, pin, folder, unfolder, archive or share
+     * @param {HTMLElement} historyItem - History item
+     * @param {Object} chat - Chat
+     */
+    async handleHistoryAction(action, historyItem, chat) {
+        historyItem.querySelector('.history-menu')?.remove();
+        
+        switch (action) {
+            case 'rename':
+                this.startRenameChat(historyItem, chat);
+                break;
+            case 'pin':
+                await this.updateChatMetadata(chat.id, { pinned: !chat.pinned });
+                break;
+            case 'folder': {
+                const folders = await this.getChatFolders();
+                const hint = folders.length > 0 ? `\nExisting folders: ${folders.join(', ')}` : '';
+                const folder = prompt(`Folder name${hint}`, chat.folder || '');
+                if (folder !== null && folder.trim() !== (chat.folder || '')) {
+                    await this.updateChatMetadata(chat.id, { folder: folder.trim() || null });
+                }
+                break;
+            }
+            case 'unfolder':
+                await this.updateChatMetadata(chat.id, { folder: null });
+                break;
+            case 'archive':
+                await this.updateChatMetadata(chat.id, { archived: !chat.archived });
+                this.showNotification(chat.archived ? 'Chat restored from the archive' : 'Chat archived', 'success');
+                break;
+            case 'share':
+                this.showShareManager(chat.id);
+                break;
+        }
+    }
+
+    /**
+     * Replace a sidebar entry's title with an input for renaming
+     * Enter or leaving the field saves; Escape cancels; an empty name goes back to the automatic title
+     * @param {HTMLElement} historyItem - History item
+     * @param {Object} chat - Chat
+     */
+    startRenameChat(historyItem, chat) {
+        const titleEl = historyItem.querySelector('.history-title');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'history-rename-input';
+        input.value = chat.title || '';
+        input.maxLength = 100;
+        input.setAttribute('aria-label', 'Chat name');
+        
+        titleEl.replaceWith(input);
+        input.focus();
+        input.select();
+        
+        let finished = false;
+        const finish = async (save) => {
+            if (finished) return;
+            finished = true;
+            
+            const title = input.value.trim();
+            if (save && title !== (chat.title || '')) {
+                await this.updateChatMetadata(chat.id, { customTitle: title || null });
+            } else {
+                input.replaceWith(titleEl);
+            }
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * List the folder names in use
+     * @returns {Promise<Array<string>>} Folder names, sorted
+     */
+    async getChatFolders() {
+        const userId = this.getCurrentUserId();
+        if (!userId) return [];
+        
+        const chats = await this.getLocalChats(userId);
+        return Array.from(new Set(chats.map(chat => chat.folder).filter(Boolean))).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Get the user-set fields of a chat
+     * @param {Object} chat - Chat
+     * @returns {Object} Fields from CHAT_METADATA_KEYS that are set
+     */
+    getChatMetadata(chat) {
+        const metadata = {};
+        CHAT_METADATA_KEYS.forEach(key => {
+            if (chat[key] !== undefined && chat[key] !== null) {
+                metadata[key] = chat[key];
+            }
+        });
+        return metadata;
+    }
+
+    /**
+     * Change the user-set fields of a chat (name, pin, archive, folder, persona) and save it
+     * @param {string} chatId - Chat ID
+     * @param {Object} changes - Fields from CHAT_METADATA_KEYS; null clears a field
+     */
+    async updateChatMetadata(chatId, changes) {
+        // The open chat goes through saveCurrentChat so its messages are saved alongside
+        if (chatId === this.currentChatId) {
+            this.currentChatMeta = this.getChatMetadata({ ...this.currentChatMeta, ...changes });
+            await this.saveCurrentChat({ metadataOnly: true });
+            return;
+        }
+        
+        const userId = this.getCurrentUserId();
+        if (!userId) return;
+        
+        // Chats removed from this device to free storage come from the backend
+        let chat = await chatStore.getChat(userId, chatId).catch(() => null) || await this.getChatById(chatId);
+        if (!chat) {
+            this.showNotification('Chat not found', 'error');
+            return;
+        }
+        
+        // saveChat returns a newer copy when another tab or device saved first;
+        // the change is then applied on top of that copy (once)
+        for (let attempt = 0; attempt < 2 && chat; attempt++) {
+            const updated = {
+                ...chat,
+                ...changes,
+                revision: (chat.revision || 0) + 1,
+                updatedAt: new Date().toISOString(),
+                updatedBy: this.syncClientId
+            };
+            CHAT_METADATA_KEYS.forEach(key => {
+                if (updated[key] === null) delete updated[key];
+            });
+            updated.title = updated.customTitle || this.getChatTitle(updated.messages || []);
+            
+            chat = await this.saveChat(updated, chat.revision || 0);
+        }
+        
+        await this.updateChatHistory();
+    }
+
+    /**
+     * Get chat history from localStorage
+     */
+    getChatHistory() {
+        const history = localStorage.getItem('chatbot-history');
+        return history ? JSON.parse(history) : [];
+    }
+
+    /**
+     * Get chat title from first user message
+     */
+    getChatTitle(messages = this.messages) {
+        // Handle both 'type' and 'role' fields for backward compatibility
+        const firstUserMessage = messages.find(msg => 
+            (msg.type === 'user') || (msg.role === 'user')
+        );
+        if (firstUserMessage) {
+            // A message of attachments only is named after its files
+            const text = firstUserMessage.content || (firstUserMessage.attachments || []).map(attachment => attachment.name).join(', ');
+            return text.length > 50 
+                ? text.substring(0, 50) + '...'
+                : text;
+        }
+        return 'New Chat';
+    }
+
+    /**
+     * Load chat from history
+     */
+    async loadChatFromHistory(index) {
+        const history = this.getChatHistory();
+        if (history[index]) {
+            // Save current chat before switching
+            if (this.messages.length > 0) {
+                await this.saveCurrentChat();
+            }
+            
+            const chat = history[index];
+            this.messageTree = this.getChatTree(chat);
+            this.messages = this.messageTree.getActivePath();
+            this.editingMessageId = null;
+            this.syncConversationHistory();
+            
+            // Clear current messages
+            document.getElementById('chat-messages').innerHTML = '';
+            
+            // Hide welcome message if there are messages
+            const welcomeMessage = document.getElementById('welcome-message');
+            if (welcomeMessage) {
+                if (this.messages.length > 0) {
+                    welcomeMessage.classList.add('hidden');
+                } else {
+                    welcomeMessage.classList.remove('hidden');
+                }
+            }
+            
+            // Render loaded messages
+            this.messages.forEach(message => {
+                this.renderMessage(message);
+            });
+            
+            // Update active state
+            document.querySelectorAll('.history-item').forEach(item => {
+                item.classList.remove('active');
+            });
+            const historyItems = document.querySelectorAll('.history-item');
+            if (historyItems[index]) {
+                historyItems[index].classList.add('active');
+            }
+            
+            // Save the loaded chat as current
+            await this.saveCurrentChat();
+            
+            this.scrollToBottom();
+            
+            // Show notification
+            this.showNotification(`Loaded: ${chat.title}`, 'info');
+        }
+    }
+
+    /**
+     * Export chat
+     * Opens a dialog to export the open chat, or every chat as a zip
+     */
+    exportChat() {
+        document.getElementById('export-modal')?.remove();
+
+        const hasMessages = this.messages.length > 0;
+        const formatOptions = Object.entries(ChatExporter.formats)
+            .map(([format, { label }]) => `<option value="${format}">${label}</option>`)
+            .join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'export-modal';
+        modal.className = 'modal-overlay show';
+        modal.innerHTML = `
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">Export</h3>
+                    <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="export-section">
+                        <h4>This chat</h4>
+                        ${hasMessages ? '' : '<p class="export-empty">This chat has no messages yet.</p>'}
+                        <div class="export-options">
+                            <button type="button" class="btn btn-secondary" data-export="markdown" ${hasMessages ? '' : 'disabled'}>Markdown (.md)</button>
+                            <button type="button" class="btn btn-secondary" data-export="html" ${hasMessages ? '' : 'disabled'}>Web page (.html)</button>
+                            <button type="button" class="btn btn-secondary" data-export="json" ${hasMessages ? '' : 'disabled'}>JSON (.json)</button>
+                            <button type="button" class="btn btn-secondary" data-export="print" ${hasMessages ? '' : 'disabled'}>Print / Save as PDF</button>
+                        </div>
+                    </div>
+                    <div class="export-section">
+                        <h4>All chats</h4>
+                        <p class="export-hint">Downloads a zip with one file per chat, including archived chats.</p>
+                        <div class="export-options">
+                            <select id="export-all-format" aria-label="Format for all chats">${formatOptions}</select>
+                            <button type="button" class="btn btn-primary" id="export-all-btn">Download all chats (.zip)</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', async (e) => {
+            const formatBtn = e.target.closest('[data-export]');
+            if (formatBtn) {
+                this.exportCurrentChat(formatBtn.getAttribute('data-export'));
+                modal.remove();
+            } else if (e.target.closest('#export-all-btn')) {
+                const button = e.target.closest('#export-all-btn');
+                button.disabled = true;
+                button.textContent = 'Preparing...';
+                await this.exportAllChats(document.getElementById('export-all-format').value);
+                modal.remove();
+            }
+        });
+    }
+
+    /**
+     * Get the open chat in the shape the exporter expects
+     * @returns {Object} Chat
+     */
+    getCurrentChatForExport() {
+        return {
+            id: this.currentChatId,
+            title: this.currentChatMeta.customTitle || this.getChatTitle(),
+            model: this.currentModel,
+            createdAt: this.messages[0]?.timestamp,
+            updatedAt: this.messages[this.messages.length - 1]?.timestamp,
+            messages: this.messages.map(msg => ({
+                ...msg,
+                role: msg.type || msg.role || 'user'
+            }))
+        };
+    }
+
+    /**
+     * Export the open chat
+     * @param {string} format - 'markdown', 'html', 'json' or 'print'
+     */
+    exportCurrentChat(format) {
+        if (this.messages.length === 0) {
+            this.showNotification('No messages to export', 'info');
+            return;
+        }
+
+        const chat = this.getCurrentChatForExport();
+
+        try {
+            if (format === 'print') {
+                if (!ChatExporter.openPrintView(chat)) {
+                    this.showNotification('Allow pop-ups for this site to open the print view', 'warning');
+                }
+                return;
+            }
+
+            const { extension, mimeType } = ChatExporter.formats[format];
+            ChatExporter.download(ChatExporter.export(chat, format), ChatExporter.getFileName(chat, extension), mimeType);
+            this.showNotification('Chat exported successfully', 'success');
+        } catch (error) {
+            console.error('Failed to export chat:', error);
+            this.showNotification('Failed to export chat', 'error');
+        }
+    }
+
+    /**
+     * Download every chat of the user as a zip of per-chat files
+     * @param {string} format - 'markdown', 'html' or 'json'
+     */
+    async exportAllChats(format) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return;
+
+        try {
+            // Make sure the open chat's latest messages are included
+            if (this.messages.length > 0) {
+                await this.saveCurrentChat();
+            }
+
+            const chats = this.sortChats(await this.getAllChats())
+                .filter(chat => (chat.messages || []).length > 0);
+            if (chats.length === 0) {
+                this.showNotification('No chats to export', 'info');
+                return;
+            }
+
+            const { extension } = ChatExporter.formats[format];
+            const usedNames = new Set();
+            const files = chats.map(chat => ({
+                name: ChatExporter.getFileName(chat, extension, usedNames),
+                content: ChatExporter.export(chat, format)
+            }));
+
+            ChatExporter.download(ChatExporter.createZip(files), `chats-export-${new Date().toISOString().split('T')[0]}.zip`);
+            this.showNotification(`Exported ${files.length} ${files.length === 1 ? 'chat' : 'chats'}`, 'success');
+        } catch (error) {
+            console.error('Failed to export chats:', error);
+            this.showNotification('Failed to export chats', 'error');
+        }
+    }
+
+    /**
+     * Import chats from one of our JSON exports or another assistant's export
+     * Every chat gets a new ID so nothing overwrites an existing chat
+     * @param {File} file - JSON or zip file
+     */
+    async importChats(file) {
+        const userId = this.getCurrentUserId();
+        if (!userId) {
+            this.showNotification('Sign in to import chats', 'error');
+            return;
+        }
+
+        let result;
+        try {
+            result = await ChatImporter.parseFile(file);
+        } catch (error) {
+            console.error('Failed to read chat import:', error);
+            this.showNotification(`Import failed: ${error.message}`, 'error');
+            return;
+        }
+
+        result.errors.forEach(error => console.warn('Skipped during import:', error));
+
+        const importedIds = [];
+        for (const imported of result.chats) {
+            try {
+                const chat = this.createImportedChat(imported, userId);
+                await this.saveChat(chat, 0);
+                importedIds.push(chat.id);
+            } catch (error) {
+                console.error('Failed to save imported chat:', error);
+                result.errors.push(`${imported.title}: ${error.message}`);
+            }
+        }
+
+        if (importedIds.length === 0) {
+            this.showNotification(`No chats imported${result.errors.length ? `: ${result.errors[0]}` : ''}`, 'error');
+            return;
+        }
+
+        await this.updateChatHistory();
+
+        // A single chat is opened right away; several are left in the sidebar
+        if (importedIds.length === 1) {
+            await this.navigateToChat(importedIds[0]);
+        }
+
+        const skipped = result.errors.length > 0 ? `, ${result.errors.length} skipped` : '';
+        this.showNotification(`Imported ${importedIds.length} ${importedIds.length === 1 ? 'chat' : 'chats'}${skipped}`, result.errors.length > 0 ? 'warning' : 'success');
+    }
+
+    /**
+     * Turn a chat read by ChatImporter into a saved chat record
+     * @param {Object} imported - { title, model, createdAt, updatedAt, source, messages }
+     * @param {string} userId - User ID
+     * @returns {Object} Chat record
+     */
+    createImportedChat(imported, userId) {
+        const now = new Date().toISOString();
+        const baseTime = Date.now();
+
+        const messages = imported.messages.map((message, index) => ({
+            id: baseTime + index + Math.random(),
+            type: message.role,
+            content: message.content,
+            timestamp: message.timestamp || imported.createdAt || now,
+            ...(message.sources ? { sources: message.sources } : {})
+        }));
+        const tree = ConversationTree.fromMessages(messages);
+
+        return {
+            id: this.generateChatId(),
+            title: imported.title,
+            messages: messages.map(message => ({ ...message, role: message.type })),
+            messageTree: tree.toJSON(),
+            userId: userId,
+            model: imported.model,
+            importedFrom: imported.source,
+            revision: 1,
+            updatedAt: now,
+            updatedBy: this.syncClientId,
+            clearedAt: null,
+            timestamp: imported.updatedAt || now
+        };
+    }
+
+    /**
+     * Get the user's saved personas
+     * @returns {Array} Personas ({ id, name, systemPrompt, temperature, maxTokens })
+     */
+    getPersonas() {
+        const userId = this.getCurrentUserId();
+        if (!userId) return [];
+
+        try {
+            const personas = JSON.parse(localStorage.getItem(`chatbot-personas-${userId}`) || '[]');
+            return Array.isArray(personas) ? personas : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable personas:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the user's personas
+     * @param {Array} personas - Every persona of the user
+     */
+    savePersonas(personas) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return;
+
+        localStorage.setItem(`chatbot-personas-${userId}`, JSON.stringify(personas));
+    }
+
+    /**
+     * Get the persona of the open chat
+     * The saved persona wins over the copy stored on the chat, so edits apply to
+     * existing chats; the copy keeps working if the persona was deleted or was
+     * created on another device
+     * @returns {Object|null} Persona
+     */
+    getActivePersona() {
+        const chosen = this.currentChatMeta.persona;
+        if (!chosen || !chosen.systemPrompt) return null;
+
+        return this.getPersonas().find(persona => persona.id === chosen.id) || chosen;
+    }
+
+    /**
+     * Check a persona before saving it
+     * @param {Object} persona - Persona
+     * @returns {string|null} Error message, or null if valid
+     */
+    validatePersona(persona) {
+        if (!persona.name) return 'Give the persona a name';
+        if (!persona.systemPrompt) return 'Write a system prompt';
+        if (persona.systemPrompt.length > this.maxMessageLength) {
+            return `The system prompt can be at most ${this.maxMessageLength} characters`;
+        }
+        if (persona.temperature !== null && !(persona.temperature >= 0 && persona.temperature <= 2)) {
+            return 'Temperature must be between 0 and 2';
+        }
+        if (persona.maxTokens !== null && !(Number.isInteger(persona.maxTokens) && persona.maxTokens >= 1 && persona.maxTokens <= 32000)) {
+            return 'Max tokens must be a whole number between 1 and 32000';
+        }
+        return null;
+    }
+
+    /**
+     * Add or update a persona
+     * @param {Object} persona - Persona; without an ID a new one is created
+     * @returns {Object} The saved persona
+     */
+    savePersona(persona) {
+        const personas = this.getPersonas();
+        const now = new Date().toISOString();
+        const existing = personas.find(p => p.id === persona.id);
+
+        let saved;
+        if (existing) {
+            saved = Object.assign(existing, persona, { updatedAt: now });
+        } else {
+            saved = { ...persona, id: this.generateChatId(), createdAt: now, updatedAt: now };
+            personas.push(saved);
+        }
+        this.savePersonas(personas);
+
+        // Keep the copy on the open chat in step with the edit
+        if (this.currentChatMeta.persona?.id === saved.id) {
+            this.currentChatMeta.persona = this.getPersonaSnapshot(saved);
+            this.updatePersonaIndicator();
+        }
+
+        return saved;
+    }
+
+    /**
+     * Delete a persona; chats that use it keep their copy
+     * @param {string} personaId - Persona ID
+     */
+    deletePersona(personaId) {
+        this.savePersonas(this.getPersonas().filter(persona => persona.id !== personaId));
+    }
+
+    /**
+     * Get the copy of a persona stored on a chat
+     * @param {Object} persona - Persona
+     * @returns {Object} { id, name, systemPrompt, temperature, maxTokens }
+     */
+    getPersonaSnapshot(persona) {
+        return {
+            id: persona.id,
+            name: persona.name,
+            systemPrompt: persona.systemPrompt,
+            temperature: persona.temperature ?? null,
+            maxTokens: persona.maxTokens ?? null
+        };
+    }
+
+    /**
+     * Use a persona in the open chat
+     * @param {string|null} personaId - Persona ID, or null for the default assistant
+     */
+    async selectPersona(personaId) {
+        const persona = personaId ? this.getPersonas().find(p => p.id === personaId) : null;
+        const changes = { persona: persona ? this.getPersonaSnapshot(persona) : null };
+
+        // A chat without messages is not saved yet; the persona is saved with its first message
+        if (this.messages.length === 0) {
+            this.currentChatMeta = this.getChatMetadata({ ...this.currentChatMeta, ...changes });
+        } else {
+            await this.updateChatMetadata(this.currentChatId, changes);
+        }
+        this.updatePersonaIndicator();
+        this.showNotification(persona ? `Persona: ${persona.name}` : 'Using the default assistant', 'info');
+    }
+
+    /**
+     * Refresh the header chips that show the open chat's settings
+     */
+    updateChatHeader() {
+        this.updatePersonaIndicator();
+        this.updateModelIndicator();
+    }
+
+    /**
+     * Show the open chat's persona in the header and mobile sidebar
+     */
+    updatePersonaIndicator() {
+        const persona = this.currentChatMeta.persona;
+        const name = persona ? persona.name : 'Default';
+
+        document.querySelectorAll('.persona-name').forEach(el => {
+            el.textContent = name;
+        });
+        document.getElementById('persona-btn')?.classList.toggle('active', !!persona);
+        this.updateContextIndicator();
+    }
+
+    /**
+     * Open the persona manager: pick the open chat's persona and add, edit or delete personas
+     */
+    showPersonaManager() {
+        document.getElementById('persona-modal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'persona-modal';
+        modal.className = 'modal-overlay show';
+        modal.innerHTML = `
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">Personas</h3>
+                    <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="export-section">
+                        <h4>Persona for this chat</h4>
+                        <div id="persona-list" class="persona-list"></div>
+                    </div>
+                    <div class="export-section">
+                        <h4 id="persona-form-title">New persona</h4>
+                        <form id="persona-form" class="persona-form" novalidate>
+                            <input type="hidden" name="id">
+                            <div class="form-group">
+                                <label for="persona-name">Name</label>
+                                <input type="text" id="persona-name" name="name" maxlength="60" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="persona-prompt">System prompt</label>
+                                <textarea id="persona-prompt" name="systemPrompt" rows="5" maxlength="${this.maxMessageLength}" placeholder="You are a concise assistant that answers in bullet points." required></textarea>
+                            </div>
+                            <div class="persona-form-row">
+                                <div class="form-group">
+                                    <label for="persona-temperature">Temperature</label>
+                                    <input type="number" id="persona-temperature" name="temperature" min="0" max="2" step="0.1" placeholder="${this.defaultTemperature}">
+                                </div>
+                                <div class="form-group">
+                                    <label for="persona-max-tokens">Max tokens</label>
+                                    <input type="number" id="persona-max-tokens" name="maxTokens" min="1" max="32000" step="1" placeholder="${this.defaultMaxTokens}">
+                                </div>
+                            </div>
+                            <p class="export-hint">Leave temperature or max tokens empty to use the defaults.</p>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-secondary hidden" id="persona-cancel-edit">Cancel editing</button>
+                                <button type="submit" class="btn btn-primary">Save persona</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('#persona-form');
+        const resetForm = () => {
+            form.reset();
+            form.elements.id.value = '';
+            modal.querySelector('#persona-form-title').textContent = 'New persona';
+            modal.querySelector('#persona-cancel-edit').classList.add('hidden');
+        };
+
+        this.renderPersonaList(modal.querySelector('#persona-list'));
+
+        modal.addEventListener('change', async (e) => {
+            if (e.target.name === 'chat-persona') {
+                await this.selectPersona(e.target.value || null);
             }
-            
-            if (e.target.closest('.edit-btn')) {
-                const messageId = e.target.closest('.edit-btn').getAttribute('data-message-id');
-                this.editMessage(messageId);
+        });
+
+        modal.addEventListener('click', (e) => {
+            const editBtn = e.target.closest('[data-edit-persona]');
+            const deleteBtn = e.target.closest('[data-delete-persona]');
+
+            if (editBtn) {
+                const persona = this.getPersonas().find(p => p.id === editBtn.getAttribute('data-edit-persona'));
+                if (!persona) return;
+                form.elements.id.value = persona.id;
+                form.elements.name.value = persona.name;
+                form.elements.systemPrompt.value = persona.systemPrompt;
+                form.elements.temperature.value = persona.temperature ?? '';
+                form.elements.maxTokens.value = persona.maxTokens ?? '';
+                modal.querySelector('#persona-form-title').textContent = `Edit ${persona.name}`;
+                modal.querySelector('#persona-cancel-edit').classList.remove('hidden');
+                form.elements.name.focus();
+            } else if (deleteBtn) {
+                const personaId = deleteBtn.getAttribute('data-delete-persona');
+                if (!confirm('Delete this persona? Chats that use it keep their current prompt.')) return;
+                this.deletePersona(personaId);
+                if (form.elements.id.value === personaId) resetForm();
+                this.renderPersonaList(modal.querySelector('#persona-list'));
+            } else if (e.target.closest('#persona-cancel-edit')) {
+                resetForm();
             }
         });
-    }
 
-    /**
-     * Test connection to AI service
-     */
-    async testConnection() {
-        const statusElement = document.getElementById('connection-status');
-        const statusText = statusElement.querySelector('.status-text');
-        
-        statusElement.classList.remove('hidden');
-        statusText.textContent = 'Testing AI service connection...';
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
 
-        try {
-            // Create a test message for the connection test
-            const testMessage = {
-                role: 'user',
-                content: 'Hello, are you working?',
-                timestamp: new Date().toISOString()
+            const readNumber = (value) => value.trim() === '' ? null : Number(value);
+            const persona = {
+                id: form.elements.id.value || undefined,
+                name: form.elements.name.value.trim(),
+                systemPrompt: form.elements.systemPrompt.value.trim(),
+                temperature: readNumber(form.elements.temperature.value),
+                maxTokens: readNumber(form.elements.maxTokens.value)
             };
-            
-            // Temporarily add the test message to conversation history
-            const originalHistory = [...this.conversationHistory];
-            this.conversationHistory = [testMessage];
-            
-            // Test with a simple message
-            const testResponse = await this.sendToAI('Hello, are you working?');
-            
-            // Restore original conversation history
-            this.conversationHistory = originalHistory;
-            
-            if (testResponse && testResponse.success) {
-                this.isConnected = true;
-                statusElement.className = 'connection-status connection-success';
-                statusText.textContent = '✅ Connected to AI service';
-                setTimeout(() => {
-                    statusElement.classList.add('hidden');
-                }, 3000);
-            } else {
-                throw new Error('AI service not responding properly');
+
+            const error = this.validatePersona(persona);
+            if (error) {
+                this.showNotification(error, 'error');
+                return;
             }
-        } catch (error) {
-            this.isConnected = false;
-            statusElement.className = 'connection-status connection-error';
-            statusText.textContent = '❌ Failed to connect to AI service';
-            console.error('Connection test failed:', error);
-        }
+
+            const saved = this.savePersona(persona);
+            this.showNotification(`Saved persona: ${saved.name}`, 'success');
+            resetForm();
+            this.renderPersonaList(modal.querySelector('#persona-list'));
+        });
     }
 
     /**
-     * Send message to AI
-     * @param {string} message - User message
-     * @returns {Promise<Object>} AI response
+     * Fill the persona picker
+     * @param {HTMLElement} listEl - List container
      */
-    async sendToAI(message) {
-        try {
-            // Check authentication before making API call
-            if (!this.checkAuthentication()) {
-                this.showNotification('Authentication required to use AI chatbot', 'error');
-                return null;
-            }
-
-            // Model selection priority:
-            // 1. this.currentModel (set by SSE or backend) - ALWAYS FIRST
-            // 2. localStorage saved model (with recent timestamp)
-            // 3. Global backup
-            // 4. Backend API
-            // 5. Default fallback
+    renderPersonaList(listEl) {
+        const activeId = this.currentChatMeta.persona?.id || '';
+        const personas = this.getPersonas();
 
-            let selectedModel;
-            const modelSources = [];
+        // A persona deleted or made elsewhere still shows while the chat uses it
+        if (activeId && !personas.some(persona => persona.id === activeId)) {
+            personas.unshift(this.currentChatMeta.persona);
+        }
 
-            // 1. Check this.currentModel first (set by SSE or backend)
-            // This is the most reliable source as it's updated by SSE or backend API
-            if (this.currentModel) {
-                selectedModel = this.currentModel;
-                modelSources.push('currentModel');
+        const option = (persona) => {
+            const id = persona ? MarkdownRenderer.escapeHtml(persona.id) : '';
+            const saved = persona && this.getPersonas().some(p => p.id === persona.id);
+            const details = persona
+                ? [
+                    persona.temperature !== null && persona.temperature !== undefined ? `temperature ${persona.temperature}` : '',
+                    persona.maxTokens ? `${persona.maxTokens} tokens` : ''
+                ].filter(Boolean).join(', ')
+                : '';
+
+            return `
+                <div class="persona-item">
+                    <label class="persona-option">
+                        <input type="radio" name="chat-persona" value="${id}" ${(persona ? persona.id : '') === activeId ? 'checked' : ''}>
+                        <span class="persona-option-text">
+                            <span class="persona-option-name">${persona ? MarkdownRenderer.escapeHtml(persona.name) : 'Default assistant'}</span>
+                            <span class="persona-option-prompt">${persona ? MarkdownRenderer.escapeHtml(persona.systemPrompt) : 'No system prompt'}${details ? ` · ${details}` : ''}</span>
+                        </span>
+                    </label>
+                    ${saved ? `
+                        <button type="button" class="btn btn-secondary" data-edit-persona="${id}">Edit</button>
+                        <button type="button" class="btn btn-secondary" data-delete-persona="${id}">Delete</button>
+                    ` : ''}
+                </div>
+            `;
+        };
 
-                // Also check if SSE is active for logging
-                if (this.sseConnected || this.configStream?.readyState === 1) {
-                    modelSources.push('SSE-active');
-                }
-            }
+        listEl.innerHTML = option(null) + personas.map(option).join('');
+    }
 
-            // 2. Check localStorage (with timestamp validation) - only if currentModel is not set
-            if (!selectedModel) {
-                const savedModel = localStorage.getItem('currentModel');
-                const lastUpdated = sessionStorage.getItem('modelLastUpdated');
+    /**
+     * Get the built-in slash commands
+     * @returns {Array<Object>} Commands ({ name, description, run })
+     */
+    getSlashCommands() {
+        return [
+            { name: 'new', description: 'Start a new chat', run: () => this.startNewChat() },
+            { name: 'clear', description: 'Clear this chat', run: () => this.clearChat() },
+            { name: 'export', description: 'Export this chat', run: () => this.exportChat() },
+            { name: 'model', description: 'Choose the model for this chat', run: () => this.setComposerText('/model ') },
+            { name: 'search', description: 'Turn web search on or off', run: () => this.toggleWebSearch() },
+            { name: 'dataset', description: 'Manage your datasets', run: () => this.showDatasetManager() },
+            { name: 'templates', description: 'Add or edit prompt templates', run: () => this.showTemplateManager() }
+        ];
+    }
 
-                if (savedModel && lastUpdated) {
-                    const updateAge = Date.now() - new Date(lastUpdated).getTime();
-                    if (updateAge < 300000) { // 5 minutes
-                        selectedModel = savedModel;
-                        modelSources.push('localStorage');
-                    }
-                }
+    /**
+     * Work out the palette entries for what is typed in the composer
+     * "/model <name>" lists models; any other "/word" lists matching commands and templates
+     * @param {string} text - Composer text
+     * @returns {Array<Object>} Entries ({ label, description, run })
+     */
+    getSlashItems(text) {
+        const modelQuery = text.match(/^\/model\s+(.*)$/i);
+        if (modelQuery) {
+            // Models load on first use; the palette refreshes when they arrive
+            if (!this.availableModels) {
+                this.loadAvailableModels()
+                    .then(() => this.updateSlashPalette())
+                    .catch(error => console.error('Failed to load models:', error));
+                return [];
             }
 
-            // 3. Check global backup
-            if (!selectedModel && window.CURRENT_MODEL) {
-                selectedModel = window.CURRENT_MODEL;
-                modelSources.push('global');
-            }
+            const query = modelQuery[1].trim().toLowerCase();
+            const pinned = this.currentChatMeta.pinnedModel;
+            return [{ id: null, name: 'Default model' }, ...this.availableModels]
+                .filter(model => !query || (model.name || '').toLowerCase().includes(query) || (model.id || '').toLowerCase().includes(query))
+                .map(model => ({
+                    label: model.name || model.id,
+                    description: (model.id || null) === (pinned || null) ? 'In use' : (model.id || 'Use the configured model'),
+                    run: () => this.setPinnedModel(model.id)
+                }));
+        }
 
-            // 4. Load from backend if still no model
-            if (!selectedModel) {
-                try {
-                    await this.loadCurrentModel();
-                    if (this.currentModel) {
-                        selectedModel = this.currentModel;
-                        modelSources.push('backend');
-                    }
-                } catch (error) {
-                    console.warn('Failed to load model from backend:', error);
-                }
-            }
+        const commandQuery = text.match(/^\/(\S*)$/);
+        if (!commandQuery) return [];
+
+        const query = commandQuery[1].toLowerCase();
+        const commands = this.getSlashCommands().map(command => ({
+            label: `/${command.name}`,
+            description: command.description,
+            run: command.run
+        }));
+        const templates = this.getPromptTemplates().map(template => ({
+            label: `/${PromptTemplates.toCommandName(template.name)}`,
+            description: template.name,
+            run: () => this.useTemplate(template)
+        }));
+
+        // Names that start with the query come before ones that only contain it
+        const items = commands.concat(templates);
+        return items.filter(item => item.label.startsWith(`/${query}`))
+            .concat(items.filter(item => !item.label.startsWith(`/${query}`) && item.label.includes(query)));
+    }
 
-            // 5. Use fallback if all else fails
-            if (!selectedModel) {
-                selectedModel = 'gemma2:2b';
-                modelSources.push('fallback');
-            }
-            
-            console.log(`Selected model: ${selectedModel} (sources: ${modelSources.join(', ')})`);
-            
-            // Validate and prepare conversation history
-            const validatedHistory = this.validateConversationHistory();
-            
-            // Prepare request payload with validated conversation history
-            const payload = {
-                model: selectedModel,
-                messages: validatedHistory,
-                max_tokens: 1000,
-                temperature: 0.7
-            };
+    /**
+     * Show, refresh or hide the slash-command palette for the composer text
+     */
+    updateSlashPalette() {
+        const chatInput = document.getElementById('chat-input');
+        const palette = document.getElementById('slash-palette');
+        if (!chatInput || !palette) return;
 
-            console.log('Sending payload to backend:', payload);
+        this.slashItems = chatInput.value.startsWith('/') ? this.getSlashItems(chatInput.value) : [];
+        if (this.slashItems.length === 0) {
+            this.hideSlashPalette();
+            return;
+        }
 
-            // Get Firebase Auth token
-            let userToken = null;
-            if (typeof window.auth !== 'undefined' && window.auth.currentUser) {
-                try {
-                    userToken = await window.auth.currentUser.getIdToken();
-                } catch (error) {
-                    console.error('Failed to get Firebase token:', error);
-                }
-            }
+        this.slashIndex = Math.min(this.slashIndex, this.slashItems.length - 1);
+        palette.innerHTML = this.slashItems.map((item, index) => `
+            <div class="slash-item${index === this.slashIndex ? ' active' : ''}" role="option" aria-selected="${index === this.slashIndex}" data-slash-index="${index}">
+                <span class="slash-item-label">${MarkdownRenderer.escapeHtml(item.label)}</span>
+                <span class="slash-item-description">${MarkdownRenderer.escapeHtml(item.description)}</span>
+            </div>
+        `).join('');
+        palette.classList.remove('hidden');
+        palette.querySelector('.slash-item.active')?.scrollIntoView({ block: 'nearest' });
+    }
 
-            // Make API request to backend with retry logic
-            const response = await this.makeApiRequest(payload, userToken);
+    /**
+     * Close the slash-command palette
+     */
+    hideSlashPalette() {
+        this.slashItems = [];
+        this.slashIndex = 0;
+        document.getElementById('slash-palette')?.classList.add('hidden');
+    }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Backend error response:', errorText);
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+    /**
+     * Handle a key pressed in the composer while the palette is open
+     * @param {KeyboardEvent} e - Keydown event
+     * @returns {boolean} Whether the palette used the key
+     */
+    handleSlashPaletteKey(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.slashIndex = (this.slashIndex + step + this.slashItems.length) % this.slashItems.length;
+            this.updateSlashPalette();
+            return true;
+        }
 
-            const data = await response.json();
+        if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+            e.preventDefault();
+            this.runSlashItem(this.slashItems[this.slashIndex]);
+            return true;
+        }
 
-            return data;
-        } catch (error) {
-            console.error('Error sending message to AI:', error);
-            throw error;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hideSlashPalette();
+            return true;
         }
+
+        return false;
     }
 
     /**
-     * Validate conversation history format
-     * @returns {Array} Validated conversation history
+     * Run a palette entry; the typed command is removed from the composer first
+     * @param {Object} item - Palette entry
      */
-    validateConversationHistory() {
-        if (!Array.isArray(this.conversationHistory)) {
-            console.warn('Conversation history is not an array, initializing empty array');
-            return [];
-        }
+    runSlashItem(item) {
+        if (!item) return;
 
-        return this.conversationHistory
-            .filter(msg => msg && typeof msg === 'object')
-            .map(msg => ({
-                role: msg.role || 'user',
-                content: msg.content || '',
-                timestamp: msg.timestamp || new Date().toISOString()
-            }))
-            .filter(msg => msg.content.trim().length > 0);
+        this.hideSlashPalette();
+        this.setComposerText('');
+        item.run();
     }
 
     /**
-     * Make API request with retry logic
-     * @param {Object} payload - Request payload
-     * @param {string} userToken - Firebase auth token
-     * @returns {Promise<Response>} API response
+     * Replace the composer text and keep its controls in step
+     * @param {string} text - New text
      */
-    async makeApiRequest(payload, userToken, retryCount = 0) {
-        const maxRetries = 3;
-        const retryDelay = 1000; // 1 second
+    setComposerText(text) {
+        const chatInput = document.getElementById('chat-input');
+        if (!chatInput) return;
+
+        chatInput.value = text;
+        chatInput.focus();
+        this.updateCharCount();
+        this.autoResizeTextarea();
+        this.toggleSendButton();
+        this.updateSlashPalette();
+    }
+
+    /**
+     * Get the user's prompt templates
+     * @returns {Array} Templates ({ id, name, text })
+     */
+    getPromptTemplates() {
+        const userId = this.getCurrentUserId();
+        if (!userId) return [];
 
         try {
-            const headers = {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            };
-            
-            if (userToken) {
-                headers['Authorization'] = `Bearer ${userToken}`;
-            }
+            const templates = JSON.parse(localStorage.getItem(`chatbot-prompt-templates-${userId}`) || '[]');
+            return Array.isArray(templates) ? templates : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable prompt templates:', error);
+            return [];
+        }
+    }
 
-            const response = await fetch(Config.getApiUrl('chatbot'), {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(payload)
-            });
+    /**
+     * Save the user's prompt templates
+     * @param {Array} templates - Every template of the user
+     */
+    savePromptTemplates(templates) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return;
 
-            // If 400 error and we have retries left, try again
-            if (!response.ok && response.status === 400 && retryCount < maxRetries) {
-                console.warn(`400 error on attempt ${retryCount + 1}, retrying in ${retryDelay}ms...`);
-                
-                // If this is the first retry and we have conversation history, try with empty history
-                if (retryCount === 0 && payload.messages.length > 0) {
-                    console.warn('Trying with empty conversation history...');
-                    payload.messages = [];
-                }
-                
-                await new Promise(resolve => setTimeout(resolve, retryDelay));
-                return this.makeApiRequest(payload, userToken, retryCount + 1);
-            }
+        localStorage.setItem(`chatbot-prompt-templates-${userId}`, JSON.stringify(templates));
+    }
 
-            return response;
-        } catch (error) {
-            if (retryCount < maxRetries) {
-                console.warn(`Network error on attempt ${retryCount + 1}, retrying in ${retryDelay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, retryDelay));
-                return this.makeApiRequest(payload, userToken, retryCount + 1);
-            }
-            throw error;
+    /**
+     * Check a template before saving it
+     * @param {Object} template - Template
+     * @returns {string|null} Error message, or null if valid
+     */
+    validatePromptTemplate(template) {
+        const command = PromptTemplates.toCommandName(template.name);
+        if (!command) return 'Give the template a name with letters or numbers';
+        if (!template.text) return 'Write the template text';
+        if (template.text.length > this.maxMessageLength) {
+            return `The template can be at most ${this.maxMessageLength} characters`;
+        }
+        if (this.getSlashCommands().some(builtIn => builtIn.name === command)) {
+            return `/${command} is a built-in command; choose another name`;
+        }
+        if (this.getPromptTemplates().some(other => other.id !== template.id && PromptTemplates.toCommandName(other.name) === command)) {
+            return `Another template already uses /${command}`;
         }
+        return null;
     }
 
     /**
-     * Reset conversation history if corrupted
+     * Add or update a prompt template
+     * @param {Object} template - Template; without an ID a new one is created
+     * @returns {Object} The saved template
      */
-    resetConversationHistory() {
-        console.warn('Resetting conversation history due to corruption');
-        this.conversationHistory = [];
-        this.showNotification('Conversation history has been reset', 'info');
+    savePromptTemplate(template) {
+        const templates = this.getPromptTemplates();
+        const now = new Date().toISOString();
+        const existing = templates.find(t => t.id === template.id);
+
+        let saved;
+        if (existing) {
+            saved = Object.assign(existing, template, { updatedAt: now });
+        } else {
+            saved = { ...template, id: this.generateChatId(), createdAt: now, updatedAt: now };
+            templates.push(saved);
+        }
+        this.savePromptTemplates(templates);
+        return saved;
     }
 
     /**
-     * Send user message
+     * Delete a prompt template
+     * @param {string} templateId - Template ID
      */
-    async sendMessage() {
-        const chatInput = document.getElementById('chat-input');
-        const message = chatInput.value.trim();
+    deletePromptTemplate(templateId) {
+        this.savePromptTemplates(this.getPromptTemplates().filter(template => template.id !== templateId));
+    }
 
-        if (!message || this.isTyping) {
+    /**
+     * Use a template: ask for its placeholders and send it, or put it in the composer when it has none
+     * @param {Object} template - Template
+     */
+    useTemplate(template) {
+        const placeholders = PromptTemplates.getPlaceholders(template.text);
+        if (placeholders.length === 0) {
+            this.setComposerText(template.text);
             return;
         }
 
-        // Generate chat ID if this is the first message
-        if (!this.currentChatId) {
-            this.currentChatId = this.generateChatId();
-            this.updateURL(this.currentChatId);
-        }
-
-        // Clear input
-        chatInput.value = '';
-        this.updateCharCount();
-        this.autoResizeTextarea();
-        this.toggleSendButton();
-
-        // Add user message to chat
-        this.addMessage('user', message);
-
-        // Add user message to conversation history for API
-        this.conversationHistory.push({
-            role: 'user',
-            content: message,
-            timestamp: new Date().toISOString()
-        });
+        document.getElementById('template-fill-modal')?.remove();
 
-        // Show typing indicator
-        this.showTypingIndicator();
+        const modal = document.createElement('div');
+        modal.id = 'template-fill-modal';
+        modal.className = 'modal-overlay show';
+        modal.innerHTML = `
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">${MarkdownRenderer.escapeHtml(template.name)}</h3>
+                    <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <form id="template-fill-form" class="template-form">
+                        ${placeholders.map((name, index) => `
+                            <div class="form-group">
+                                <label for="template-field-${index}">${MarkdownRenderer.escapeHtml(name)}</label>
+                                <textarea id="template-field-${index}" rows="2"></textarea>
+                            </div>
+                        `).join('')}
+                        <p class="export-hint template-preview"></p>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Send</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
 
-        try {
-            // Send to AI
-            const response = await this.sendToAI(message);
+        const form = modal.querySelector('#template-fill-form');
+        const fields = form.querySelectorAll('textarea');
+        const preview = modal.querySelector('.template-preview');
+        const readValues = () => {
+            const values = {};
+            fields.forEach((field, index) => {
+                values[placeholders[index]] = field.value.trim();
+            });
+            return values;
+        };
+        const updatePreview = () => {
+            preview.textContent = PromptTemplates.fill(template.text, readValues());
+        };
 
-            // Hide typing indicator
-            this.hideTypingIndicator();
+        updatePreview();
+        form.addEventListener('input', updatePreview);
+        fields[0].focus();
 
-            if (response && response.success) {
-                // Add AI response to chat
-                this.addMessage('assistant', response.response);
-                
-                // Add AI response to conversation history
-                this.conversationHistory.push({
-                    role: 'assistant',
-                    content: response.response,
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                throw new Error(response?.error || 'Failed to get response from AI');
+        // Enter sends from the last field, like the composer; Shift+Enter adds a line
+        form.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey && e.target === fields[fields.length - 1]) {
+                e.preventDefault();
+                form.requestSubmit();
             }
-        } catch (error) {
-            // Hide typing indicator
-            this.hideTypingIndicator();
+        });
 
-            // Handle specific error types with better user feedback
-            let errorMessage = 'An error occurred while processing your message.';
-            
-            if (error.message.includes('HTTP 400')) {
-                errorMessage = 'Invalid request format. Please try again.';
-            } else if (error.message.includes('HTTP 401')) {
-                errorMessage = 'Authentication required. Please log in again.';
-            } else if (error.message.includes('HTTP 403')) {
-                errorMessage = 'Access denied. Please check your permissions.';
-            } else if (error.message.includes('HTTP 429')) {
-                errorMessage = 'Too many requests. Please wait a moment and try again.';
-            } else if (error.message.includes('HTTP 500')) {
-                errorMessage = 'Server error. Please try again later.';
-            } else if (error.message.includes('Failed to fetch')) {
-                errorMessage = 'Network error. Please check your connection.';
-            } else if (error.message.includes('timeout')) {
-                errorMessage = 'Request timed out. Please try again.';
-            }
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
 
-            // Show error message
-            this.addMessage('system', `Error: ${errorMessage}`);
-            this.showErrorModal(errorMessage);
-            
-            // Log detailed error for debugging
-            console.error('Detailed error:', error);
-        }
+            const values = readValues();
+            const missing = placeholders.find(name => !values[name]);
+            if (missing) {
+                this.showNotification(`Fill in ${missing}`, 'error');
+                return;
+            }
 
-        // Save current chat and update sidebar
-        await this.saveCurrentChat();
-        this.saveChatHistory();
-        
-        // Check for mobile promotional banner after 5 messages
-        this.checkMobilePromo();
+            modal.remove();
+            this.setComposerText(PromptTemplates.fill(template.text, values));
+            this.sendMessage();
+        });
     }
 
     /**
-     * Add message to chat
-     * @param {string} type - Message type (user, assistant, system)
-     * @param {string} content - Message content
+     * Open the template manager: add, edit, use or delete prompt templates
      */
-    addMessage(type, content) {
-        const message = {
-            id: Date.now() + Math.random(),
-            type: type,
-            content: content,
-            timestamp: new Date().toISOString()
+    showTemplateManager() {
+        document.getElementById('template-modal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'template-modal';
+        modal.className = 'modal-overlay show';
+        modal.innerHTML = `
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">Prompt templates</h3>
+                    <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="export-section">
+                        <h4>Your templates</h4>
+                        <div id="template-list" class="template-list"></div>
+                    </div>
+                    <div class="export-section">
+                        <h4 id="template-form-title">New template</h4>
+                        <form id="template-form" class="template-form" novalidate>
+                            <input type="hidden" name="id">
+                            <div class="form-group">
+                                <label for="template-name">Name</label>
+                                <input type="text" id="template-name" name="name" maxlength="40" placeholder="Translate" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="template-text">Prompt</label>
+                                <textarea id="template-text" name="text" rows="5" maxlength="${this.maxMessageLength}" placeholder="Translate {{text}} into {{language}}." required></textarea>
+                            </div>
+                            <p class="export-hint">Type / in the message box and pick the template by name. Words in {{double braces}} are asked for before sending.</p>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-secondary hidden" id="template-cancel-edit">Cancel editing</button>
+                                <button type="submit" class="btn btn-primary">Save template</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('#template-form');
+        const resetForm = () => {
+            form.reset();
+            form.elements.id.value = '';
+            modal.querySelector('#template-form-title').textContent = 'New template';
+            modal.querySelector('#template-cancel-edit').classList.add('hidden');
         };
 
-        this.messages.push(message);
-        this.renderMessage(message);
+        this.renderTemplateList(modal.querySelector('#template-list'));
+
+        modal.addEventListener('click', (e) => {
+            const useBtn = e.target.closest('[data-use-template]');
+            const editBtn = e.target.closest('[data-edit-template]');
+            const deleteBtn = e.target.closest('[data-delete-template]');
+            const findTemplate = (id) => this.getPromptTemplates().find(t => t.id === id);
+
+            if (useBtn) {
+                const template = findTemplate(useBtn.getAttribute('data-use-template'));
+                if (!template) return;
+                modal.remove();
+                this.useTemplate(template);
+            } else if (editBtn) {
+                const template = findTemplate(editBtn.getAttribute('data-edit-template'));
+                if (!template) return;
+                form.elements.id.value = template.id;
+                form.elements.name.value = template.name;
+                form.elements.text.value = template.text;
+                modal.querySelector('#template-form-title').textContent = `Edit ${template.name}`;
+                modal.querySelector('#template-cancel-edit').classList.remove('hidden');
+                form.elements.name.focus();
+            } else if (deleteBtn) {
+                const templateId = deleteBtn.getAttribute('data-delete-template');
+                if (!confirm('Delete this template?')) return;
+                this.deletePromptTemplate(templateId);
+                if (form.elements.id.value === templateId) resetForm();
+                this.renderTemplateList(modal.querySelector('#template-list'));
+            } else if (e.target.closest('#template-cancel-edit')) {
+                resetForm();
+            }
+        });
 
-        // Hide welcome message after first user message
-        if (type === 'user') {
-            const welcomeMessage = document.getElementById('welcome-message');
-            if (welcomeMessage) {
-                welcomeMessage.classList.add('hidden');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const template = {
+                id: form.elements.id.value || undefined,
+                name: form.elements.name.value.trim(),
+                text: form.elements.text.value.trim()
+            };
+
+            const error = this.validatePromptTemplate(template);
+            if (error) {
+                this.showNotification(error, 'error');
+                return;
             }
-        }
 
-        // Scroll to bottom
-        this.scrollToBottom();
+            const saved = this.savePromptTemplate(template);
+            this.showNotification(`Saved template: /${PromptTemplates.toCommandName(saved.name)}`, 'success');
+            resetForm();
+            this.renderTemplateList(modal.querySelector('#template-list'));
+        });
     }
 
     /**
-     * Render message in chat
-     * @param {Object} message - Message object
+     * Fill the template list
+     * @param {HTMLElement} listEl - List container
      */
-    renderMessage(message) {
-        const chatMessages = document.getElementById('chat-messages');
-        const messageElement = document.createElement('div');
-        // Handle both 'type' and 'role' fields for backward compatibility
-        const messageType = message.type || message.role || 'user';
-        
-        // Ensure we have the correct message type for rendering
-        if (messageType === 'assistant') {
-            messageElement.className = `message-container assistant-message`;
-        } else {
-            messageElement.className = `message-container ${messageType}-message`;
+    renderTemplateList(listEl) {
+        const templates = this.getPromptTemplates();
+        if (templates.length === 0) {
+            listEl.innerHTML = '<p class="export-empty">No templates yet.</p>';
+            return;
         }
-        messageElement.setAttribute('data-message-id', message.id);
-
-        const timestamp = new Date(message.timestamp).toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-
-        let messageHTML = '';
 
-      if (messageType === 'user') {
-          messageHTML = `
-              <div class="message-avatar">
-                  <div class="avatar-icon">👤</div>
-              </div>
-              <div class="message-content">
-                  <div class="message-bubble">
-                      <div class="message-actions">
-                          <button class="action-btn copy-btn" title="Copy message" data-message-id="${message.id}">
-                              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                  <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-                                  <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-                              </svg>
-                          </button>
-                          <button class="action-btn edit-btn" title="Edit message" data-message-id="${message.id}">
-                              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                  <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                                  <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-                              </svg>
-                          </button>
-                      </div>
-                      <div class="message-text">${this.formatMessage(message.content)}</div>
-                      <div class="message-time">${timestamp}</div>
-                  </div>
-              </div>
-          `;
-        } else if (messageType === 'assistant') {
-            messageHTML = `
-                <div class="message-avatar">
-                    <div class="avatar-icon">🤖</div>
-                </div>
-                <div class="message-content">
-                    <div class="message-bubble">
-                        <div class="message-text">${this.formatMessage(message.content)}</div>
-                        <div class="message-time">${timestamp}</div>
-                    </div>
-                </div>
-            `;
-        } else if (message.type === 'system') {
-            messageHTML = `
-                <div class="message-content">
-                    <div class="message-bubble" style="background: rgba(239, 68, 68, 0.1); border: 1px solid rgba(239, 68, 68, 0.2); color: #ef4444;">
-                        <div class="message-text">${this.formatMessage(message.content)}</div>
-                        <div class="message-time">${timestamp}</div>
+        listEl.innerHTML = templates.map(template => {
+            const id = MarkdownRenderer.escapeHtml(template.id);
+            return `
+                <div class="template-item">
+                    <div class="template-item-info">
+                        <span class="template-item-name">/${MarkdownRenderer.escapeHtml(PromptTemplates.toCommandName(template.name))}</span>
+                        <span class="template-item-text">${MarkdownRenderer.escapeHtml(template.text)}</span>
                     </div>
+                    <button type="button" class="btn btn-secondary" data-use-template="${id}">Use</button>
+                    <button type="button" class="btn btn-secondary" data-edit-template="${id}">Edit</button>
+                    <button type="button" class="btn btn-secondary" data-delete-template="${id}">Delete</button>
                 </div>
             `;
-        }
-
-        messageElement.innerHTML = messageHTML;
-        chatMessages.appendChild(messageElement);
+        }).join('');
     }
 
     /**
-     * Format message content (basic markdown support)
-     * @param {string} content - Message content
-     * @returns {string} Formatted HTML
+     * Show a shared chat read-only, without the sidebar or composer
+     * @param {string} shareId - Share ID from the URL
      */
-    formatMessage(content) {
-        // Basic markdown formatting
-        return content
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')
-            .replace(/`(.*?)`/g, '<code>$1</code>')
-            .replace(/\n/g, '<br>');
-    }
+    async showSharedChat(shareId) {
+        document.body.classList.add('shared-chat-view');
+        document.getElementById('welcome-message')?.classList.add('hidden');
+        const chatMessages = document.getElementById('chat-messages');
 
-    /**
-     * Show typing indicator
-     */
-    showTypingIndicator() {
-        this.isTyping = true;
-        const typingIndicator = document.getElementById('typing-indicator');
-        typingIndicator.classList.remove('hidden');
-        this.scrollToBottom();
+        let share = null;
+        try {
+            share = await chatShares.get(shareId);
+        } catch (error) {
+            console.error('Failed to load shared chat:', error);
+            chatMessages.innerHTML = '<div class="shared-chat-notice">This shared chat could not be loaded. Try again later.</div>';
+            return;
+        }
+
+        if (!share || !Array.isArray(share.messages)) {
+            chatMessages.innerHTML = '<div class="shared-chat-notice">This shared link does not exist or was revoked by its owner.</div>';
+            return;
+        }
+
+        const messages = share.messages.map((msg, index) => ({
+            ...msg,
+            id: index + 1,
+            type: msg.role || msg.type || 'user'
+        }));
+        this.messageTree = ConversationTree.fromMessages(messages);
+        this.messages = this.messageTree.getActivePath();
+
+        const title = share.title || 'Shared chat';
+        document.title = `${title} - Hereco`;
+        document.querySelectorAll('.chat-title, .mobile-chat-title').forEach(el => {
+            el.textContent = title;
+        });
+
+        const sharedDate = share.createdAt ? new Date(share.createdAt).toLocaleDateString() : '';
+        chatMessages.innerHTML = `
+            <div class="shared-chat-notice">
+                Read-only copy of a shared conversation${sharedDate ? `, shared on ${sharedDate}` : ''}.
+                <a href="${window.location.pathname}">Start your own chat</a>
+            </div>
+        `;
+        this.messages.forEach(message => this.renderMessage(message));
     }
 
     /**
-     * Hide typing indicator
+     * Build the snapshot of a chat that a shared link shows
+     * Only the active branch is shared
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Object|null>} { chatId, title, model, messages }, or null if the chat has no messages
      */
-    hideTypingIndicator() {
-        this.isTyping = false;
-        const typingIndicator = document.getElementById('typing-indicator');
-        typingIndicator.classList.add('hidden');
+    async getShareSnapshot(chatId) {
+        let title;
+        let model;
+        let messages;
+
+        if (chatId === this.currentChatId) {
+            title = this.currentChatMeta.customTitle || this.getChatTitle();
+            model = this.currentModel;
+            messages = this.messages;
+        } else {
+            const chat = await chatStore.getChat(this.getCurrentUserId(), chatId) || await this.getChatById(chatId);
+            if (!chat) return null;
+            title = chat.title;
+            model = chat.model || null;
+            messages = this.getChatTree(chat).getActivePath();
+        }
+
+        const sharedMessages = messages
+            .filter(msg => (msg.type === 'user' || msg.type === 'assistant') && (msg.content || '').trim())
+            .map(msg => ({
+                role: msg.type,
+                content: msg.content,
+                timestamp: msg.timestamp,
+                ...(msg.sources ? { sources: msg.sources } : {}),
+                ...(msg.stopped ? { stopped: true } : {})
+            }));
+
+        return sharedMessages.length > 0 ? { chatId, title, model, messages: sharedMessages } : null;
     }
 
     /**
-     * Scroll chat to bottom
+     * Open the share dialog: create a link for a chat and list or revoke existing links
+     * @param {string|null} chatId - Chat to share, or null to only manage links
      */
-    scrollToBottom() {
-        const chatMessages = document.getElementById('chat-messages');
-        chatMessages.scrollTop = chatMessages.scrollHeight;
+    async showShareManager(chatId) {
+        document.getElementById('share-modal')?.remove();
+
+        const canShare = !!chatId && (chatId !== this.currentChatId || this.messages.length > 0);
+
+        const modal = document.createElement('div');
+        modal.id = 'share-modal';
+        modal.className = 'modal-overlay show';
+        modal.innerHTML = `
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">Share</h3>
+                    <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="export-section">
+                        <h4>Share this chat</h4>
+                        <p class="export-hint">Anyone with the link can read the conversation as it is now. Messages you send later are not shared.</p>
+                        ${canShare ? '' : '<p class="export-empty">This chat has no messages yet.</p>'}
+                        <div class="export-options">
+                            <button type="button" class="btn btn-primary" id="create-share-btn" ${canShare ? '' : 'disabled'}>Create link</button>
+                        </div>
+                        <div id="share-link-result" class="share-link hidden"></div>
+                        <p id="share-link-warning" class="share-link-warning hidden">This link only works in this browser: sharing is not available on the server, so nobody else can open it.</p>
+                    </div>
+                    <div class="export-section">
+                        <h4>Your shared links</h4>
+                        <div id="share-list" class="share-list">
+                            <p class="export-hint">Loading...</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', async (e) => {
+            const createBtn = e.target.closest('#create-share-btn');
+            const copyBtn = e.target.closest('[data-copy-share]');
+            const revokeBtn = e.target.closest('[data-revoke-share]');
+
+            if (createBtn) {
+                createBtn.disabled = true;
+                const share = await this.shareChat(chatId);
+                createBtn.disabled = false;
+                if (share) {
+                    const result = modal.querySelector('#share-link-result');
+                    result.innerHTML = this.renderShareLink(share);
+                    result.classList.remove('hidden');
+                    modal.querySelector('#share-link-warning').classList.toggle('hidden', !chatShares.isLocal(share.id));
+                    result.querySelector('input').select();
+                    await this.renderShareList(modal.querySelector('#share-list'));
+                }
+            } else if (copyBtn) {
+                await this.copyShareLink(copyBtn.getAttribute('data-copy-share'));
+            } else if (revokeBtn) {
+                if (!confirm('Revoke this link? Anyone who has it will no longer be able to open the chat.')) return;
+                revokeBtn.disabled = true;
+                await this.revokeShare(revokeBtn.getAttribute('data-revoke-share'));
+                modal.querySelector('#share-link-result').classList.add('hidden');
+                modal.querySelector('#share-link-warning').classList.add('hidden');
+                await this.renderShareList(modal.querySelector('#share-list'));
+            }
+        });
+
+        await this.renderShareList(modal.querySelector('#share-list'));
     }
 
     /**
-     * Update character count
+     * Publish a snapshot of a chat
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Object|null>} Share, or null if nothing was published
      */
-    updateCharCount() {
-        const chatInput = document.getElementById('chat-input');
-        const charCount = document.querySelector('.char-count');
-        const currentLength = chatInput.value.length;
-        
-        // Only update if char-count element exists
-        if (charCount) {
-            charCount.textContent = `${currentLength}/${this.maxMessageLength}`;
-            
-            if (currentLength > this.maxMessageLength * 0.9) {
-                charCount.classList.add('warning');
+    async shareChat(chatId) {
+        const userId = this.getCurrentUserId();
+        if (!userId) return null;
+
+        try {
+            // Make sure the open chat's latest messages are saved before sharing
+            if (chatId === this.currentChatId && this.messages.length > 0) {
+                await this.saveCurrentChat();
+            }
+
+            const snapshot = await this.getShareSnapshot(chatId);
+            if (!snapshot) {
+                this.showNotification('This chat has no messages to share', 'info');
+                return null;
+            }
+
+            const share = await chatShares.publish(snapshot, await this.getAuthHeaders(), userId);
+            if (chatShares.isLocal(share.id)) {
+                this.showNotification('This link only works in this browser - sharing is not available on the server', 'warning');
             } else {
-                charCount.classList.remove('warning');
+                this.showNotification('Share link created', 'success');
             }
+            return share;
+        } catch (error) {
+            console.error('Failed to share chat:', error);
+            this.showNotification('Failed to create share link', 'error');
+            return null;
         }
     }
 
     /**
-     * Auto-resize textarea
+     * Render the URL field and copy button for a new share
+     * @param {Object} share - Share
+     * @returns {string} HTML
      */
-    autoResizeTextarea() {
-        const chatInput = document.getElementById('chat-input');
-        chatInput.style.height = 'auto';
-        chatInput.style.height = Math.min(chatInput.scrollHeight, 120) + 'px';
+    renderShareLink(share) {
+        const url = MarkdownRenderer.escapeHtml(chatShares.getShareUrl(share.id));
+        return `
+            <input type="text" readonly value="${url}" aria-label="Share link">
+            <button type="button" class="btn btn-secondary" data-copy-share="${MarkdownRenderer.escapeHtml(share.id)}">Copy</button>
+        `;
     }
 
     /**
-     * Toggle send button state
+     * Fill the list of the user's shared links
+     * @param {HTMLElement} listEl - List container
      */
-    toggleSendButton() {
-        const chatInput = document.getElementById('chat-input');
-        const sendBtn = document.getElementById('send-btn');
-        const hasText = chatInput.value.trim().length > 0;
-        
-        sendBtn.disabled = !hasText || this.isTyping;
-    }
+    async renderShareList(listEl) {
+        const userId = this.getCurrentUserId();
+        if (!userId || !listEl) return;
 
-    /**
-     * Request current configuration from backend
-     */
-    async requestCurrentConfig() {
+        let shares;
         try {
-            // Use consistent API base URL resolution
-            const response = await fetch(`${this.apiBaseUrl}/api/config`);
-            const data = await response.json();
-            
-            if (data.type === 'config') {
-                const newModel = data.data.primary;
-                if (this.currentModel !== newModel) {
-                    const oldModel = this.currentModel;
-                    console.log(`Updating model from config request: ${oldModel} -> ${newModel} (via requestCurrentConfig)`);
-                    this.currentModel = newModel;
-                    window.CURRENT_MODEL = newModel;
-                    localStorage.setItem('currentModel', newModel);
-                    sessionStorage.setItem('modelLastUpdated', new Date().toISOString());
-                    this.sseModelPriority = true;
-
-                    // Dispatch model change event for consistency with SSE updates
-                    window.dispatchEvent(new CustomEvent('modelChanged', { 
-                        detail: { oldModel, newModel } 
-                    }));
-                    
-                    // Show notification if we haven't shown one recently
-                    const lastNotification = sessionStorage.getItem('lastModelNotification');
-                    const now = Date.now();
-                    if (!lastNotification || (now - Number(lastNotification)) > 5000) { // 5 second debounce
-                        this.showNotification(`AI model updated to: ${newModel}`, 'success');
-                        sessionStorage.setItem('lastModelNotification', now.toString());
-                    }
-                }
-            }
+            shares = await chatShares.list(await this.getAuthHeaders(), userId);
         } catch (error) {
-            console.warn('Failed to request current config:', error);
+            console.error('Failed to load shared links:', error);
+            listEl.innerHTML = '<p class="export-empty">Could not load your shared links.</p>';
+            return;
         }
-    }
 
-    /**
-     * Clear chat
-     */
-    async clearChat() {
-        if (this.messages.length === 0) {
-            this.showNotification('Chat is already empty', 'info');
+        if (shares.length === 0) {
+            listEl.innerHTML = '<p class="export-empty">You have not shared any chats.</p>';
             return;
         }
 
-        if (confirm('Are you sure you want to clear the chat? This action cannot be undone.')) {
-            this.messages = [];
-            this.conversationHistory = [];
-            
-            const chatMessages = document.getElementById('chat-messages');
-            chatMessages.innerHTML = '';
-            
-            const welcomeMessage = document.getElementById('welcome-message');
-            if (welcomeMessage) {
-                welcomeMessage.classList.remove('hidden');
-            }
-            
-            await this.saveCurrentChat();
-            this.saveChatHistory();
-            this.showNotification('Chat cleared successfully', 'success');
-        }
+        listEl.innerHTML = shares.map(share => {
+            const id = MarkdownRenderer.escapeHtml(share.id);
+            const url = MarkdownRenderer.escapeHtml(chatShares.getShareUrl(share.id));
+            const created = share.createdAt ? new Date(share.createdAt).toLocaleDateString() : '';
+            const scope = chatShares.isLocal(share.id) ? ' · Only works in this browser' : '';
+            return `
+                <div class="share-item">
+                    <div class="share-item-info">
+                        <a href="${url}" target="_blank" rel="noopener" class="share-item-title">${MarkdownRenderer.escapeHtml(share.title || 'Untitled Chat')}</a>
+                        <span class="share-item-date">${created}${scope}</span>
+                    </div>
+                    <button type="button" class="btn btn-secondary" data-copy-share="${id}">Copy link</button>
+                    <button type="button" class="btn btn-secondary share-revoke-btn" data-revoke-share="${id}">Revoke</button>
+                </div>
+            `;
+        }).join('');
     }
 
     /**
-     * Start a new chat
+     * Copy a share URL to the clipboard
+     * @param {string} shareId - Share ID
      */
-    async startNewChat() {
-        // Save current chat if it has messages
-        if (this.messages.length > 0 && this.currentChatId) {
-            await this.saveCurrentChat();
-        }
-        
-        // Generate new chat ID immediately
-        this.currentChatId = this.generateChatId();
-        this.messages = [];
-        this.conversationHistory = [];
-        
-        // Clear the chat display
-        const chatMessages = document.getElementById('chat-messages');
-        chatMessages.innerHTML = '';
-        
-        // Show welcome message
-        const welcomeMessage = document.getElementById('welcome-message');
-        if (welcomeMessage) {
-            welcomeMessage.classList.remove('hidden');
+    async copyShareLink(shareId) {
+        try {
+            await navigator.clipboard.writeText(chatShares.getShareUrl(shareId));
+            this.showNotification('Link copied to clipboard', 'success');
+        } catch (error) {
+            console.error('Failed to copy link:', error);
+            this.showNotification('Failed to copy link', 'error');
         }
-        
-        // Update URL with new chat ID
-        const url = new URL(window.location);
-        url.searchParams.set('c', this.currentChatId);
-        window.history.pushState({}, '', url.href);
-        
-        // Add new chat to sidebar
-        await this.updateChatHistory();
-        
-        // Show notification
-        this.showNotification('New chat started', 'success');
-        
-        // Scroll to top
-        this.scrollToBottom();
     }
 
     /**
-     * Update chat history in sidebar
+     * Revoke a shared link
+     * @param {string} shareId - Share ID
      */
-    async updateChatHistory() {
-        console.log('updateChatHistory called');
-        const historyList = document.getElementById('chat-history-list');
-        const mobileHistoryList = document.getElementById('mobile-chat-history-list');
-        const allChats = await this.getAllChats();
-        console.log('updateChatHistory - allChats:', allChats.length, 'chats');
-        
-        if (!historyList) {
-            console.warn('historyList element not found');
-            return;
-        }
-        
-        // Update desktop sidebar
-        historyList.innerHTML = '';
-        
-        // Update mobile sidebar if it exists
-        if (mobileHistoryList) {
-            mobileHistoryList.innerHTML = '';
-        }
-        
-        if (allChats.length === 0) {
-            const emptyMessage = document.createElement('div');
-            emptyMessage.className = 'history-empty';
-            emptyMessage.textContent = 'No chat history yet';
-            emptyMessage.style.cssText = 'text-align: center; color: var(--text-muted); padding: 1rem; font-style: italic;';
-            historyList.appendChild(emptyMessage);
-            
-            // Add empty message to mobile sidebar too
-            if (mobileHistoryList) {
-                const mobileEmptyMessage = emptyMessage.cloneNode(true);
-                mobileHistoryList.appendChild(mobileEmptyMessage);
-            }
-            return;
+    async revokeShare(shareId) {
+        try {
+            await chatShares.revoke(shareId, await this.getAuthHeaders());
+            this.showNotification('Link revoked', 'success');
+        } catch (error) {
+            console.error('Failed to revoke link:', error);
+            this.showNotification('Failed to revoke link', 'error');
         }
-        
-        allChats.forEach((chat, index) => {
-            const historyItem = document.createElement('div');
-            historyItem.className = 'history-item';
-            if (chat.id === this.currentChatId) {
-                historyItem.classList.add('active');
-            }
-            
-            // Show chat title with timestamp and delete button
-            const title = chat.title || 'Untitled Chat';
-            let date = 'Recent';
+    }
+
+    /**
+     * Copy message to clipboard
+     * @param {string} messageId - Message ID
+     */
+    async copyMessage(messageId) {
+        const message = this.messages.find(m => m.id == messageId);
+        if (message) {
             try {
-                const timestamp = chat.timestamp || chat.updatedAt || chat.createdAt;
-                if (timestamp) {
-                    const dateObj = new Date(timestamp);
-                    if (!isNaN(dateObj.getTime())) {
-                        date = dateObj.toLocaleDateString();
-                    }
-                }
+                await navigator.clipboard.writeText(message.content);
+                this.showNotification('Message copied to clipboard', 'success');
             } catch (error) {
-                console.warn('Error parsing date:', error);
-            }
-            historyItem.setAttribute('data-chat-id', chat.id);
-            historyItem.innerHTML = `
-                <div class="history-content">
-                    <div class="history-title">${title}</div>
-                    <div class="history-date">${date}</div>
-                </div>
-                <button class="history-delete-btn" title="Delete chat" data-chat-id="${chat.id}">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M3 6h18M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6"></path>
-                        <line x1="10" y1="11" x2="10" y2="17"></line>
-                        <line x1="14" y1="11" x2="14" y2="17"></line>
-                    </svg>
-                </button>
-            `;
-            
-            // Add click event for navigation (excluding delete button)
-            historyItem.addEventListener('click', (e) => {
-                if (!e.target.closest('.history-delete-btn')) {
-                    console.log('Desktop sidebar: Navigating to chat:', chat.id);
-                    this.navigateToChat(chat.id);
-                }
-            });
-            
-            // Add delete button event
-            const deleteBtn = historyItem.querySelector('.history-delete-btn');
-            deleteBtn.addEventListener('click', async (e) => {
-                e.stopPropagation();
-                await this.deleteChat(chat.id);
-            });
-            
-            historyList.appendChild(historyItem);
-            
-            // Also add to mobile sidebar if it exists
-            if (mobileHistoryList) {
-                const mobileHistoryItem = historyItem.cloneNode(true);
-                
-                // Add click event for navigation (excluding delete button)
-                mobileHistoryItem.addEventListener('click', (e) => {
-                    if (!e.target.closest('.history-delete-btn')) {
-                        console.log('Mobile sidebar: Navigating to chat:', chat.id);
-                        this.navigateToChat(chat.id);
-                    }
-                });
-                
-                // Add delete button event
-                const mobileDeleteBtn = mobileHistoryItem.querySelector('.history-delete-btn');
-                if (mobileDeleteBtn) {
-                    mobileDeleteBtn.addEventListener('click', async (e) => {
-                        e.stopPropagation();
-                        await this.deleteChat(chat.id);
-                    });
-                }
-                
-                mobileHistoryList.appendChild(mobileHistoryItem);
+                console.error('Failed to copy message:', error);
+                this.showNotification('Failed to copy message', 'error');
             }
-        });
+        }
     }
 
     /**
-     * Get chat history from localStorage
+     * Render the thumbs up/down buttons of an assistant message
+     * @param {Object} message - Assistant message
+     * @returns {string} HTML
      */
-    getChatHistory() {
-        const history = localStorage.getItem('chatbot-history');
-        return history ? JSON.parse(history) : [];
+    renderFeedbackButtons(message) {
+        const rating = message.feedback ? message.feedback.rating : null;
+        return `
+            <button class="action-btn feedback-btn${rating === 'up' ? ' active' : ''}" title="Good response" data-rating="up" data-message-id="${message.id}">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M14 9V5a3 3 0 0 0-3-3l-4 9v11h11.28a2 2 0 0 0 2-1.7l1.38-9a2 2 0 0 0-2-2.3zM7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3"></path>
+                </svg>
+            </button>
+            <button class="action-btn feedback-btn${rating === 'down' ? ' active' : ''}" title="Bad response" data-rating="down" data-message-id="${message.id}">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M10 15v4a3 3 0 0 0 3 3l4-9V2H5.72a2 2 0 0 0-2 1.7l-1.38 9a2 2 0 0 0 2 2.3zm7-13h2.67A2.31 2.31 0 0 1 22 4v7a2.31 2.31 0 0 1-2.33 2H17"></path>
+                </svg>
+            </button>
+        `;
     }
 
     /**
-     * Save chat history to localStorage
+     * Rate an assistant message; rating it the same way again takes the rating back
+     * @param {string} messageId - Message ID
+     * @param {string} rating - 'up' or 'down'
      */
-    saveChatHistory() {
-        const history = this.getChatHistory();
-        const currentChat = {
-            title: this.getChatTitle(),
-            messages: this.messages,
-            conversationHistory: this.conversationHistory,
-            timestamp: new Date().toISOString()
-        };
-        
-        // Update or add current chat
-        const existingIndex = history.findIndex(chat => chat.title === currentChat.title);
-        if (existingIndex >= 0) {
-            history[existingIndex] = currentChat;
+    async rateMessage(messageId, rating) {
+        const message = this.messages.find(m => m.id == messageId);
+        if (!message || message.type !== 'assistant' || !['up', 'down'].includes(rating)) return;
+
+        if (message.feedback && message.feedback.rating === rating) {
+            delete message.feedback;
+            this.hideFeedbackForm(message.id);
         } else {
-            history.unshift(currentChat);
+            message.feedback = { rating, reason: '', createdAt: new Date().toISOString() };
+            this.showFeedbackForm(message);
         }
-        
-        // Keep only last 10 chats
-        if (history.length > 10) {
-            history.splice(10);
-        }
-        
-        localStorage.setItem('chatbot-history', JSON.stringify(history));
-        this.updateChatHistory();
+
+        this.updateFeedbackButtons(message);
+        await Promise.all([this.sendFeedback(message), this.saveCurrentChat()]);
     }
 
     /**
-     * Get chat title from first user message
+     * Reflect a message's rating on its buttons
+     * @param {Object} message - Assistant message
      */
-    getChatTitle() {
-        // Handle both 'type' and 'role' fields for backward compatibility
-        const firstUserMessage = this.messages.find(msg => 
-            (msg.type === 'user') || (msg.role === 'user')
-        );
-        if (firstUserMessage) {
-            return firstUserMessage.content.length > 50 
-                ? firstUserMessage.content.substring(0, 50) + '...'
-                : firstUserMessage.content;
-        }
-        return 'New Chat';
+    updateFeedbackButtons(message) {
+        const messageElement = this.getMessageElement(message.id);
+        if (!messageElement) return;
+
+        const rating = message.feedback ? message.feedback.rating : null;
+        messageElement.querySelectorAll('.feedback-btn').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-rating') === rating);
+        });
     }
 
     /**
-     * Load chat from history
+     * Ask for an optional reason under a rated message
+     * @param {Object} message - Rated assistant message
      */
-    async loadChatFromHistory(index) {
-        const history = this.getChatHistory();
-        if (history[index]) {
-            // Save current chat before switching
-            if (this.messages.length > 0) {
-                await this.saveCurrentChat();
-            }
-            
-            const chat = history[index];
-            this.messages = chat.messages || [];
-            this.conversationHistory = chat.conversationHistory || [];
-            
-            // Clear current messages
-            document.getElementById('chat-messages').innerHTML = '';
-            
-            // Hide welcome message if there are messages
-            const welcomeMessage = document.getElementById('welcome-message');
-            if (welcomeMessage) {
-                if (this.messages.length > 0) {
-                    welcomeMessage.classList.add('hidden');
-                } else {
-                    welcomeMessage.classList.remove('hidden');
-                }
-            }
-            
-            // Render loaded messages
-            this.messages.forEach(message => {
-                this.renderMessage(message);
-            });
-            
-            // Update active state
-            document.querySelectorAll('.history-item').forEach(item => {
-                item.classList.remove('active');
-            });
-            const historyItems = document.querySelectorAll('.history-item');
-            if (historyItems[index]) {
-                historyItems[index].classList.add('active');
+    showFeedbackForm(message) {
+        const messageElement = this.getMessageElement(message.id);
+        const bubble = messageElement ? messageElement.querySelector('.message-bubble') : null;
+        if (!bubble) return;
+
+        this.hideFeedbackForm(message.id);
+
+        const form = document.createElement('form');
+        form.className = 'feedback-form';
+        form.innerHTML = `
+            <input type="text" class="feedback-reason" maxlength="500"
+                   placeholder="${message.feedback.rating === 'up' ? 'What was good about it?' : 'What was wrong with it?'} (optional)"
+                   aria-label="Feedback reason">
+            <button type="submit" class="btn btn-primary">Send</button>
+            <button type="button" class="btn btn-secondary feedback-skip">Skip</button>
+        `;
+        bubble.appendChild(form);
+
+        const input = form.querySelector('.feedback-reason');
+        input.focus();
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitFeedbackReason(message.id, input.value);
+        });
+        form.querySelector('.feedback-skip').addEventListener('click', () => form.remove());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                form.remove();
             }
-            
-            // Save the loaded chat as current
-            await this.saveCurrentChat();
-            
-            this.scrollToBottom();
-            
-            // Show notification
-            this.showNotification(`Loaded: ${chat.title}`, 'info');
+        });
+    }
+
+    /**
+     * Remove the reason form of a message
+     * @param {string} messageId - Message ID
+     */
+    hideFeedbackForm(messageId) {
+        const messageElement = this.getMessageElement(messageId);
+        const form = messageElement ? messageElement.querySelector('.feedback-form') : null;
+        if (form) {
+            form.remove();
         }
     }
 
     /**
-     * Export chat
+     * Add a reason to a message's rating
+     * @param {string} messageId - Message ID
+     * @param {string} reason - Reason given by the user
      */
-    exportChat() {
-        if (this.messages.length === 0) {
-            this.showNotification('No messages to export', 'info');
-            return;
-        }
-
-        const exportData = {
-            timestamp: new Date().toISOString(),
-            model: this.currentModel,
-            messages: this.messages
-        };
-
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-            type: 'application/json'
-        });
+    async submitFeedbackReason(messageId, reason) {
+        const message = this.messages.find(m => m.id == messageId);
+        this.hideFeedbackForm(messageId);
+        if (!message || !message.feedback) return;
 
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `chat-export-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        message.feedback.reason = reason.trim();
+        if (!message.feedback.reason) return;
 
-        this.showNotification('Chat exported successfully', 'success');
+        this.showNotification('Thanks for the feedback', 'success');
+        await Promise.all([this.sendFeedback(message), this.saveCurrentChat()]);
     }
 
     /**
-     * Copy message to clipboard
-     * @param {string} messageId - Message ID
+     * Send a message's rating to the backend for admins to review
+     * A message without feedback is sent with a null rating, which withdraws it
+     * @param {Object} message - Assistant message
      */
-    async copyMessage(messageId) {
-        const message = this.messages.find(m => m.id == messageId);
-        if (message) {
-            try {
-                await navigator.clipboard.writeText(message.content);
-                this.showNotification('Message copied to clipboard', 'success');
-            } catch (error) {
-                console.error('Failed to copy message:', error);
-                this.showNotification('Failed to copy message', 'error');
+    async sendFeedback(message) {
+        const index = this.messages.findIndex(m => m.id == message.id);
+        const prompt = this.messages.slice(0, index).reverse().find(m => m.type === 'user');
+        const feedback = message.feedback || {};
+
+        try {
+            const response = await fetch(Config.getApiUrl('chatFeedback'), {
+                method: 'POST',
+                headers: await this.getAuthHeaders(),
+                body: JSON.stringify({
+                    chatId: this.currentChatId,
+                    messageId: String(message.id),
+                    userId: this.getCurrentUserId(),
+                    model: message.model || this.currentChatMeta.pinnedModel || this.currentModel,
+                    rating: feedback.rating || null,
+                    reason: feedback.reason || '',
+                    prompt: prompt ? prompt.content : '',
+                    response: message.content,
+                    createdAt: feedback.createdAt || new Date().toISOString()
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
+            console.log('Feedback sent for message:', message.id);
+        } catch (error) {
+            // The rating is still kept on the message
+            console.error('Failed to send feedback:', error);
+            this.showNotification('Could not send feedback', 'error');
         }
     }
 
     /**
      * Edit user message
+     * The original stays in the tree; sending the edit creates a sibling branch
      * @param {string} messageId - Message ID
      */
     editMessage(messageId) {
+        if (this.isTyping) {
+            this.showNotification('Wait for the current response to finish', 'info');
+            return;
+        }
+
         const message = this.messages.find(m => m.id == messageId);
         if (message && message.type === 'user') {
             // Put the message content in the input field
             const chatInput = document.getElementById('chat-input');
             chatInput.value = message.content;
             chatInput.focus();
-            
-            // Remove the original message from the conversation
-            this.messages = this.messages.filter(msg => msg.id !== messageId);
-            this.conversationHistory = this.conversationHistory.filter(msg => msg.id !== messageId);
-            
-            // Re-render messages
-            this.renderMessages();
-            
-            this.showNotification('Message ready for editing', 'info');
+            this.updateCharCount();
+            this.autoResizeTextarea();
+            this.toggleSendButton();
+
+            this.editingMessageId = message.id;
+            this.highlightEditingMessage();
+
+            // The new version keeps the original's attachments unless they are removed
+            this.pendingAttachments = [...(message.attachments || [])];
+            this.renderAttachmentTray();
+            this.toggleSendButton();
+
+            this.showNotification('Editing message - send to create a new version, Esc to cancel', 'info');
+        }
+    }
+
+    /**
+     * Cancel a pending message edit
+     */
+    cancelEdit() {
+        this.editingMessageId = null;
+        this.highlightEditingMessage();
+        this.pendingAttachments = [];
+        this.renderAttachmentTray();
+
+        const chatInput = document.getElementById('chat-input');
+        chatInput.value = '';
+        this.updateCharCount();
+        this.autoResizeTextarea();
+        this.toggleSendButton();
+    }
+
+    /**
+     * Mark the message currently being edited
+     */
+    highlightEditingMessage() {
+        document.querySelectorAll('.message-container.editing').forEach(element => {
+            element.classList.remove('editing');
+        });
+
+        if (this.editingMessageId !== null) {
+            const messageElement = this.getMessageElement(this.editingMessageId);
+            if (messageElement) {
+                messageElement.classList.add('editing');
+            }
+        }
+    }
+
+    /**
+     * Show another version of a message and the branch that follows it
+     * @param {string} messageId - ID of the currently shown version
+     * @param {number} direction - -1 for the previous version, 1 for the next
+     */
+    async switchBranch(messageId, direction) {
+        if (this.isTyping) {
+            this.showNotification('Wait for the current response to finish', 'info');
+            return;
+        }
+
+        const siblings = this.messageTree.getSiblings(messageId);
+        const index = siblings.findIndex(sibling => sibling.id == messageId);
+        const target = siblings[index + direction];
+        if (index === -1 || !target) return;
+
+        this.messageTree.select(target.id);
+        this.messages = this.messageTree.getActivePath();
+        this.editingMessageId = null;
+        this.syncConversationHistory();
+
+        // Keep the switched message in view rather than jumping to the bottom
+        this.renderMessages();
+        const messageElement = this.getMessageElement(target.id);
+        if (messageElement) {
+            messageElement.scrollIntoView({ block: 'nearest' });
         }
+
+        await this.saveCurrentChat();
     }
 
     /**
@@ -1929,9 +6121,12 @@ class ChatbotService {
 
     /**
      * Regenerate AI response
+     * The new answer is added as a sibling of the old one, which stays reachable
      * @param {string} messageId - Message ID
      */
     async regenerateMessage(messageId) {
+        if (this.isTyping) return;
+
         const messageIndex = this.messages.findIndex(m => m.id == messageId);
         if (messageIndex === -1) return;
 
@@ -1950,35 +6145,18 @@ class ChatbotService {
         }
 
         const userMessage = this.messages[userMessageIndex].content;
-        
-        // Remove the AI response from messages and conversation history
-        this.messages.splice(messageIndex, 1);
-        this.conversationHistory = this.conversationHistory.filter((_, index) => index < userMessageIndex * 2);
 
-        // Remove the message element from DOM
-        const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
-        if (messageElement) {
-            messageElement.remove();
-        }
+        // Branch off right after the prompting message
+        this.messages = this.messages.slice(0, userMessageIndex + 1);
+        this.editingMessageId = null;
+        this.syncConversationHistory();
+        this.renderMessages();
 
-        // Show typing indicator and regenerate
-        this.showTypingIndicator();
-        
-        try {
-            const response = await this.sendToAI(userMessage);
-            this.hideTypingIndicator();
-            
-            if (response && response.success) {
-                this.addMessage('assistant', response.response);
-                await this.saveCurrentChat();
-                this.saveChatHistory();
-            } else {
-                throw new Error(response?.error || 'Failed to regenerate response');
-            }
-        } catch (error) {
-            this.hideTypingIndicator();
-            this.addMessage('system', `Error regenerating response: ${error.message}`);
-        }
+        const chatId = this.currentChatId;
+        await this.generateReply(userMessage, this.takeWebSearch());
+
+        if (this.currentChatId !== chatId) return;
+        await this.saveCurrentChat();
     }
 
     /**
@@ -2056,9 +6234,13 @@ class ChatbotService {
     }
 
     /**
-     * Save current chat to localStorage
+     * Save current chat as the next revision
+     * If another tab or device saved first, its changes are merged in and saved again
+     * @param {Object} [options]
+     * @param {boolean} [options.metadataOnly] - Only the title, pin, archive or folder changed;
+     *     the chat keeps its activity time so it does not move up the list
      */
-    async saveCurrentChat() {
+    async saveCurrentChat({ metadataOnly = false } = {}) {
         try {
             if (!this.currentChatId) return;
             
@@ -2074,41 +6256,40 @@ class ChatbotService {
                 role: msg.type || msg.role || 'user'
             }));
             
+            const baseRevision = this.currentChatSync.id === this.currentChatId ? this.currentChatSync.revision : 0;
+            const now = new Date().toISOString();
+            let timestamp = now;
+            if (metadataOnly) {
+                const savedChat = await chatStore.getChat(userId, this.currentChatId).catch(() => null);
+                timestamp = (savedChat && savedChat.timestamp) || now;
+            }
             const chatData = {
+                ...this.currentChatMeta,
                 id: this.currentChatId,
-                title: this.getChatTitle(),
+                title: this.currentChatMeta.customTitle || this.getChatTitle(),
                 messages: convertedMessages,
-                conversationHistory: this.conversationHistory,
+                messageTree: this.messageTree.toJSON(),
+                contextSummary: this.contextSummary,
                 userId: userId,
-                timestamp: new Date().toISOString()
+                model: this.currentModel,
+                revision: baseRevision + 1,
+                updatedAt: now,
+                updatedBy: this.syncClientId,
+                clearedAt: this.chatClearedAt,
+                timestamp: timestamp
             };
             
-            // Save to all chats
-            const allChats = await this.getAllChats();
-            
-            // Ensure allChats is an array
-            if (!Array.isArray(allChats)) {
-                console.warn('allChats is not an array, initializing empty array');
-                await this.saveAllChats([chatData]);
-                // Update sidebar after saving
-                await this.updateChatHistory();
+            const newerChat = await this.saveChat(chatData, baseRevision);
+            if (newerChat) {
+                if (this.resolvingChatConflict) {
+                    console.warn('Chat changed again while merging; the next sync will merge it');
+                    return;
+                }
+                await this.mergeRemoteChat(newerChat, true);
                 return;
             }
             
-            const existingIndex = allChats.findIndex(chat => chat.id === this.currentChatId);
-            
-            if (existingIndex >= 0) {
-                allChats[existingIndex] = chatData;
-            } else {
-                allChats.unshift(chatData);
-            }
-            
-            // Keep only last 50 chats
-            if (allChats.length > 50) {
-                allChats.splice(50);
-            }
-            
-            await this.saveAllChats(allChats);
+            this.currentChatSync = { id: this.currentChatId, revision: chatData.revision };
             
             // Update sidebar after saving
             await this.updateChatHistory();
@@ -2118,45 +6299,427 @@ class ChatbotService {
     }
 
     /**
-     * Load current chat from localStorage
+     * Load current chat from localStorage
+     */
+    loadCurrentChat() {
+        try {
+            const savedData = localStorage.getItem('chatbot_history');
+            if (savedData) {
+                const chatData = JSON.parse(savedData);
+                
+                // Check if data is recent (within 24 hours)
+                const savedTime = new Date(chatData.timestamp);
+                const now = new Date();
+                const hoursDiff = (now - savedTime) / (1000 * 60 * 60);
+                
+                if (hoursDiff < 24) {
+                    this.messageTree = this.getChatTree(chatData);
+                    this.messages = this.messageTree.getActivePath();
+                    this.syncConversationHistory();
+                    
+                    // Render saved messages
+                    this.messages.forEach(message => {
+                        this.renderMessage(message);
+                    });
+                    
+                    // Hide welcome message if there are messages
+                    if (this.messages.length > 0) {
+                        const welcomeMessage = document.getElementById('welcome-message');
+                        if (welcomeMessage) {
+                            welcomeMessage.classList.add('hidden');
+                        }
+                    }
+                    
+                    this.scrollToBottom();
+                } else {
+                    // Clear old data
+                    localStorage.removeItem('chatbot_history');
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load chat history:', error);
+            localStorage.removeItem('chatbot_history');
+        }
+    }
+
+    /**
+     * Wire up the dataset manager modal
+     */
+    setupDatasetManager() {
+        const datasetModal = document.getElementById('dataset-modal');
+        if (!datasetModal) return;
+
+        document.getElementById('dataset-modal-close')?.addEventListener('click', () => {
+            this.closeDatasetManager();
+        });
+
+        document.getElementById('dataset-upload-btn')?.addEventListener('click', () => {
+            this.showDatasetModal();
+        });
+
+        document.getElementById('dataset-refresh-btn')?.addEventListener('click', () => {
+            this.loadDatasets();
+        });
+
+        // Close when clicking the backdrop
+        datasetModal.addEventListener('click', (e) => {
+            if (e.target === datasetModal) {
+                this.closeDatasetManager();
+            }
+        });
+
+        // List and preview buttons are re-rendered, so delegate from the containers
+        document.getElementById('dataset-list')?.addEventListener('click', (e) => {
+            const previewBtn = e.target.closest('.dataset-preview-btn');
+            const deleteBtn = e.target.closest('.dataset-delete-btn');
+
+            if (previewBtn) {
+                this.previewDataset(previewBtn.getAttribute('data-dataset-id'));
+            } else if (deleteBtn) {
+                this.deleteDataset(deleteBtn.getAttribute('data-dataset-id'));
+            }
+        });
+
+        document.getElementById('dataset-preview')?.addEventListener('click', (e) => {
+            if (e.target.closest('.dataset-back-btn')) {
+                this.showDatasetList();
+            }
+        });
+    }
+
+    /**
+     * Open the dataset manager and load the dataset list
+     */
+    showDatasetManager() {
+        const datasetModal = document.getElementById('dataset-modal');
+        if (!datasetModal) return;
+
+        datasetModal.classList.remove('hidden');
+        datasetModal.classList.add('show');
+        this.showDatasetList();
+        this.loadDatasets();
+    }
+
+    /**
+     * Close the dataset manager
+     */
+    closeDatasetManager() {
+        const datasetModal = document.getElementById('dataset-modal');
+        if (datasetModal) {
+            datasetModal.classList.remove('show');
+            datasetModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Switch the dataset manager back from a preview to the list
+     */
+    showDatasetList() {
+        document.getElementById('dataset-preview')?.classList.add('hidden');
+        document.getElementById('dataset-list')?.classList.remove('hidden');
+        document.querySelector('.dataset-toolbar')?.classList.remove('hidden');
+    }
+
+    /**
+     * Fetch the uploaded datasets from the backend
+     */
+    async loadDatasets() {
+        const datasetList = document.getElementById('dataset-list');
+        if (!datasetList) return;
+
+        datasetList.innerHTML = '<div class="dataset-empty">Loading datasets...</div>';
+
+        try {
+            const headers = await this.getAuthHeaders();
+            const response = await fetch(Config.getApiUrl('datasetList'), {
+                method: 'GET',
+                headers: headers
+            });
+
+            if (!response.ok) {
+                throw new Error(`Dataset list request failed: ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (result.success === false) {
+                throw new Error(result.error || 'Failed to load datasets');
+            }
+
+            const rawDatasets = Array.isArray(result) ? result : (result.datasets || result.data || []);
+            this.datasets = rawDatasets.map(dataset => this.normalizeDataset(dataset));
+            console.log('Datasets loaded:', this.datasets.length);
+            this.renderDatasetList();
+        } catch (error) {
+            console.error('Failed to load datasets:', error);
+            datasetList.innerHTML = '<div class="dataset-empty dataset-error">Failed to load datasets. Please try again.</div>';
+        }
+    }
+
+    /**
+     * Normalize a dataset record from the backend
+     * @param {Object} dataset - Raw dataset
+     * @returns {Object} Dataset with id, name, type, description, entryCount, size, uploadedAt and data
+     */
+    normalizeDataset(dataset) {
+        const data = dataset.data ?? dataset.entries ?? dataset.content ?? null;
+        let entryCount = dataset.entryCount ?? dataset.entries_count ?? dataset.count ?? null;
+        if (entryCount === null && Array.isArray(data)) {
+            entryCount = data.length;
+        }
+
+        let size = dataset.size ?? dataset.sizeBytes ?? null;
+        if (size === null && data !== null) {
+            size = new Blob([typeof data === 'string' ? data : JSON.stringify(data)]).size;
+        }
+
+        return {
+            id: String(dataset.id ?? dataset._id ?? dataset.datasetId ?? dataset.name),
+            name: dataset.name || 'Untitled dataset',
+            type: dataset.type || 'text',
+            description: dataset.description || '',
+            entryCount: entryCount,
+            size: size,
+            uploadedAt: dataset.uploadedAt || dataset.createdAt || dataset.created_at || dataset.timestamp || null,
+            data: data
+        };
+    }
+
+    /**
+     * Render the dataset list
+     */
+    renderDatasetList() {
+        const datasetList = document.getElementById('dataset-list');
+        if (!datasetList) return;
+
+        if (this.datasets.length === 0) {
+            datasetList.innerHTML = '<div class="dataset-empty">No datasets uploaded yet</div>';
+            return;
+        }
+
+        const escape = (text) => MarkdownRenderer.escapeHtml(text);
+        const typeLabels = {
+            faq: 'FAQ',
+            knowledge: 'Knowledge Base',
+            text: 'Text',
+            document: 'Documentation'
+        };
+
+        datasetList.innerHTML = `
+            <table class="dataset-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Type</th>
+                        <th>Size</th>
+                        <th>Uploaded</th>
+                        <th><span class="sr-only">Actions</span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.datasets.map(dataset => `
+                        <tr>
+                            <td>
+                                <div class="dataset-name">${escape(dataset.name)}</div>
+                                ${dataset.description ? `<div class="dataset-description">${escape(dataset.description)}</div>` : ''}
+                            </td>
+                            <td><span class="dataset-type dataset-type-${escape(dataset.type)}">${escape(typeLabels[dataset.type] || dataset.type)}</span></td>
+                            <td>${this.formatDatasetSize(dataset)}</td>
+                            <td>${this.formatDatasetDate(dataset.uploadedAt)}</td>
+                            <td class="dataset-actions">
+                                <button class="btn btn-secondary dataset-preview-btn" data-dataset-id="${escape(dataset.id)}">Preview</button>
+                                <button class="btn btn-secondary dataset-delete-btn" data-dataset-id="${escape(dataset.id)}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Describe a dataset's size as entries and bytes
+     * @param {Object} dataset - Normalized dataset
+     * @returns {string} e.g. "12 entries · 3.4 KB"
+     */
+    formatDatasetSize(dataset) {
+        const parts = [];
+
+        if (dataset.entryCount !== null && dataset.entryCount !== undefined) {
+            parts.push(`${dataset.entryCount} ${dataset.entryCount === 1 ? 'entry' : 'entries'}`);
+        }
+
+        if (typeof dataset.size === 'number') {
+            parts.push(this.formatBytes(dataset.size));
+        }
+
+        return parts.length > 0 ? parts.join(' · ') : '—';
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Size such as "12.3 KB"
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        } else if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        } else if (bytes < 1024 * 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    /**
+     * Format a dataset upload date
+     * @param {string} timestamp - Upload timestamp
+     * @returns {string} Localized date
+     */
+    formatDatasetDate(timestamp) {
+        if (!timestamp) return '—';
+
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? '—' : date.toLocaleDateString();
+    }
+
+    /**
+     * Show the entries of a dataset
+     * @param {string} datasetId - Dataset ID
+     */
+    async previewDataset(datasetId) {
+        let dataset = this.datasets.find(d => d.id === datasetId);
+        if (!dataset) return;
+
+        const datasetPreview = document.getElementById('dataset-preview');
+        document.getElementById('dataset-list').classList.add('hidden');
+        document.querySelector('.dataset-toolbar')?.classList.add('hidden');
+        datasetPreview.classList.remove('hidden');
+        datasetPreview.innerHTML = '<div class="dataset-empty">Loading preview...</div>';
+
+        try {
+            // The list may only carry metadata; fetch the entries on demand
+            if (dataset.data === null) {
+                const headers = await this.getAuthHeaders();
+                const response = await fetch(`${Config.getApiUrl('datasetList')}/${encodeURIComponent(datasetId)}`, {
+                    method: 'GET',
+                    headers: headers
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Dataset request failed: ${response.status}`);
+                }
+
+                const result = await response.json();
+                dataset = this.normalizeDataset({ ...dataset, ...(result.dataset || result.data || result) });
+                this.datasets = this.datasets.map(d => (d.id === datasetId ? dataset : d));
+            }
+
+            this.renderDatasetPreview(dataset);
+        } catch (error) {
+            console.error('Failed to load dataset preview:', error);
+            datasetPreview.innerHTML = `
+                <button class="btn btn-secondary dataset-back-btn">&larr; Back</button>
+                <div class="dataset-empty dataset-error">Failed to load dataset preview.</div>
+            `;
+        }
+    }
+
+    /**
+     * Render a dataset preview
+     * @param {Object} dataset - Normalized dataset including its data
+     */
+    renderDatasetPreview(dataset) {
+        const datasetPreview = document.getElementById('dataset-preview');
+        const escape = (text) => MarkdownRenderer.escapeHtml(text);
+        let body;
+
+        if (Array.isArray(dataset.data)) {
+            const entries = dataset.data.slice(0, this.datasetPreviewLimit);
+            body = `
+                <ol class="dataset-entries">
+                    ${entries.map(entry => {
+                        if (entry && typeof entry === 'object' && 'question' in entry) {
+                            return `
+                                <li class="dataset-entry">
+                                    <div class="dataset-entry-question">${escape(entry.question)}</div>
+                                    <div class="dataset-entry-answer">${escape(entry.answer ?? '')}</div>
+                                </li>
+                            `;
+                        }
+
+                        if (entry && typeof entry === 'object') {
+                            const title = entry.title ? `<div class="dataset-entry-question">${escape(entry.title)}</div>` : '';
+                            const content = entry.content ?? entry.text ?? JSON.stringify(entry, null, 2);
+                            return `<li class="dataset-entry">${title}<div class="dataset-entry-answer">${escape(content)}</div></li>`;
+                        }
+
+                        return `<li class="dataset-entry"><div class="dataset-entry-answer">${escape(String(entry))}</div></li>`;
+                    }).join('')}
+                </ol>
+                ${dataset.data.length > entries.length ? `<div class="dataset-more">Showing ${entries.length} of ${dataset.data.length} entries</div>` : ''}
+            `;
+        } else if (dataset.data !== null && dataset.data !== undefined) {
+            const text = typeof dataset.data === 'string' ? dataset.data : JSON.stringify(dataset.data, null, 2);
+            const excerpt = text.substring(0, 5000);
+            body = `
+                <pre class="dataset-text">${escape(excerpt)}</pre>
+                ${text.length > excerpt.length ? `<div class="dataset-more">Showing the first ${excerpt.length} of ${text.length} characters</div>` : ''}
+            `;
+        } else {
+            body = '<div class="dataset-empty">This dataset has no entries</div>';
+        }
+
+        datasetPreview.innerHTML = `
+            <div class="dataset-preview-header">
+                <button class="btn btn-secondary dataset-back-btn">&larr; Back</button>
+                <div>
+                    <h4 class="dataset-name">${escape(dataset.name)}</h4>
+                    <div class="dataset-description">${this.formatDatasetSize(dataset)} · ${this.formatDatasetDate(dataset.uploadedAt)}</div>
+                </div>
+            </div>
+            ${body}
+        `;
+    }
+
+    /**
+     * Delete a dataset after confirmation
+     * @param {string} datasetId - Dataset ID
      */
-    loadCurrentChat() {
+    async deleteDataset(datasetId) {
+        const dataset = this.datasets.find(d => d.id === datasetId);
+        if (!dataset) return;
+
+        if (!confirm(`Are you sure you want to delete the dataset "${dataset.name}"? This action cannot be undone.`)) {
+            return;
+        }
+
         try {
-            const savedData = localStorage.getItem('chatbot_history');
-            if (savedData) {
-                const chatData = JSON.parse(savedData);
-                
-                // Check if data is recent (within 24 hours)
-                const savedTime = new Date(chatData.timestamp);
-                const now = new Date();
-                const hoursDiff = (now - savedTime) / (1000 * 60 * 60);
-                
-                if (hoursDiff < 24) {
-                    this.messages = chatData.messages || [];
-                    this.conversationHistory = chatData.conversationHistory || [];
-                    
-                    // Render saved messages
-                    this.messages.forEach(message => {
-                        this.renderMessage(message);
-                    });
-                    
-                    // Hide welcome message if there are messages
-                    if (this.messages.length > 0) {
-                        const welcomeMessage = document.getElementById('welcome-message');
-                        if (welcomeMessage) {
-                            welcomeMessage.classList.add('hidden');
-                        }
-                    }
-                    
-                    this.scrollToBottom();
-                } else {
-                    // Clear old data
-                    localStorage.removeItem('chatbot_history');
-                }
-            }
+            await this.requestDatasetDelete(datasetId, await this.getAuthHeaders());
+
+            this.datasets = this.datasets.filter(d => d.id !== datasetId);
+            this.renderDatasetList();
+            this.showNotification(`Dataset "${dataset.name}" deleted`, 'success');
         } catch (error) {
-            console.error('Failed to load chat history:', error);
-            localStorage.removeItem('chatbot_history');
+            console.error('Failed to delete dataset:', error);
+            this.showNotification('Failed to delete dataset', 'error');
+        }
+    }
+
+    /**
+     * Delete a dataset on the backend
+     * @param {string} datasetId - Dataset ID
+     * @param {Object} headers - Auth headers
+     */
+    async requestDatasetDelete(datasetId, headers) {
+        const response = await fetch(`${Config.getApiUrl('datasetDelete')}/${encodeURIComponent(datasetId)}`, {
+            method: 'DELETE',
+            headers: headers
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || result.success === false) {
+            throw new Error(result.error || `Dataset delete failed: ${response.status}`);
         }
     }
 
@@ -2164,16 +6727,21 @@ class ChatbotService {
      * Show dataset upload modal
      */
     showDatasetModal() {
+        // Only one upload form at a time
+        document.getElementById('dataset-upload-modal')?.remove();
+        this.datasetImport = null;
+
         const modal = document.createElement('div');
-        modal.className = 'modal-overlay';
+        modal.id = 'dataset-upload-modal';
+        modal.className = 'modal-overlay show';
         modal.innerHTML = `
-            <div class="modal-content">
+            <div class="modal-container">
                 <div class="modal-header">
-                    <h3>Upload Dataset</h3>
+                    <h3 class="modal-title">Upload Dataset</h3>
                     <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">×</button>
                 </div>
                 <div class="modal-body">
-                    <form id="dataset-form">
+                    <form id="dataset-form" novalidate>
                         <div class="form-group">
                             <label for="dataset-name">Dataset Name</label>
                             <input type="text" id="dataset-name" required placeholder="e.g., Company FAQ">
@@ -2191,11 +6759,18 @@ class ChatbotService {
                             <label for="dataset-description">Description (Optional)</label>
                             <input type="text" id="dataset-description" placeholder="Brief description of the dataset">
                         </div>
-                        <div class="form-group">
+                        <div id="dataset-dropzone" class="dataset-dropzone" tabindex="0" role="button" aria-label="Choose a dataset file">
+                            <input type="file" id="dataset-file" accept="${DatasetParser.acceptedExtensions.join(',')}" hidden>
+                            <div class="dataset-dropzone-text"><strong>Drop a file here</strong> or click to browse</div>
+                            <small>CSV, JSON, Markdown or plain text</small>
+                        </div>
+                        <div id="dataset-import" class="dataset-import hidden"></div>
+                        <div id="dataset-data-group" class="form-group">
                             <label for="dataset-data">Dataset Content</label>
-                            <textarea id="dataset-data" required rows="10" placeholder="Enter your data here..."></textarea>
-                            <small>For FAQ: Use JSON format like [{"question": "Q1", "answer": "A1"}]</small>
+                            <textarea id="dataset-data" required rows="10" placeholder="...or paste your data here"></textarea>
+                            <small id="dataset-format-hint">${this.getDatasetFormatHint('faq')}</small>
                         </div>
+                        <ul id="dataset-errors" class="dataset-errors hidden" role="alert"></ul>
                         <div class="form-actions">
                             <button type="button" class="btn btn-secondary" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
                             <button type="submit" class="btn btn-primary">Upload Dataset</button>
@@ -2206,6 +6781,18 @@ class ChatbotService {
         `;
         
         document.body.appendChild(modal);
+
+        // Keep the format hint (and any file preview) in step with the selected type
+        document.getElementById('dataset-type').addEventListener('change', (e) => {
+            document.getElementById('dataset-format-hint').textContent = this.getDatasetFormatHint(e.target.value);
+            this.showDatasetErrors([]);
+            if (this.datasetImport) {
+                this.datasetImport.page = 0;
+                this.renderDatasetImport();
+            }
+        });
+
+        this.setupDatasetDropzone();
         
         // Handle form submission
         document.getElementById('dataset-form').addEventListener('submit', (e) => {
@@ -2214,6 +6801,482 @@ class ChatbotService {
         });
     }
 
+    /**
+     * Describe the content format expected for a dataset type
+     * @param {string} type - Dataset type
+     * @returns {string} Hint text
+     */
+    getDatasetFormatHint(type) {
+        const hints = {
+            faq: 'JSON array of questions and answers: [{"question": "Q1", "answer": "A1"}]',
+            knowledge: 'JSON array of entries: [{"title": "Topic", "content": "Details"}] or ["Fact one", "Fact two"]',
+            text: 'Plain text',
+            document: 'Plain text or Markdown documentation'
+        };
+        return hints[type] || hints.text;
+    }
+
+    /**
+     * Validate dataset content for its type before uploading
+     * @param {string} type - Dataset type (faq, knowledge, text, document)
+     * @param {string} dataText - Raw content from the form
+     * @returns {Object} { valid, errors, data } where data is the payload to upload
+     */
+    validateDataset(type, dataText) {
+        const errors = [];
+        const text = (dataText || '').trim();
+        const maxErrors = 5;
+
+        if (!text) {
+            return { valid: false, errors: ['Dataset content is empty'], data: null };
+        }
+
+        // Plain text types are uploaded as-is
+        if (type === 'text' || type === 'document') {
+            return { valid: true, errors, data: text };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { valid: false, errors: [`Content must be valid JSON: ${error.message}`], data: null };
+        }
+
+        if (!Array.isArray(data)) {
+            return { valid: false, errors: ['Content must be a JSON array'], data: null };
+        }
+
+        if (data.length === 0) {
+            return { valid: false, errors: ['The array has no entries'], data: null };
+        }
+
+        data.forEach((entry, index) => {
+            if (errors.length >= maxErrors) return;
+
+            const error = this.validateDatasetEntry(type, entry);
+            if (error) {
+                errors.push(`Entry ${index + 1}: ${error}`);
+            }
+        });
+
+        if (errors.length >= maxErrors) {
+            errors.push('Further entries were not checked');
+        }
+
+        return { valid: errors.length === 0, errors, data };
+    }
+
+    /**
+     * Validate a single dataset entry
+     * @param {string} type - Dataset type
+     * @param {*} entry - Entry to check
+     * @returns {string|null} Error message, or null when the entry is valid
+     */
+    validateDatasetEntry(type, entry) {
+        const isFilled = (value) => typeof value === 'string' && value.trim().length > 0;
+
+        if (type === 'faq') {
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                return 'must be an object with "question" and "answer"';
+            }
+            if (!isFilled(entry.question)) {
+                return '"question" must be a non-empty string';
+            }
+            if (!isFilled(entry.answer)) {
+                return '"answer" must be a non-empty string';
+            }
+        } else if (type === 'knowledge') {
+            const content = entry && typeof entry === 'object' ? (entry.content ?? entry.text) : entry;
+            if (!isFilled(content)) {
+                return 'must be a non-empty string or an object with "content"';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Wire up drag-and-drop and browsing for dataset files
+     */
+    setupDatasetDropzone() {
+        const dropzone = document.getElementById('dataset-dropzone');
+        const fileInput = document.getElementById('dataset-file');
+        const importPanel = document.getElementById('dataset-import');
+        if (!dropzone || !fileInput) return;
+
+        dropzone.addEventListener('click', () => fileInput.click());
+        dropzone.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                fileInput.click();
+            }
+        });
+
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.handleDatasetFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        ['dragenter', 'dragover'].forEach(eventName => {
+            dropzone.addEventListener(eventName, (e) => {
+                e.preventDefault();
+                dropzone.classList.add('dragover');
+            });
+        });
+
+        ['dragleave', 'drop'].forEach(eventName => {
+            dropzone.addEventListener(eventName, (e) => {
+                e.preventDefault();
+                dropzone.classList.remove('dragover');
+            });
+        });
+
+        dropzone.addEventListener('drop', (e) => {
+            const file = e.dataTransfer?.files?.[0];
+            if (file) {
+                this.handleDatasetFile(file);
+            }
+        });
+
+        // The preview is re-rendered, so delegate its controls
+        importPanel.addEventListener('click', (e) => {
+            if (e.target.closest('.dataset-import-clear')) {
+                this.clearDatasetImport();
+            } else if (e.target.closest('.dataset-page-prev')) {
+                this.datasetImport.page--;
+                this.renderDatasetImport();
+            } else if (e.target.closest('.dataset-page-next')) {
+                this.datasetImport.page++;
+                this.renderDatasetImport();
+            }
+        });
+
+        importPanel.addEventListener('change', (e) => {
+            if (e.target.matches('.dataset-column-select')) {
+                this.datasetImport.mapping[e.target.getAttribute('data-column')] = Number(e.target.value);
+                this.renderDatasetImport();
+            } else if (e.target.matches('#dataset-skip-invalid')) {
+                this.datasetImport.skipInvalid = e.target.checked;
+            }
+        });
+    }
+
+    /**
+     * Parse a dropped or selected dataset file and show its preview
+     * @param {File} file - Dataset file
+     */
+    async handleDatasetFile(file) {
+        try {
+            const parsed = await DatasetParser.parseFile(file);
+
+            this.datasetImport = {
+                ...parsed,
+                fileName: file.name,
+                fileSize: file.size,
+                mapping: parsed.headers ? DatasetParser.suggestColumns(parsed.headers) : null,
+                skipInvalid: false,
+                page: 0
+            };
+
+            // Pick the type that fits the file; the user can still change it
+            const typeSelect = document.getElementById('dataset-type');
+            typeSelect.value = this.suggestDatasetType(parsed);
+            document.getElementById('dataset-format-hint').textContent = this.getDatasetFormatHint(typeSelect.value);
+
+            const nameInput = document.getElementById('dataset-name');
+            if (!nameInput.value.trim()) {
+                nameInput.value = file.name.replace(/\.[^.]+$/, '');
+            }
+
+            document.getElementById('dataset-data-group').classList.add('hidden');
+            document.getElementById('dataset-dropzone').classList.add('hidden');
+            this.showDatasetErrors([]);
+            this.renderDatasetImport();
+        } catch (error) {
+            console.error('Failed to read dataset file:', error);
+            this.showDatasetErrors([`${file.name}: ${error.message}`]);
+        }
+    }
+
+    /**
+     * Drop the loaded file and go back to pasting content
+     */
+    clearDatasetImport() {
+        this.datasetImport = null;
+
+        const importPanel = document.getElementById('dataset-import');
+        importPanel.innerHTML = '';
+        importPanel.classList.add('hidden');
+        document.getElementById('dataset-data-group').classList.remove('hidden');
+        document.getElementById('dataset-dropzone').classList.remove('hidden');
+        this.showDatasetErrors([]);
+    }
+
+    /**
+     * Suggest a dataset type for a parsed file
+     * @param {Object} parsed - Result of DatasetParser.parseFile
+     * @returns {string} Dataset type
+     */
+    suggestDatasetType(parsed) {
+        switch (parsed.format) {
+            case 'csv':
+                return 'faq';
+            case 'json':
+                return parsed.entries.some(entry => entry && typeof entry === 'object' && ('question' in entry || 'Question' in entry))
+                    ? 'faq'
+                    : 'knowledge';
+            case 'markdown':
+                return 'knowledge';
+            default:
+                return 'text';
+        }
+    }
+
+    /**
+     * Build the upload data for the loaded file and the selected type
+     * @param {string} type - Dataset type
+     * @returns {Object} { data, rows } where rows are { entry, error } for the preview
+     */
+    getDatasetImportData(type) {
+        const imported = this.datasetImport;
+
+        // Documents upload the file text as-is; the preview pages through its paragraphs
+        if (type === 'text' || type === 'document') {
+            return {
+                data: imported.text.trim(),
+                rows: DatasetParser.splitParagraphs(imported.text).map(entry => ({ entry, error: null }))
+            };
+        }
+
+        const entries = imported.format === 'csv'
+            ? DatasetParser.mapRows(imported.rows, imported.mapping, type)
+            : DatasetParser.toDatasetEntries(imported.entries, type);
+
+        return {
+            data: entries,
+            rows: entries.map(entry => ({ entry, error: this.validateDatasetEntry(type, entry) }))
+        };
+    }
+
+    /**
+     * Render the paginated preview of the loaded file
+     */
+    renderDatasetImport() {
+        const importPanel = document.getElementById('dataset-import');
+        const imported = this.datasetImport;
+        if (!importPanel || !imported) return;
+
+        const escape = (text) => MarkdownRenderer.escapeHtml(text);
+        const truncate = (text) => {
+            const value = typeof text === 'string' ? text : JSON.stringify(text ?? '');
+            return value.length > 160 ? value.substring(0, 160) + '…' : value;
+        };
+
+        const type = document.getElementById('dataset-type').value;
+        const { rows } = this.getDatasetImportData(type);
+        const errorCount = rows.filter(row => row.error).length;
+        const pageCount = Math.max(1, Math.ceil(rows.length / this.datasetImportPageSize));
+        imported.page = Math.min(Math.max(imported.page, 0), pageCount - 1);
+        const start = imported.page * this.datasetImportPageSize;
+        const pageRows = rows.slice(start, start + this.datasetImportPageSize);
+
+        const isDocument = type === 'text' || type === 'document';
+        const labels = type === 'faq' ? ['Question', 'Answer'] : ['Title', 'Content'];
+
+        // CSV columns can be mapped onto the entry fields
+        let mappingHtml = '';
+        if (imported.format === 'csv' && !isDocument) {
+            const options = (selected) => imported.headers.map((header, index) =>
+                `<option value="${index}" ${index === selected ? 'selected' : ''}>${escape(header)}</option>`
+            ).join('');
+            mappingHtml = `
+                <div class="dataset-column-mapping">
+                    <label>${labels[0]} column
+                        <select class="dataset-column-select" data-column="first">${options(imported.mapping.first)}</select>
+                    </label>
+                    <label>${labels[1]} column
+                        <select class="dataset-column-select" data-column="second">${options(imported.mapping.second)}</select>
+                    </label>
+                </div>
+            `;
+        }
+
+        const rowHtml = pageRows.map((row, index) => {
+            const entry = row.entry;
+            let cells;
+            if (isDocument) {
+                cells = `<td>${escape(truncate(entry.content))}</td>`;
+            } else if (entry && typeof entry === 'object') {
+                const first = type === 'faq' ? entry.question : entry.title;
+                const second = type === 'faq' ? entry.answer : (entry.content ?? entry.text);
+                cells = `<td>${escape(truncate(first ?? ''))}</td><td>${escape(truncate(second ?? ''))}</td>`;
+            } else {
+                cells = `<td colspan="2">${escape(truncate(entry))}</td>`;
+            }
+
+            const status = row.error
+                ? `<td class="dataset-row-error">${escape(row.error)}</td>`
+                : '<td class="dataset-row-ok">OK</td>';
+
+            return `<tr class="${row.error ? 'has-error' : ''}"><td>${start + index + 1}</td>${cells}${status}</tr>`;
+        }).join('');
+
+        importPanel.innerHTML = `
+            <div class="dataset-import-header">
+                <span class="dataset-import-file">${escape(imported.fileName)} · ${this.formatBytes(imported.fileSize)} · ${imported.format.toUpperCase()}</span>
+                <button type="button" class="btn btn-secondary dataset-import-clear">Remove file</button>
+            </div>
+            ${mappingHtml}
+            <div class="dataset-import-summary">
+                ${rows.length} ${isDocument ? 'paragraphs' : 'entries'}${errorCount > 0 ? ` · <span class="dataset-row-error">${errorCount} with errors</span>` : ''}
+            </div>
+            <div class="dataset-list">
+                <table class="dataset-table dataset-import-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            ${isDocument ? '<th>Paragraph</th>' : `<th>${labels[0]}</th><th>${labels[1]}</th>`}
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rowHtml}</tbody>
+                </table>
+            </div>
+            ${pageCount > 1 ? `
+                <div class="dataset-pagination">
+                    <button type="button" class="btn btn-secondary dataset-page-prev" ${imported.page === 0 ? 'disabled' : ''}>Previous</button>
+                    <span>Page ${imported.page + 1} of ${pageCount}</span>
+                    <button type="button" class="btn btn-secondary dataset-page-next" ${imported.page >= pageCount - 1 ? 'disabled' : ''}>Next</button>
+                </div>
+            ` : ''}
+            ${errorCount > 0 ? `
+                <label class="dataset-skip-invalid">
+                    <input type="checkbox" id="dataset-skip-invalid" ${imported.skipInvalid ? 'checked' : ''}>
+                    Skip the ${errorCount} ${errorCount === 1 ? 'row' : 'rows'} with errors when uploading
+                </label>
+            ` : ''}
+        `;
+        importPanel.classList.remove('hidden');
+    }
+
+    /**
+     * Upload a dataset, splitting large data into several requests
+     * Parts share an upload ID so the backend can append them to one dataset. The
+     * backend confirms it does by echoing the upload ID in its reply to the first
+     * part; only then are the other parts sent. If it does not, or a part fails,
+     * the parts already stored are deleted again
+     * @param {Object} payload - { name, type, description, data }
+     * @returns {Promise<number>} Number of requests sent
+     */
+    async sendDataset(payload) {
+        const chunks = DatasetParser.chunk(payload.data, this.datasetChunkBytes);
+        const headers = await this.getAuthHeaders();
+
+        const uploadId = chunks.length > 1
+            ? Date.now().toString(36) + Math.random().toString(36).substring(2, 10)
+            : null;
+        const storedIds = [];
+
+        for (let index = 0; index < chunks.length; index++) {
+            this.updateDatasetUploadProgress(index + 1, chunks.length);
+
+            const body = { ...payload, data: chunks[index] };
+            if (uploadId) {
+                body.uploadId = uploadId;
+                body.chunkIndex = index;
+                body.totalChunks = chunks.length;
+            }
+
+            const response = await fetch(Config.getApiUrl('datasetUpload'), {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body)
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                const part = chunks.length > 1 ? ` (part ${index + 1} of ${chunks.length})` : '';
+                const message = (result.error || `Upload failed with status ${response.status}`) + part;
+                throw new Error(await this.rollbackDatasetUpload(message, storedIds, index, chunks.length, headers));
+            }
+
+            const datasetId = (result.dataset && result.dataset.id) || result.datasetId || result.id;
+            if (datasetId && !storedIds.includes(datasetId)) {
+                storedIds.push(datasetId);
+            }
+
+            // A backend that ignores the upload ID would store every part as its own dataset
+            if (uploadId && index === 0 && result.uploadId !== uploadId) {
+                const message = `This dataset needs ${chunks.length} requests, but the server does not support uploads in parts. ` +
+                    `Split it into datasets under ${this.formatBytes(this.datasetChunkBytes)}`;
+                throw new Error(await this.rollbackDatasetUpload(message, storedIds, 1, chunks.length, headers));
+            }
+        }
+
+        return chunks.length;
+    }
+
+    /**
+     * Delete the parts of a failed upload that were already stored
+     * @param {string} message - Why the upload failed
+     * @param {Array<string>} storedIds - Dataset IDs the backend returned for the stored parts
+     * @param {number} storedCount - Parts stored before the failure
+     * @param {number} totalCount - Parts of the upload
+     * @param {Object} headers - Auth headers
+     * @returns {Promise<string>} Error message for the user, saying what was left behind
+     */
+    async rollbackDatasetUpload(message, storedIds, storedCount, totalCount, headers) {
+        if (storedCount === 0) return message;
+
+        const stored = storedCount === 1 ? 'Part 1' : `Parts 1-${storedCount}`;
+        if (storedIds.length === 0) {
+            return `${message}. ${stored} of ${totalCount} were stored and could not be removed automatically - delete them under Datasets`;
+        }
+
+        const results = await Promise.allSettled(storedIds.map(datasetId => this.requestDatasetDelete(datasetId, headers)));
+        const failed = storedIds.filter((datasetId, index) => results[index].status === 'rejected');
+        if (failed.length > 0) {
+            console.error('Failed to remove partly uploaded dataset:', failed);
+            return `${message}. ${stored} of ${totalCount} were stored and could not all be removed - delete them under Datasets`;
+        }
+
+        console.log(`Removed ${storedIds.length} partly uploaded dataset(s)`);
+        return `${message}. Nothing was saved`;
+    }
+
+    /**
+     * Show upload progress on the form's submit button
+     * @param {number} current - Request being sent (0 to reset)
+     * @param {number} total - Total requests
+     */
+    updateDatasetUploadProgress(current, total) {
+        const submitBtn = document.querySelector('#dataset-form button[type="submit"]');
+        if (!submitBtn) return;
+
+        if (current === 0) {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Upload Dataset';
+        } else {
+            submitBtn.disabled = true;
+            submitBtn.textContent = total > 1 ? `Uploading ${current}/${total}...` : 'Uploading...';
+        }
+    }
+
+    /**
+     * Show validation errors in the upload form
+     * @param {Array<string>} errors - Error messages (empty to clear)
+     */
+    showDatasetErrors(errors) {
+        const errorList = document.getElementById('dataset-errors');
+        if (!errorList) return;
+
+        errorList.innerHTML = errors.map(error => `<li>${MarkdownRenderer.escapeHtml(error)}</li>`).join('');
+        errorList.classList.toggle('hidden', errors.length === 0);
+    }
+
     /**
      * Upload dataset to backend
      */
@@ -2225,63 +7288,62 @@ class ChatbotService {
                 return;
             }
 
-            const name = document.getElementById('dataset-name').value;
+            const name = document.getElementById('dataset-name').value.trim();
             const type = document.getElementById('dataset-type').value;
-            const description = document.getElementById('dataset-description').value;
-            const dataText = document.getElementById('dataset-data').value;
+            const description = document.getElementById('dataset-description').value.trim();
 
-            let data;
-            try {
-                // Try to parse as JSON first
-                data = JSON.parse(dataText);
-            } catch {
-                // If not JSON, treat as plain text
-                data = dataText;
-            }
+            // Reject malformed content before anything is sent
+            const errors = name ? [] : ['Dataset name is required'];
+            let data = null;
 
-            const payload = {
-                name,
-                type,
-                description,
-                data
-            };
+            if (this.datasetImport) {
+                const imported = this.getDatasetImportData(type);
+                const invalidCount = imported.rows.filter(row => row.error).length;
+                data = imported.data;
 
-            // Get Firebase Auth token
-            let userToken = null;
-            if (typeof window.auth !== 'undefined' && window.auth.currentUser) {
-                try {
-                    userToken = await window.auth.currentUser.getIdToken();
-                } catch (error) {
-                    console.error('Failed to get Firebase token:', error);
+                if (Array.isArray(data)) {
+                    if (invalidCount > 0 && !this.datasetImport.skipInvalid) {
+                        errors.push(`${invalidCount} ${invalidCount === 1 ? 'row has' : 'rows have'} errors - fix the file or choose to skip them`);
+                    }
+                    data = imported.rows.filter(row => !row.error).map(row => row.entry);
+                    if (data.length === 0) {
+                        errors.push('There are no valid entries to upload');
+                    }
+                } else if (!data) {
+                    errors.push('The file has no content');
                 }
+            } else {
+                const validation = this.validateDataset(type, document.getElementById('dataset-data').value);
+                errors.push(...validation.errors);
+                data = validation.data;
             }
 
-            const headers = {
-                'Content-Type': 'application/json'
-            };
-            
-            if (userToken) {
-                headers['Authorization'] = `Bearer ${userToken}`;
+            this.showDatasetErrors(errors);
+            if (errors.length > 0) {
+                return;
             }
 
-            const response = await fetch(Config.api.baseUrl + Config.api.endpoints.datasetUpload, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(payload)
+            const requestCount = await this.sendDataset({
+                name,
+                type,
+                description,
+                data
             });
 
-            const result = await response.json();
+            console.log(`Dataset uploaded in ${requestCount} request(s)`);
+            this.showNotification('Dataset uploaded successfully!', 'success');
+            this.datasetImport = null;
+            document.getElementById('dataset-upload-modal')?.remove();
 
-            if (result.success) {
-                this.showNotification('Dataset uploaded successfully!', 'success');
-                document.querySelector('.modal-overlay').remove();
-            } else {
-                this.showNotification(`Error: ${result.error}`, 'error');
+            // Refresh the manager if it is open behind the form
+            if (document.getElementById('dataset-modal')?.classList.contains('show')) {
+                this.loadDatasets();
             }
-
         } catch (error) {
             console.error('Error uploading dataset:', error);
-            this.showNotification('Failed to upload dataset', 'error');
+            this.showNotification(`Failed to upload dataset: ${error.message}`, 'error');
+        } finally {
+            this.updateDatasetUploadProgress(0, 0);
         }
     }
 
@@ -47,6 +47,7 @@ const Config = {
             episodes: '/api/podcast/episodes',
             feedInfo: '/api/podcast/feed-info',
             feed: '/api/podcast/feed',
+            playbackProgress: '/api/podcast/progress',
             
             // File management endpoints
             files: '/api/files',
@@ -73,6 +74,8 @@ const Config = {
     datasetList: '/api/chatbot/dataset',
     datasetDelete: '/api/chatbot/dataset',
     chatHistory: '/api/chatbot/chats',
+    chatShares: '/api/chatbot/shares',
+    chatFeedback: '/api/chatbot/feedback',
     
     // Search endpoints
     searchStatus: '/api/search/status',
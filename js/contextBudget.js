@@ -0,0 +1,116 @@
+/**
+ * Context Budget
+ * Estimates how many tokens messages take and trims a conversation to fit a
+ * model's context window. Estimates are deliberately rough (no tokenizer is
+ * loaded in the browser) and err on the high side
+ */
+
+const ContextBudget = {
+    // Average characters per token for English-like text
+    charsPerToken: 4,
+
+    // Tokens a chat message costs beyond its text (role markers, separators)
+    messageOverheadTokens: 4,
+
+    // Used for models not listed below
+    defaultContextWindow: 4096,
+
+    // Context window in tokens by model name prefix; the first match wins, so
+    // more specific prefixes come first
+    contextWindows: [
+        ['gemini-1.5', 1048576],
+        ['gemini-2', 1048576],
+        ['gemini', 32768],
+        ['gemma3', 131072],
+        ['gemma2', 8192],
+        ['gemma', 8192],
+        ['llama3.1', 131072],
+        ['llama3.2', 131072],
+        ['llama3.3', 131072],
+        ['llama3', 8192],
+        ['llama2', 4096],
+        ['mixtral', 32768],
+        ['mistral', 32768],
+        ['qwen2.5', 32768],
+        ['qwen', 32768],
+        ['phi4', 16384],
+        ['phi3', 4096],
+        ['deepseek', 65536],
+        ['gpt-4o', 128000],
+        ['gpt-3.5', 16385]
+    ],
+
+    /**
+     * Estimate the tokens in a piece of text
+     * Characters outside ASCII (CJK, emoji) are counted as a token each
+     * @param {string} text - Text
+     * @returns {number} Estimated tokens
+     */
+    estimateTokens(text) {
+        if (!text) return 0;
+
+        const nonAscii = (text.match(/[^\x00-\x7F]/g) || []).length;
+        return Math.ceil((text.length - nonAscii) / this.charsPerToken) + nonAscii;
+    },
+
+    /**
+     * Estimate the tokens a chat message costs
+     * @param {Object} message - { role, content }
+     * @returns {number} Estimated tokens
+     */
+    estimateMessageTokens(message) {
+        return this.messageOverheadTokens + this.estimateTokens(message.content);
+    },
+
+    /**
+     * Get a model's context window
+     * @param {string} model - Model name, e.g. 'gemma2:2b'
+     * @returns {number} Context window in tokens
+     */
+    getContextWindow(model) {
+        const name = String(model || '').toLowerCase().replace(/^models\//, '');
+        const match = this.contextWindows.find(([prefix]) => name.startsWith(prefix));
+        return match ? match[1] : this.defaultContextWindow;
+    },
+
+    /**
+     * Keep the newest messages that fit in a token budget
+     * The last message is always kept, even when it alone is over budget
+     * @param {Array} messages - Messages, oldest first
+     * @param {number} budget - Tokens available
+     * @returns {Object} { kept, dropped, used } - kept and dropped keep their order
+     */
+    trim(messages, budget) {
+        let used = 0;
+        let start = messages.length;
+
+        while (start > 0) {
+            const tokens = this.estimateMessageTokens(messages[start - 1]);
+            if (start < messages.length && used + tokens > budget) break;
+            used += tokens;
+            start--;
+        }
+
+        return {
+            kept: messages.slice(start),
+            dropped: messages.slice(0, start),
+            used
+        };
+    },
+
+    /**
+     * Format a token count for display
+     * @param {number} tokens - Tokens
+     * @returns {string} e.g. '850', '12.4k', '1M'
+     */
+    formatTokens(tokens) {
+        if (tokens >= 1000000) return `${+(tokens / 1000000).toFixed(1)}M`;
+        if (tokens >= 1000) return `${+(tokens / 1000).toFixed(1)}k`;
+        return String(tokens);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextBudget;
+}
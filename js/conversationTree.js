@@ -0,0 +1,238 @@
+/**
+ * Conversation Tree
+ * Stores chat messages as a tree so that editing or regenerating a message
+ * adds a sibling branch instead of overwriting the earlier version
+ */
+
+// Parent key used for the first message(s) of a conversation
+const ROOT_BRANCH_KEY = 'root';
+
+class ConversationTree {
+    constructor() {
+        this.nodes = new Map(); // Message ID (as string) -> message object
+        this.children = new Map(); // Parent key -> child IDs in creation order
+        this.selected = {}; // Parent key -> ID of the active child
+    }
+
+    /**
+     * Build a single-branch tree from a linear message list
+     * @param {Array} messages - Messages in display order
+     * @returns {ConversationTree} Tree with one branch
+     */
+    static fromMessages(messages = []) {
+        const tree = new ConversationTree();
+        let parentId = null;
+
+        messages.forEach(message => {
+            tree.add(message, parentId);
+            parentId = message.id;
+        });
+
+        return tree;
+    }
+
+    /**
+     * Restore a tree saved with toJSON()
+     * @param {Object} data - Serialized tree ({ nodes, selected })
+     * @returns {ConversationTree|null} Tree, or null if data is missing or malformed
+     */
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.nodes) || data.nodes.length === 0) {
+            return null;
+        }
+
+        const tree = new ConversationTree();
+        const validNodes = data.nodes.filter(node => node && node.id !== undefined && node.id !== null);
+        const knownIds = new Set(validNodes.map(node => String(node.id)));
+
+        validNodes.forEach(node => {
+            // Orphaned nodes are reattached to the root rather than dropped
+            const parentId = node.parentId !== null && node.parentId !== undefined && knownIds.has(String(node.parentId))
+                ? node.parentId
+                : null;
+
+            tree.insert({
+                ...node,
+                type: node.type || node.role || 'user'
+            }, parentId);
+        });
+
+        // Only keep selections that still point at a known child
+        Object.entries(data.selected || {}).forEach(([key, id]) => {
+            if ((tree.children.get(key) || []).includes(String(id))) {
+                tree.selected[key] = String(id);
+            }
+        });
+
+        return tree;
+    }
+
+    /**
+     * Get the children-map key for a parent ID
+     * @param {string|number|null} parentId - Parent message ID
+     * @returns {string} Key
+     */
+    getParentKey(parentId) {
+        return parentId === null || parentId === undefined ? ROOT_BRANCH_KEY : String(parentId);
+    }
+
+    /**
+     * Insert a message without changing which branch is active
+     * @param {Object} message - Message object (kept by reference)
+     * @param {string|number|null} parentId - Parent message ID
+     * @returns {Object} The inserted message
+     */
+    insert(message, parentId = null) {
+        const key = this.getParentKey(parentId);
+        message.parentId = parentId === undefined ? null : parentId;
+
+        this.nodes.set(String(message.id), message);
+        if (!this.children.has(key)) {
+            this.children.set(key, []);
+        }
+        this.children.get(key).push(String(message.id));
+
+        return message;
+    }
+
+    /**
+     * Add a message and make it the active branch under its parent
+     * @param {Object} message - Message object (kept by reference)
+     * @param {string|number|null} parentId - Parent message ID
+     * @returns {Object} The added message
+     */
+    add(message, parentId = null) {
+        this.insert(message, parentId);
+        this.selected[this.getParentKey(parentId)] = String(message.id);
+        return message;
+    }
+
+    /**
+     * Get a message by ID
+     * @param {string|number} messageId - Message ID
+     * @returns {Object|null} Message
+     */
+    get(messageId) {
+        if (messageId === null || messageId === undefined) return null;
+        return this.nodes.get(String(messageId)) || null;
+    }
+
+    /**
+     * Get a message and all of its alternative versions
+     * @param {string|number} messageId - Message ID
+     * @returns {Array} Sibling messages in creation order (including the message itself)
+     */
+    getSiblings(messageId) {
+        const message = this.get(messageId);
+        if (!message) return [];
+
+        return (this.children.get(this.getParentKey(message.parentId)) || [])
+            .map(id => this.nodes.get(id));
+    }
+
+    /**
+     * Make a message the active version among its siblings
+     * @param {string|number} messageId - Message ID
+     * @returns {boolean} Whether the message exists
+     */
+    select(messageId) {
+        const message = this.get(messageId);
+        if (!message) return false;
+
+        this.selected[this.getParentKey(message.parentId)] = String(message.id);
+        return true;
+    }
+
+    /**
+     * Make a message and all of its ancestors active, putting it on the active path
+     * @param {string|number} messageId - Message ID
+     * @returns {boolean} Whether the message exists
+     */
+    reveal(messageId) {
+        let message = this.get(messageId);
+        if (!message) return false;
+
+        const visited = new Set();
+        while (message && !visited.has(String(message.id))) {
+            visited.add(String(message.id));
+            this.select(message.id);
+            message = this.get(message.parentId);
+        }
+
+        return true;
+    }
+
+    /**
+     * Walk the active branch from the root
+     * @returns {Array} Messages on the active branch, in display order
+     */
+    getActivePath() {
+        const path = [];
+        const visited = new Set();
+        let key = ROOT_BRANCH_KEY;
+
+        while (this.children.has(key) && !visited.has(key)) {
+            visited.add(key);
+
+            const childIds = this.children.get(key);
+            const activeId = childIds.includes(this.selected[key])
+                ? this.selected[key]
+                : childIds[childIds.length - 1];
+
+            path.push(this.nodes.get(activeId));
+            key = activeId;
+        }
+
+        return path;
+    }
+
+    /**
+     * Add the messages of another copy of this conversation that this tree lacks
+     * Messages keep their parent when it is known; branches this tree has no
+     * selection for adopt the other tree's choice
+     * @param {ConversationTree} other - Tree to merge in
+     * @param {Function} [filter] - Only messages this returns true for are merged
+     * @returns {number} Number of messages added
+     */
+    merge(other, filter = () => true) {
+        let added = 0;
+
+        other.nodes.forEach((message, id) => {
+            if (this.nodes.has(id) || !filter(message)) return;
+
+            const parentId = message.parentId !== null && message.parentId !== undefined && this.nodes.has(String(message.parentId))
+                ? message.parentId
+                : null;
+
+            this.insert({ ...message }, parentId);
+            added++;
+        });
+
+        Object.entries(other.selected).forEach(([key, id]) => {
+            if (!(key in this.selected) && (this.children.get(key) || []).includes(id)) {
+                this.selected[key] = id;
+            }
+        });
+
+        return added;
+    }
+
+    /**
+     * Serialize the tree for storage
+     * @returns {Object} Plain JSON-safe object ({ nodes, selected })
+     */
+    toJSON() {
+        return {
+            nodes: Array.from(this.nodes.values()).map(message => ({
+                ...message,
+                role: message.type || message.role || 'user'
+            })),
+            selected: { ...this.selected }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationTree;
+}
@@ -0,0 +1,369 @@
+/**
+ * Dataset file parser
+ * Turns CSV, JSON, Markdown and plain text files into dataset entries
+ * client-side, and splits large datasets into upload-sized chunks
+ */
+
+const DatasetParser = {
+    // File extensions accepted by the dataset drop zone
+    acceptedExtensions: ['.csv', '.tsv', '.json', '.jsonl', '.md', '.markdown', '.txt'],
+
+    /**
+     * Work out a file's format from its name and MIME type
+     * @param {File} file - Dropped or selected file
+     * @returns {string|null} 'csv', 'json', 'markdown', 'text' or null if unsupported
+     */
+    detectFormat(file) {
+        const name = (file.name || '').toLowerCase();
+        const type = (file.type || '').toLowerCase();
+
+        if (name.endsWith('.csv') || name.endsWith('.tsv') || type === 'text/csv' || type === 'text/tab-separated-values') {
+            return 'csv';
+        }
+        if (name.endsWith('.json') || name.endsWith('.jsonl') || type === 'application/json') {
+            return 'json';
+        }
+        if (name.endsWith('.md') || name.endsWith('.markdown') || type === 'text/markdown') {
+            return 'markdown';
+        }
+        if (name.endsWith('.txt') || type === 'text/plain') {
+            return 'text';
+        }
+        return null;
+    },
+
+    /**
+     * Read and parse a dataset file
+     * @param {File} file - Dropped or selected file
+     * @returns {Promise<Object>} { format, text, headers?, rows?, entries? }
+     */
+    async parseFile(file) {
+        const format = this.detectFormat(file);
+        if (!format) {
+            throw new Error(`Unsupported file type. Use one of: ${this.acceptedExtensions.join(', ')}`);
+        }
+
+        // Strip a UTF-8 byte order mark so the first CSV header / JSON token parses
+        const text = (await file.text()).replace(/^\uFEFF/, '');
+        if (!text.trim()) {
+            throw new Error('The file is empty');
+        }
+
+        switch (format) {
+            case 'csv': {
+                const table = this.parseCSV(text);
+                return { format, text, headers: table.headers, rows: table.rows };
+            }
+            case 'json':
+                return { format, text, entries: this.parseJSON(text) };
+            case 'markdown':
+                return { format, text, entries: this.splitMarkdown(text) };
+            default:
+                return { format, text, entries: this.splitParagraphs(text) };
+        }
+    },
+
+    /**
+     * Parse CSV (or TSV/semicolon-separated) text
+     * Handles quoted fields, escaped quotes and newlines inside quotes
+     * @param {string} text - CSV text
+     * @returns {Object} { headers, rows } where rows are arrays of cell strings
+     */
+    parseCSV(text) {
+        const delimiter = this.detectDelimiter(text);
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const nonEmpty = records.filter(row => row.some(cell => cell.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            throw new Error('The CSV file has no rows');
+        }
+
+        return {
+            headers: nonEmpty[0].map((header, index) => header.trim() || `Column ${index + 1}`),
+            rows: nonEmpty.slice(1)
+        };
+    },
+
+    /**
+     * Guess the delimiter from the first line
+     * @param {string} text - CSV text
+     * @returns {string} Delimiter character
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const candidates = [',', ';', '\t', '|'];
+        let best = ',';
+        let bestCount = 0;
+
+        candidates.forEach(candidate => {
+            const count = firstLine.split(candidate).length - 1;
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Guess which CSV columns hold the question and answer (or title and content)
+     * @param {Array<string>} headers - CSV headers
+     * @returns {Object} { first, second } column indexes
+     */
+    suggestColumns(headers) {
+        const find = (names) => headers.findIndex(header => names.includes(header.trim().toLowerCase()));
+
+        let first = find(['question', 'questions', 'q', 'title', 'prompt', 'topic', 'heading']);
+        let second = find(['answer', 'answers', 'a', 'content', 'response', 'text', 'body', 'description']);
+
+        if (first === -1) first = 0;
+        if (second === -1 || second === first) {
+            second = headers.length > 1 ? (first === 0 ? 1 : 0) : first;
+        }
+
+        return { first, second };
+    },
+
+    /**
+     * Map CSV rows to dataset entries using the chosen columns
+     * @param {Array<Array<string>>} rows - CSV rows
+     * @param {Object} mapping - { first, second } column indexes
+     * @param {string} type - Dataset type ('faq' maps to question/answer, otherwise title/content)
+     * @returns {Array<Object>} Entries
+     */
+    mapRows(rows, mapping, type) {
+        return rows.map(row => {
+            const first = (row[mapping.first] || '').trim();
+            const second = (row[mapping.second] || '').trim();
+
+            return type === 'faq'
+                ? { question: first, answer: second }
+                : { title: first, content: second };
+        });
+    },
+
+    /**
+     * Parse JSON or JSON Lines into an entry list
+     * @param {string} text - JSON text
+     * @returns {Array} Entries
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // JSON Lines: one JSON value per line
+            const lines = text.split(/\r?\n/).filter(line => line.trim());
+            try {
+                data = lines.map(line => JSON.parse(line));
+            } catch {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+        }
+
+        if (Array.isArray(data)) {
+            return data;
+        }
+
+        // Accept the common wrappers around the entry array
+        if (data && typeof data === 'object') {
+            const wrapped = ['data', 'entries', 'faqs', 'faq', 'items', 'questions'].find(key => Array.isArray(data[key]));
+            if (wrapped) {
+                return data[wrapped];
+            }
+        }
+
+        throw new Error('JSON must be an array of entries (or an object with a "data" array)');
+    },
+
+    /**
+     * Split Markdown into sections at its headings
+     * @param {string} text - Markdown text
+     * @returns {Array<Object>} Sections ({ title, content })
+     */
+    splitMarkdown(text) {
+        const sections = [];
+        let current = { title: '', lines: [] };
+        let inFence = false;
+
+        text.split(/\r?\n/).forEach(line => {
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+            }
+
+            const heading = !inFence && line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                sections.push(current);
+                current = { title: heading[1], lines: [] };
+            } else {
+                current.lines.push(line);
+            }
+        });
+        sections.push(current);
+
+        return sections
+            .map(section => ({ title: section.title, content: section.lines.join('\n').trim() }))
+            .filter(section => section.title || section.content);
+    },
+
+    /**
+     * Split plain text into paragraphs
+     * @param {string} text - Plain text
+     * @returns {Array<Object>} Entries ({ content })
+     */
+    splitParagraphs(text) {
+        return text
+            .split(/\r?\n\s*\r?\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean)
+            .map(content => ({ content }));
+    },
+
+    /**
+     * Convert parsed entries to the shape a dataset type expects
+     * @param {Array} entries - Parsed entries
+     * @param {string} type - Dataset type
+     * @returns {Array} Entries for the type
+     */
+    toDatasetEntries(entries, type) {
+        return entries.map(entry => {
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                return entry;
+            }
+
+            if (type === 'faq') {
+                return {
+                    question: entry.question ?? entry.Question ?? entry.q ?? entry.title ?? '',
+                    answer: entry.answer ?? entry.Answer ?? entry.a ?? entry.content ?? ''
+                };
+            }
+
+            if (type === 'knowledge' && entry.content === undefined) {
+                const content = entry.text ?? entry.answer ?? entry.body;
+                if (content !== undefined) {
+                    return { title: entry.title ?? entry.question ?? '', content };
+                }
+            }
+
+            return entry;
+        });
+    },
+
+    /**
+     * Split entries into chunks whose JSON stays under a byte budget
+     * @param {Array|string} data - Entries, or a text document
+     * @param {number} maxBytes - Budget per chunk
+     * @returns {Array<Array|string>} Chunks (a single chunk when data fits)
+     */
+    chunk(data, maxBytes) {
+        const byteLength = (value) => new Blob([JSON.stringify(value)]).size;
+
+        if (typeof data === 'string') {
+            return this.chunkText(data, maxBytes);
+        }
+
+        const chunks = [];
+        let current = [];
+        let currentBytes = 2; // "[]"
+
+        data.forEach(entry => {
+            const entryBytes = byteLength(entry) + 1;
+            if (current.length > 0 && currentBytes + entryBytes > maxBytes) {
+                chunks.push(current);
+                current = [];
+                currentBytes = 2;
+            }
+            current.push(entry);
+            currentBytes += entryBytes;
+        });
+
+        if (current.length > 0) {
+            chunks.push(current);
+        }
+
+        return chunks;
+    },
+
+    /**
+     * Split a text document at paragraph boundaries
+     * @param {string} text - Document text
+     * @param {number} maxBytes - Budget per chunk
+     * @returns {Array<string>} Chunks
+     */
+    chunkText(text, maxBytes) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(text).length <= maxBytes) {
+            return [text];
+        }
+
+        const chunks = [];
+        let current = '';
+
+        text.split(/(\n\s*\n)/).forEach(part => {
+            if (current && encoder.encode(current + part).length > maxBytes) {
+                chunks.push(current);
+                current = '';
+            }
+
+            // A single oversized paragraph is cut by characters
+            while (encoder.encode(part).length > maxBytes) {
+                const sliceLength = Math.max(1, Math.floor(maxBytes / 4));
+                chunks.push(part.slice(0, sliceLength));
+                part = part.slice(sliceLength);
+            }
+
+            current += part;
+        });
+
+        if (current.trim()) {
+            chunks.push(current);
+        }
+
+        return chunks;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetParser;
+}
@@ -1092,6 +1092,18 @@ const ProjectsModule = {
      */
     init() {
         this.bindEvents();
+
+        // Only the episodes page has the floating player, its queue and saved progress
+        if (document.getElementById('floating-player')) {
+            this.bindCustomAudioControls();
+            this.bindFloatingPlayerControls();
+            this.bindPlayerViews();
+            this.bindQueueControls();
+            this.bindProgressTracking();
+            this.bindPlaybackSettings();
+            this.bindMediaSession();
+        }
+
         this.loadEpisodes();
     },
 
@@ -1326,8 +1338,8 @@ const ProjectsModule = {
         // Add load more button if needed
         this.updateLoadMoreButton(episodes.length);
         
-        // Bind custom audio controls
-        this.bindCustomAudioControls();
+        // Show the episode loaded in the player on its new card
+        this.renderPlayerState();
     },
 
     /**
@@ -1392,6 +1404,10 @@ const ProjectsModule = {
         const truncatedDescription = description.length > Config.rss.podcast.descriptionLength 
             ? description.substring(0, Config.rss.podcast.descriptionLength) + '...'
             : description;
+        const episodeId = PlayQueue.getEpisodeId(episode);
+        const queued = PlayQueue.has(episodeId);
+        const progressPercent = PlaybackProgress.getPercent(episodeId);
+        const played = PlaybackProgress.isPlayed(episodeId);
 
         const audioHtml = episode.enclosure ? `
             <div class="episode-audio">
@@ -1424,11 +1440,10 @@ const ProjectsModule = {
                                 </div>
                             </div>
                         </div>
+                        <button class="queue-button${queued ? ' queued' : ''}" title="${queued ? 'Remove from Up Next' : 'Add to Up Next'}" aria-pressed="${queued}">
+                            <span class="queue-icon">${queued ? '✓' : '+'}</span>
+                        </button>
                     </div>
-                    <audio class="hidden-audio" preload="none">
-                        <source src="${episode.enclosure.url}" type="${episode.enclosure.type}">
-                        Your browser does not support the audio element.
-                    </audio>
                 </div>
             </div>
         ` : '';
@@ -1443,6 +1458,10 @@ const ProjectsModule = {
             <div class="episode-metadata">
                 ${episode.pubDate ? `<span class="episode-date">${Utils.formatDate(episode.pubDate)}</span>` : ''}
                 ${episode.duration ? `<span class="episode-duration">${Utils.formatDuration(episode.duration)}</span>` : ''}
+                <span class="episode-played-badge${played ? '' : ' hidden'}">✓ Played</span>
+            </div>
+            <div class="episode-progress${progressPercent ? '' : ' hidden'}" role="progressbar" aria-label="Listened" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(progressPercent)}">
+                <div class="episode-progress-fill" style="width: ${progressPercent}%"></div>
             </div>
         `;
 
@@ -1455,8 +1474,8 @@ const ProjectsModule = {
         ` : '';
 
         return `
-            <div class="episode-card ${AppState.viewMode}-view" 
-                 data-episode-id="${episode.guid || episode.title}"
+            <div class="episode-card ${AppState.viewMode}-view${played ? ' played' : ''}" 
+                 data-episode-id="${MarkdownRenderer.escapeHtml(episodeId)}"
                  role="article"
                  aria-label="Episode: ${episode.title}"
                  tabindex="0">
@@ -1483,7 +1502,7 @@ const ProjectsModule = {
             // Click event
             card.addEventListener('click', (e) => {
                 // Don't trigger if clicking on links or audio controls
-                if (e.target.closest('a') || e.target.closest('audio') || e.target.closest('button')) {
+                if (e.target.closest('a') || e.target.closest('.audio-controls') || e.target.closest('button')) {
                     return;
                 }
                 
@@ -1515,16 +1534,24 @@ const ProjectsModule = {
      * @param {Element} card - Episode card element
      */
     openEpisodeDetail(card) {
-        const episodeId = card.dataset.episodeId;
-        const episode = AppState.episodes.find(ep => 
-            (ep.guid && ep.guid === episodeId) || ep.title === episodeId
-        );
-        
+        const episode = this.findEpisode(card.dataset.episodeId);
+
         if (episode) {
             this.showEpisodeDetail(episode);
         }
     },
 
+    /**
+     * Find a loaded episode by the ID its card carries
+     * @param {string} episodeId - Episode guid, or title for episodes without one
+     * @returns {Object|undefined} Episode data
+     */
+    findEpisode(episodeId) {
+        return AppState.episodes.find(ep =>
+            (ep.guid && ep.guid === episodeId) || ep.title === episodeId
+        );
+    },
+
     /**
      * Show episode detail modal
      * @param {Object} episode - Episode data
@@ -1537,12 +1564,22 @@ const ProjectsModule = {
         if (!modal || !content) return;
 
         const description = episode.description || episode.summary || 'No description available.';
+        const episodeId = PlayQueue.getEpisodeId(episode);
         const audioHtml = episode.enclosure ? `
-            <div class="episode-detail-audio">
-                <audio id="episode-detail-audio-player" controls preload="metadata">
-                    <source src="${episode.enclosure.url}" type="${episode.enclosure.type}">
-                    Your browser does not support the audio element.
-                </audio>
+            <div class="episode-detail-audio" data-episode-id="${MarkdownRenderer.escapeHtml(episodeId)}">
+                <div class="episode-detail-player">
+                    <span class="episode-detail-current-time">0:00</span>
+                    <div class="progress-bar" title="Seek">
+                        <div class="progress-fill"></div>
+                        <div class="progress-handle"></div>
+                    </div>
+                    <span class="episode-detail-total-time">${episode.duration ? Utils.formatDuration(episode.duration) : '0:00'}</span>
+                </div>
+                <div class="episode-detail-skip">
+                    <button type="button" class="btn btn-secondary episode-detail-skip-btn" data-skip="back"></button>
+                    <button type="button" class="btn btn-secondary episode-detail-skip-btn" data-skip="forward"></button>
+                </div>
+                ${this.createPlaybackOptionsHtml('detail', PlaybackSettings.getShowId(episode))}
             </div>
         ` : '';
 
@@ -1592,29 +1629,64 @@ const ProjectsModule = {
                         ${metadataHtml}
                     </div>
                 </div>
-                <p class="episode-detail-description">${description}</p>
+                <div class="episode-detail-description markdown-body">${MarkdownRenderer.render(description, { allowHtml: true })}</div>
                 ${audioHtml}
                 ${linksHtml}
             </div>
         `;
 
-        // Set up play button
+        // Set up play button; the modal plays through the shared player
         if (playButton && episode.enclosure) {
             playButton.style.display = 'inline-flex';
+            playButton.dataset.episodeId = episodeId;
             playButton.onclick = () => {
-                const audioPlayer = document.getElementById('episode-detail-audio-player');
-                if (audioPlayer) {
-                    if (audioPlayer.paused) {
-                        audioPlayer.play();
-                        playButton.textContent = 'Pause Episode';
-                    } else {
-                        audioPlayer.pause();
-                        playButton.textContent = 'Play Episode';
-                    }
+                if (AudioPlayer.isPlaying(episodeId)) {
+                    AudioPlayer.pause();
+                } else {
+                    this.playEpisode(PlayQueue.toEntry(episode));
                 }
             };
         } else if (playButton) {
             playButton.style.display = 'none';
+            delete playButton.dataset.episodeId;
+        }
+
+        // Set up seeking and skip buttons, which act once the episode is playing
+        const detail = content.querySelector('.episode-detail-audio');
+        if (detail) {
+            const progressBar = detail.querySelector('.progress-bar');
+            progressBar.onclick = (e) => {
+                if (AudioPlayer.isLoaded(episodeId)) {
+                    this.seekToBarPosition(progressBar, e);
+                }
+            };
+            detail.querySelectorAll('.episode-detail-skip-btn').forEach(button => {
+                button.onclick = () => {
+                    if (!AudioPlayer.isLoaded(episodeId)) return;
+                    const settings = PlaybackSettings.get();
+                    this.seekAudio(button.dataset.skip === 'back' ? -settings.skipBack : settings.skipForward);
+                };
+            });
+
+            // Until it is loaded, show where the listener left off
+            const progress = PlaybackProgress.get(episodeId);
+            if (!AudioPlayer.isLoaded(episodeId) && progress) {
+                this.updateDetailPlayer(detail, progress.position, progress.duration);
+            }
+        }
+        this.renderPlayerState();
+        this.updatePlaybackOptions();
+
+        // Set up Up Next button
+        const queueButton = document.getElementById('episode-detail-queue');
+        if (queueButton && episode.enclosure) {
+            queueButton.style.display = 'inline-flex';
+            queueButton.dataset.episodeId = PlayQueue.getEpisodeId(episode);
+            this.updateQueueButton(queueButton);
+            queueButton.onclick = () => this.toggleQueued(queueButton.dataset.episodeId);
+        } else if (queueButton) {
+            queueButton.style.display = 'none';
+            delete queueButton.dataset.episodeId;
         }
 
         modal.classList.remove('hidden');
@@ -1667,67 +1739,59 @@ const ProjectsModule = {
 
     /**
      * Bind custom audio control events
+     * Cards are redrawn on every filter change and page, so their controls
+     * are handled on the container, once
      */
     bindCustomAudioControls() {
-        const playButtons = document.querySelectorAll('.custom-play-button');
-        playButtons.forEach(button => {
-            // Remove any existing listeners to prevent duplicates
-            button.removeEventListener('click', this.toggleAudioPlayback);
-            
-            button.addEventListener('click', (e) => {
-                e.stopPropagation(); // Prevent episode card click
-                console.log('Play button clicked, current state:', button.classList.contains('playing'));
-                this.toggleAudioPlayback(button);
+        const container = document.getElementById('projects-container');
+        if (container) {
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('.custom-play-button');
+                if (button) {
+                    console.log('Play button clicked, current state:', button.classList.contains('playing'));
+                    this.toggleAudioPlayback(button);
+                }
             });
-        });
 
-        // Bind progress bar events
-        this.bindProgressControls();
-        
-        // Bind volume controls
-        this.bindVolumeControls();
-        
+            // Bind progress bar events
+            this.bindProgressControls(container);
+
+            // Bind volume controls
+            this.bindVolumeControls(container);
+        }
+
         // Bind keyboard shortcuts
         this.bindKeyboardShortcuts();
     },
 
     /**
      * Bind progress bar controls
+     * @param {Element} container - Episode cards container
      */
-    bindProgressControls() {
-        const progressBars = document.querySelectorAll('.progress-bar');
-        progressBars.forEach(progressBar => {
-            progressBar.addEventListener('click', (e) => {
-                const rect = progressBar.getBoundingClientRect();
-                const clickX = e.clientX - rect.left;
-                const percentage = clickX / rect.width;
-                
-                const audio = progressBar.closest('.audio-player-wrapper').querySelector('.hidden-audio');
-                if (audio && audio.duration) {
-                    audio.currentTime = audio.duration * percentage;
-                    this.updateProgressDisplay(progressBar, audio);
-                }
-            });
+    bindProgressControls(container) {
+        container.addEventListener('click', (e) => {
+            const progressBar = e.target.closest('.progress-bar');
+            if (!progressBar) return;
+
+            // Only the episode loaded in the player can be seeked
+            const card = progressBar.closest('.episode-card');
+            if (card && AudioPlayer.isLoaded(card.dataset.episodeId)) {
+                this.seekToBarPosition(progressBar, e);
+            }
         });
     },
 
     /**
      * Bind volume controls
+     * @param {Element} container - Episode cards container
      */
-    bindVolumeControls() {
-        const volumeSliders = document.querySelectorAll('.volume-slider');
-        volumeSliders.forEach(volumeSlider => {
-            volumeSlider.addEventListener('click', (e) => {
-                const rect = volumeSlider.getBoundingClientRect();
-                const clickX = e.clientX - rect.left;
-                const percentage = Math.max(0, Math.min(1, clickX / rect.width));
-                
-                const audio = volumeSlider.closest('.audio-player-wrapper').querySelector('.hidden-audio');
-                if (audio) {
-                    audio.volume = percentage;
-                    this.updateVolumeDisplay(volumeSlider, percentage);
-                }
-            });
+    bindVolumeControls(container) {
+        container.addEventListener('click', (e) => {
+            const volumeSlider = e.target.closest('.volume-slider');
+            if (!volumeSlider) return;
+
+            const rect = volumeSlider.getBoundingClientRect();
+            AudioPlayer.setVolume((e.clientX - rect.left) / rect.width);
         });
     },
 
@@ -1746,11 +1810,11 @@ const ProjectsModule = {
                     break;
                 case 'ArrowLeft':
                     e.preventDefault();
-                    this.seekAudio(-10);
+                    this.seekAudio(-PlaybackSettings.get().skipBack);
                     break;
                 case 'ArrowRight':
                     e.preventDefault();
-                    this.seekAudio(10);
+                    this.seekAudio(PlaybackSettings.get().skipForward);
                     break;
                 case 'ArrowUp':
                     e.preventDefault();
@@ -1764,133 +1828,183 @@ const ProjectsModule = {
         });
     },
 
+    /**
+     * Seek the loaded episode to where a progress bar was clicked
+     * @param {Element} progressBar - Progress bar element
+     * @param {MouseEvent} e - Click event
+     */
+    seekToBarPosition(progressBar, e) {
+        const duration = AudioPlayer.getState().duration;
+        if (!duration) return;
+
+        const rect = progressBar.getBoundingClientRect();
+        const percentage = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        AudioPlayer.seek(duration * percentage);
+    },
+
     /**
      * Toggle audio playback
-     * @param {Element} button - Play button element
+     * @param {Element} button - Play button element of an episode card
+     * @param {boolean} [fromHistory] - Whether Previous started it, see PlayQueue.setCurrent
      */
-    toggleAudioPlayback(button) {
+    toggleAudioPlayback(button, fromHistory = false) {
         console.log('toggleAudioPlayback called');
-        
+
+        const entry = this.getQueueEntry(button);
+        if (!entry) return;
+
+        if (AudioPlayer.isPlaying(entry.id)) {
+            console.log('Pausing audio');
+            AudioPlayer.pause();
+        } else {
+            this.playEpisode(entry, fromHistory);
+        }
+    },
+
+    /**
+     * Play an episode, or resume it if it is the one loaded
+     * @param {Object} entry - Episode, see PlayQueue.toEntry
+     * @param {boolean} [fromHistory] - Whether Previous started it, see PlayQueue.setCurrent
+     */
+    playEpisode(entry, fromHistory = false) {
+        if (!entry) return;
+
         // Check play limit before allowing playback
         if (!Utils.canPlay()) {
             console.log('Play limit reached, showing login modal');
             Utils.showLoginModal();
             return;
         }
-        
-        console.log('Play limit not reached, proceeding with playback');
 
-        const audioSrc = button.dataset.audioSrc;
-        const audioType = button.dataset.audioType;
-        
-        // Create or find audio element for this button
-        let audio = button.parentElement.querySelector('.hidden-audio');
-        if (!audio) {
-            audio = document.createElement('audio');
-            audio.className = 'hidden-audio';
-            audio.preload = 'none';
-            const source = document.createElement('source');
-            source.src = audioSrc;
-            source.type = audioType;
-            audio.appendChild(source);
-            button.parentElement.appendChild(audio);
-        }
+        // A new episode continues where the listener left off, at their speed for its show
+        const options = AudioPlayer.isLoaded(entry.id) ? {} : {
+            startTime: PlaybackProgress.getResumeTime(entry.id),
+            playbackRate: PlaybackSettings.getRate(PlaybackSettings.getShowId(entry))
+        };
 
-        // Store audio reference on button for easier access
-        button._audioElement = audio;
-        
-        // Check if this audio is currently playing
-        const isCurrentlyPlaying = !audio.paused && audio.currentTime > 0;
-        
-        console.log('Audio state - paused:', audio.paused, 'currentTime:', audio.currentTime, 'isCurrentlyPlaying:', isCurrentlyPlaying);
-        
-        if (isCurrentlyPlaying) {
-            // Pause this audio
-            console.log('Pausing audio');
-            audio.pause();
-            button.classList.remove('playing');
+        console.log('Playing audio');
+        AudioPlayer.play(entry, options).then(() => {
+            console.log('Audio started playing successfully');
+
+            // Increment play count for non-logged-in users
+            Utils.incrementPlayCount();
+
+            // Record it as the queue's current episode
+            PlayQueue.setCurrent(entry, fromHistory);
+        }).catch(error => {
+            // The player's error event tells the listener; loading another episode is no error
+            if (error.name !== 'AbortError') {
+                console.error('Error playing audio:', error);
+            }
+        });
+    },
+
+    /**
+     * Draw the episode cards, floating player and detail modal from the
+     * shared audio player's events
+     */
+    bindPlayerViews() {
+        AudioPlayer.on('episode', (state) => {
+            this.renderPlayerState(state);
+            this.showFloatingPlayer(state);
+        });
+        AudioPlayer.on('play', (state) => this.renderPlayerState(state));
+        AudioPlayer.on('pause', (state) => this.renderPlayerState(state));
+        AudioPlayer.on('progress', (state) => this.renderPlayerProgress(state));
+        AudioPlayer.on('volumechange', (state) => this.renderVolume(state.volume));
+        AudioPlayer.on('ratechange', () => this.updatePlaybackOptions());
+        AudioPlayer.on('ended', () => this.handlePlaybackEnded());
+        AudioPlayer.on('error', (state, error) => {
+            console.error('Error playing audio:', error);
+            this.renderPlayerState(state);
+            Utils.showNotification('Error playing audio. Please try again.', 'error');
+        });
+    },
+
+    /**
+     * Show which episode is loaded and whether it plays on every view
+     * @param {Object} [state] - Player state, see AudioPlayer.getState
+     */
+    renderPlayerState(state = AudioPlayer.getState()) {
+        const loadedId = state.episode ? state.episode.id : null;
+        const isPlaying = !!loadedId && !state.paused;
+
+        document.querySelectorAll('.episode-card[data-episode-id]').forEach(card => {
+            const button = card.querySelector('.custom-play-button');
+            if (!button) return;
+
+            const isLoaded = card.dataset.episodeId === loadedId;
+            button.classList.toggle('playing', isLoaded && isPlaying);
             const playIcon = button.querySelector('.play-icon');
             if (playIcon) {
-                playIcon.style.display = 'block';
+                playIcon.style.display = isLoaded && isPlaying ? 'none' : 'block';
             }
-            
-            // Hide floating player when paused
-            this.hideFloatingPlayer();
-        } else {
-            // Stop any other currently playing audio
-            const allAudios = document.querySelectorAll('audio');
-            allAudios.forEach(otherAudio => {
-                if (otherAudio !== audio && !otherAudio.paused) {
-                    otherAudio.pause();
-                    otherAudio.currentTime = 0;
-                }
-            });
-            
-            // Reset all other play buttons
-            const allPlayButtons = document.querySelectorAll('.custom-play-button');
-            allPlayButtons.forEach(btn => {
-                if (btn !== button) {
-                    btn.classList.remove('playing');
-                    const playIcon = btn.querySelector('.play-icon');
-                    if (playIcon) {
-                        playIcon.style.display = 'block';
-                    }
-                }
-            });
+            this.updateAudioDisplay(card, isLoaded ? state : null);
+        });
 
-            // Play this audio
-            console.log('Playing audio');
-            audio.play().then(() => {
-                console.log('Audio started playing successfully');
-                button.classList.add('playing');
-                const playIcon = button.querySelector('.play-icon');
-                if (playIcon) {
-                    playIcon.style.display = 'none';
-                }
-                
-                // Increment play count for non-logged-in users
-                Utils.incrementPlayCount();
-                
-                // Show floating player
-                this.showFloatingPlayer(button, audio);
-            }).catch(error => {
-                console.error('Error playing audio:', error);
-                Utils.showNotification('Error playing audio. Please try again.', 'error');
-            });
+        const floatingPlayer = document.getElementById('floating-player');
+        if (floatingPlayer) {
+            floatingPlayer.classList.toggle('playing', isPlaying);
+            const floatingPlayIcon = floatingPlayer.querySelector('.floating-play-icon');
+            if (floatingPlayIcon) {
+                floatingPlayIcon.textContent = isPlaying ? '⏸' : '▶';
+            }
         }
 
-        // Handle audio end - only add listener once
-        if (!audio.hasAttribute('data-listener-added')) {
-            audio.addEventListener('ended', () => {
-                button.classList.remove('playing');
-                const playIcon = button.querySelector('.play-icon');
-                if (playIcon) {
-                    playIcon.style.display = 'block';
-                }
-                // Hide floating player when audio ends
-                this.hideFloatingPlayer();
-            });
+        const detailPlayButton = document.getElementById('episode-detail-play');
+        if (detailPlayButton && detailPlayButton.dataset.episodeId) {
+            detailPlayButton.textContent = detailPlayButton.dataset.episodeId === loadedId && isPlaying
+                ? 'Pause Episode'
+                : 'Play Episode';
+        }
 
-            // Add time update listener
-            audio.addEventListener('timeupdate', () => {
-                this.updateAudioDisplay(audio);
-            });
+        this.renderPlayerProgress(state);
+        this.renderVolume(state.volume);
+    },
 
-            // Add loadedmetadata listener
-            audio.addEventListener('loadedmetadata', () => {
-                this.updateAudioDisplay(audio);
-            });
+    /**
+     * Show the loaded episode's position on every view
+     * @param {Object} [state] - Player state, see AudioPlayer.getState
+     */
+    renderPlayerProgress(state = AudioPlayer.getState()) {
+        if (!state.episode) return;
+
+        const card = document.querySelector(`.episode-card[data-episode-id="${CSS.escape(state.episode.id)}"]`);
+        if (card) {
+            this.updateAudioDisplay(card, state);
+        }
 
-            audio.setAttribute('data-listener-added', 'true');
+        const detail = document.querySelector(`.episode-detail-audio[data-episode-id="${CSS.escape(state.episode.id)}"]`);
+        if (detail) {
+            this.updateDetailPlayer(detail, state.currentTime, state.duration);
         }
+
+        this.updateFloatingPlayerProgress(state);
+        this.updateFloatingPlayerTime(state);
     },
 
     /**
-     * Update audio display (time and progress)
-     * @param {HTMLAudioElement} audio - Audio element
+     * Show the volume on the card volume sliders and the floating player
+     * @param {number} volume - Volume level (0-1)
      */
-    updateAudioDisplay(audio) {
-        const wrapper = audio.closest('.audio-player-wrapper');
+    renderVolume(volume) {
+        document.querySelectorAll('.volume-slider').forEach(volumeSlider => {
+            this.updateVolumeDisplay(volumeSlider, volume);
+        });
+
+        const floatingPlayer = document.getElementById('floating-player');
+        if (floatingPlayer) {
+            this.updateFloatingVolumeDisplay(floatingPlayer, volume);
+        }
+    },
+
+    /**
+     * Update a card player's time and progress display
+     * @param {Element} card - Episode card element
+     * @param {Object|null} state - Player state, null when the card's episode is not loaded
+     */
+    updateAudioDisplay(card, state) {
+        const wrapper = card.querySelector('.audio-player-wrapper');
         if (!wrapper) return;
 
         // Update time display
@@ -1898,40 +2012,35 @@ const ProjectsModule = {
         const totalTimeEl = wrapper.querySelector('.total-time');
         
         if (currentTimeEl) {
-            currentTimeEl.textContent = this.formatTime(audio.currentTime);
+            currentTimeEl.textContent = this.formatTime(state ? state.currentTime : 0);
         }
-        if (totalTimeEl && audio.duration) {
-            totalTimeEl.textContent = this.formatTime(audio.duration);
+        if (totalTimeEl) {
+            totalTimeEl.textContent = this.formatTime(state ? state.duration : 0);
         }
 
         // Update progress bar
         const progressBar = wrapper.querySelector('.progress-bar');
-        if (progressBar && audio.duration) {
-            this.updateProgressDisplay(progressBar, audio);
+        if (progressBar) {
+            this.updateProgressDisplay(progressBar, state ? state.currentTime : 0, state ? state.duration : 0);
         }
-
-        // Update floating player if it's showing
-        this.updateFloatingPlayerProgress(audio);
-        this.updateFloatingPlayerTime(audio);
     },
 
     /**
      * Update progress bar display
      * @param {Element} progressBar - Progress bar element
-     * @param {HTMLAudioElement} audio - Audio element
+     * @param {number} currentTime - Position in seconds
+     * @param {number} duration - Episode length in seconds, 0 when unknown
      */
-    updateProgressDisplay(progressBar, audio) {
+    updateProgressDisplay(progressBar, currentTime, duration) {
         const progressFill = progressBar.querySelector('.progress-fill');
         const progressHandle = progressBar.querySelector('.progress-handle');
-        
-        if (audio.duration) {
-            const percentage = (audio.currentTime / audio.duration) * 100;
-            if (progressFill) {
-                progressFill.style.width = `${percentage}%`;
-            }
-            if (progressHandle) {
-                progressHandle.style.left = `${percentage}%`;
-            }
+        const percentage = duration ? (currentTime / duration) * 100 : 0;
+
+        if (progressFill) {
+            progressFill.style.width = `${percentage}%`;
+        }
+        if (progressHandle) {
+            progressHandle.style.left = `${percentage}%`;
         }
     },
 
@@ -1963,6 +2072,28 @@ const ProjectsModule = {
         }
     },
 
+    /**
+     * Update the detail modal's time and progress display
+     * @param {Element} detail - The modal's .episode-detail-audio element
+     * @param {number} currentTime - Position in seconds
+     * @param {number} duration - Episode length in seconds, 0 when unknown
+     */
+    updateDetailPlayer(detail, currentTime, duration) {
+        const currentTimeEl = detail.querySelector('.episode-detail-current-time');
+        const totalTimeEl = detail.querySelector('.episode-detail-total-time');
+        const progressBar = detail.querySelector('.progress-bar');
+
+        if (currentTimeEl) {
+            currentTimeEl.textContent = this.formatTime(currentTime);
+        }
+        if (totalTimeEl && duration) {
+            totalTimeEl.textContent = this.formatTime(duration);
+        }
+        if (progressBar) {
+            this.updateProgressDisplay(progressBar, currentTime, duration);
+        }
+    },
+
     /**
      * Format time in MM:SS format
      * @param {number} seconds - Time in seconds
@@ -1977,12 +2108,16 @@ const ProjectsModule = {
     },
 
     /**
-     * Toggle global playback (keyboard shortcut)
+     * Toggle global playback (keyboard shortcut, floating player and media keys)
+     * Pauses or resumes the episode last played; starts the first episode when there is none
      */
     toggleGlobalPlayback() {
-        const playingButton = document.querySelector('.custom-play-button.playing');
-        if (playingButton) {
-            this.toggleAudioPlayback(playingButton);
+        const episode = AudioPlayer.episode || PlayQueue.current;
+
+        if (AudioPlayer.isPlaying()) {
+            AudioPlayer.pause();
+        } else if (episode) {
+            this.playEpisode(episode);
         } else {
             const firstButton = document.querySelector('.custom-play-button');
             if (firstButton) {
@@ -1992,17 +2127,11 @@ const ProjectsModule = {
     },
 
     /**
-     * Seek audio (keyboard shortcut)
+     * Seek audio (keyboard shortcut and skip buttons)
      * @param {number} seconds - Seconds to seek (positive or negative)
      */
     seekAudio(seconds) {
-        const playingAudio = document.querySelector('.custom-play-button.playing');
-        if (playingAudio) {
-            const audio = playingAudio._audioElement;
-            if (audio) {
-                audio.currentTime = Math.max(0, Math.min(audio.duration, audio.currentTime + seconds));
-            }
-        }
+        AudioPlayer.seekBy(seconds);
     },
 
     /**
@@ -2010,149 +2139,72 @@ const ProjectsModule = {
      * @param {number} delta - Volume change (-0.1 to 0.1)
      */
     adjustVolume(delta) {
-        const playingAudio = document.querySelector('.custom-play-button.playing');
-        if (playingAudio) {
-            const audio = playingAudio._audioElement;
-            if (audio) {
-                audio.volume = Math.max(0, Math.min(1, audio.volume + delta));
-                const volumeSlider = playingAudio.closest('.audio-player-wrapper').querySelector('.volume-slider');
-                if (volumeSlider) {
-                    this.updateVolumeDisplay(volumeSlider, audio.volume);
-                }
+        AudioPlayer.setVolume(AudioPlayer.getState().volume + delta);
+    },
+
+    /**
+     * Bind the floating player's controls; they act on whatever the audio player has loaded
+     */
+    bindFloatingPlayerControls() {
+        const floatingPlayer = document.getElementById('floating-player');
+        const controls = {
+            'floating-play-btn': () => this.toggleGlobalPlayback(),
+            'floating-prev-btn': () => this.playPreviousEpisode(),
+            'floating-next-btn': () => this.playNextEpisode(),
+            'floating-skip-back-btn': () => this.seekAudio(-PlaybackSettings.get().skipBack),
+            'floating-skip-forward-btn': () => this.seekAudio(PlaybackSettings.get().skipForward),
+            'floating-volume-btn': () => this.toggleFloatingVolume(),
+            'floating-expand-btn': () => this.expandFloatingPlayer(),
+            'floating-close': () => this.hideFloatingPlayer()
+        };
+
+        Object.entries(controls).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
             }
+        });
+
+        // Bind progress bar click
+        const floatingProgressBar = floatingPlayer.querySelector('.floating-progress-bar');
+        if (floatingProgressBar) {
+            floatingProgressBar.addEventListener('click', (e) => this.seekToBarPosition(floatingProgressBar, e));
+        }
+        
+        // Bind volume slider
+        const floatingVolumeSlider = floatingPlayer.querySelector('.floating-volume-slider');
+        if (floatingVolumeSlider) {
+            floatingVolumeSlider.addEventListener('click', (e) => {
+                const rect = floatingVolumeSlider.getBoundingClientRect();
+                AudioPlayer.setVolume((e.clientX - rect.left) / rect.width);
+            });
         }
     },
 
     /**
      * Show floating player
-     * @param {Element} button - Play button element
-     * @param {HTMLAudioElement} audio - Audio element
+     * @param {Object} [state] - Player state, see AudioPlayer.getState
      */
-    showFloatingPlayer(button, audio) {
+    showFloatingPlayer(state = AudioPlayer.getState()) {
         const floatingPlayer = document.getElementById('floating-player');
         const floatingTitle = document.getElementById('floating-title');
         const floatingArtwork = document.getElementById('floating-artwork-img');
-        const floatingCurrentTime = document.getElementById('floating-current-time');
-        const floatingTotalTime = document.getElementById('floating-total-time');
-        const floatingPlayBtn = document.getElementById('floating-play-btn');
-        const floatingPrevBtn = document.getElementById('floating-prev-btn');
-        const floatingNextBtn = document.getElementById('floating-next-btn');
-        const floatingVolumeBtn = document.getElementById('floating-volume-btn');
-        const floatingExpandBtn = document.getElementById('floating-expand-btn');
-        const floatingClose = document.getElementById('floating-close');
+        const episode = state.episode;
         
-        if (!floatingPlayer) return;
+        if (!floatingPlayer || !episode) return;
 
-        // Get episode data
-        const episodeCard = button.closest('.episode-card');
-        const episodeTitle = episodeCard.querySelector('.episode-title').textContent;
-        const episodeImage = episodeCard.querySelector('.episode-artwork img');
-        
         // Update floating player content
         if (floatingTitle) {
-            floatingTitle.textContent = episodeTitle;
-        }
-        
-        if (floatingArtwork && episodeImage) {
-            floatingArtwork.src = episodeImage.src || episodeImage.dataset.src;
-            floatingArtwork.alt = episodeTitle;
-        }
-        
-        // Store audio reference for global access
-        floatingPlayer._currentAudio = audio;
-        
-        // Bind floating player events
-        if (floatingPlayBtn) {
-            floatingPlayBtn.onclick = () => {
-                if (audio.paused) {
-                    audio.play();
-                    floatingPlayBtn.querySelector('.floating-play-icon').textContent = '⏸';
-                    floatingPlayer.classList.add('playing');
-                    
-                    // Sync main player button
-                    const mainButton = button;
-                    if (mainButton) {
-                        mainButton.classList.add('playing');
-                        const playIcon = mainButton.querySelector('.play-icon');
-                        if (playIcon) {
-                            playIcon.style.display = 'none';
-                        }
-                    }
-                } else {
-                    audio.pause();
-                    floatingPlayBtn.querySelector('.floating-play-icon').textContent = '▶';
-                    floatingPlayer.classList.remove('playing');
-                    
-                    // Sync main player button
-                    const mainButton = button;
-                    if (mainButton) {
-                        mainButton.classList.remove('playing');
-                        const playIcon = mainButton.querySelector('.play-icon');
-                        if (playIcon) {
-                            playIcon.style.display = 'block';
-                        }
-                    }
-                }
-            };
-        }
-        
-        if (floatingPrevBtn) {
-            floatingPrevBtn.onclick = () => {
-                this.playPreviousEpisode();
-            };
-        }
-        
-        if (floatingNextBtn) {
-            floatingNextBtn.onclick = () => {
-                this.playNextEpisode();
-            };
-        }
-        
-        if (floatingVolumeBtn) {
-            floatingVolumeBtn.onclick = () => {
-                this.toggleFloatingVolume();
-            };
+            floatingTitle.textContent = episode.title;
         }
         
-        if (floatingExpandBtn) {
-            floatingExpandBtn.onclick = () => {
-                this.expandFloatingPlayer();
-            };
-        }
-        
-        if (floatingClose) {
-            floatingClose.onclick = () => {
-                this.hideFloatingPlayer();
-            };
-        }
-        
-        // Bind progress bar click
-        const floatingProgressBar = floatingPlayer.querySelector('.floating-progress-bar');
-        if (floatingProgressBar) {
-            floatingProgressBar.onclick = (e) => {
-                const rect = floatingProgressBar.getBoundingClientRect();
-                const clickX = e.clientX - rect.left;
-                const percentage = clickX / rect.width;
-                
-                if (audio.duration) {
-                    audio.currentTime = audio.duration * percentage;
-                    this.updateFloatingPlayerProgress(audio);
-                }
-            };
+        if (floatingArtwork && episode.image) {
+            floatingArtwork.src = episode.image;
+            floatingArtwork.alt = episode.title;
         }
         
-        // Bind volume slider
-        const floatingVolumeSlider = floatingPlayer.querySelector('.floating-volume-slider');
-        if (floatingVolumeSlider) {
-            floatingVolumeSlider.onclick = (e) => {
-                const rect = floatingVolumeSlider.getBoundingClientRect();
-                const clickX = e.clientX - rect.left;
-                const percentage = Math.max(0, Math.min(1, clickX / rect.width));
-                
-                audio.volume = percentage;
-                this.updateFloatingVolumeDisplay(floatingPlayer, percentage);
-            };
-        }
+        // Show this episode's speed and the skip intervals
+        this.updatePlaybackOptions();
         
         // Show floating player
         floatingPlayer.classList.remove('hidden');
@@ -2161,8 +2213,8 @@ const ProjectsModule = {
         }, 10);
         
         // Update floating player progress and time
-        this.updateFloatingPlayerProgress(audio);
-        this.updateFloatingPlayerTime(audio);
+        this.updateFloatingPlayerProgress(state);
+        this.updateFloatingPlayerTime(state);
     },
 
     /**
@@ -2180,59 +2232,34 @@ const ProjectsModule = {
 
     /**
      * Update floating player progress
-     * @param {HTMLAudioElement} audio - Audio element
+     * @param {Object} state - Player state, see AudioPlayer.getState
      */
-    updateFloatingPlayerProgress(audio) {
+    updateFloatingPlayerProgress(state) {
         const floatingProgressFill = document.querySelector('.floating-progress-fill');
         const floatingProgressHandle = document.querySelector('.floating-progress-handle');
+        const percentage = state.duration ? (state.currentTime / state.duration) * 100 : 0;
         
-        if (floatingProgressFill && audio.duration) {
-            const percentage = (audio.currentTime / audio.duration) * 100;
+        if (floatingProgressFill) {
             floatingProgressFill.style.width = `${percentage}%`;
-            
-            if (floatingProgressHandle) {
-                floatingProgressHandle.style.left = `${percentage}%`;
-            }
         }
-        
-        // Also update the main player's progress bar if it exists
-        const mainProgressFill = document.querySelector('.progress-fill');
-        const mainProgressHandle = document.querySelector('.progress-handle');
-        
-        if (mainProgressFill && audio.duration) {
-            const percentage = (audio.currentTime / audio.duration) * 100;
-            mainProgressFill.style.width = `${percentage}%`;
-            
-            if (mainProgressHandle) {
-                mainProgressHandle.style.left = `${percentage}%`;
-            }
+        if (floatingProgressHandle) {
+            floatingProgressHandle.style.left = `${percentage}%`;
         }
     },
 
     /**
      * Update floating player time display
-     * @param {HTMLAudioElement} audio - Audio element
+     * @param {Object} state - Player state, see AudioPlayer.getState
      */
-    updateFloatingPlayerTime(audio) {
+    updateFloatingPlayerTime(state) {
         const floatingCurrentTime = document.getElementById('floating-current-time');
         const floatingTotalTime = document.getElementById('floating-total-time');
         
         if (floatingCurrentTime) {
-            floatingCurrentTime.textContent = this.formatTime(audio.currentTime);
-        }
-        if (floatingTotalTime && audio.duration) {
-            floatingTotalTime.textContent = this.formatTime(audio.duration);
-        }
-        
-        // Also update the main player's time display if it exists
-        const mainCurrentTime = document.querySelector('.audio-current-time');
-        const mainTotalTime = document.querySelector('.audio-total-time');
-        
-        if (mainCurrentTime) {
-            mainCurrentTime.textContent = this.formatTime(audio.currentTime);
+            floatingCurrentTime.textContent = this.formatTime(state.currentTime);
         }
-        if (mainTotalTime && audio.duration) {
-            mainTotalTime.textContent = this.formatTime(audio.duration);
+        if (floatingTotalTime) {
+            floatingTotalTime.textContent = this.formatTime(state.duration);
         }
     },
 
@@ -2262,99 +2289,773 @@ const ProjectsModule = {
                 volumeIcon.textContent = '🔊';
             }
         }
-        
-        // Also update the main player's volume display if it exists
-        const mainVolumeFill = document.querySelector('.volume-fill');
-        const mainVolumeHandle = document.querySelector('.volume-handle');
-        const mainVolumeIcon = document.querySelector('.volume-icon');
-        
-        if (mainVolumeFill) {
-            mainVolumeFill.style.width = `${percentage}%`;
+    },
+
+    /**
+     * Play previous episode
+     * Restarts the current episode when it is a few seconds in, like most players
+     */
+    playPreviousEpisode() {
+        const state = AudioPlayer.getState();
+        const previous = PlayQueue.peekPrevious();
+
+        if (state.episode && (state.currentTime > 3 || !previous)) {
+            AudioPlayer.seek(0);
+            return;
         }
-        if (mainVolumeHandle) {
-            mainVolumeHandle.style.left = `${percentage}%`;
+
+        this.playEpisode(previous, true);
+    },
+
+    /**
+     * Play next episode in Up Next
+     */
+    playNextEpisode() {
+        const next = PlayQueue.peekNext();
+        if (next) {
+            this.playEpisode(next);
+        } else {
+            Utils.showNotification('Up Next is empty. Use + on an episode to add it.', 'info');
         }
-        if (mainVolumeIcon) {
-            if (volume === 0) {
-                mainVolumeIcon.textContent = '🔇';
-            } else if (volume < 0.5) {
-                mainVolumeIcon.textContent = '🔉';
-            } else {
-                mainVolumeIcon.textContent = '🔊';
-            }
+    },
+
+    /**
+     * Toggle floating volume
+     */
+    toggleFloatingVolume() {
+        AudioPlayer.setVolume(AudioPlayer.getState().volume > 0 ? 0 : 0.7); // 0.7: default volume
+    },
+
+    /**
+     * Expand floating player
+     */
+    expandFloatingPlayer() {
+        // Open the detail modal of the episode loaded
+        const episode = AudioPlayer.episode ? this.findEpisode(AudioPlayer.episode.id) : null;
+        if (episode) {
+            this.showEpisodeDetail(episode);
         }
     },
 
     /**
-     * Play previous episode
+     * Bind the play queue controls: the Up Next buttons on episode cards and
+     * the floating player's Up Next panel
      */
-    playPreviousEpisode() {
-        const currentCard = document.querySelector('.episode-card[data-episode-id]');
-        if (currentCard) {
-            const currentId = currentCard.dataset.episodeId;
-            const allCards = document.querySelectorAll('.episode-card[data-episode-id]');
-            const currentIndex = Array.from(allCards).findIndex(card => card.dataset.episodeId === currentId);
-            
-            if (currentIndex > 0) {
-                const prevCard = allCards[currentIndex - 1];
-                const prevButton = prevCard.querySelector('.custom-play-button');
-                if (prevButton) {
-                    this.toggleAudioPlayback(prevButton);
+    bindQueueControls() {
+        PlayQueue.load();
+        PlayQueue.onChange(() => this.renderQueue());
+        this.draggedQueueIndex = null;
+
+        const container = document.getElementById('projects-container');
+        const queueButton = document.getElementById('floating-queue-btn');
+        const queuePanel = document.getElementById('floating-queue-panel');
+        const queueList = document.getElementById('floating-queue-list');
+        const clearButton = document.getElementById('floating-queue-clear');
+
+        // Cards are re-rendered on every filter change, so listen on their container
+        if (container) {
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('.queue-button');
+                if (button) {
+                    this.toggleQueued(button.closest('.episode-card').dataset.episodeId);
                 }
-            }
+            });
         }
+
+        if (queueButton && queuePanel) {
+            queueButton.addEventListener('click', () => this.toggleFloatingPanel(queueButton, queuePanel));
+        }
+
+        if (clearButton) {
+            clearButton.addEventListener('click', () => PlayQueue.clear());
+        }
+
+        if (queueList) {
+            queueList.addEventListener('click', (e) => {
+                const item = e.target.closest('.floating-queue-item');
+                const entry = item ? PlayQueue.items[Number(item.dataset.index)] : null;
+                if (!entry) return;
+
+                if (e.target.closest('.floating-queue-remove')) {
+                    PlayQueue.remove(entry.id);
+                } else {
+                    this.playEpisode(entry);
+                }
+            });
+
+            // Keyboard: Enter plays, Delete removes, Alt+Up/Down moves
+            queueList.addEventListener('keydown', (e) => {
+                const item = e.target.closest('.floating-queue-item');
+                if (!item || e.target !== item) return;
+
+                const index = Number(item.dataset.index);
+                const entry = PlayQueue.items[index];
+                let handled = true;
+
+                if (e.key === 'Enter') {
+                    this.playEpisode(entry);
+                } else if (e.key === 'Delete' || e.key === 'Backspace') {
+                    PlayQueue.remove(entry.id);
+                    this.focusQueueItem(Math.min(index, PlayQueue.items.length - 1));
+                } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                    const toIndex = index + (e.key === 'ArrowUp' ? -1 : 1);
+                    if (toIndex >= 0 && toIndex < PlayQueue.items.length) {
+                        PlayQueue.move(index, toIndex);
+                        this.focusQueueItem(toIndex);
+                    }
+                } else {
+                    handled = false;
+                }
+
+                if (handled) {
+                    // Keep the page's playback shortcuts from acting on the same key
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+            });
+
+            // Drag to reorder
+            queueList.addEventListener('dragstart', (e) => {
+                const item = e.target.closest('.floating-queue-item');
+                if (!item) return;
+
+                this.draggedQueueIndex = Number(item.dataset.index);
+                item.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', item.dataset.index);
+            });
+
+            queueList.addEventListener('dragover', (e) => {
+                const item = e.target.closest('.floating-queue-item');
+                if (!item || this.draggedQueueIndex === null) return;
+
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                const rect = item.getBoundingClientRect();
+                const after = e.clientY > rect.top + rect.height / 2;
+                queueList.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+                    el.classList.remove('drop-before', 'drop-after');
+                });
+                item.classList.add(after ? 'drop-after' : 'drop-before');
+            });
+
+            queueList.addEventListener('drop', (e) => {
+                const item = e.target.closest('.floating-queue-item');
+                if (!item || this.draggedQueueIndex === null) return;
+
+                e.preventDefault();
+                let toIndex = Number(item.dataset.index) + (item.classList.contains('drop-after') ? 1 : 0);
+                // Removing the dragged item first shifts the later ones up
+                if (toIndex > this.draggedQueueIndex) {
+                    toIndex--;
+                }
+                PlayQueue.move(this.draggedQueueIndex, toIndex);
+            });
+
+            queueList.addEventListener('dragend', () => {
+                this.draggedQueueIndex = null;
+                queueList.querySelectorAll('.dragging, .drop-before, .drop-after').forEach(el => {
+                    el.classList.remove('dragging', 'drop-before', 'drop-after');
+                });
+            });
+        }
+
+        this.renderQueue();
     },
 
     /**
-     * Play next episode
+     * Show the play queue: the Up Next panel and count, Next's tooltip and
+     * the Up Next buttons of episode cards and the detail modal
      */
-    playNextEpisode() {
-        const currentCard = document.querySelector('.episode-card[data-episode-id]');
-        if (currentCard) {
-            const currentId = currentCard.dataset.episodeId;
-            const allCards = document.querySelectorAll('.episode-card[data-episode-id]');
-            const currentIndex = Array.from(allCards).findIndex(card => card.dataset.episodeId === currentId);
-            
-            if (currentIndex < allCards.length - 1) {
-                const nextCard = allCards[currentIndex + 1];
-                const nextButton = nextCard.querySelector('.custom-play-button');
-                if (nextButton) {
-                    this.toggleAudioPlayback(nextButton);
+    renderQueue() {
+        const queueList = document.getElementById('floating-queue-list');
+        const queueCount = document.getElementById('floating-queue-count');
+        const nextButton = document.getElementById('floating-next-btn');
+        const detailQueueButton = document.getElementById('episode-detail-queue');
+        const items = PlayQueue.items;
+
+        if (queueList) {
+            queueList.innerHTML = items.length === 0
+                ? '<li class="floating-queue-empty">Nothing queued. Use + on an episode to add it.</li>'
+                : items.map((entry, index) => {
+                    const title = MarkdownRenderer.escapeHtml(entry.title);
+                    return `
+                        <li class="floating-queue-item" data-index="${index}" draggable="true" tabindex="0" title="Drag to reorder, click to play">
+                            <span class="floating-queue-handle" aria-hidden="true">⋮⋮</span>
+                            <span class="floating-queue-item-title">${title}</span>
+                            ${entry.duration ? `<span class="floating-queue-item-duration">${Utils.formatDuration(entry.duration)}</span>` : ''}
+                            <button class="floating-queue-remove" title="Remove from Up Next" aria-label="Remove ${title} from Up Next">×</button>
+                        </li>
+                    `;
+                }).join('');
+        }
+
+        if (queueCount) {
+            queueCount.textContent = items.length;
+            queueCount.classList.toggle('hidden', items.length === 0);
+        }
+
+        if (nextButton) {
+            const next = PlayQueue.peekNext();
+            nextButton.title = next ? `Next: ${next.title}` : 'Next (Up Next is empty)';
+        }
+
+        document.querySelectorAll('.episode-card .queue-button').forEach(button => {
+            this.updateQueueButton(button, button.closest('.episode-card').dataset.episodeId);
+        });
+
+        if (detailQueueButton && detailQueueButton.dataset.episodeId) {
+            this.updateQueueButton(detailQueueButton);
+        }
+    },
+
+    /**
+     * Show whether an episode is in Up Next on its button
+     * @param {Element} button - Card or detail modal Up Next button
+     * @param {string} [episodeId] - Episode ID, defaults to the button's data-episode-id
+     */
+    updateQueueButton(button, episodeId = button.dataset.episodeId) {
+        const queued = PlayQueue.has(episodeId);
+        const label = queued ? 'Remove from Up Next' : 'Add to Up Next';
+        const icon = button.querySelector('.queue-icon');
+
+        button.classList.toggle('queued', queued);
+        button.setAttribute('aria-pressed', String(queued));
+        button.title = label;
+
+        if (icon) {
+            icon.textContent = queued ? '✓' : '+';
+        } else {
+            button.textContent = label;
+        }
+    },
+
+    /**
+     * Move keyboard focus to an Up Next item after the list is redrawn
+     * @param {number} index - Item position
+     */
+    focusQueueItem(index) {
+        const item = document.querySelector(`#floating-queue-list .floating-queue-item[data-index="${index}"]`);
+        if (item) {
+            item.focus();
+        }
+    },
+
+    /**
+     * Add an episode to Up Next, or take it out if it is already there
+     * @param {string} episodeId - Episode ID
+     */
+    toggleQueued(episodeId) {
+        if (PlayQueue.has(episodeId)) {
+            PlayQueue.remove(episodeId);
+            return;
+        }
+
+        const entry = PlayQueue.toEntry(this.findEpisode(episodeId));
+        if (!entry) {
+            Utils.showNotification('This episode has no audio to queue.', 'error');
+            return;
+        }
+
+        PlayQueue.add(entry);
+        Utils.showNotification(`Added "${MarkdownRenderer.escapeHtml(entry.title)}" to Up Next`, 'success', 3000);
+    },
+
+    /**
+     * Make the queue entry for a card's play button
+     * @param {Element} button - Play button element
+     * @returns {Object|null} Queue entry
+     */
+    getQueueEntry(button) {
+        const card = button.closest('.episode-card');
+        return card ? PlayQueue.toEntry(this.findEpisode(card.dataset.episodeId)) : null;
+    },
+
+    /**
+     * Continue with Up Next when an episode finishes
+     */
+    handlePlaybackEnded() {
+        // A sleep timer set to the end of the episode stops here instead of moving on
+        if (this.sleepTimer && this.sleepTimer.mode === 'episode') {
+            this.finishSleepTimer();
+            this.hideFloatingPlayer();
+            return;
+        }
+
+        const next = PlayQueue.peekNext();
+        if (next) {
+            this.playEpisode(next);
+        } else {
+            this.hideFloatingPlayer();
+        }
+    },
+
+    /**
+     * Bind playback progress: show it on episode cards and sync it for signed-in listeners
+     */
+    bindProgressTracking() {
+        PlaybackProgress.load();
+        PlaybackProgress.onChange(() => this.renderProgress());
+
+        // Pause fires before ended, so a finished episode is recorded and then reset to the start
+        AudioPlayer.on('progress', (state) => this.recordProgress(state));
+        AudioPlayer.on('pause', (state) => this.recordProgress(state, true));
+        AudioPlayer.on('ended', (state) => PlaybackProgress.markPlayed(state.episode && state.episode.id));
+
+        // Fetch progress saved on other devices once the listener is signed in
+        if (window.authManager) {
+            window.authManager.onAuthStateChanged((user) => {
+                if (user) {
+                    PlaybackProgress.sync();
                 }
+            });
+        }
+
+        // Positions are saved every few seconds; keep the last few when the page goes away
+        window.addEventListener('pagehide', () => PlaybackProgress.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                PlaybackProgress.flush();
             }
+        });
+    },
+
+    /**
+     * Save the playback position of the episode loaded in the player
+     * @param {Object} state - Player state, see AudioPlayer.getState
+     * @param {boolean} [force] - Write now rather than waiting for the save interval
+     */
+    recordProgress(state, force = false) {
+        if (state.episode) {
+            PlaybackProgress.record(state.episode.id, state.currentTime, state.duration, force);
         }
     },
 
     /**
-     * Toggle floating volume
+     * Show saved progress on the episode cards on the page
      */
-    toggleFloatingVolume() {
-        const floatingPlayer = document.getElementById('floating-player');
-        const audio = floatingPlayer._currentAudio;
-        
-        if (audio) {
-            if (audio.volume > 0) {
-                audio.volume = 0;
-            } else {
-                audio.volume = 0.7; // Default volume
+    renderProgress() {
+        document.querySelectorAll('.episode-card[data-episode-id]').forEach(card => {
+            const episodeId = card.dataset.episodeId;
+            const percent = PlaybackProgress.getPercent(episodeId);
+            const played = PlaybackProgress.isPlayed(episodeId);
+            const progress = card.querySelector('.episode-progress');
+            const fill = card.querySelector('.episode-progress-fill');
+            const badge = card.querySelector('.episode-played-badge');
+
+            card.classList.toggle('played', played);
+            if (progress) {
+                progress.classList.toggle('hidden', percent === 0);
+                progress.setAttribute('aria-valuenow', Math.round(percent));
+            }
+            if (fill) {
+                fill.style.width = `${percent}%`;
+            }
+            if (badge) {
+                badge.classList.toggle('hidden', !played);
+            }
+        });
+    },
+
+    /**
+     * Bind the playback options: speed, skip intervals and sleep timer, in the
+     * floating player's options panel and the episode detail modal
+     */
+    bindPlaybackSettings() {
+        this.sleepTimer = null;
+
+        const speedButton = document.getElementById('floating-speed-btn');
+        const settingsPanel = document.getElementById('floating-settings-panel');
+
+        if (settingsPanel) {
+            settingsPanel.innerHTML = this.createPlaybackOptionsHtml('floating');
+        }
+
+        if (speedButton && settingsPanel) {
+            speedButton.addEventListener('click', () => this.toggleFloatingPanel(speedButton, settingsPanel));
+        }
+
+        // Both option sets are redrawn, so listen on the document
+        document.addEventListener('change', (e) => {
+            const options = e.target.closest('.playback-options');
+            if (options) {
+                this.handlePlaybackOptionChange(options, e.target);
             }
-            this.updateFloatingVolumeDisplay(floatingPlayer, audio.volume);
+        });
+
+        // Settings are saved per user; switch to theirs when they sign in or out
+        if (window.authManager) {
+            window.authManager.onAuthStateChanged(() => {
+                this.applyPlaybackRate();
+                this.updatePlaybackOptions();
+            });
         }
+
+        AudioPlayer.on('progress', (state) => this.checkSleepTimer(state));
+
+        this.updatePlaybackOptions();
     },
 
     /**
-     * Expand floating player
+     * Open one of the floating player's panels, closing the other
+     * @param {Element} button - Button that toggles the panel
+     * @param {Element} panel - Up Next or options panel
      */
-    expandFloatingPlayer() {
-        const floatingPlayer = document.getElementById('floating-player');
-        const audio = floatingPlayer._currentAudio;
-        
-        if (audio) {
-            // Find the episode card and open its detail modal
-            const currentCard = document.querySelector('.episode-card[data-episode-id]');
-            if (currentCard) {
-                this.openEpisodeDetail(currentCard);
+    toggleFloatingPanel(button, panel) {
+        const isOpen = panel.classList.toggle('hidden') === false;
+        button.setAttribute('aria-expanded', String(isOpen));
+
+        if (isOpen) {
+            document.querySelectorAll('#floating-player [aria-controls]').forEach(otherButton => {
+                const otherPanel = document.getElementById(otherButton.getAttribute('aria-controls'));
+                if (otherButton !== button && otherPanel) {
+                    otherPanel.classList.add('hidden');
+                    otherButton.setAttribute('aria-expanded', 'false');
+                }
+            });
+        }
+    },
+
+    /**
+     * Create the playback options controls
+     * @param {string} target - 'floating' for the floating player, 'detail' for the episode detail modal
+     * @param {string} [showId] - Show of the episode the options are for; the floating
+     *     player's follows the episode playing
+     * @returns {string} Options HTML
+     */
+    createPlaybackOptionsHtml(target, showId = '') {
+        const rateOptions = PlaybackSettings.rates
+            .map(rate => `<option value="${rate}">${PlaybackSettings.formatRate(rate)}</option>`)
+            .join('');
+        const skipOptions = PlaybackSettings.skipIntervals
+            .map(seconds => `<option value="${seconds}">${seconds} seconds</option>`)
+            .join('');
+        const sleepOptions = PlaybackSettings.sleepTimerMinutes
+            .map(minutes => `<option value="${minutes}">${minutes} minutes</option>`)
+            .join('');
+
+        return `
+            <div class="playback-options" data-target="${target}" data-show="${MarkdownRenderer.escapeHtml(showId)}">
+                <label class="playback-option">
+                    <span>Speed</span>
+                    <select class="playback-rate-select">${rateOptions}</select>
+                </label>
+                <label class="playback-option playback-option--check">
+                    <input type="checkbox" class="playback-rate-show">
+                    <span>Only for this show</span>
+                </label>
+                <label class="playback-option">
+                    <span>Skip back</span>
+                    <select class="playback-skip-select" data-direction="back">${skipOptions}</select>
+                </label>
+                <label class="playback-option">
+                    <span>Skip forward</span>
+                    <select class="playback-skip-select" data-direction="forward">${skipOptions}</select>
+                </label>
+                <label class="playback-option">
+                    <span>Sleep timer</span>
+                    <select class="sleep-timer-select">
+                        <option value="">Off</option>
+                        ${sleepOptions}
+                        <option value="episode">End of episode</option>
+                    </select>
+                </label>
+                <p class="sleep-timer-status hidden"></p>
+            </div>
+        `;
+    },
+
+    /**
+     * Apply a change made in the playback options
+     * @param {Element} options - Playback options element
+     * @param {Element} control - Changed select or checkbox
+     */
+    handlePlaybackOptionChange(options, control) {
+        const showId = options.dataset.target === 'detail' ? options.dataset.show : this.getPlayerShow();
+
+        if (control.matches('.playback-rate-select, .playback-rate-show')) {
+            const rate = options.querySelector('.playback-rate-select').value;
+            const onlyThisShow = options.querySelector('.playback-rate-show').checked;
+            PlaybackSettings.setRate(rate, onlyThisShow ? showId : null, showId);
+
+            // The episode playing follows, at its own show's speed
+            this.applyPlaybackRate();
+        } else if (control.matches('.playback-skip-select')) {
+            PlaybackSettings.setSkipInterval(control.dataset.direction, control.value);
+        } else if (control.matches('.sleep-timer-select')) {
+            this.setSleepTimer(control.value);
+        }
+
+        this.updatePlaybackOptions();
+    },
+
+    /**
+     * Show the current speed, skip intervals and sleep timer in every options
+     * set, on the floating player's speed and skip buttons and the modal's skip buttons
+     */
+    updatePlaybackOptions() {
+        const settings = PlaybackSettings.get();
+        const floatingShowId = this.getPlayerShow();
+        const sleepValue = this.sleepTimer ? String(this.sleepTimer.mode === 'episode' ? 'episode' : this.sleepTimer.minutes) : '';
+        const sleepStatus = this.getSleepTimerStatus();
+
+        document.querySelectorAll('.playback-options').forEach(options => {
+            const showId = options.dataset.target === 'detail' ? options.dataset.show : floatingShowId;
+
+            options.querySelector('.playback-rate-select').value = String(PlaybackSettings.getRate(showId));
+            options.querySelector('.playback-rate-show').checked = PlaybackSettings.hasShowRate(showId);
+            options.querySelector('.playback-skip-select[data-direction="back"]').value = String(settings.skipBack);
+            options.querySelector('.playback-skip-select[data-direction="forward"]').value = String(settings.skipForward);
+            options.querySelector('.sleep-timer-select').value = sleepValue;
+
+            const status = options.querySelector('.sleep-timer-status');
+            status.textContent = sleepStatus;
+            status.classList.toggle('hidden', !sleepStatus);
+        });
+
+        const speedLabel = document.querySelector('#floating-speed-btn .floating-speed-label');
+        const sleepIndicator = document.querySelector('#floating-speed-btn .floating-sleep-indicator');
+        const skipBackLabel = document.querySelector('#floating-skip-back-btn .floating-skip-label');
+        const skipForwardLabel = document.querySelector('#floating-skip-forward-btn .floating-skip-label');
+
+        if (speedLabel) {
+            speedLabel.textContent = PlaybackSettings.formatRate(PlaybackSettings.getRate(floatingShowId));
+        }
+        if (sleepIndicator) {
+            sleepIndicator.classList.toggle('hidden', !this.sleepTimer);
+        }
+        if (skipBackLabel) {
+            skipBackLabel.textContent = `-${settings.skipBack}`;
+            skipBackLabel.parentElement.title = `Skip back ${settings.skipBack} seconds`;
+        }
+        if (skipForwardLabel) {
+            skipForwardLabel.textContent = `+${settings.skipForward}`;
+            skipForwardLabel.parentElement.title = `Skip forward ${settings.skipForward} seconds`;
+        }
+
+        document.querySelectorAll('.episode-detail-skip-btn').forEach(button => {
+            button.textContent = button.dataset.skip === 'back'
+                ? `⟲ ${settings.skipBack}s`
+                : `${settings.skipForward}s ⟳`;
+        });
+    },
+
+    /**
+     * Get the show of the episode loaded in the player, or last played
+     * @returns {string} Show ID
+     */
+    getPlayerShow() {
+        return PlaybackSettings.getShowId(AudioPlayer.episode || PlayQueue.current);
+    },
+
+    /**
+     * Play the loaded episode at the listener's speed for its show
+     */
+    applyPlaybackRate() {
+        if (AudioPlayer.episode) {
+            AudioPlayer.setRate(PlaybackSettings.getRate(this.getPlayerShow()));
+        }
+    },
+
+    /**
+     * Start, change or turn off the sleep timer
+     * @param {string} value - Minutes, 'episode' for the end of the episode, or '' to turn it off
+     */
+    setSleepTimer(value) {
+        this.cancelSleepTimer();
+        if (!value) return;
+
+        if (value === 'episode') {
+            this.sleepTimer = { mode: 'episode' };
+        } else {
+            const minutes = Number(value);
+            const endsAt = Date.now() + minutes * 60 * 1000;
+            this.sleepTimer = {
+                mode: 'minutes',
+                minutes,
+                endsAt,
+                // Start fading so the volume reaches zero when the time is up
+                timeoutId: setTimeout(() => {
+                    this.fadeOutAndPause();
+                }, Math.max(0, endsAt - Date.now() - PlaybackSettings.sleepFadeSeconds * 1000)),
+                // Keep the minutes left up to date
+                intervalId: setInterval(() => this.updatePlaybackOptions(), 30000)
+            };
+        }
+    },
+
+    /**
+     * Turn off the sleep timer, restoring the volume if it was fading
+     */
+    cancelSleepTimer() {
+        const timer = this.sleepTimer;
+        if (!timer) return;
+
+        clearTimeout(timer.timeoutId);
+        clearInterval(timer.intervalId);
+        clearInterval(timer.fadeId);
+        if (timer.fadeFrom !== undefined) {
+            AudioPlayer.setVolume(timer.fadeFrom);
+        }
+        this.sleepTimer = null;
+    },
+
+    /**
+     * Turn off the sleep timer once it has stopped playback
+     */
+    finishSleepTimer() {
+        this.cancelSleepTimer();
+        this.updatePlaybackOptions();
+        Utils.showNotification('Sleep timer: playback stopped', 'info', 3000);
+    },
+
+    /**
+     * Describe the sleep timer for the options
+     * @returns {string} e.g. 'Stops in 12 minutes', or '' when off
+     */
+    getSleepTimerStatus() {
+        if (!this.sleepTimer) return '';
+        if (this.sleepTimer.mode === 'episode') return 'Stops at the end of this episode';
+
+        const minutesLeft = Math.max(1, Math.ceil((this.sleepTimer.endsAt - Date.now()) / 60000));
+        return `Stops in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * Fade the episode out when an end-of-episode sleep timer nears the end
+     * Runs on progress; the volume follows the time left, so seeking back undoes the fade
+     * @param {Object} state - Player state, see AudioPlayer.getState
+     */
+    checkSleepTimer(state) {
+        const timer = this.sleepTimer;
+        if (!timer || timer.mode !== 'episode' || !state.duration || state.paused) return;
+
+        const remaining = state.duration - state.currentTime;
+        const fadeSeconds = PlaybackSettings.sleepFadeSeconds;
+
+        if (remaining <= fadeSeconds) {
+            if (timer.fadeFrom === undefined) {
+                timer.fadeFrom = state.volume;
             }
+            AudioPlayer.setVolume(timer.fadeFrom * Math.max(0, remaining / fadeSeconds));
+        } else if (timer.fadeFrom !== undefined) {
+            AudioPlayer.setVolume(timer.fadeFrom);
+            delete timer.fadeFrom;
+        }
+    },
+
+    /**
+     * Fade the episode playing out, pause it and put the volume back for next time
+     */
+    fadeOutAndPause() {
+        const timer = this.sleepTimer;
+        if (!timer) return;
+        if (!AudioPlayer.isPlaying()) {
+            this.finishSleepTimer();
+            return;
+        }
+
+        const stepMs = 200;
+        const steps = (PlaybackSettings.sleepFadeSeconds * 1000) / stepMs;
+        let step = 0;
+
+        timer.fadeFrom = AudioPlayer.getState().volume;
+        timer.fadeId = setInterval(() => {
+            step++;
+            AudioPlayer.setVolume(timer.fadeFrom * Math.max(0, 1 - step / steps));
+
+            if (step >= steps) {
+                clearInterval(timer.fadeId);
+                AudioPlayer.pause();
+                // cancelSleepTimer puts the volume back
+                this.finishSleepTimer();
+            }
+        }, stepMs);
+    },
+
+    /**
+     * Bind the Media Session API, so the OS media overlay, lock screen and
+     * headphone or keyboard media keys control the podcast while the page is in the background
+     */
+    bindMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const handlers = {
+            play: () => {
+                if (!AudioPlayer.isPlaying()) {
+                    this.toggleGlobalPlayback();
+                }
+            },
+            pause: () => AudioPlayer.pause(),
+            seekbackward: (details) => {
+                this.seekAudio(-(details.seekOffset || PlaybackSettings.get().skipBack));
+            },
+            seekforward: (details) => {
+                this.seekAudio(details.seekOffset || PlaybackSettings.get().skipForward);
+            },
+            seekto: (details) => AudioPlayer.seek(details.seekTime),
+            previoustrack: () => this.playPreviousEpisode(),
+            nexttrack: () => this.playNextEpisode()
+        };
+        handlers.stop = handlers.pause;
+
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                // Browsers reject actions they do not know
+                console.log(`Media Session action "${action}" is not supported`);
+            }
+        });
+
+        // Keep the session's episode, play state and position in step with the player
+        AudioPlayer.on('episode', ({ episode }) => {
+            this.updateMediaSessionMetadata(episode.title, episode.image, episode.show);
+        });
+        ['play', 'pause'].forEach(eventName => {
+            AudioPlayer.on(eventName, (state) => {
+                navigator.mediaSession.playbackState = state.paused ? 'paused' : 'playing';
+                this.updateMediaPositionState(state);
+            });
+        });
+        ['progress', 'ratechange'].forEach(eventName => {
+            AudioPlayer.on(eventName, (state) => this.updateMediaPositionState(state));
+        });
+    },
+
+    /**
+     * Publish the episode playing to the Media Session
+     * @param {string} title - Episode title
+     * @param {string} [image] - Artwork URL
+     * @param {string} [show] - Show name, the site name when unknown
+     */
+    updateMediaSessionMetadata(title, image, show) {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title,
+            artist: show || 'Hereco',
+            album: 'Hereco',
+            artwork: image ? [{ src: image }] : []
+        });
+    },
+
+    /**
+     * Publish the player's position, length and speed to the Media Session
+     * @param {Object} state - Player state, see AudioPlayer.getState
+     */
+    updateMediaPositionState(state) {
+        if (!('mediaSession' in navigator) || typeof navigator.mediaSession.setPositionState !== 'function') return;
+        if (!state.duration) return;
+
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: state.duration,
+                playbackRate: state.playbackRate,
+                position: Math.min(state.currentTime, state.duration)
+            });
+        } catch (error) {
+            console.warn('Could not update Media Session position:', error);
         }
     }
 };
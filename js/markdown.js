@@ -0,0 +1,933 @@
+/**
+ * Markdown renderer for chatbot replies and episode descriptions
+ * Converts Markdown to HTML, sanitizes the result against an allowlist and
+ * highlights fenced code blocks
+ */
+
+// Tags that survive sanitizing, with the attributes each may keep
+const MARKDOWN_ALLOWED_TAGS = {
+    a: ['href', 'title'],
+    b: [],
+    blockquote: [],
+    br: [],
+    button: ['class', 'type', 'title', 'aria-label'],
+    code: ['class'],
+    del: [],
+    div: ['class'],
+    em: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'alt', 'title'],
+    li: [],
+    ol: ['start'],
+    p: [],
+    pre: ['class'],
+    s: [],
+    span: ['class'],
+    strong: [],
+    sub: [],
+    sup: ['class'],
+    table: ['class'],
+    tbody: [],
+    td: ['class'],
+    th: ['class'],
+    thead: [],
+    tr: [],
+    u: [],
+    ul: []
+};
+
+// Tags removed together with everything inside them
+const MARKDOWN_DROPPED_TAGS = [
+    'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template',
+    'form', 'input', 'textarea', 'select', 'option', 'link', 'meta', 'base',
+    'svg', 'math', 'frame', 'frameset', 'audio', 'video', 'source', 'canvas'
+];
+
+// Only classes produced by the renderer itself are kept
+const MARKDOWN_CLASS_PREFIXES = ['md-', 'hl-', 'language-', 'code-'];
+
+// Shared keyword lists for the syntax highlighter
+const C_LIKE_KEYWORDS = [
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else',
+    'enum', 'extends', 'final', 'finally', 'for', 'if', 'implements', 'import',
+    'interface', 'new', 'package', 'private', 'protected', 'public', 'return',
+    'static', 'super', 'switch', 'this', 'throw', 'throws', 'try', 'void', 'while'
+];
+
+const HIGHLIGHT_LANGUAGES = {
+    javascript: {
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        strings: ['"', "'", '`'],
+        keywords: [
+            'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+            'debugger', 'default', 'delete', 'do', 'else', 'export', 'extends', 'finally',
+            'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new',
+            'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'try', 'typeof',
+            'var', 'void', 'while', 'yield'
+        ],
+        literals: ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity']
+    },
+    typescript: {
+        extend: 'javascript',
+        keywords: [
+            'abstract', 'any', 'as', 'boolean', 'declare', 'enum', 'implements',
+            'interface', 'keyof', 'namespace', 'never', 'number', 'private', 'protected',
+            'public', 'readonly', 'string', 'type', 'unknown'
+        ]
+    },
+    python: {
+        lineComment: '#',
+        strings: ['"""', "'''", '"', "'"],
+        keywords: [
+            'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def',
+            'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if',
+            'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise',
+            'return', 'try', 'while', 'with', 'yield', 'self'
+        ],
+        literals: ['True', 'False', 'None']
+    },
+    java: {
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        strings: ['"', "'"],
+        keywords: C_LIKE_KEYWORDS.concat([
+            'abstract', 'boolean', 'byte', 'char', 'double', 'float', 'instanceof',
+            'int', 'long', 'short', 'synchronized', 'var'
+        ]),
+        literals: ['true', 'false', 'null']
+    },
+    c: {
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        strings: ['"', "'"],
+        keywords: [
+            'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do',
+            'double', 'else', 'enum', 'extern', 'float', 'for', 'goto', 'if', 'int',
+            'long', 'register', 'return', 'short', 'signed', 'sizeof', 'static',
+            'struct', 'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile',
+            'while', '#include', '#define'
+        ],
+        literals: ['NULL', 'true', 'false']
+    },
+    cpp: {
+        extend: 'c',
+        keywords: [
+            'bool', 'catch', 'class', 'delete', 'namespace', 'new', 'nullptr',
+            'private', 'protected', 'public', 'template', 'this', 'throw', 'try',
+            'typename', 'using', 'virtual', 'auto'
+        ]
+    },
+    csharp: {
+        extend: 'java',
+        keywords: ['async', 'await', 'bool', 'decimal', 'foreach', 'get', 'in', 'namespace', 'object', 'out', 'override', 'readonly', 'ref', 'set', 'string', 'using', 'virtual']
+    },
+    go: {
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        strings: ['"', '`', "'"],
+        keywords: [
+            'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else',
+            'fallthrough', 'for', 'func', 'go', 'goto', 'if', 'import', 'interface',
+            'map', 'package', 'range', 'return', 'select', 'struct', 'switch', 'type', 'var'
+        ],
+        literals: ['true', 'false', 'nil', 'iota']
+    },
+    rust: {
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        strings: ['"'],
+        keywords: [
+            'as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'else', 'enum',
+            'extern', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod',
+            'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self', 'static', 'struct',
+            'super', 'trait', 'type', 'unsafe', 'use', 'where', 'while'
+        ],
+        literals: ['true', 'false', 'None', 'Some', 'Ok', 'Err']
+    },
+    php: {
+        extend: 'javascript',
+        lineComment: '//',
+        keywords: ['echo', 'elseif', 'foreach', 'namespace', 'use', 'public', 'private', 'protected', 'require', 'include']
+    },
+    ruby: {
+        lineComment: '#',
+        strings: ['"', "'"],
+        keywords: [
+            'begin', 'class', 'def', 'do', 'else', 'elsif', 'end', 'ensure', 'for', 'if',
+            'in', 'module', 'next', 'require', 'rescue', 'return', 'self', 'then',
+            'unless', 'until', 'when', 'while', 'yield'
+        ],
+        literals: ['true', 'false', 'nil']
+    },
+    bash: {
+        lineComment: '#',
+        strings: ['"', "'"],
+        keywords: [
+            'case', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'export', 'fi', 'for',
+            'function', 'if', 'in', 'local', 'read', 'return', 'then', 'until', 'while',
+            'cd', 'sudo', 'npm', 'git', 'cat', 'grep'
+        ],
+        literals: ['true', 'false']
+    },
+    sql: {
+        lineComment: '--',
+        blockComment: ['/*', '*/'],
+        strings: ["'", '"'],
+        caseInsensitive: true,
+        keywords: [
+            'add', 'all', 'alter', 'and', 'as', 'asc', 'between', 'by', 'case', 'create',
+            'delete', 'desc', 'distinct', 'drop', 'else', 'end', 'exists', 'from',
+            'group', 'having', 'in', 'index', 'inner', 'insert', 'into', 'is', 'join',
+            'key', 'left', 'like', 'limit', 'not', 'on', 'or', 'order', 'outer',
+            'primary', 'references', 'right', 'select', 'set', 'table', 'then',
+            'union', 'update', 'values', 'when', 'where'
+        ],
+        literals: ['null', 'true', 'false']
+    },
+    json: {
+        strings: ['"'],
+        keywords: [],
+        literals: ['true', 'false', 'null']
+    },
+    yaml: {
+        lineComment: '#',
+        strings: ['"', "'"],
+        keywords: [],
+        literals: ['true', 'false', 'null', 'yes', 'no', 'on', 'off']
+    },
+    css: {
+        blockComment: ['/*', '*/'],
+        strings: ['"', "'"],
+        keywords: ['@media', '@import', '@keyframes', '@font-face', '@supports', '!important'],
+        literals: []
+    }
+};
+
+const HIGHLIGHT_ALIASES = {
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    node: 'javascript',
+    ts: 'typescript',
+    tsx: 'typescript',
+    py: 'python',
+    python3: 'python',
+    rb: 'ruby',
+    sh: 'bash',
+    shell: 'bash',
+    zsh: 'bash',
+    console: 'bash',
+    'c++': 'cpp',
+    cc: 'cpp',
+    h: 'c',
+    hpp: 'cpp',
+    cs: 'csharp',
+    'c#': 'csharp',
+    golang: 'go',
+    rs: 'rust',
+    kotlin: 'java',
+    kt: 'java',
+    swift: 'java',
+    scss: 'css',
+    less: 'css',
+    yml: 'yaml',
+    postgres: 'sql',
+    mysql: 'sql',
+    html: 'markup',
+    xml: 'markup',
+    svg: 'markup',
+    vue: 'markup'
+};
+
+const MarkdownRenderer = {
+    /**
+     * Render Markdown to sanitized HTML
+     * @param {string} markdown - Markdown source
+     * @param {Object} options - Render options
+     * @param {boolean} options.allowHtml - Pass inline HTML through (still sanitized) instead of escaping it
+     * @param {Array<Object>} options.citations - Sources ({ title, url }) that "[n]" markers link to
+     * @returns {string} Safe HTML
+     */
+    render(markdown, options = {}) {
+        if (markdown === null || markdown === undefined) return '';
+
+        const source = String(markdown)
+            .replace(/\r\n?/g, '\n')
+            .replace(/\u0000/g, '');
+
+        const html = this.renderBlocks(source.split('\n'), options);
+        return this.sanitize(html);
+    },
+
+    /**
+     * Escape text for safe insertion into HTML
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Render a list of lines as block-level HTML
+     * @param {Array<string>} lines - Source lines
+     * @param {Object} options - Render options
+     * @returns {string} HTML
+     */
+    renderBlocks(lines, options) {
+        const output = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code block; an unclosed fence runs to the end (e.g. mid-stream)
+            const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/);
+            if (fence) {
+                const marker = fence[1];
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+                    codeLines.push(lines[i]);
+                    i++;
+                }
+                i++;
+                output.push(this.renderCodeBlock(codeLines.join('\n'), fence[2]));
+                continue;
+            }
+
+            const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                output.push(`<h${level}>${this.renderInline(heading[2], options)}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                output.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^ {0,3}>/.test(line)) {
+                const quoteLines = [];
+                while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                    quoteLines.push(lines[i].replace(/^ {0,3}>\s?/, ''));
+                    i++;
+                }
+                output.push(`<blockquote>${this.renderBlocks(quoteLines, options)}</blockquote>`);
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                const tableLines = [];
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                    tableLines.push(lines[i]);
+                    i++;
+                }
+                output.push(this.renderTable(tableLines, options));
+                continue;
+            }
+
+            if (this.matchListItem(line)) {
+                const result = this.renderList(lines, i, options);
+                output.push(result.html);
+                i = result.next;
+                continue;
+            }
+
+            // Raw HTML blocks only pass through when explicitly allowed
+            if (options.allowHtml && /^ {0,3}<[a-zA-Z/!]/.test(line)) {
+                const htmlLines = [];
+                while (i < lines.length && lines[i].trim()) {
+                    htmlLines.push(lines[i]);
+                    i++;
+                }
+                output.push(htmlLines.join('\n'));
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or the start of another block
+            const paragraphLines = [];
+            while (i < lines.length && lines[i].trim() && (paragraphLines.length === 0 || !this.startsBlock(lines, i))) {
+                paragraphLines.push(lines[i].trim());
+                i++;
+            }
+            output.push(`<p>${paragraphLines.map(text => this.renderInline(text, options)).join('<br>')}</p>`);
+        }
+
+        return output.join('');
+    },
+
+    /**
+     * Check whether a line opens a non-paragraph block
+     * @param {Array<string>} lines - Source lines
+     * @param {number} index - Line index
+     * @returns {boolean} Whether the line starts a new block
+     */
+    startsBlock(lines, index) {
+        const line = lines[index];
+        return /^ {0,3}(`{3,}|~{3,}|#{1,6}\s|>)/.test(line) ||
+            /^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+            !!this.matchListItem(line) ||
+            this.isTableStart(lines, index);
+    },
+
+    /**
+     * Match a list item marker
+     * @param {string} line - Source line
+     * @returns {Object|null} { indent, ordered, start, content } or null
+     */
+    matchListItem(line) {
+        const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+        if (!match) return null;
+
+        const ordered = /\d/.test(match[2]);
+        return {
+            indent: match[1].replace(/\t/g, '    ').length,
+            ordered,
+            start: ordered ? parseInt(match[2], 10) : null,
+            markerWidth: match[1].length + match[2].length + 1,
+            content: match[3]
+        };
+    },
+
+    /**
+     * Render a (possibly nested) list starting at a line
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the first item
+     * @param {Object} options - Render options
+     * @returns {Object} { html, next }
+     */
+    renderList(lines, start, options) {
+        const first = this.matchListItem(lines[start]);
+        const items = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const item = this.matchListItem(lines[i]);
+            if (!item || item.indent !== first.indent || item.ordered !== first.ordered) break;
+
+            const itemLines = [item.content];
+            i++;
+
+            // Continuation lines: deeper-indented content, or blank lines followed by it
+            while (i < lines.length) {
+                const line = lines[i];
+                const indent = line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+                if (!line.trim()) {
+                    const nextLine = lines[i + 1];
+                    const nextIndent = nextLine ? nextLine.match(/^\s*/)[0].length : 0;
+                    if (nextLine && nextLine.trim() && nextIndent > first.indent) {
+                        itemLines.push('');
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+
+                const nested = this.matchListItem(line);
+                if (nested && nested.indent <= first.indent) break;
+                if (!nested && indent <= first.indent && this.startsBlock(lines, i)) break;
+
+                itemLines.push(line.slice(Math.min(indent, item.markerWidth)));
+                i++;
+            }
+
+            let itemHtml = this.renderBlocks(itemLines, options);
+            // Tight list items render without their paragraph wrapper
+            itemHtml = itemHtml.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+            items.push(`<li>${itemHtml}</li>`);
+        }
+
+        const tag = first.ordered ? 'ol' : 'ul';
+        const startAttr = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+        return { html: `<${tag}${startAttr}>${items.join('')}</${tag}>`, next: i };
+    },
+
+    /**
+     * Check whether a GFM table starts at a line
+     * @param {Array<string>} lines - Source lines
+     * @param {number} index - Line index
+     * @returns {boolean} Whether a table header + delimiter row is present
+     */
+    isTableStart(lines, index) {
+        const header = lines[index];
+        const delimiter = lines[index + 1];
+        return !!header && !!delimiter && header.includes('|') &&
+            /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(delimiter) &&
+            delimiter.includes('-');
+    },
+
+    /**
+     * Split a table row into trimmed cells
+     * @param {string} row - Table row
+     * @returns {Array<string>} Cells
+     */
+    splitTableRow(row) {
+        return row.trim()
+            .replace(/^\|/, '')
+            .replace(/\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+    },
+
+    /**
+     * Render a GFM table
+     * @param {Array<string>} tableLines - Header, delimiter and body rows
+     * @param {Object} options - Render options
+     * @returns {string} HTML
+     */
+    renderTable(tableLines, options) {
+        const headers = this.splitTableRow(tableLines[0]);
+        const alignments = this.splitTableRow(tableLines[1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+
+        const cellHtml = (tag, text, index) => {
+            const align = alignments[index] ? ` class="md-align-${alignments[index]}"` : '';
+            return `<${tag}${align}>${this.renderInline(text, options)}</${tag}>`;
+        };
+
+        const headHtml = headers.map((text, index) => cellHtml('th', text, index)).join('');
+        const bodyHtml = tableLines.slice(2).map(row => {
+            const cells = this.splitTableRow(row);
+            return `<tr>${headers.map((_, index) => cellHtml('td', cells[index] || '', index)).join('')}</tr>`;
+        }).join('');
+
+        return `<div class="md-table-wrapper"><table class="md-table"><thead><tr>${headHtml}</tr></thead><tbody>${bodyHtml}</tbody></table></div>`;
+    },
+
+    /**
+     * Render a fenced code block with highlighting and a copy button
+     * @param {string} code - Code text
+     * @param {string} language - Fence info string
+     * @returns {string} HTML
+     */
+    renderCodeBlock(code, language) {
+        const lang = (language || '').toLowerCase();
+        const label = lang ? this.escapeHtml(lang) : 'code';
+        const languageClass = lang ? ` class="language-${this.escapeHtml(lang.replace(/[^\w-]/g, ''))}"` : '';
+
+        return `<div class="md-code-block">` +
+            `<div class="md-code-header"><span class="md-code-lang">${label}</span>` +
+            `<button type="button" class="code-copy-btn" title="Copy code" aria-label="Copy code">Copy</button></div>` +
+            `<pre class="md-code"><code${languageClass}>${this.highlight(code, lang)}</code></pre>` +
+            `</div>`;
+    },
+
+    /**
+     * Render inline Markdown (emphasis, code spans, links, images)
+     * @param {string} text - Inline source
+     * @param {Object} options - Render options
+     * @returns {string} HTML
+     */
+    renderInline(text, options = {}) {
+        const placeholders = [];
+        const hold = (html) => {
+            placeholders.push(html);
+            return `\u0000${placeholders.length - 1}\u0000`;
+        };
+
+        let result = text;
+
+        // Code spans are taken out first so nothing inside them is formatted
+        result = result.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${this.escapeHtml(code.trim())}</code>`));
+
+        if (!options.allowHtml) {
+            result = this.escapeHtml(result);
+        }
+
+        // Numbered citations like [2] link to the matching source
+        if (Array.isArray(options.citations) && options.citations.length > 0) {
+            result = result.replace(/\[(\d{1,3})\](?!\()/g, (match, number) => {
+                const source = options.citations[Number(number) - 1];
+                const href = source && this.safeUrl(source.url || '', true);
+                if (!href) return match;
+                const title = this.escapeHtml(source.title || '');
+                return hold(`<sup class="md-citation"><a href="${href}" title="${title}">${number}</a></sup>`);
+            });
+        }
+
+        // Images and links; unsafe URLs fall back to plain text
+        result = result.replace(/!\[([^\]]*)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+(?:&quot;|")(.*?)(?:&quot;|"))?\s*\)/g, (match, alt, url, title) => {
+            const src = this.safeUrl(url, true);
+            if (!src) return alt;
+            const titleAttr = title ? ` title="${title}"` : '';
+            return hold(`<img src="${src}" alt="${alt}"${titleAttr}>`);
+        });
+
+        result = result.replace(/\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+(?:&quot;|")(.*?)(?:&quot;|"))?\s*\)/g, (match, label, url, title) => {
+            const href = this.safeUrl(url);
+            const labelHtml = this.renderEmphasis(label);
+            if (!href) return labelHtml;
+            const titleAttr = title ? ` title="${title}"` : '';
+            return hold(`<a href="${href}"${titleAttr}>${labelHtml}</a>`);
+        });
+
+        // Bare URLs become links
+        result = result.replace(/(^|[\s(])(https?:\/\/[^\s<\u0000]+[^\s<\u0000.,:;!?"')\]])/g, (match, lead, url) => {
+            const href = this.safeUrl(url);
+            return href ? lead + hold(`<a href="${href}">${url}</a>`) : match;
+        });
+
+        result = this.renderEmphasis(result);
+
+        // Restore held fragments (they may nest, e.g. a code span inside a link)
+        let previous;
+        do {
+            previous = result;
+            result = result.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[Number(index)]);
+        } while (result !== previous);
+
+        return result;
+    },
+
+    /**
+     * Apply bold, italic and strikethrough
+     * @param {string} text - Already escaped text
+     * @returns {string} HTML
+     */
+    renderEmphasis(text) {
+        return text
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    },
+
+    /**
+     * Validate a link or image URL
+     * @param {string} url - Raw (possibly entity-escaped) URL
+     * @param {boolean} imageOnly - Only allow http(s) sources
+     * @returns {string|null} Escaped URL or null when unsafe
+     */
+    safeUrl(url, imageOnly = false) {
+        const decoded = String(url)
+            .replace(/&amp;/g, '&')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .trim();
+
+        // Strip control characters and whitespace browsers ignore inside schemes
+        const normalized = decoded.replace(/[\u0000- \u007f]/g, '').toLowerCase();
+
+        const isHttp = /^https?:\/\//.test(normalized);
+        const isRelative = /^(\/(?!\/)|#|\.\.?\/)/.test(normalized) || !/^[a-z][a-z0-9+.-]*:/.test(normalized);
+
+        if (imageOnly ? !isHttp : !(isHttp || isRelative || normalized.startsWith('mailto:'))) {
+            return null;
+        }
+
+        return this.escapeHtml(decoded);
+    },
+
+    /**
+     * Resolve a fence language to a highlighter grammar
+     * @param {string} language - Fence language
+     * @returns {Object|null} Grammar
+     */
+    getGrammar(language) {
+        const name = HIGHLIGHT_ALIASES[language] || language;
+        const grammar = HIGHLIGHT_LANGUAGES[name];
+        if (!grammar) return null;
+
+        if (!grammar.extend) return grammar;
+
+        // Merge extended grammars once and cache the result
+        if (!grammar._resolved) {
+            const base = this.getGrammar(grammar.extend);
+            grammar._resolved = {
+                ...base,
+                ...grammar,
+                keywords: (base.keywords || []).concat(grammar.keywords || []),
+                literals: (base.literals || []).concat(grammar.literals || [])
+            };
+        }
+        return grammar._resolved;
+    },
+
+    /**
+     * Highlight source code for a language
+     * @param {string} code - Source code
+     * @param {string} language - Language name or alias
+     * @returns {string} Escaped HTML with highlight spans
+     */
+    highlight(code, language) {
+        const name = HIGHLIGHT_ALIASES[language] || language;
+        if (name === 'markup') {
+            return this.highlightMarkup(code);
+        }
+
+        const grammar = this.getGrammar(language);
+        if (!grammar) {
+            return this.escapeHtml(code);
+        }
+
+        const normalizeWord = (word) => grammar.caseInsensitive ? word.toLowerCase() : word;
+        const keywords = new Set((grammar.keywords || []).map(normalizeWord));
+        const literals = new Set((grammar.literals || []).map(normalizeWord));
+        const span = (className, text) => `<span class="hl-${className}">${this.escapeHtml(text)}</span>`;
+
+        let html = '';
+        let i = 0;
+
+        while (i < code.length) {
+            const rest = code.slice(i);
+
+            if (grammar.lineComment && rest.startsWith(grammar.lineComment)) {
+                const end = code.indexOf('\n', i);
+                const stop = end === -1 ? code.length : end;
+                html += span('comment', code.slice(i, stop));
+                i = stop;
+                continue;
+            }
+
+            if (grammar.blockComment && rest.startsWith(grammar.blockComment[0])) {
+                const end = code.indexOf(grammar.blockComment[1], i + grammar.blockComment[0].length);
+                const stop = end === -1 ? code.length : end + grammar.blockComment[1].length;
+                html += span('comment', code.slice(i, stop));
+                i = stop;
+                continue;
+            }
+
+            const quote = (grammar.strings || []).find(delimiter => rest.startsWith(delimiter));
+            if (quote) {
+                let j = i + quote.length;
+                while (j < code.length && !code.startsWith(quote, j)) {
+                    // Single-character quotes end at a newline; template and triple quotes don't
+                    if (quote.length === 1 && quote !== '`' && code[j] === '\n') break;
+                    j += code[j] === '\\' ? 2 : 1;
+                }
+                const stop = Math.min(code.length, code.startsWith(quote, j) ? j + quote.length : j);
+                const text = code.slice(i, stop);
+                // JSON/YAML keys read better in a different colour than values
+                const isKey = /^\s*:/.test(code.slice(stop)) && (name === 'json' || name === 'yaml');
+                html += span(isKey ? 'property' : 'string', text);
+                i = stop;
+                continue;
+            }
+
+            const number = rest.match(/^(0x[\da-f]+|\d[\d_]*(\.\d+)?(e[+-]?\d+)?)/i);
+            if (number && !/[\w$]/.test(code[i - 1] || '')) {
+                html += span('number', number[0]);
+                i += number[0].length;
+                continue;
+            }
+
+            const word = rest.match(/^[@#!]?[A-Za-z_$][\w$-]*/);
+            if (word) {
+                let text = word[0];
+                // Hyphens are only identifier characters in CSS
+                if (name !== 'css' && text.includes('-')) {
+                    text = text.slice(0, text.indexOf('-'));
+                }
+                const normalized = normalizeWord(text);
+
+                if (keywords.has(normalized)) {
+                    html += span('keyword', text);
+                } else if (literals.has(normalized)) {
+                    html += span('literal', text);
+                } else if (name === 'css' && /^\s*:/.test(code.slice(i + text.length)) && !/^\s*:\s*[\w-]+\s*[{,]/.test(code.slice(i + text.length))) {
+                    html += span('property', text);
+                } else if (/^\s*\(/.test(code.slice(i + text.length))) {
+                    html += span('function', text);
+                } else if (/^[A-Z]/.test(text) && name !== 'sql') {
+                    html += span('type', text);
+                } else {
+                    html += this.escapeHtml(text);
+                }
+                i += text.length;
+                continue;
+            }
+
+            html += this.escapeHtml(code[i]);
+            i++;
+        }
+
+        return html;
+    },
+
+    /**
+     * Highlight HTML/XML markup
+     * @param {string} code - Markup source
+     * @returns {string} Escaped HTML with highlight spans
+     */
+    highlightMarkup(code) {
+        const pattern = /(<!--[\s\S]*?(?:-->|$))|(<\/?[\w:-]+)((?:\s+[\w:-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)(\s*\/?>)?/g;
+        let html = '';
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(code)) !== null) {
+            html += this.escapeHtml(code.slice(last, match.index));
+
+            if (match[1]) {
+                html += `<span class="hl-comment">${this.escapeHtml(match[1])}</span>`;
+            } else {
+                html += `<span class="hl-tag">${this.escapeHtml(match[2])}</span>`;
+                html += (match[3] || '').replace(/([^=\s]+)(\s*=\s*)?("[^"]*"|'[^']*'|[^\s>]+)?|(\s+)/g, (part, attr, equals, value, space) => {
+                    if (space) return space;
+                    let result = `<span class="hl-property">${this.escapeHtml(attr)}</span>`;
+                    if (equals) result += this.escapeHtml(equals);
+                    if (value) result += `<span class="hl-string">${this.escapeHtml(value)}</span>`;
+                    return result;
+                });
+                if (match[4]) {
+                    html += `<span class="hl-tag">${this.escapeHtml(match[4])}</span>`;
+                }
+            }
+
+            last = pattern.lastIndex;
+            if (match[0].length === 0) pattern.lastIndex++;
+        }
+
+        return html + this.escapeHtml(code.slice(last));
+    },
+
+    /**
+     * Sanitize HTML against the allowlist
+     * @param {string} html - Untrusted HTML
+     * @returns {string} Safe HTML
+     */
+    sanitize(html) {
+        if (typeof document === 'undefined') {
+            return this.escapeHtml(html);
+        }
+
+        // Template content is inert: nothing loads or runs while we inspect it
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.sanitizeNode(template.content);
+        return template.innerHTML;
+    },
+
+    /**
+     * Recursively clean a DOM subtree in place
+     * @param {Node} parent - Node whose children are cleaned
+     */
+    sanitizeNode(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+
+            if (MARKDOWN_DROPPED_TAGS.includes(tag)) {
+                node.remove();
+                return;
+            }
+
+            // Unknown tags are unwrapped so their text survives
+            if (!MARKDOWN_ALLOWED_TAGS[tag]) {
+                this.sanitizeNode(node);
+                node.replaceWith(...Array.from(node.childNodes));
+                return;
+            }
+
+            const allowedAttributes = MARKDOWN_ALLOWED_TAGS[tag];
+            Array.from(node.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                if (!allowedAttributes.includes(name)) {
+                    node.removeAttribute(attribute.name);
+                    return;
+                }
+
+                if (name === 'href' || name === 'src') {
+                    const safe = this.safeUrl(attribute.value, name === 'src');
+                    if (safe) {
+                        node.setAttribute(name, attribute.value.trim());
+                    } else {
+                        node.removeAttribute(attribute.name);
+                    }
+                } else if (name === 'class') {
+                    const classes = attribute.value.split(/\s+/)
+                        .filter(cls => MARKDOWN_CLASS_PREFIXES.some(prefix => cls.startsWith(prefix)));
+                    if (classes.length) {
+                        node.setAttribute('class', classes.join(' '));
+                    } else {
+                        node.removeAttribute('class');
+                    }
+                }
+            });
+
+            // External links open in a new tab without handing over window.opener
+            if (tag === 'a' && /^https?:/i.test(node.getAttribute('href') || '')) {
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer nofollow');
+            }
+
+            if (tag === 'img') {
+                node.setAttribute('loading', 'lazy');
+            }
+
+            this.sanitizeNode(node);
+        });
+    },
+
+    /**
+     * Copy a rendered code block's source to the clipboard
+     * @param {Element} button - Copy button inside a code block
+     */
+    async copyCodeBlock(button) {
+        const code = button.closest('.md-code-block')?.querySelector('code');
+        if (!code) return;
+
+        try {
+            await navigator.clipboard.writeText(code.textContent);
+            button.textContent = 'Copied!';
+        } catch (error) {
+            console.error('Failed to copy code:', error);
+            button.textContent = 'Failed';
+        }
+
+        clearTimeout(button._resetTimer);
+        button._resetTimer = setTimeout(() => {
+            button.textContent = 'Copy';
+        }, 2000);
+    }
+};
+
+// Copy buttons are rendered as markup, so one delegated listener serves them all
+if (typeof document !== 'undefined') {
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest && e.target.closest('.code-copy-btn');
+        if (button) {
+            e.stopPropagation();
+            MarkdownRenderer.copyCodeBlock(button);
+        }
+    });
+}
+
+// Expose globally in browser context
+if (typeof window !== 'undefined') {
+    window.MarkdownRenderer = MarkdownRenderer;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
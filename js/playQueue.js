@@ -0,0 +1,202 @@
+/**
+ * Play Queue
+ * The "Up Next" list of episodes the floating player works through, plus the
+ * episode playing now and the ones played before it, so Previous and Next
+ * follow what the listener actually queued rather than the page layout.
+ * Kept in localStorage so the queue survives reloads
+ */
+
+const PlayQueue = {
+    storageKey: 'podcast-play-queue',
+
+    // Played episodes remembered for Previous
+    maxHistory: 50,
+
+    // Up Next, in play order
+    items: [],
+
+    // Played before the current episode, most recent last
+    history: [],
+
+    // Episode playing now, or null
+    current: null,
+
+    listeners: [],
+
+    /**
+     * Load the saved queue
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                const isEntry = entry => entry && entry.id && entry.audioUrl;
+                this.items = Array.isArray(saved.items) ? saved.items.filter(isEntry) : [];
+                this.history = Array.isArray(saved.history) ? saved.history.filter(isEntry) : [];
+                this.current = isEntry(saved.current) ? saved.current : null;
+            }
+        } catch (error) {
+            console.warn('Could not read the saved play queue:', error);
+        }
+    },
+
+    /**
+     * Save the queue and tell listeners it changed
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                items: this.items,
+                history: this.history,
+                current: this.current
+            }));
+        } catch (error) {
+            console.warn('Could not save the play queue:', error);
+        }
+
+        this.listeners.forEach(callback => callback(this));
+    },
+
+    /**
+     * Get notified whenever the queue changes
+     * @param {Function} callback - Called with the queue
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    },
+
+    /**
+     * Get the ID an episode is known by, the same one its card carries
+     * @param {Object} episode - Episode data
+     * @returns {string} Episode ID
+     */
+    getEpisodeId(episode) {
+        return episode.guid || episode.title;
+    },
+
+    /**
+     * Make a queue entry from an episode
+     * Entries keep what the player needs, so queued episodes play even when
+     * the feed has not loaded or their card is not on the page
+     * @param {Object} episode - Episode data
+     * @returns {Object|null} { id, title, show, image, audioUrl, audioType, duration }, or null without audio
+     */
+    toEntry(episode) {
+        if (!episode || !episode.enclosure || !episode.enclosure.url) return null;
+
+        return {
+            id: this.getEpisodeId(episode),
+            title: episode.title,
+            show: episode.author || '',
+            image: episode.image || '',
+            audioUrl: episode.enclosure.url,
+            audioType: episode.enclosure.type || '',
+            duration: episode.duration || ''
+        };
+    },
+
+    /**
+     * Check whether an episode is in Up Next
+     * @param {string} id - Episode ID
+     * @returns {boolean} Whether it is queued
+     */
+    has(id) {
+        return this.items.some(entry => entry.id === id);
+    },
+
+    /**
+     * Add an episode to the end of Up Next
+     * @param {Object} entry - Queue entry
+     * @returns {boolean} Whether it was added; queued episodes are not added twice
+     */
+    add(entry) {
+        if (!entry || this.has(entry.id)) {
+            return false;
+        }
+
+        this.items.push(entry);
+        this.save();
+        return true;
+    },
+
+    /**
+     * Remove an episode from Up Next
+     * @param {string} id - Episode ID
+     */
+    remove(id) {
+        const count = this.items.length;
+        this.items = this.items.filter(entry => entry.id !== id);
+        if (this.items.length !== count) {
+            this.save();
+        }
+    },
+
+    /**
+     * Move an episode within Up Next
+     * @param {number} fromIndex - Current position
+     * @param {number} toIndex - New position
+     */
+    move(fromIndex, toIndex) {
+        if (fromIndex === toIndex || !this.items[fromIndex]) return;
+
+        const [entry] = this.items.splice(fromIndex, 1);
+        this.items.splice(Math.max(0, Math.min(toIndex, this.items.length)), 0, entry);
+        this.save();
+    },
+
+    /**
+     * Empty Up Next
+     */
+    clear() {
+        this.items = [];
+        this.save();
+    },
+
+    /**
+     * Get the episode Next plays
+     * @returns {Object|null} Queue entry
+     */
+    peekNext() {
+        return this.items[0] || null;
+    },
+
+    /**
+     * Get the episode Previous plays
+     * @returns {Object|null} Queue entry
+     */
+    peekPrevious() {
+        return this.history[this.history.length - 1] || null;
+    },
+
+    /**
+     * Record the episode that started playing
+     * Going forward, the episode it replaces moves to the history; going back
+     * through the history, it returns to the top of Up Next instead
+     * @param {Object} entry - Queue entry
+     * @param {boolean} [fromHistory] - Whether Previous started it
+     */
+    setCurrent(entry, fromHistory = false) {
+        if (!entry) return;
+        if (this.current && this.current.id === entry.id) return;
+
+        this.items = this.items.filter(item => item.id !== entry.id);
+        this.history = this.history.filter(item => item.id !== entry.id);
+
+        if (this.current) {
+            if (fromHistory) {
+                this.items.unshift(this.current);
+            } else {
+                this.history.push(this.current);
+                this.history = this.history.slice(-this.maxHistory);
+            }
+        }
+
+        this.current = entry;
+        this.save();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlayQueue;
+}
@@ -0,0 +1,297 @@
+/**
+ * Playback Progress
+ * Remembers how far into each episode the listener got, keyed by episode ID
+ * (guid, or title for episodes without one), so playback resumes where it
+ * stopped and finished episodes can be marked as played. Kept in localStorage;
+ * for signed-in listeners it is also synced with the backend so it follows
+ * them across devices
+ */
+
+const PlaybackProgress = {
+    storageKey: 'podcast-playback-progress',
+
+    // timeupdate fires several times a second; positions are written at most this often
+    saveInterval: 5000,
+
+    // Changes are sent to the backend in batches, this long after the last one
+    syncDelay: 30000,
+
+    // Episodes stopped earlier than this start from the beginning again
+    minResumeSeconds: 15,
+
+    // Episodes stopped this close to the end count as played
+    playedRemainingSeconds: 30,
+
+    // Oldest entries are dropped beyond this many
+    maxEntries: 500,
+
+    // Episode ID -> { position, duration, played, updatedAt, synced }
+    entries: {},
+
+    lastSavedAt: 0,
+    hasUnsavedChanges: false,
+    syncTimer: null,
+    syncing: null,
+    listeners: [],
+
+    /**
+     * Load saved progress
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved && typeof saved === 'object') {
+                this.entries = saved;
+            }
+        } catch (error) {
+            console.warn('Could not read saved playback progress:', error);
+        }
+    },
+
+    /**
+     * Write progress to localStorage and tell listeners it changed
+     */
+    store() {
+        const ids = Object.keys(this.entries);
+        if (ids.length > this.maxEntries) {
+            ids.sort((a, b) => this.entries[b].updatedAt - this.entries[a].updatedAt)
+                .slice(this.maxEntries)
+                .forEach(id => delete this.entries[id]);
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save playback progress:', error);
+        }
+
+        this.lastSavedAt = Date.now();
+        this.hasUnsavedChanges = false;
+        this.listeners.forEach(callback => callback(this));
+    },
+
+    /**
+     * Save progress and queue a backend sync
+     */
+    save() {
+        this.store();
+        this.scheduleSync();
+    },
+
+    /**
+     * Get notified whenever progress is saved
+     * @param {Function} callback - Called with the progress store
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    },
+
+    /**
+     * Get an episode's progress
+     * @param {string} id - Episode ID
+     * @returns {Object|null} { position, duration, played, updatedAt }
+     */
+    get(id) {
+        return this.entries[id] || null;
+    },
+
+    /**
+     * Get how much of an episode has been listened to
+     * @param {string} id - Episode ID
+     * @returns {number} Percentage, 0-100; 100 for played episodes
+     */
+    getPercent(id) {
+        const entry = this.get(id);
+        if (!entry) return 0;
+        if (entry.played) return 100;
+        return entry.duration ? Math.min(100, (entry.position / entry.duration) * 100) : 0;
+    },
+
+    /**
+     * Check whether an episode has been played to the end
+     * @param {string} id - Episode ID
+     * @returns {boolean} Whether it is played
+     */
+    isPlayed(id) {
+        const entry = this.get(id);
+        return !!(entry && entry.played);
+    },
+
+    /**
+     * Get where playback of an episode should start
+     * @param {string} id - Episode ID
+     * @returns {number} Seconds; 0 for new, barely started and finished episodes
+     */
+    getResumeTime(id) {
+        const entry = this.get(id);
+        if (!entry || entry.played || entry.position < this.minResumeSeconds) return 0;
+        if (entry.duration && entry.duration - entry.position <= this.playedRemainingSeconds) return 0;
+        return entry.position;
+    },
+
+    /**
+     * Record the playback position of an episode
+     * @param {string} id - Episode ID
+     * @param {number} position - Current time in seconds
+     * @param {number} duration - Episode length in seconds
+     * @param {boolean} [force] - Write now rather than waiting for the save interval, e.g. on pause
+     */
+    record(id, position, duration, force = false) {
+        if (!id || !isFinite(position) || !isFinite(duration) || duration <= 0) return;
+
+        const previous = this.get(id);
+        const reachedEnd = duration - position <= this.playedRemainingSeconds;
+
+        // A played episode listened to again counts as unplayed once past its start,
+        // so it resumes from there next time
+        const stillPlayed = !!(previous && previous.played) && position < this.minResumeSeconds;
+
+        // A new object, so a sync in flight does not mark this change as sent
+        this.entries[id] = {
+            position,
+            duration,
+            played: reachedEnd || stillPlayed,
+            updatedAt: Date.now(),
+            synced: false
+        };
+        this.hasUnsavedChanges = true;
+
+        if (force || Date.now() - this.lastSavedAt >= this.saveInterval) {
+            this.save();
+        }
+    },
+
+    /**
+     * Mark an episode as played or not; either way it starts from the beginning next time
+     * @param {string} id - Episode ID
+     * @param {boolean} [played] - Whether it is played
+     */
+    markPlayed(id, played = true) {
+        if (!id) return;
+
+        const previous = this.get(id);
+        this.entries[id] = {
+            position: 0,
+            duration: previous ? previous.duration : 0,
+            played,
+            updatedAt: Date.now(),
+            synced: false
+        };
+        this.save();
+    },
+
+    /**
+     * Write any unsaved position and send unsynced changes, e.g. when the page is closed
+     */
+    flush() {
+        if (this.hasUnsavedChanges) {
+            this.store();
+        }
+        this.sync(false);
+    },
+
+    /**
+     * Get the signed-in listener's ID token
+     * @returns {Promise<string|null>} Token, or null when signed out
+     */
+    async getAuthToken() {
+        if (typeof window.auth === 'undefined' || !window.auth.currentUser) return null;
+
+        try {
+            return await window.auth.currentUser.getIdToken();
+        } catch (error) {
+            console.error('Failed to get Firebase token:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Send changes to the backend shortly, batching those that follow
+     */
+    scheduleSync() {
+        if (typeof window.auth === 'undefined' || !window.auth.currentUser) return;
+
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.sync(false), this.syncDelay);
+    },
+
+    /**
+     * Sync progress with the backend for signed-in listeners
+     * The most recently updated entry of an episode wins, whichever side it is on
+     * @param {boolean} [pull] - Whether to fetch the backend's progress first; pushing only local changes otherwise
+     * @returns {Promise<void>}
+     */
+    sync(pull = true) {
+        // One sync at a time; the next scheduled one sends what changed meanwhile
+        if (!this.syncing) {
+            clearTimeout(this.syncTimer);
+            this.syncing = this.runSync(pull).finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    },
+
+    /**
+     * Run a sync, see sync()
+     * @param {boolean} pull - Whether to fetch the backend's progress first
+     */
+    async runSync(pull) {
+        const token = await this.getAuthToken();
+        if (!token) return;
+
+        try {
+            let changed = false;
+
+            if (pull) {
+                const response = await apiService.getPlaybackProgress(token);
+                const remote = (response && response.data) || {};
+
+                Object.entries(remote).forEach(([id, entry]) => {
+                    const local = this.entries[id];
+                    if (!entry || !isFinite(entry.updatedAt)) return;
+
+                    if (!local || entry.updatedAt > local.updatedAt) {
+                        this.entries[id] = {
+                            position: Number(entry.position) || 0,
+                            duration: Number(entry.duration) || 0,
+                            played: !!entry.played,
+                            updatedAt: entry.updatedAt,
+                            synced: true
+                        };
+                        changed = true;
+                    } else if (entry.updatedAt === local.updatedAt && !local.synced) {
+                        local.synced = true;
+                        changed = true;
+                    }
+                });
+            }
+
+            const unsynced = Object.entries(this.entries).filter(([, entry]) => !entry.synced);
+            if (unsynced.length > 0) {
+                const progress = {};
+                unsynced.forEach(([id, { position, duration, played, updatedAt }]) => {
+                    progress[id] = { position, duration, played, updatedAt };
+                });
+
+                await apiService.savePlaybackProgress(progress, token);
+                unsynced.forEach(([, entry]) => {
+                    entry.synced = true;
+                });
+                changed = true;
+            }
+
+            if (changed) {
+                this.store();
+            }
+        } catch (error) {
+            // Progress stays saved locally and unsynced entries go with the next sync
+            console.warn('Could not sync playback progress:', error);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaybackProgress;
+}
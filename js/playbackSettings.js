@@ -0,0 +1,153 @@
+/**
+ * Playback Settings
+ * The listener's playback speed and skip intervals, saved in localStorage
+ * separately for each signed-in user (and once for guests). A speed can also
+ * be remembered for a single show, which then wins over the listener's usual
+ * speed for that show's episodes
+ */
+
+const PlaybackSettings = {
+    storageKeyPrefix: 'podcast-playback-settings',
+
+    rates: [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3],
+
+    skipIntervals: [5, 10, 15, 30, 45, 60],
+
+    // Sleep timer choices besides the end of the episode; the timer itself is not saved
+    sleepTimerMinutes: [5, 10, 15, 30, 45, 60, 90],
+
+    // The sleep timer fades the volume out over this long before pausing
+    sleepFadeSeconds: 10,
+
+    defaults: {
+        rate: 1,
+        skipBack: 10,
+        skipForward: 10,
+        // Show ID -> speed
+        showRates: {}
+    },
+
+    // Settings of the user they were loaded for
+    settings: null,
+    loadedKey: null,
+
+    /**
+     * Get the localStorage key of the current user's settings
+     * @returns {string} Storage key
+     */
+    getStorageKey() {
+        const user = typeof window.auth !== 'undefined' ? window.auth.currentUser : null;
+        return `${this.storageKeyPrefix}-${user ? user.uid : 'guest'}`;
+    },
+
+    /**
+     * Get the current user's settings, loading them when the user changed
+     * @returns {Object} { rate, skipBack, skipForward, showRates }
+     */
+    get() {
+        const key = this.getStorageKey();
+        if (this.loadedKey !== key) {
+            let saved = null;
+            try {
+                saved = JSON.parse(localStorage.getItem(key) || 'null');
+            } catch (error) {
+                console.warn('Could not read saved playback settings:', error);
+            }
+
+            this.settings = { ...this.defaults, ...(saved || {}) };
+            this.settings.showRates = { ...(this.settings.showRates || {}) };
+            this.loadedKey = key;
+        }
+        return this.settings;
+    },
+
+    /**
+     * Save the current user's settings
+     */
+    save() {
+        try {
+            localStorage.setItem(this.loadedKey || this.getStorageKey(), JSON.stringify(this.get()));
+        } catch (error) {
+            console.warn('Could not save playback settings:', error);
+        }
+    },
+
+    /**
+     * Get the ID speeds are remembered under for an episode's show
+     * Shows are told apart by the episode author from the feed; episodes
+     * without one all belong to the same show
+     * @param {Object} episode - Episode data or queue entry
+     * @returns {string} Show ID
+     */
+    getShowId(episode) {
+        return (episode && (episode.author || episode.show)) || 'default';
+    },
+
+    /**
+     * Get the speed to play a show at
+     * @param {string} [showId] - Show ID
+     * @returns {number} Playback rate
+     */
+    getRate(showId) {
+        const settings = this.get();
+        return (showId && settings.showRates[showId]) || settings.rate;
+    },
+
+    /**
+     * Check whether a show has its own speed
+     * @param {string} showId - Show ID
+     * @returns {boolean} Whether a speed is remembered for it
+     */
+    hasShowRate(showId) {
+        return !!(showId && this.get().showRates[showId]);
+    },
+
+    /**
+     * Set the playback speed
+     * @param {number} rate - Playback rate, one of rates
+     * @param {string} [showId] - Show to remember the speed for; when omitted the
+     *     speed becomes the listener's usual one and the show's own speed is dropped
+     * @param {string} [currentShowId] - Show playing now, whose own speed is dropped when showId is omitted
+     */
+    setRate(rate, showId = null, currentShowId = null) {
+        const settings = this.get();
+        const value = this.rates.includes(Number(rate)) ? Number(rate) : this.defaults.rate;
+
+        if (showId) {
+            settings.showRates[showId] = value;
+        } else {
+            settings.rate = value;
+            if (currentShowId) {
+                delete settings.showRates[currentShowId];
+            }
+        }
+        this.save();
+    },
+
+    /**
+     * Set how far the skip buttons jump
+     * @param {string} direction - 'back' or 'forward'
+     * @param {number} seconds - Interval, one of skipIntervals
+     */
+    setSkipInterval(direction, seconds) {
+        const value = Number(seconds);
+        if (!this.skipIntervals.includes(value)) return;
+
+        this.get()[direction === 'back' ? 'skipBack' : 'skipForward'] = value;
+        this.save();
+    },
+
+    /**
+     * Format a playback rate for display
+     * @param {number} rate - Playback rate
+     * @returns {string} e.g. '1x', '1.25x'
+     */
+    formatRate(rate) {
+        return `${Number(rate)}x`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaybackSettings;
+}
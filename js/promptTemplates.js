@@ -0,0 +1,54 @@
+/**
+ * Prompt Templates
+ * Reusable prompts with {{placeholders}} that are filled in before sending,
+ * e.g. "Translate {{text}} into {{language}}". Each template is offered in the
+ * composer's slash-command palette under a command made from its name
+ */
+
+const PromptTemplates = {
+    // {{name}}; spaces inside the braces are ignored
+    placeholderPattern: /\{\{\s*([^{}]+?)\s*\}\}/g,
+
+    /**
+     * List the placeholders of a template
+     * @param {string} text - Template text
+     * @returns {Array<string>} Placeholder names in order of first use, without repeats
+     */
+    getPlaceholders(text) {
+        const names = [];
+        for (const match of String(text || '').matchAll(this.placeholderPattern)) {
+            if (!names.includes(match[1])) {
+                names.push(match[1]);
+            }
+        }
+        return names;
+    },
+
+    /**
+     * Fill in a template's placeholders
+     * @param {string} text - Template text
+     * @param {Object} values - Placeholder name -> value; missing values become empty
+     * @returns {string} Prompt
+     */
+    fill(text, values) {
+        return String(text || '').replace(this.placeholderPattern, (match, name) => values[name] ?? '');
+    },
+
+    /**
+     * Make the slash command a template is offered under
+     * @param {string} name - Template name, e.g. 'Fix grammar'
+     * @returns {string} Command without the slash, e.g. 'fix-grammar'
+     */
+    toCommandName(name) {
+        return String(name || '')
+            .toLowerCase()
+            .trim()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptTemplates;
+}